@@ -69,8 +69,14 @@ export default [
                 // Cloudflare Worker globals
                 VIEWS_KV: 'readonly',
                 GUESTBOOK_KV: 'readonly',
+                RATE_LIMIT_KV: 'readonly',
+                GITHUB_KV: 'readonly',
+                ANALYTICS_KV: 'readonly',
+                CONFIG_KV: 'readonly',
                 GH_TOKEN: 'readonly',
                 TURNSTILE_SECRET: 'readonly',
+                GUESTBOOK_ADMIN_SECRET: 'readonly',
+                GITHUB_WEBHOOK_SECRET: 'readonly',
             },
         },
         rules: {
@@ -8,10 +8,15 @@
 
 // Import critical modules only - others loaded dynamically
 import { DEBUG_MODE, debug } from './modules/debug.js';
-import { errorHandler } from './modules/error-handler.js';
+import { errorHandler, AppError, ErrorSeverity } from './modules/error-handler.js';
+import { errorReporter } from './modules/error-reporter.js';
 import { initThemeManager } from './modules/theme.js';
 import { mobileManager } from './modules/mobile.js';
 import { navigationManager } from './modules/navigation.js';
+import { router } from './modules/router.js';
+import { ModuleRegistry } from './modules/module-registry.js';
+import { flags } from './modules/flags.js';
+import { experiments } from './modules/experiments.js';
 
 // App configuration
 const APP_CONFIG = {
@@ -25,6 +30,7 @@ const appState = {
     initStartTime: null,
     managers: {},
     modules: {}, // Lazy-loaded modules
+    moduleTimings: {}, // name → { phase, trigger, status, start, duration }
 };
 
 // Expose appState for error handler notifications
@@ -32,6 +38,9 @@ if (typeof globalThis !== 'undefined') {
     globalThis.appState = appState;
 }
 
+// Report logged errors to the Worker (sampled and throttled client-side)
+errorReporter.attach(errorHandler, { release: APP_CONFIG.version });
+
 /**
  * Lazy load a module with error handling
  * @param {string} modulePath - Path to the module
@@ -54,6 +63,170 @@ async function lazyLoad(modulePath) {
     }
 }
 
+/**
+ * Startup modules, by phase:
+ *   critical — theme, layout and UI chrome; awaited before anything renders
+ *   content  — project grid and stats; the page is revealed once it settles
+ *   sections — independent page sections, started in parallel
+ *   deferred — analytics, performance and extras, when the browser is idle
+ * Sections below the fold mount when they scroll near the viewport. Entries
+ * with a `flag` are skipped when that feature flag is off (modules/flags.js).
+ */
+const MODULES = [
+    { name: 'theme', phase: 'critical', init: () => initThemeManager() },
+    { name: 'mobile', phase: 'critical', init: () => (mobileManager.init(), mobileManager) },
+    {
+        name: 'ui',
+        phase: 'critical',
+        load: () => lazyLoad('./modules/ui.js'),
+        init: ({ uiManager }) => (uiManager.init(), uiManager),
+    },
+    {
+        name: 'navigation',
+        phase: 'critical',
+        after: ['ui'],
+        init: () => (navigationManager.init(), navigationManager),
+    },
+    {
+        name: 'projects',
+        phase: 'content',
+        after: ['ui'],
+        selector: '#projects-grid',
+        timeout: 15000,
+        load: () => lazyLoad('./modules/projects.js'),
+        init: async ({ projectsManager }, { ui }) => {
+            ui.showLoadingProgress('content');
+            await Promise.allSettled([
+                projectsManager.init('#projects-grid'),
+                ui.loadGitHubStats(),
+                ui.loadSkillsMatrix(),
+            ]);
+            ui.hideLoadingProgress('content');
+            return projectsManager;
+        },
+    },
+    {
+        // Micro-interactions on the freshly-rendered content (count-up, tilt, magnetic).
+        name: 'interactions',
+        phase: 'sections',
+        after: ['projects'],
+        load: () => import('./modules/interactions.js'),
+        init: ({ initInteractions }) => initInteractions(),
+    },
+    {
+        // "Currently coding" widget — calls the CF Worker with static fallback.
+        name: 'currently',
+        phase: 'sections',
+        selector: '#currently-coding',
+        trigger: 'visible',
+        load: () => import('./modules/currently.js'),
+        init: ({ currentlyWidget }) =>
+            currentlyWidget.init('#currently-coding').then(() => currentlyWidget),
+    },
+    {
+        name: 'experience',
+        phase: 'sections',
+        selector: '#experience-timeline',
+        trigger: 'visible',
+        load: () => import('./modules/experience.js'),
+        init: ({ experienceManager }) => experienceManager.init().then(() => experienceManager),
+    },
+    {
+        // The section stays hidden until data exists, so it can't wait on visibility.
+        name: 'testimonials',
+        phase: 'sections',
+        selector: '#testimonials',
+        trigger: 'idle',
+        load: () => import('./modules/testimonials.js'),
+        init: ({ testimonialsManager }) =>
+            testimonialsManager.init().then(() => testimonialsManager),
+    },
+    {
+        // Immediate so /blog/<slug> deep links open on load.
+        name: 'blog',
+        phase: 'sections',
+        selector: '#blog-posts',
+        load: () => import('./modules/blog.js'),
+        init: ({ blogManager }) => blogManager.init().then(() => blogManager),
+    },
+    {
+        name: 'activityFeed',
+        phase: 'sections',
+        selector: '#activity-feed',
+        trigger: 'visible',
+        load: () => import('./modules/activity-feed.js'),
+        init: ({ activityFeed }) => activityFeed.init('#activity-feed').then(() => activityFeed),
+    },
+    {
+        // Loads entries + wires the submission form (and Turnstile).
+        name: 'guestbook',
+        phase: 'sections',
+        flag: 'guestbook',
+        selector: '#guestbook',
+        trigger: 'visible',
+        load: () => import('./modules/guestbook.js'),
+        init: ({ guestbookManager }) => guestbookManager.init().then(() => guestbookManager),
+    },
+    {
+        // Records the visit and tracks sections/posts as they are viewed.
+        name: 'views',
+        phase: 'sections',
+        load: () => import('./modules/views.js'),
+        init: ({ viewCounter }) => viewCounter.init().then(() => viewCounter),
+    },
+    {
+        // Cmd/Ctrl-K — activates the existing search modal.
+        name: 'palette',
+        phase: 'sections',
+        flag: 'commandPalette',
+        selector: '#global-search-modal',
+        load: () => import('./modules/command-palette.js'),
+        init: ({ commandPalette }) => (commandPalette.init(), commandPalette),
+    },
+    {
+        // ? help panel + go-to navigation (g h/a/p/c).
+        name: 'keyboardHelp',
+        phase: 'sections',
+        selector: '#keyboard-help',
+        load: () => import('./modules/keyboard-help.js'),
+        init: ({ keyboardHelp }) => (keyboardHelp.init(), keyboardHelp),
+    },
+    {
+        name: 'performance',
+        phase: 'deferred',
+        trigger: 'idle',
+        load: () => lazyLoad('./modules/performance.js'),
+        init: ({ performanceManager }) => (performanceManager.init(), performanceManager),
+    },
+    {
+        name: 'analytics',
+        phase: 'deferred',
+        trigger: 'idle',
+        load: () => lazyLoad('./modules/analytics.js'),
+        init: ({ analyticsManager }) => {
+            analyticsManager.setExperiments(experiments.assignments());
+            analyticsManager.init();
+            analyticsManager.trackFlags(flags.decisions());
+            return analyticsManager;
+        },
+    },
+    {
+        // Hidden Konami-code dev-mode easter egg (opt-in, dismissible).
+        name: 'easterEgg',
+        phase: 'deferred',
+        flag: 'easterEgg',
+        trigger: 'idle',
+        load: () => import('./modules/easter-egg.js'),
+        init: ({ easterEgg }) => easterEgg.init(),
+    },
+];
+
+const registry = new ModuleRegistry({
+    managers: appState.managers,
+    timings: appState.moduleTimings,
+    isEnabled: name => flags.isEnabled(name),
+}).register(MODULES);
+
 /**
  * Initialize all application modules
  */
@@ -67,175 +240,46 @@ async function initializeApp() {
     debug.log(`[App] Initializing ${APP_CONFIG.name} v${APP_CONFIG.version}...`);
 
     try {
-        // Phase 1: Critical path - theme and mobile (prevents flash/layout shifts)
-        const themeManager = initThemeManager();
-        appState.managers.theme = themeManager;
-
-        mobileManager.init();
-        appState.managers.mobile = mobileManager;
-
-        debug.log('[App] Phase 1: Theme & mobile initialized');
-
-        // Phase 2: Navigation and UI setup
+        // Phase 1: Critical path - theme and mobile (prevents flash/layout shifts),
+        // UI and navigation. Remote flags and experiment assignments load
+        // alongside, but only a first visit waits for them: otherwise the cached
+        // ones already apply, and fresh values reach later phases or the next visit.
+        const firstVisit = !flags.hasCached() || !experiments.hasCached();
+        const remoteConfig = Promise.all([flags.load(), experiments.load()]);
+        await Promise.all([registry.run('critical'), firstVisit && remoteConfig]);
         initMobileMenu();
         initNavigation();
 
-        // Lazy load UI module
-        const { uiManager } = await lazyLoad('./modules/ui.js');
-        uiManager.init();
-        appState.managers.ui = uiManager;
-
-        navigationManager.init();
-        appState.managers.navigation = navigationManager;
-
-        debug.log('[App] Phase 2: Navigation & UI initialized');
+        // Routes: navigation owns `/`; the blog and case-study modal add theirs
+        // as they load. Links shared before the router still work.
+        router
+            .redirect('#post/:slug', '/blog/:slug')
+            .redirect('#post/:slug/:section', '/blog/:slug#:section')
+            .redirect('#blog/tag/:tag', '/blog/tag/:tag')
+            .redirect('#project/:slug', '/projects/:slug')
+            .start();
+        debug.log('[App] Phase 1: Theme, mobile, navigation & UI initialized');
 
         // Hero enhancements: text reveal runs immediately; WebGL gradient is
         // dynamically imported and self-gates on device capability.
         initHeroEnhancements();
 
-        // Phase 3: Content loading (show progress) - lazy load projects module
-        uiManager.showLoadingProgress('content');
-
-        const { projectsManager } = await lazyLoad('./modules/projects.js');
-
-        // Load content in parallel
-        await Promise.allSettled([
-            projectsManager.init('#projects-grid'),
-            uiManager.loadGitHubStats(),
-            uiManager.loadSkillsMatrix(),
-        ]);
-
-        appState.managers.projects = projectsManager;
-
-        uiManager.hideLoadingProgress('content');
-        debug.log('[App] Phase 3: Content loaded');
+        // Phase 2: Content loading (shows progress)
+        await registry.run('content');
+        debug.log('[App] Phase 2: Content loaded');
 
         // Make body visible (it starts with opacity: 0)
         document.body.classList.add('loaded');
+        // A reload lands where it was left, now that the page has its height.
+        router.restoreScroll();
 
-        // Micro-interactions on the freshly-rendered content (count-up, tilt, magnetic).
-        try {
-            const { initInteractions } = await import('./modules/interactions.js');
-            initInteractions();
-        } catch (err) {
-            debug.warn('[App] Interactions skipped:', err);
-        }
+        // Phase 3: Page sections, in parallel; below-the-fold ones mount on approach
+        await registry.run('sections');
+        debug.log('[App] Phase 3: Sections initialized');
 
-        // "Currently coding" widget — calls the CF Worker with static fallback.
-        try {
-            const { currentlyWidget } = await import('./modules/currently.js');
-            await currentlyWidget.init('#currently-coding');
-            appState.managers.currently = currentlyWidget;
-        } catch (err) {
-            debug.warn('[App] Currently widget skipped:', err);
-        }
-
-        // Experience / timeline section.
-        try {
-            const { experienceManager } = await import('./modules/experience.js');
-            await experienceManager.init();
-            appState.managers.experience = experienceManager;
-        } catch (err) {
-            debug.warn('[App] Experience module skipped:', err);
-        }
-
-        // Testimonials section (stays hidden until data exists).
-        try {
-            const { testimonialsManager } = await import('./modules/testimonials.js');
-            await testimonialsManager.init();
-            appState.managers.testimonials = testimonialsManager;
-        } catch (err) {
-            debug.warn('[App] Testimonials module skipped:', err);
-        }
-
-        // Blog / writing section.
-        try {
-            const { blogManager } = await import('./modules/blog.js');
-            await blogManager.init();
-            appState.managers.blog = blogManager;
-        } catch (err) {
-            debug.warn('[App] Blog module skipped:', err);
-        }
-
-        // Activity feed (recent GitHub events).
-        try {
-            const { activityFeed } = await import('./modules/activity-feed.js');
-            await activityFeed.init('#activity-feed');
-            appState.managers.activityFeed = activityFeed;
-        } catch (err) {
-            debug.warn('[App] Activity feed skipped:', err);
-        }
-
-        // Guestbook — loads entries + wires submission form.
-        try {
-            const { guestbookManager } = await import('./modules/guestbook.js');
-            await guestbookManager.init();
-            appState.managers.guestbook = guestbookManager;
-        } catch (err) {
-            debug.warn('[App] Guestbook skipped:', err);
-        }
-
-        // View counter — calls Worker, updates footer count.
-        try {
-            const { viewCounter } = await import('./modules/views.js');
-            await viewCounter.init();
-            appState.managers.views = viewCounter;
-        } catch (err) {
-            debug.warn('[App] View counter skipped:', err);
-        }
-
-        // Command palette (Cmd/Ctrl-K) — activates the existing search modal.
-        try {
-            const { commandPalette } = await import('./modules/command-palette.js');
-            commandPalette.init();
-            appState.managers.palette = commandPalette;
-        } catch (err) {
-            debug.warn('[App] Command palette skipped:', err);
-        }
-
-        // Keyboard help panel (?) + go-to navigation (g h/a/p/c).
-        try {
-            const { keyboardHelp } = await import('./modules/keyboard-help.js');
-            keyboardHelp.init();
-            appState.managers.keyboardHelp = keyboardHelp;
-        } catch (err) {
-            debug.warn('[App] Keyboard help skipped:', err);
-        }
-
-        // Phase 4: Non-critical features (deferred with dynamic imports)
-        requestIdleCallback(
-            async () => {
-                try {
-                    const [{ performanceManager }, { analyticsManager }] = await Promise.all([
-                        lazyLoad('./modules/performance.js'),
-                        lazyLoad('./modules/analytics.js'),
-                    ]);
-
-                    performanceManager.init();
-                    appState.managers.performance = performanceManager;
-
-                    analyticsManager.init();
-                    appState.managers.analytics = analyticsManager;
-
-                    // Additional UI enhancements
-                    loadGitHubBadges();
-
-                    // Hidden Konami-code dev-mode easter egg (opt-in, dismissible).
-                    try {
-                        const { easterEgg } = await import('./modules/easter-egg.js');
-                        easterEgg.init();
-                    } catch (err) {
-                        debug.warn('[App] Easter egg skipped:', err);
-                    }
-
-                    debug.log('[App] Phase 4: Analytics & performance initialized');
-                } catch (err) {
-                    debug.error('[App] Phase 4 error:', err);
-                }
-            },
-            { timeout: 2000 }
-        );
+        // Phase 4: Non-critical features, when idle
+        registry.run('deferred');
+        loadGitHubBadges();
 
         // Setup global event handlers
         setupGlobalEvents();
@@ -244,7 +288,7 @@ async function initializeApp() {
         setInterval(
             async () => {
                 const { githubAPI } = await lazyLoad('./modules/github-api.js');
-                clearExpiredCache(githubAPI);
+                githubAPI.clearExpiredCache();
             },
             10 * 60 * 1000
         );
@@ -274,16 +318,25 @@ async function initializeApp() {
  * is unavailable we fall back to the WebGL mesh-gradient shader, and if that
  * also fails the static CSS gradient stays visible. Everything is lazy-loaded
  * and only runs when device capability allows, so first paint is untouched.
+ * The heroText, heroWasm and heroWebgl flags switch each layer off; the
+ * heroBackground experiment picks the starting layer (wasm | webgl | static)
+ * and heroRoles the rotating role set.
  */
 async function initHeroEnhancements() {
-    try {
-        const { initHeroText } = await import('./modules/hero-text.js');
-        initHeroText();
-    } catch (err) {
-        debug.warn('[App] Hero text effect skipped:', err);
+    if (flags.isEnabled('heroText')) {
+        try {
+            const { initHeroText } = await import('./modules/hero-text.js');
+            initHeroText({ roleSet: experiments.variant('heroRoles') });
+        } catch (err) {
+            debug.warn('[App] Hero text effect skipped:', err);
+        }
     }
 
     try {
+        const background = experiments.variant('heroBackground');
+        if (background === 'static') {
+            return; // CSS gradient arm of the experiment.
+        }
         const { canRunHeavyEffects, motion } = await import('./modules/capabilities.js');
         if (!canRunHeavyEffects()) {
             return; // CSS fallback gradient remains visible.
@@ -296,19 +349,24 @@ async function initHeroEnhancements() {
         // Primary: WASM particle flow-field (transparent 2D canvas over the
         // gradient). loadSim() throws before touching the canvas context if WASM
         // can't load, so the element stays clean for the WebGL fallback below.
-        try {
-            const { mountHeroSim } = await import('./modules/wasm/hero-sim.js');
-            const wasmHandle = await mountHeroSim(canvas, { reducedMotion: motion.reduced });
-            if (wasmHandle) {
-                appState.managers.heroCanvas = wasmHandle;
-                canvas.classList.add('is-active');
-                return;
+        if (flags.isEnabled('heroWasm') && background !== 'webgl') {
+            try {
+                const { mountHeroSim } = await import('./modules/wasm/hero-sim.js');
+                const wasmHandle = await mountHeroSim(canvas, { reducedMotion: motion.reduced });
+                if (wasmHandle) {
+                    appState.managers.heroCanvas = wasmHandle;
+                    canvas.classList.add('is-active');
+                    return;
+                }
+            } catch (err) {
+                debug.warn('[App] WASM hero core skipped, trying WebGL shader:', err);
             }
-        } catch (err) {
-            debug.warn('[App] WASM hero core skipped, trying WebGL shader:', err);
         }
 
         // Fallback: WebGL mesh-gradient shader.
+        if (!flags.isEnabled('heroWebgl')) {
+            return;
+        }
         const { initHeroCanvas } = await import('./modules/hero-canvas.js');
         const handle = initHeroCanvas(canvas);
         if (handle) {
@@ -363,21 +421,6 @@ function initNavigation() {
             { passive: true }
         );
     }
-
-    // Smooth scroll for anchor links
-    for (const anchor of document.querySelectorAll('a[href^="#"]')) {
-        anchor.addEventListener('click', function (e) {
-            e.preventDefault();
-            const target = document.querySelector(this.getAttribute('href'));
-            if (target) {
-                const offsetTop = target.offsetTop - 70;
-                globalThis.scrollTo({
-                    top: offsetTop,
-                    behavior: 'smooth',
-                });
-            }
-        });
-    }
 }
 
 /**
@@ -390,25 +433,21 @@ function loadGitHubBadges() {
 }
 
 /**
- * Clear expired cache entries
- * @param {Object} githubAPI - The GitHub API instance
+ * Log an uncaught error or rejection reason as a critical AppError, keeping
+ * the original stack so the reporter can fingerprint it
+ * @param {any} reason - Error object, or whatever was thrown
+ * @param {Object} context - Where it was caught
  */
-function clearExpiredCache(githubAPI) {
-    if (!githubAPI || !githubAPI.cache) return;
-
-    const now = Date.now();
-    let removedCount = 0;
-
-    for (const [key, value] of githubAPI.cache.entries()) {
-        if (value.expiry < now) {
-            githubAPI.cache.delete(key);
-            removedCount++;
-        }
-    }
-
-    if (removedCount > 0) {
-        debug.log(`[App] Cleared ${removedCount} expired cache entries`);
-    }
+function logUncaught(reason, context) {
+    const error = reason instanceof Error ? reason : new Error(String(reason));
+    const appError = new AppError(
+        error.message,
+        errorHandler.classifyError(error),
+        ErrorSeverity.CRITICAL,
+        context
+    );
+    appError.stack = error.stack;
+    errorHandler.log(appError);
 }
 
 /**
@@ -418,6 +457,11 @@ function setupGlobalEvents() {
     // Handle global errors
     globalThis.addEventListener('error', async event => {
         debug.error('[App] Uncaught error:', event.error);
+        logUncaught(event.error ?? event.message, {
+            source: 'uncaught',
+            filename: event.filename,
+            lineno: event.lineno,
+        });
         const { analytics } = appState.managers;
         if (analytics && analytics.isInitialized) {
             analytics.trackError(event.error, {
@@ -431,6 +475,7 @@ function setupGlobalEvents() {
     // Handle unhandled promise rejections
     globalThis.addEventListener('unhandledrejection', async event => {
         debug.error('[App] Unhandled rejection:', event.reason);
+        logUncaught(event.reason, { source: 'unhandled_rejection' });
         const { analytics } = appState.managers;
         if (analytics && analytics.isInitialized) {
             analytics.trackError(event.reason, {
@@ -531,6 +576,12 @@ globalThis.PortfolioApp = {
     get errors() {
         return errorHandler;
     },
+    get flags() {
+        return flags;
+    },
+    get experiments() {
+        return experiments;
+    },
 
     // Methods
     isReady() {
@@ -563,6 +614,7 @@ globalThis.PortfolioApp = {
             session: analytics?.getSessionStats?.() || {},
             device: mobile?.getDeviceInfo?.() || {},
             errors: errorHandler.getStats(),
+            modules: appState.moduleTimings,
         };
     },
 };
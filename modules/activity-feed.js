@@ -1,16 +1,20 @@
 /**
  * Activity Feed Module
  *
- * Renders a compact timeline of recent GitHub events into #activity-feed,
- * using the events array already present in github-data.json (no extra fetch).
+ * Renders a compact timeline of recent GitHub events into #activity-feed.
+ * Live data comes from the Worker's /activity/feed (normalized, deduplicated,
+ * ~5 min edge cache); if the Worker is unreachable it falls back to the events
+ * array already present in github-data.json, which can be up to a day old.
  * Shows the last 10 interesting events across all repos.
  */
 
 import { debug } from './debug.js';
 import { githubAPI } from './github-api.js';
+import { WORKER_BASE } from './config.js';
 import { escapeHtml } from './utils/html.js';
 
 const MAX_EVENTS = 10;
+const FEED_URL = `${WORKER_BASE}/activity/feed?limit=${MAX_EVENTS}`;
 const INTERESTING = new Set([
     'PushEvent',
     'PullRequestEvent',
@@ -29,15 +33,22 @@ const EVENT_ICONS = {
     DeleteEvent: 'trash-alt',
 };
 
+// Icons for the Worker's normalized item types.
+const FEED_ICONS = {
+    push: 'code-commit',
+    pr: 'code-pull-request',
+    create: 'plus-circle',
+    release: 'tag',
+    star: 'star',
+};
+
 class ActivityFeed {
     async init(selector = '#activity-feed') {
         const container = document.querySelector(selector);
         if (!container) return;
 
         try {
-            const data = await githubAPI.loadCachedGitHubData();
-            const events = data?.events ?? [];
-            const rendered = this.#buildItems(events);
+            const rendered = (await this.#liveItems()) ?? (await this.#cachedItems());
             if (!rendered.length) {
                 container.hidden = true;
                 return;
@@ -50,32 +61,83 @@ class ActivityFeed {
         }
     }
 
+    async #liveItems() {
+        try {
+            const resp = await fetch(FEED_URL, { signal: AbortSignal.timeout(4000) });
+            if (!resp.ok) return null;
+            const { items = [] } = await resp.json();
+            if (!items.length) return null;
+            return items.map(item =>
+                this.#renderItem({
+                    icon: FEED_ICONS[item.type] ?? 'circle',
+                    repoName: item.repoName,
+                    repoUrl: item.repoUrl,
+                    desc: this.#describeItem(item),
+                    at: item.pushedAt,
+                })
+            );
+        } catch (err) {
+            debug.warn('[ActivityFeed] Worker unavailable, using static fallback:', err.message);
+            return null;
+        }
+    }
+
+    async #cachedItems() {
+        const data = await githubAPI.loadCachedGitHubData();
+        return this.#buildItems(data?.events ?? []);
+    }
+
     #buildItems(events) {
         const items = [];
         for (const event of events) {
             if (!INTERESTING.has(event.type)) continue;
             const repo = event.repo?.name ?? '';
             const repoName = repo.split('/').pop();
-            const repoUrl = `https://github.com/${repo}`;
             const desc = this.#describe(event, repoName);
             if (!desc) continue;
 
-            const icon = EVENT_ICONS[event.type] ?? 'circle';
-            const rel = this.#relTime(event.created_at);
+            items.push(
+                this.#renderItem({
+                    icon: EVENT_ICONS[event.type] ?? 'circle',
+                    repoName,
+                    repoUrl: `https://github.com/${repo}`,
+                    desc,
+                    at: event.created_at,
+                })
+            );
 
-            items.push(`
+            if (items.length >= MAX_EVENTS) break;
+        }
+        return items;
+    }
+
+    #renderItem({ icon, repoName, repoUrl, desc, at }) {
+        return `
                 <li class="activity-item">
                     <span class="activity-icon" aria-hidden="true"><i class="fas fa-${escapeHtml(icon)}"></i></span>
                     <span class="activity-body">
                         <a href="${escapeHtml(repoUrl)}" target="_blank" rel="noopener noreferrer" class="activity-repo">${escapeHtml(repoName)}</a>
                         <span class="activity-desc">${escapeHtml(desc)}</span>
                     </span>
-                    <time class="activity-time" datetime="${escapeHtml(event.created_at ?? '')}">${escapeHtml(rel)}</time>
-                </li>`);
+                    <time class="activity-time" datetime="${escapeHtml(at ?? '')}">${escapeHtml(this.#relTime(at))}</time>
+                </li>`;
+    }
 
-            if (items.length >= MAX_EVENTS) break;
+    // Phrase a Worker feed item the same way #describe() phrases a raw event.
+    #describeItem(item) {
+        switch (item.type) {
+            case 'push':
+                return item.message ? `pushed "${item.message}"` : `pushed to ${item.repoName}`;
+            case 'pr': {
+                const action = item.action ?? 'updated';
+                return item.message ? `${action} PR: ${item.message}` : `${action} a pull request`;
+            }
+            default: {
+                // create / release / star messages read "Created …", "Released …", "Starred …"
+                const msg = item.message ?? '';
+                return msg.charAt(0).toLowerCase() + msg.slice(1);
+            }
         }
-        return items;
     }
 
     #describe(event, repoName) {
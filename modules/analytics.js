@@ -1,9 +1,18 @@
 /**
  * Analytics Module
  * Consolidated analytics tracking with privacy-first approach
+ *
+ * Collectable events (page views, scroll depth, section views, clicks,
+ * errors and non-default feature-flag decisions) are reduced to the Worker's
+ * /collect schema as they happen and queued in localStorage. The queue is
+ * flushed with navigator.sendBeacon when the page is hidden, or early once a
+ * full batch is waiting. Link text, session ids and full URLs never leave the
+ * browser. Every event carries the visitor's A/B variants
+ * (modules/experiments.js) so arms can be compared.
  */
 
 import { debug } from './debug.js';
+import { WORKER_BASE } from './config.js';
 
 // Analytics events configuration
 const EVENT_CATEGORIES = {
@@ -12,11 +21,96 @@ const EVENT_CATEGORIES = {
     INTERACTION: 'interaction',
     ERROR: 'error',
     PERFORMANCE: 'performance',
+    EXPERIMENT: 'experiment',
 };
 
 const STORAGE_KEY = 'portfolio_analytics';
 const SESSION_KEY = 'portfolio_session';
 
+const COLLECT_URL = `${WORKER_BASE}/collect`;
+// Matches MAX_BATCH_EVENTS in worker/collect.js.
+const MAX_BATCH_EVENTS = 50;
+const MAX_QUEUED_EVENTS = 100;
+
+// Click event names → the Worker's `kind` values.
+const CLICK_KINDS = {
+    click: 'other',
+    link_click: 'link',
+    anchor_click: 'anchor',
+    button_click: 'button',
+    card_click: 'card',
+    form_submit: 'form',
+};
+
+/**
+ * Reduce a tracked event to the /collect wire format, or null if it isn't
+ * collected. Only the fields the Worker's schema allows are kept, plus the
+ * A/B variants the event was tagged with.
+ */
+export function toCollectEvent(event) {
+    const collectable = reduceEvent(event);
+    if (collectable && event.variants) collectable.variants = event.variants;
+    return collectable;
+}
+
+function reduceEvent(event) {
+    const page = event.page || globalThis.location.pathname;
+
+    if (event.type === 'pageview') {
+        return { type: 'pageview', page, referrer: hostOf(event.referrer) ?? 'direct' };
+    }
+    if (event.type === 'error') {
+        return { type: 'error', page, message: String(event.message ?? '').slice(0, 200) };
+    }
+    if (event.type !== 'event') return null;
+
+    if (event.name === 'scroll_depth') {
+        return { type: 'scroll', page, depth: event.depth };
+    }
+    if (event.name === 'section_view') {
+        return { type: 'section', page, section: event.section };
+    }
+    if (event.name === 'flag_exposure') {
+        return {
+            type: 'flag',
+            page,
+            flag: event.flag,
+            value: event.value ? 'on' : 'off',
+            source: event.source,
+        };
+    }
+    if (event.name in CLICK_KINDS) {
+        return {
+            type: 'click',
+            page,
+            kind: CLICK_KINDS[event.name],
+            target: clickTarget(event.href),
+        };
+    }
+    return null;
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname;
+    } catch {
+        return null;
+    }
+}
+
+/** Same-site links keep their hash or path; external links only their host; email links are `mailto`. */
+function clickTarget(href) {
+    if (!href) return null;
+    try {
+        const url = new URL(href, globalThis.location.href);
+        if (url.protocol === 'mailto:') return 'mailto';
+        if (url.origin !== globalThis.location.origin) return url.hostname;
+        return url.hash || url.pathname;
+    } catch {
+        return null;
+    }
+}
+
 export class AnalyticsManager {
     constructor() {
         this.isInitialized = false;
@@ -31,6 +125,7 @@ export class AnalyticsManager {
             interactions: 0,
         };
         this.observers = new Map();
+        this.experiments = {};
     }
 
     init() {
@@ -45,6 +140,7 @@ export class AnalyticsManager {
         this.setupInteractionTracking();
         this.setupVisibilityTracking();
         this.setupExitIntent();
+        this.trackSectionVisibility(document.querySelectorAll('section[id]'));
 
         this.isInitialized = true;
         debug.log('[Analytics] Analytics manager initialized');
@@ -309,7 +405,13 @@ export class AnalyticsManager {
                 category: EVENT_CATEGORIES.ENGAGEMENT,
                 state,
             });
+
+            // Hidden is the last reliable moment on mobile (no unload events).
+            if (state === 'hidden') this.flush();
         });
+
+        // bfcache-eligible navigations in Safari skip visibilitychange.
+        globalThis.addEventListener('pagehide', () => this.flush());
     }
 
     setupExitIntent() {
@@ -324,6 +426,34 @@ export class AnalyticsManager {
         });
     }
 
+    // ========================================
+    // Feature Flags & Experiments
+    // ========================================
+
+    /**
+     * Tag every subsequent event with these A/B variants
+     * @param {Object} assignments - experiment → variant from experiments.assignments()
+     */
+    setExperiments(assignments) {
+        this.experiments = { ...assignments };
+    }
+
+    /**
+     * Record the flag decisions that differ from the shipped defaults
+     * @param {Object} decisions - name → { value, source } from flags.decisions()
+     */
+    trackFlags(decisions) {
+        for (const [flag, { value, source }] of Object.entries(decisions)) {
+            if (source === 'default') continue;
+            this.trackEvent('flag_exposure', {
+                category: EVENT_CATEGORIES.EXPERIMENT,
+                flag,
+                value,
+                source,
+            });
+        }
+    }
+
     // ========================================
     // Section Visibility Tracking
     // ========================================
@@ -331,6 +461,7 @@ export class AnalyticsManager {
     trackSectionVisibility(sections) {
         if (!('IntersectionObserver' in globalThis)) return;
 
+        // Each section counts once per page load.
         const observer = new IntersectionObserver(
             entries => {
                 entries.forEach(entry => {
@@ -340,6 +471,7 @@ export class AnalyticsManager {
                             category: EVENT_CATEGORIES.ENGAGEMENT,
                             section: sectionId,
                         });
+                        observer.unobserve(entry.target);
                     }
                 });
             },
@@ -363,13 +495,8 @@ export class AnalyticsManager {
     // ========================================
 
     sendToAnalytics(event) {
-        // Cloudflare Analytics / Beacon API
-        if (navigator.sendBeacon && globalThis.ANALYTICS_ENDPOINT) {
-            try {
-                navigator.sendBeacon(globalThis.ANALYTICS_ENDPOINT, JSON.stringify(event));
-            } catch (_e) {
-                debug.warn('[Analytics] Failed to send beacon:', _e);
-            }
+        if (Object.keys(this.experiments).length) {
+            event.variants = this.experiments;
         }
 
         // Google Analytics 4 (if configured)
@@ -390,23 +517,69 @@ export class AnalyticsManager {
             }
         }
 
-        // Store locally for batch sending
+        // Queue locally for batch sending to the Worker
         this.storeEvent(event);
     }
 
     storeEvent(event) {
+        const collectable = toCollectEvent(event);
+        if (!collectable) return;
+
         try {
             const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
-            stored.push(event);
+            stored.push(collectable);
 
-            // Keep only last 100 events
-            const trimmed = stored.slice(-100);
+            // Keep only the most recent events if flushing keeps failing
+            const trimmed = stored.slice(-MAX_QUEUED_EVENTS);
             localStorage.setItem(STORAGE_KEY, JSON.stringify(trimmed));
+
+            if (trimmed.length >= MAX_BATCH_EVENTS) this.flush();
         } catch (_e) {
             debug.warn('[Analytics] Failed to store event:', _e);
         }
     }
 
+    /**
+     * Beacon queued events to /collect in batches. Batches the browser refuses
+     * (sendBeacon returns false, e.g. over its size budget) stay queued.
+     * `globalThis.ANALYTICS_ENDPOINT` overrides the Worker URL.
+     * @returns {number} Number of events handed to the browser
+     */
+    flush() {
+        const endpoint = globalThis.ANALYTICS_ENDPOINT || COLLECT_URL;
+        if (!navigator.sendBeacon) return 0;
+
+        let queued;
+        try {
+            queued = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        } catch (_e) {
+            queued = [];
+        }
+        if (!queued.length) return 0;
+
+        let sent = 0;
+        while (sent < queued.length) {
+            const batch = queued.slice(sent, sent + MAX_BATCH_EVENTS);
+            let accepted = false;
+            try {
+                accepted = navigator.sendBeacon(endpoint, JSON.stringify({ events: batch }));
+            } catch (_e) {
+                debug.warn('[Analytics] Failed to send beacon:', _e);
+            }
+            if (!accepted) break;
+            sent += batch.length;
+        }
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(queued.slice(sent)));
+        } catch (_e) {
+            debug.warn('[Analytics] Failed to update queue:', _e);
+        }
+
+        debug.log(`[Analytics] Flushed ${sent}/${queued.length} events`);
+        return sent;
+    }
+
     // ========================================
     // Reporting
     // ========================================
@@ -0,0 +1,126 @@
+/**
+ * Blog Index
+ *
+ * The list logic behind BlogManager, kept free of the DOM: tag filtering,
+ * sort orders, the year/month archive, series and related posts. Every
+ * function takes the posts from posts-data.json and returns new arrays.
+ */
+
+import { slugify } from './utils/markdown.js';
+
+const RELATED_LIMIT = 3;
+
+const byNewest = (a, b) => b.date.localeCompare(a.date);
+
+/** Sort orders offered in the list toolbar, by value. */
+export const SORT_ORDERS = {
+    newest: { label: 'Newest first', compare: byNewest },
+    oldest: { label: 'Oldest first', compare: (a, b) => a.date.localeCompare(b.date) },
+    quickest: {
+        label: 'Quickest read',
+        compare: (a, b) => a.readingMinutes - b.readingMinutes || byNewest(a, b),
+    },
+};
+
+/**
+ * URL form of a tag, e.g. "Cloudflare Workers" → cloudflare-workers
+ * @param {string} tag
+ * @returns {string}
+ */
+export function tagSlug(tag) {
+    return slugify(String(tag));
+}
+
+/**
+ * Posts carrying a tag
+ * @param {Array<Object>} posts
+ * @param {string} slug - tagSlug() of the tag
+ * @returns {Array<Object>}
+ */
+export function filterByTag(posts, slug) {
+    return posts.filter(post => (post.tags ?? []).some(tag => tagSlug(tag) === slug));
+}
+
+/**
+ * The tag's own spelling for a slug, from the first post that has it
+ * @returns {string|null}
+ */
+export function tagName(posts, slug) {
+    for (const post of posts) {
+        const tag = (post.tags ?? []).find(t => tagSlug(t) === slug);
+        if (tag) return tag;
+    }
+    return null;
+}
+
+/**
+ * @param {Array<Object>} posts
+ * @param {string} order - A SORT_ORDERS key; unknown orders sort newest first
+ * @returns {Array<Object>}
+ */
+export function sortPosts(posts, order) {
+    return [...posts].sort((SORT_ORDERS[order] ?? SORT_ORDERS.newest).compare);
+}
+
+/**
+ * Group posts by year, then month, keeping their order
+ * @param {Array<Object>} posts - Already sorted by date
+ * @returns {Array<{ year: string, months: Array<{ month: string, posts: Array<Object> }> }>}
+ *   `month` is YYYY-MM
+ */
+export function groupByMonth(posts) {
+    const years = [];
+    for (const post of posts) {
+        const year = post.date.slice(0, 4);
+        const month = post.date.slice(0, 7);
+        if (years.at(-1)?.year !== year) years.push({ year, months: [] });
+        const { months } = years.at(-1);
+        if (months.at(-1)?.month !== month) months.push({ month, posts: [] });
+        months.at(-1).posts.push(post);
+    }
+    return years;
+}
+
+/**
+ * Where a post sits in its series; parts are numbered by date
+ * @param {Object} post
+ * @param {Array<Object>} posts
+ * @returns {{ name: string, part: number, total: number, previous: Object|null, next: Object|null }|null}
+ *   null when the post isn't part of a series
+ */
+export function seriesInfo(post, posts) {
+    if (!post.series) return null;
+    const parts = sortPosts(
+        posts.filter(p => p.series === post.series),
+        'oldest'
+    );
+    const index = parts.findIndex(p => p.slug === post.slug);
+    return {
+        name: post.series,
+        part: index + 1,
+        total: parts.length,
+        previous: parts[index - 1] ?? null,
+        next: parts[index + 1] ?? null,
+    };
+}
+
+/**
+ * Other posts sharing the most tags with `post`, newest first among equals
+ * @param {Object} post
+ * @param {Array<Object>} posts
+ * @param {number} [limit]
+ * @returns {Array<Object>}
+ */
+export function relatedPosts(post, posts, limit = RELATED_LIMIT) {
+    const tags = new Set((post.tags ?? []).map(tagSlug));
+    return posts
+        .filter(other => other.slug !== post.slug)
+        .map(other => ({
+            post: other,
+            score: (other.tags ?? []).filter(tag => tags.has(tagSlug(tag))).length,
+        }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score || byNewest(a.post, b.post))
+        .slice(0, limit)
+        .map(({ post: other }) => other);
+}
@@ -0,0 +1,199 @@
+/**
+ * Blog Table of Contents
+ *
+ * Reading aids for an open post: a sticky "On this page" list of its h2/h3
+ * sections (for posts with at least MIN_HEADINGS of them) and a reading
+ * progress bar. The current section is highlighted by an IntersectionObserver
+ * as the reader scrolls. Below MobileManager's desktop breakpoint the list
+ * collapses into a drawer behind a floating button.
+ *
+ * Links are /blog/<slug>#<section> URLs, so the router handles them and a
+ * section can be shared; BlogManager scrolls to the section when it's entered.
+ */
+
+import { escapeHtml } from './utils/html.js';
+import { mobileManager } from './mobile.js';
+
+const MIN_HEADINGS = 3;
+/** A heading is current once it passes the navbar, until the next one does. */
+const SPY_ROOT_MARGIN = '-80px 0px -70% 0px';
+
+export class ArticleToc {
+    #container;
+    #content;
+    #nav = null;
+    #progress = null;
+    #headings = [];
+    #links = new Map();
+    #active = null;
+    #observer = null;
+    #frame = 0;
+    #listeners = new AbortController();
+
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Wrapper the TOC and progress bar are added to
+     * @param {HTMLElement} options.content - Rendered post body
+     * @param {(id: string) => string} options.sectionUrl - Link for a heading id
+     */
+    constructor({ container, content, sectionUrl }) {
+        this.#container = container;
+        this.#content = content;
+        this.#headings = [...content.querySelectorAll('h2[id], h3[id]')];
+
+        this.#renderProgress();
+        if (this.#headings.length >= MIN_HEADINGS) this.#renderToc(sectionUrl);
+
+        const { signal } = this.#listeners;
+        const update = () => this.#scheduleProgress();
+        globalThis.addEventListener('scroll', update, { passive: true, signal });
+        globalThis.addEventListener('resize', update, { passive: true, signal });
+        this.#scheduleProgress();
+    }
+
+    /** Remove listeners; the markup goes with the article. */
+    destroy() {
+        this.#listeners.abort();
+        this.#observer?.disconnect();
+        cancelAnimationFrame(this.#frame);
+        this.#container.removeAttribute('data-toc');
+    }
+
+    #renderProgress() {
+        this.#progress = document.createElement('div');
+        this.#progress.className = 'blog-progress';
+        this.#progress.setAttribute('role', 'progressbar');
+        this.#progress.setAttribute('aria-label', 'Reading progress');
+        this.#progress.setAttribute('aria-valuemin', '0');
+        this.#progress.setAttribute('aria-valuemax', '100');
+        this.#progress.innerHTML = '<span class="blog-progress-bar"></span>';
+        this.#container.prepend(this.#progress);
+    }
+
+    #renderToc(sectionUrl) {
+        const items = this.#headings
+            .map(heading => {
+                const level = heading.localName === 'h2' ? 2 : 3;
+                return `<li class="blog-toc-item blog-toc-level-${level}">
+                    <a href="${escapeHtml(sectionUrl(heading.id))}" data-target="${escapeHtml(heading.id)}">${escapeHtml(headingText(heading))}</a>
+                </li>`;
+            })
+            .join('');
+
+        this.#nav = document.createElement('nav');
+        this.#nav.className = 'blog-toc';
+        this.#nav.setAttribute('aria-label', 'Table of contents');
+        this.#nav.innerHTML = `
+            <button type="button" class="blog-toc-toggle" aria-expanded="false" aria-controls="blog-toc-panel">
+                <i class="fas fa-list" aria-hidden="true"></i> On this page
+            </button>
+            <div class="blog-toc-panel" id="blog-toc-panel">
+                <p class="blog-toc-title">On this page</p>
+                <ol class="blog-toc-list">${items}</ol>
+            </div>`;
+        this.#container.append(this.#nav);
+
+        for (const link of this.#nav.querySelectorAll('a[data-target]')) {
+            this.#links.set(link.dataset.target, link);
+        }
+
+        const { signal } = this.#listeners;
+        const toggle = this.#nav.querySelector('.blog-toc-toggle');
+        toggle.addEventListener('click', () => this.#setOpen(!this.#isOpen()), { signal });
+        // The router follows the link; the drawer just gets out of the way.
+        this.#nav.addEventListener(
+            'click',
+            e => {
+                if (e.target.closest('a')) this.#setOpen(false);
+            },
+            { signal }
+        );
+        document.addEventListener(
+            'keydown',
+            e => {
+                if (e.key !== 'Escape' || !this.#isOpen()) return;
+                this.#setOpen(false);
+                toggle.focus();
+            },
+            { signal }
+        );
+        document.addEventListener(
+            'click',
+            e => {
+                if (this.#isOpen() && !this.#nav.contains(e.target)) this.#setOpen(false);
+            },
+            { signal }
+        );
+        globalThis.addEventListener('breakpointchange', () => this.#applyLayout(), { signal });
+        this.#applyLayout();
+
+        this.#observeHeadings();
+    }
+
+    /** Sidebar on desktop, drawer on tablet and mobile. */
+    #applyLayout() {
+        const layout = mobileManager.currentBreakpoint === 'desktop' ? 'sidebar' : 'drawer';
+        this.#container.dataset.toc = layout;
+        if (layout === 'sidebar') this.#setOpen(false);
+    }
+
+    #isOpen() {
+        return this.#nav.classList.contains('is-open');
+    }
+
+    #setOpen(open) {
+        this.#nav.classList.toggle('is-open', open);
+        this.#nav.querySelector('.blog-toc-toggle').setAttribute('aria-expanded', String(open));
+    }
+
+    #observeHeadings() {
+        if (!('IntersectionObserver' in globalThis)) return;
+
+        this.#observer = new IntersectionObserver(
+            entries => {
+                let active = this.#active;
+                for (const entry of entries) {
+                    if (entry.isIntersecting) {
+                        active = entry.target;
+                    } else if (
+                        entry.target === active &&
+                        entry.boundingClientRect.top > (entry.rootBounds?.bottom ?? 0)
+                    ) {
+                        // Scrolled back up past it: the previous section is current again.
+                        active = this.#headings[this.#headings.indexOf(active) - 1] ?? null;
+                    }
+                }
+                this.#setActive(active);
+            },
+            { rootMargin: SPY_ROOT_MARGIN }
+        );
+        for (const heading of this.#headings) this.#observer.observe(heading);
+    }
+
+    #setActive(heading) {
+        if (heading === this.#active) return;
+        this.#links.get(this.#active?.id)?.removeAttribute('aria-current');
+        this.#active = heading;
+        this.#links.get(heading?.id)?.setAttribute('aria-current', 'location');
+    }
+
+    #scheduleProgress() {
+        cancelAnimationFrame(this.#frame);
+        this.#frame = requestAnimationFrame(() => this.#updateProgress());
+    }
+
+    #updateProgress() {
+        const { top, height } = this.#content.getBoundingClientRect();
+        const scrollable = Math.max(1, height - globalThis.innerHeight);
+        const ratio = Math.min(1, Math.max(0, -top / scrollable));
+        this.#progress.firstElementChild.style.transform = `scaleX(${ratio})`;
+        this.#progress.setAttribute('aria-valuenow', String(Math.round(ratio * 100)));
+    }
+}
+
+/** A heading's text without its `#` anchor link. */
+function headingText(heading) {
+    const copy = heading.cloneNode(true);
+    copy.querySelector('.heading-anchor')?.remove();
+    return copy.textContent.trim();
+}
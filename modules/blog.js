@@ -2,34 +2,99 @@
  * Blog Module
  *
  * Reads posts-data.json and renders a list of post cards into #blog-posts.
- * Clicking a card opens an in-page article view in #blog-article.
- * Pressing the back button (or browser Back) returns to the list.
+ * Each post has its own URL, /blog/<slug> (a router route), which opens an
+ * in-page article view in #blog-article. The back link (or browser Back)
+ * returns to the list.
+ *
+ * Posts are written in posts/*.md and compiled by scripts/build-posts.mjs,
+ * which sanitizes `content` and computes `readingMinutes`; older posts written
+ * as HTML straight into the JSON still work, with an estimated reading time.
+ * Code blocks in a post are highlighted when it opens (utils/code-blocks.js),
+ * and longer posts get a table of contents (blog-toc.js) whose sections link
+ * as /blog/<slug>#<section>.
+ *
+ * Tags link to /blog/tag/<tag>, which filters the list; a toolbar switches
+ * between cards and a month-by-month archive and changes the sort order.
+ * Posts can belong to a `series` (parts numbered by date) and end with the
+ * posts sharing most of their tags (blog-index.js has the logic).
+ *
+ * Link previews don't run this module: scrapers read the static
+ * blog/<slug>/index.html that build-posts.mjs writes, with the post's own
+ * og/post-<slug>.png card.
  */
 
 import { debug } from './debug.js';
 import { escapeHtml } from './utils/html.js';
+import { router } from './router.js';
+import { ArticleToc } from './blog-toc.js';
+import {
+    SORT_ORDERS,
+    filterByTag,
+    groupByMonth,
+    relatedPosts,
+    seriesInfo,
+    sortPosts,
+    tagName,
+    tagSlug,
+} from './blog-index.js';
 
 const READING_SPEED_WPM = 200;
 
+const POST_ROUTE = '/blog/:slug';
+const TAG_ROUTE = '/blog/tag/:tag';
+/** Where the back link and unknown slugs go. */
+const LIST_URL = '/#writing';
+
+/** Heading and footnote ids in compiled posts carry this (scripts/build-posts.mjs). */
+const SECTION_ID_PREFIX = 'post-';
+
+const postUrl = slug => `/blog/${encodeURIComponent(slug)}`;
+const tagUrl = tag => `/blog/tag/${encodeURIComponent(tagSlug(tag))}`;
+/** /blog/<slug>#<section>, without the id prefix */
+function sectionUrl(slug, id) {
+    const section = id.startsWith(SECTION_ID_PREFIX) ? id.slice(SECTION_ID_PREFIX.length) : id;
+    return `${postUrl(slug)}#${encodeURIComponent(section)}`;
+}
+
 class BlogManager {
     #posts = [];
     #listEl = null;
+    #toolbarEl = null;
     #articleEl = null;
+    /** tagSlug() of the tag the list is filtered by */
+    #tag = null;
+    #sort = 'newest';
+    /** 'grid' of cards or 'archive' by month */
+    #view = 'grid';
+    #openSlug = null;
+    #toc = null;
 
     async init() {
         this.#listEl = document.querySelector('#blog-posts');
+        this.#toolbarEl = document.querySelector('#blog-toolbar');
         this.#articleEl = document.querySelector('#blog-article');
 
         if (!this.#listEl) return;
 
         try {
             const data = await this.#loadData();
-            this.#posts = data?.posts ?? [];
+            this.#posts = (data?.posts ?? []).map(post => ({
+                ...post,
+                readingMinutes: post.readingMinutes ?? this.#estimateMinutes(post.content),
+            }));
             if (!this.#posts.length) return;
 
+            this.#renderToolbar();
             this.#renderList();
-            this.#handleHash();
-            globalThis.addEventListener('hashchange', () => this.#handleHash());
+            this.#bindList();
+            router.on(TAG_ROUTE, {
+                enter: ({ params, scroll }) => this.#showTag(params.tag, { scroll }),
+                leave: () => this.#showTag(null, { scroll: false }),
+            });
+            router.on(POST_ROUTE, {
+                enter: ({ params, hash, scroll }) => this.#showPost(params.slug, { hash, scroll }),
+                leave: () => this.#closeArticle(),
+            });
             debug.log('[Blog] Initialized with', this.#posts.length, 'posts');
         } catch (err) {
             debug.warn('[Blog] Failed to load posts:', err);
@@ -42,85 +107,280 @@ class BlogManager {
         return resp.json();
     }
 
+    #renderToolbar() {
+        if (!this.#toolbarEl || this.#posts.length < 2) return;
+        const sorts = Object.entries(SORT_ORDERS)
+            .map(([value, { label }]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+        this.#toolbarEl.innerHTML = `
+            <p class="blog-filter" aria-live="polite"></p>
+            <div class="blog-toolbar-controls">
+                <div class="blog-view-toggle" role="group" aria-label="Layout">
+                    <button type="button" data-view="grid">Posts</button>
+                    <button type="button" data-view="archive">Archive</button>
+                </div>
+                <label class="blog-sort">Sort <select>${sorts}</select></label>
+            </div>`;
+        this.#toolbarEl.hidden = false;
+    }
+
     #renderList() {
-        this.#listEl.innerHTML = this.#posts
-            .map(
-                post => `
+        const filtered = this.#tag ? filterByTag(this.#posts, this.#tag) : this.#posts;
+        const archive = this.#view === 'archive';
+        // The archive is grouped by month, so it can only go by date.
+        const order = archive && this.#sort !== 'oldest' ? 'newest' : this.#sort;
+        const posts = sortPosts(filtered, order);
+
+        this.#listEl.classList.toggle('is-archive', archive);
+        this.#listEl.innerHTML = archive
+            ? this.#archiveHtml(posts)
+            : posts.map(post => this.#cardHtml(post)).join('');
+        this.#updateToolbar(posts.length);
+    }
+
+    #cardHtml(post) {
+        return `
             <article class="blog-card" data-slug="${escapeHtml(post.slug)}">
                 <div class="blog-card-meta">
                     <time datetime="${escapeHtml(post.date)}" class="blog-date">${this.#formatDate(post.date)}</time>
-                    <span class="blog-reading-time"><i class="fas fa-clock" aria-hidden="true"></i> ${post.readingMinutes ?? this.#estimateMinutes(post.content)} min read</span>
+                    <span class="blog-reading-time"><i class="fas fa-clock" aria-hidden="true"></i> ${post.readingMinutes} min read</span>
                 </div>
                 <h3 class="blog-card-title">${escapeHtml(post.title)}</h3>
                 <p class="blog-card-summary">${escapeHtml(post.summary)}</p>
-                <div class="blog-card-tags">${(post.tags ?? []).map(t => `<span class="blog-tag">${escapeHtml(t)}</span>`).join('')}</div>
-                <a href="#post/${escapeHtml(post.slug)}" class="blog-read-more" aria-label="Read ${escapeHtml(post.title)}">Read post <i class="fas fa-arrow-right" aria-hidden="true"></i></a>
-            </article>`
+                <div class="blog-card-tags">${this.#tagsHtml(post)}</div>
+                <a href="${escapeHtml(postUrl(post.slug))}" class="blog-read-more" aria-label="Read ${escapeHtml(post.title)}">Read post <i class="fas fa-arrow-right" aria-hidden="true"></i></a>
+            </article>`;
+    }
+
+    #archiveHtml(posts) {
+        return groupByMonth(posts)
+            .map(
+                ({ year, months }) => `
+            <section class="blog-archive-year">
+                <h3 class="blog-archive-heading">${year}</h3>
+                ${months
+                    .map(
+                        ({ month, posts: monthPosts }) => `
+                <h4 class="blog-archive-month">${this.#formatMonth(month)}</h4>
+                <ul class="blog-archive-list">
+                    ${monthPosts
+                        .map(
+                            post => `
+                    <li>
+                        <time datetime="${escapeHtml(post.date)}">${Number(post.date.slice(8))}</time>
+                        <a href="${escapeHtml(postUrl(post.slug))}">${escapeHtml(post.title)}</a>
+                    </li>`
+                        )
+                        .join('')}
+                </ul>`
+                    )
+                    .join('')}
+            </section>`
             )
             .join('');
+    }
+
+    #tagsHtml(post) {
+        return (post.tags ?? [])
+            .map(tag => {
+                const current = tagSlug(tag) === this.#tag ? ' aria-current="true"' : '';
+                return `<a href="${escapeHtml(tagUrl(tag))}" class="blog-tag"${current}>${escapeHtml(tag)}</a>`;
+            })
+            .join('');
+    }
+
+    #updateToolbar(count) {
+        if (!this.#toolbarEl?.querySelector('select')) return;
+        for (const button of this.#toolbarEl.querySelectorAll('[data-view]')) {
+            button.setAttribute('aria-pressed', String(button.dataset.view === this.#view));
+        }
+        this.#toolbarEl.querySelector('select').value = this.#sort;
 
+        const filter = this.#toolbarEl.querySelector('.blog-filter');
+        filter.hidden = !this.#tag;
+        filter.innerHTML = this.#tag
+            ? `${count} ${count === 1 ? 'post' : 'posts'} tagged <strong>${escapeHtml(tagName(this.#posts, this.#tag))}</strong>
+               <a href="${LIST_URL}" class="blog-filter-clear">Show all posts</a>`
+            : '';
+    }
+
+    /** Listeners for the list and toolbar, which survive re-renders. */
+    #bindList() {
         this.#listEl.addEventListener('click', e => {
+            // Modified and middle clicks are left to the browser, as in the router,
+            // so the card's link opens in a new tab or window.
+            if (e.defaultPrevented || e.button !== 0) return;
+            if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            // Tag links are router links; the router filters the list.
+            if (e.target.closest('a.blog-tag')) return;
             const card = e.target.closest('[data-slug]');
             if (card) {
                 e.preventDefault();
-                globalThis.location.hash = `post/${card.dataset.slug}`;
+                router.navigate(postUrl(card.dataset.slug));
             }
         });
+
+        this.#toolbarEl?.addEventListener('click', e => {
+            const button = e.target.closest('[data-view]');
+            if (!button || button.dataset.view === this.#view) return;
+            this.#view = button.dataset.view;
+            this.#renderList();
+        });
+        this.#toolbarEl?.addEventListener('change', e => {
+            if (!e.target.matches('select')) return;
+            this.#sort = e.target.value;
+            this.#renderList();
+        });
     }
 
-    #handleHash() {
-        const { hash } = globalThis.location;
-        if (hash.startsWith('#post/')) {
-            const slug = decodeURIComponent(hash.slice('#post/'.length));
-            const post = this.#posts.find(p => p.slug === slug);
-            if (post) {
-                this.#openArticle(post);
-                return;
-            }
+    /** Filter the list by a tag slug, or show everything again with null. */
+    #showTag(slug, { scroll }) {
+        if (slug && !filterByTag(this.#posts, slug).length) {
+            router.navigate(LIST_URL, { replace: true });
+            return;
+        }
+        this.#tag = slug;
+        this.#renderList();
+        const section = this.#listEl.closest('section') ?? this.#listEl;
+        if (scroll) section.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    #showPost(slug, { hash, scroll }) {
+        const post = this.#posts.find(p => p.slug === slug);
+        if (!post) {
+            router.navigate(LIST_URL, { replace: true });
+            return;
         }
-        this.#closeArticle();
+        if (this.#openSlug !== slug) this.#openArticle(post, { scroll: scroll && !hash });
+        if (hash && scroll) this.#scrollToSection(hash);
     }
 
-    #openArticle(post) {
+    /** Scroll to a section of the open post, by its id with or without the prefix */
+    #scrollToSection(section) {
+        const target =
+            document.getElementById(`${SECTION_ID_PREFIX}${section}`) ??
+            document.getElementById(section);
+        if (!target || !this.#articleEl.contains(target)) return;
+        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    #openArticle(post, { scroll = true } = {}) {
         if (!this.#articleEl) return;
+        this.#toc?.destroy(); // straight from another post
+        this.#openSlug = post.slug;
         this.#articleEl.hidden = false;
         this.#listEl.hidden = true;
+        if (this.#toolbarEl) this.#toolbarEl.hidden = true;
 
-        const mins = post.readingMinutes ?? this.#estimateMinutes(post.content);
-        const tags = (post.tags ?? [])
-            .map(t => `<span class="blog-tag">${escapeHtml(t)}</span>`)
-            .join('');
+        const series = seriesInfo(post, this.#posts);
+        const part = series
+            ? `<span class="blog-series-part">Part ${series.part} of ${series.total}</span>`
+            : '';
 
         this.#articleEl.innerHTML = `
             <div class="blog-article-inner">
-                <a href="#blog" class="blog-back-link"><i class="fas fa-arrow-left" aria-hidden="true"></i> Back to writing</a>
+                <a href="${LIST_URL}" class="blog-back-link"><i class="fas fa-arrow-left" aria-hidden="true"></i> Back to writing</a>
                 <article class="blog-article-body">
                     <header class="blog-article-header">
                         <div class="blog-card-meta">
                             <time datetime="${escapeHtml(post.date)}">${this.#formatDate(post.date)}</time>
-                            <span class="blog-reading-time"><i class="fas fa-clock" aria-hidden="true"></i> ${mins} min read</span>
+                            <span class="blog-reading-time"><i class="fas fa-clock" aria-hidden="true"></i> ${post.readingMinutes} min read</span>
+                            ${part}
                         </div>
                         <h1 class="blog-article-title">${escapeHtml(post.title)}</h1>
-                        <div class="blog-card-tags">${tags}</div>
+                        <div class="blog-card-tags">${this.#tagsHtml(post)}</div>
                     </header>
                     <div class="blog-article-content">${post.content}</div>
+                    ${this.#seriesHtml(series)}
+                    ${this.#relatedHtml(post)}
                 </article>
             </div>`;
 
-        this.#articleEl.querySelector('.blog-back-link')?.addEventListener('click', e => {
+        const content = this.#articleEl.querySelector('.blog-article-content');
+        if (content.querySelector('pre > code')) this.#enhanceCode(content);
+
+        // Heading anchors and footnotes become /blog/<slug>#<section>; a bare
+        // #fragment would leave the post's route and close it.
+        content.addEventListener('click', e => {
+            const link = e.target.closest('a[href^="#"]');
+            const target = link && document.getElementById(link.getAttribute('href').slice(1));
+            if (!target || !this.#articleEl.contains(target)) return;
             e.preventDefault();
-            globalThis.history.pushState(null, '', '#blog');
-            this.#closeArticle();
+            router.navigate(sectionUrl(post.slug, target.id));
         });
 
-        this.#articleEl.scrollIntoView({ behavior: 'smooth' });
+        this.#toc = new ArticleToc({
+            container: this.#articleEl.querySelector('.blog-article-inner'),
+            content,
+            sectionUrl: id => sectionUrl(post.slug, id),
+        });
+
+        if (scroll) this.#articleEl.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    #seriesHtml(series) {
+        if (!series) return '';
+        const link = (post, rel, label) =>
+            post
+                ? `<a href="${escapeHtml(postUrl(post.slug))}" class="blog-series-${rel}" rel="${rel}">
+                    <span class="blog-series-direction">${label}</span> ${escapeHtml(post.title)}
+                </a>`
+                : '';
+        return `
+            <nav class="blog-series" aria-label="Series: ${escapeHtml(series.name)}">
+                <p class="blog-series-title">Part ${series.part} of ${series.total} in <strong>${escapeHtml(series.name)}</strong></p>
+                <div class="blog-series-links">
+                    ${link(series.previous, 'prev', 'Previous')}
+                    ${link(series.next, 'next', 'Next')}
+                </div>
+            </nav>`;
+    }
+
+    #relatedHtml(post) {
+        const related = relatedPosts(post, this.#posts);
+        if (!related.length) return '';
+        const items = related
+            .map(
+                other => `
+                <li>
+                    <a href="${escapeHtml(postUrl(other.slug))}">${escapeHtml(other.title)}</a>
+                    <time datetime="${escapeHtml(other.date)}">${this.#formatDate(other.date)}</time>
+                </li>`
+            )
+            .join('');
+        return `
+            <aside class="blog-related" aria-labelledby="blog-related-title">
+                <h2 class="blog-related-title" id="blog-related-title">Related posts</h2>
+                <ul class="blog-related-list">${items}</ul>
+            </aside>`;
+    }
+
+    /** Highlighting is loaded only for posts that have code. */
+    async #enhanceCode(content) {
+        try {
+            const { enhanceCodeBlocks } = await import('./utils/code-blocks.js');
+            enhanceCodeBlocks(content);
+        } catch (err) {
+            debug.warn('[Blog] Code highlighting unavailable:', err);
+        }
     }
 
     #closeArticle() {
         if (!this.#articleEl) return;
+        this.#toc?.destroy();
+        this.#toc = null;
+        this.#openSlug = null;
         this.#articleEl.hidden = true;
         this.#articleEl.innerHTML = '';
         this.#listEl.hidden = false;
+        if (this.#toolbarEl) this.#toolbarEl.hidden = this.#posts.length < 2;
+    }
+
+    /** @param {string} month - YYYY-MM */
+    #formatMonth(month) {
+        const [year, index] = month.split('-').map(Number);
+        return new Date(year, index - 1, 1).toLocaleDateString('en-US', { month: 'long' });
     }
 
     #formatDate(dateStr) {
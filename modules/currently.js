@@ -5,6 +5,10 @@
  * (which itself caches 5 min at the edge). Falls back gracefully to the
  * pre-fetched events in github-data.json if the Worker is unreachable.
  *
+ * While the tab is visible the widget also listens on the Worker's
+ * /activity/stream (Server-Sent Events, fed by a GitHub webhook) and swaps in
+ * new activity with a short fade as it happens.
+ *
  * Renders into any element matching the selector passed to `init()`.
  */
 
@@ -14,6 +18,10 @@ import { WORKER_BASE } from './config.js';
 import { escapeHtml } from './utils/html.js';
 
 const WORKER_URL = `${WORKER_BASE}/activity`;
+const STREAM_URL = `${WORKER_BASE}/activity/stream`;
+
+/** Matches the .currently-leaving transition in styles.css. */
+const TRANSITION_MS = 250;
 
 const SKIP_REPOS = new Set(['and3rn3t/and3rn3t']);
 
@@ -35,6 +43,8 @@ const TYPE_ICONS = {
 
 class CurrentlyWidget {
     container = null;
+    current = null;
+    stream = null;
 
     async init(selector = '#currently-coding') {
         this.container = document.querySelector(selector);
@@ -44,14 +54,90 @@ class CurrentlyWidget {
         }
 
         const activity = await this.fetchActivity();
-        if (!activity) {
+        if (activity) {
+            this.render(activity);
+            debug.log('[Currently] Widget rendered:', activity);
+        } else {
             // Nothing to show — hide the slot entirely so it doesn't leave blank space.
             this.container.hidden = true;
+        }
+
+        // Live updates; a pushed event can also reveal a hidden widget.
+        this.subscribe();
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.unsubscribe();
+            else this.subscribe();
+        });
+    }
+
+    subscribe() {
+        if (this.stream || typeof EventSource === 'undefined') return;
+        const stream = new EventSource(STREAM_URL);
+        stream.addEventListener('activity', e => {
+            try {
+                this.update(JSON.parse(e.data));
+            } catch (err) {
+                debug.warn('[Currently] Bad stream event:', err.message);
+            }
+        });
+        stream.addEventListener('error', () => {
+            // EventSource retries on its own unless the Worker refused the stream.
+            if (stream.readyState === EventSource.CLOSED && this.stream === stream) {
+                this.stream = null;
+            }
+        });
+        this.stream = stream;
+    }
+
+    unsubscribe() {
+        this.stream?.close();
+        this.stream = null;
+    }
+
+    /**
+     * Swap in pushed activity, fading the old widget out first. The stream's
+     * first event replays the last webhook from KV, which can be older than
+     * what /activity already returned, so older activity is ignored.
+     */
+    update(activity) {
+        if (!activity?.repo || SKIP_REPOS.has(activity.repo)) return;
+        if (this.isSameActivity(activity, this.current)) return;
+        if (this.isOlderActivity(activity, this.current)) return;
+
+        const widget = this.container?.querySelector('.currently-widget');
+        const reduceMotion = globalThis.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+        this.current = activity;
+
+        if (!widget || reduceMotion) {
+            this.render(activity);
+            this.container.hidden = false;
             return;
         }
 
-        this.render(activity);
-        debug.log('[Currently] Widget rendered:', activity);
+        widget.classList.add('currently-leaving');
+        setTimeout(() => {
+            if (this.current !== activity) return; // superseded mid-transition
+            this.render(activity);
+            this.container.querySelector('.currently-widget')?.classList.add('currently-entering');
+        }, TRANSITION_MS);
+        debug.log('[Currently] Live update:', activity);
+    }
+
+    /** Same event seen via /activity and the stream differs only in timestamp. */
+    isSameActivity(a, b) {
+        return (
+            Boolean(b) &&
+            a.repo === b.repo &&
+            a.type === b.type &&
+            a.message === b.message &&
+            a.branch === b.branch
+        );
+    }
+
+    /** Both timestamped and `a` happened before `b`. */
+    isOlderActivity(a, b) {
+        const time = activity => Date.parse(activity?.pushedAt ?? '');
+        return time(a) < time(b);
     }
 
     async fetchActivity() {
@@ -159,6 +245,7 @@ class CurrentlyWidget {
 
     render(activity) {
         if (!this.container) return;
+        this.current = activity;
 
         const verb = TYPE_LABELS[activity.type] ?? 'working on';
         const icon = TYPE_ICONS[activity.type] ?? 'code';
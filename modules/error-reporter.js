@@ -0,0 +1,146 @@
+/**
+ * Error Reporter Module
+ * Forwards errors logged by ErrorHandler to the Worker's /errors endpoint,
+ * where they are grouped into issues by stack fingerprint.
+ *
+ * An error loop must never flood the Worker, so reports are filtered before
+ * they are queued:
+ *   - sampling by severity (info is never sent, warnings 1 in 5)
+ *   - the same error (type + message + top frame) at most once a minute
+ *   - at most 10 reports a minute and 50 per page load overall
+ * Queued reports go out in one beacon a couple of seconds after the first,
+ * or immediately when the page is hidden.
+ */
+
+import { debug } from './debug.js';
+import { WORKER_BASE } from './config.js';
+
+const ERRORS_URL = `${WORKER_BASE}/errors`;
+
+const SAMPLE_RATES = { info: 0, warning: 0.2, error: 1, critical: 1 };
+const REPEAT_COOLDOWN_MS = 60_000;
+const MAX_REPORTS_PER_MINUTE = 10;
+const MAX_REPORTS_PER_PAGE = 50;
+const FLUSH_DELAY_MS = 2000;
+// Matches MAX_ERRORS_PER_REQUEST in worker/errors.js.
+const MAX_BATCH_SIZE = 10;
+
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_STACK_LENGTH = 2000;
+
+/** Keep primitive context values only — anything else may not serialize. */
+function plainContext(context) {
+    return Object.fromEntries(
+        Object.entries(context ?? {}).filter(([, value]) =>
+            ['string', 'number', 'boolean'].includes(typeof value)
+        )
+    );
+}
+
+export class ErrorReporter {
+    #queue = [];
+    #lastReported = new Map();
+    #recent = [];
+    #total = 0;
+    #timer = null;
+    #release = null;
+    #unsubscribe = null;
+
+    /**
+     * Start reporting errors logged by `handler`
+     * @param {Object} handler - The ErrorHandler instance
+     * @param {Object} options
+     * @param {string} [options.release] - App version sent with every batch
+     */
+    attach(handler, { release = null } = {}) {
+        if (this.#unsubscribe) return;
+        this.#release = release;
+        this.#unsubscribe = handler.subscribe(entry => this.report(entry));
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+
+        debug.log('[ErrorReporter] Attached');
+    }
+
+    detach() {
+        this.#unsubscribe?.();
+        this.#unsubscribe = null;
+        clearTimeout(this.#timer);
+        this.#timer = null;
+    }
+
+    /**
+     * Queue an error log entry if it passes sampling and throttling
+     * @param {Object} entry - Entry produced by ErrorHandler.log
+     * @returns {boolean} Whether the entry was queued
+     */
+    report(entry) {
+        if (!this.#shouldReport(entry)) return false;
+
+        this.#queue.push({
+            message: String(entry.message ?? '').slice(0, MAX_MESSAGE_LENGTH),
+            type: entry.type,
+            severity: entry.severity,
+            stack: String(entry.stack ?? '').slice(0, MAX_STACK_LENGTH),
+            context: plainContext(entry.context),
+            timestamp: entry.timestamp,
+        });
+
+        this.#timer ??= setTimeout(() => this.flush(), FLUSH_DELAY_MS);
+        return true;
+    }
+
+    /**
+     * Send queued reports now
+     * @returns {number} Number of reports handed to the browser
+     */
+    flush() {
+        clearTimeout(this.#timer);
+        this.#timer = null;
+        if (!this.#queue.length || !navigator.sendBeacon) return 0;
+
+        let sent = 0;
+        while (this.#queue.length) {
+            const errors = this.#queue.splice(0, MAX_BATCH_SIZE);
+            const body = JSON.stringify({
+                release: this.#release,
+                page: globalThis.location.pathname,
+                errors,
+            });
+            try {
+                if (navigator.sendBeacon(ERRORS_URL, body)) sent += errors.length;
+            } catch (err) {
+                // debug only — going through the error handler here could loop.
+                debug.warn('[ErrorReporter] Failed to send:', err);
+            }
+        }
+        return sent;
+    }
+
+    #shouldReport(entry) {
+        const rate = SAMPLE_RATES[entry.severity] ?? 1;
+        if (rate === 0 || Math.random() >= rate) return false;
+        if (this.#total >= MAX_REPORTS_PER_PAGE) return false;
+
+        const now = Date.now();
+        const topFrame =
+            String(entry.stack ?? '')
+                .split('\n')[1]
+                ?.trim() ?? '';
+        const key = `${entry.type}|${entry.message}|${topFrame}`;
+        if (now - (this.#lastReported.get(key) ?? -Infinity) < REPEAT_COOLDOWN_MS) return false;
+
+        this.#recent = this.#recent.filter(t => now - t < 60_000);
+        if (this.#recent.length >= MAX_REPORTS_PER_MINUTE) return false;
+
+        this.#lastReported.set(key, now);
+        this.#recent.push(now);
+        this.#total++;
+        return true;
+    }
+}
+
+export const errorReporter = new ErrorReporter();
+export default errorReporter;
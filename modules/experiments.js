@@ -0,0 +1,130 @@
+/**
+ * Experiments Module
+ * Client side of the edge A/B tests in worker/experiments.js. The Worker owns
+ * assignment; this module fetches it, caches it and applies it.
+ *
+ * Applying a variant means setting data-exp-<experiment> on <html> (e.g.
+ * data-exp-hero-cta="collaborate"), which the critical CSS in index.html keys
+ * off. An inline <head> script does the same from the cached assignments
+ * before first paint. On a first visit there is nothing cached yet, so that
+ * script marks <html> with .exp-pending, which hides the few experiment-driven
+ * hero elements until load() applies the assignment (or a second passes).
+ *
+ * QA can force arms for one page load with ?exp=heroCta:collaborate|heroBackground:static.
+ */
+
+import { debug } from './debug.js';
+import { WORKER_BASE } from './config.js';
+
+const EXPERIMENTS_URL = `${WORKER_BASE}/experiments`;
+// Read by the inline <head> script in index.html — keep the two in sync.
+const STORAGE_KEY = 'portfolio_experiments';
+const REMOTE_TIMEOUT_MS = 1000;
+const PENDING_CLASS = 'exp-pending';
+
+/** `a:x|b:y` → { a: 'x', b: 'y' } */
+export function parseAssignments(value) {
+    const assignments = {};
+    for (const pair of String(value ?? '').split('|')) {
+        const [experiment, variant] = pair.split(':').map(s => s?.trim());
+        if (/^\w+$/.test(experiment ?? '') && /^[\w-]+$/.test(variant ?? '')) {
+            assignments[experiment] = variant;
+        }
+    }
+    return assignments;
+}
+
+function datasetKey(experiment) {
+    return `exp${experiment.charAt(0).toUpperCase()}${experiment.slice(1)}`;
+}
+
+export class Experiments {
+    #assignments = {};
+    #overrides = {};
+    #cached = false;
+
+    constructor() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            this.#cached = stored !== null;
+            this.#assignments = JSON.parse(stored) ?? {};
+        } catch {
+            this.#assignments = {};
+        }
+        this.#overrides = parseAssignments(
+            new URLSearchParams(globalThis.location.search).get('exp')
+        );
+    }
+
+    /**
+     * Fetch (or confirm) this visitor's assignments and apply them. Resolves
+     * within `timeout` either way; cached assignments stay in effect on failure.
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - ms to wait for the Worker
+     * @returns {Promise<boolean>} Whether fresh assignments were applied
+     */
+    async load({ timeout = REMOTE_TIMEOUT_MS } = {}) {
+        try {
+            const current = Object.entries(this.#assignments)
+                .map(([experiment, variant]) => `${experiment}:${variant}`)
+                .join('|');
+            const url = `${EXPERIMENTS_URL}?current=${encodeURIComponent(current)}`;
+            const response = await fetch(url, {
+                credentials: 'include',
+                signal: AbortSignal.timeout(timeout),
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const { assignments } = await response.json();
+            this.#assignments = assignments ?? {};
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.#assignments));
+            this.#cached = true;
+            return true;
+        } catch (err) {
+            debug.warn('[Experiments] Assignment unavailable, using cached:', err);
+            return false;
+        } finally {
+            this.apply();
+        }
+    }
+
+    /**
+     * Whether assignments from an earlier visit are in effect, so callers
+     * needn't wait for load()
+     * @returns {boolean}
+     */
+    hasCached() {
+        return this.#cached;
+    }
+
+    /**
+     * @param {string} experiment
+     * @returns {string|null} Assigned variant, or null when not enrolled
+     */
+    variant(experiment) {
+        return this.assignments()[experiment] ?? null;
+    }
+
+    /**
+     * Every assignment in effect, including ?exp= overrides
+     * @returns {Object} experiment → variant
+     */
+    assignments() {
+        return { ...this.#assignments, ...this.#overrides };
+    }
+
+    /** Reflect assignments on <html> and lift the first-visit pending state. */
+    apply() {
+        const root = document.documentElement;
+        for (const key of Object.keys(root.dataset)) {
+            if (key.startsWith('exp')) delete root.dataset[key];
+        }
+        for (const [experiment, variant] of Object.entries(this.assignments())) {
+            root.dataset[datasetKey(experiment)] = variant;
+        }
+        root.classList.remove(PENDING_CLASS);
+        debug.log('[Experiments] Applied:', this.assignments());
+    }
+}
+
+export const experiments = new Experiments();
+export default experiments;
@@ -0,0 +1,187 @@
+/**
+ * Feature Flags Module
+ * Turns features on or off without editing code. Each flag resolves through
+ * four layers, later ones winning:
+ *
+ *   default  DEFAULT_FLAGS below, shipped with the code
+ *   remote   GET /flags on the Worker (worker/flags.js), edited in KV — the
+ *            kill switch. The last response is cached in localStorage and
+ *            applied immediately on the next visit, before the fetch returns.
+ *   local    localStorage overrides, set with flags.setOverride() from the
+ *            console (PortfolioApp.flags) for dark-launched features
+ *   url      ?flags=guestbook,-heroWasm  (name = on, -name = off), this page only
+ *
+ * Only flags declared in DEFAULT_FLAGS are recognised; unknown names in any
+ * layer are ignored. Unknown flags read as off.
+ */
+
+import { debug } from './debug.js';
+import { WORKER_BASE } from './config.js';
+
+const DEFAULT_FLAGS = {
+    heroText: true, // Hero text reveal (modules/hero-text.js)
+    heroWasm: true, // WASM particle flow-field behind the hero
+    heroWebgl: true, // WebGL mesh-gradient fallback for the hero
+    guestbook: true,
+    easterEgg: true,
+    commandPalette: true,
+};
+
+const FLAGS_URL = `${WORKER_BASE}/flags`;
+const STORAGE_KEY = 'portfolio_flags';
+const REMOTE_CACHE_KEY = 'portfolio_flags_remote';
+const REMOTE_TIMEOUT_MS = 1000;
+const LAYERS = ['default', 'remote', 'local', 'url'];
+
+/**
+ * Parse a ?flags= value: comma-separated names, `-name` to turn one off
+ * @param {string|null} value
+ * @returns {Object} name → boolean
+ */
+export function parseFlagParam(value) {
+    const flags = {};
+    for (const part of String(value ?? '').split(',')) {
+        const token = part.trim();
+        if (!token) continue;
+        if (token.startsWith('-')) flags[token.slice(1)] = false;
+        else flags[token] = true;
+    }
+    return flags;
+}
+
+function readRaw(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch {
+        return null;
+    }
+}
+
+function readStored(key) {
+    try {
+        return JSON.parse(readRaw(key)) ?? {};
+    } catch {
+        return {};
+    }
+}
+
+function writeStored(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+        // Storage full or disabled — the flags still apply for this page.
+    }
+}
+
+export class FeatureFlags {
+    #defaults;
+    #layers;
+    #decisions = {};
+    #remoteCached;
+
+    /**
+     * @param {Object} [defaults] - name → boolean; also the set of known flags
+     */
+    constructor(defaults = DEFAULT_FLAGS) {
+        this.#defaults = { ...defaults };
+        this.#remoteCached = readRaw(REMOTE_CACHE_KEY) !== null;
+        this.#layers = {
+            default: this.#defaults,
+            remote: this.#known(readStored(REMOTE_CACHE_KEY)),
+            local: this.#known(readStored(STORAGE_KEY)),
+            url: this.#known(
+                parseFlagParam(new URLSearchParams(globalThis.location.search).get('flags'))
+            ),
+        };
+        this.#resolve();
+    }
+
+    /**
+     * Fetch the remote layer. Resolves within `timeout` either way; on failure
+     * the cached remote flags from the last visit stay in effect.
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - ms to wait for the Worker
+     * @returns {Promise<boolean>} Whether fresh remote flags were applied
+     */
+    async load({ timeout = REMOTE_TIMEOUT_MS } = {}) {
+        try {
+            const response = await fetch(FLAGS_URL, { signal: AbortSignal.timeout(timeout) });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const { flags } = await response.json();
+            this.#layers.remote = this.#known(flags);
+            writeStored(REMOTE_CACHE_KEY, this.#layers.remote);
+            this.#remoteCached = true;
+            this.#resolve();
+            return true;
+        } catch (err) {
+            debug.warn('[Flags] Remote flags unavailable, using cached:', err);
+            return false;
+        }
+    }
+
+    /**
+     * Whether remote flags from an earlier visit are in effect, so callers
+     * needn't wait for load()
+     * @returns {boolean}
+     */
+    hasCached() {
+        return this.#remoteCached;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    isEnabled(name) {
+        return this.#decisions[name]?.value === true;
+    }
+
+    /**
+     * Every flag's value and the layer that decided it
+     * @returns {Object} name → { value, source }
+     */
+    decisions() {
+        return structuredClone(this.#decisions);
+    }
+
+    /**
+     * Persist a local override for this browser; null clears it
+     * @param {string} name
+     * @param {boolean|null} value
+     */
+    setOverride(name, value) {
+        if (!(name in this.#defaults)) {
+            debug.warn(`[Flags] Unknown flag "${name}"`);
+            return;
+        }
+        const local = { ...this.#layers.local };
+        if (value === null) delete local[name];
+        else local[name] = Boolean(value);
+        this.#layers.local = local;
+        writeStored(STORAGE_KEY, local);
+        this.#resolve();
+    }
+
+    /** Boolean values for declared flags only. */
+    #known(flags) {
+        const known = {};
+        for (const [name, value] of Object.entries(flags ?? {})) {
+            if (name in this.#defaults && typeof value === 'boolean') known[name] = value;
+        }
+        return known;
+    }
+
+    #resolve() {
+        const decisions = {};
+        for (const source of LAYERS) {
+            for (const [name, value] of Object.entries(this.#layers[source])) {
+                decisions[name] = { value, source };
+            }
+        }
+        this.#decisions = decisions;
+        debug.log('[Flags] Resolved:', decisions);
+    }
+}
+
+export const flags = new FeatureFlags();
+export default flags;
@@ -1,16 +1,125 @@
 /**
  * GitHub API Manager Module
  * Handles all GitHub API interactions with caching, rate limiting, and retry logic
+ *
+ * Responses are cached at two levels: an in-memory Map for the current page and
+ * an IndexedDB store (modules/utils/idb-cache.js) that survives reloads. The
+ * persistent entries keep the ETag and Last-Modified headers, so an expired
+ * entry is revalidated with If-None-Match / If-Modified-Since — a 304 does not
+ * count against GitHub's 60-requests-an-hour unauthenticated limit.
+ *
+ * Expired entries younger than `maxStale` are served immediately while they
+ * revalidate in the background (stale-while-revalidate); when the data turns
+ * out to have changed, a `githubDataUpdated` event is dispatched on document
+ * with { endpoint, params }; the stats section (ui.js) and the project grid
+ * (projects.js) re-render on it.
+ *
+ * Network requests go through a small scheduler:
+ *   - identical requests (same cache key) in flight at once share one fetch
+ *   - queued requests start in RequestPriority order, at most `maxConcurrent`
+ *     at a time — above-the-fold callers pass HIGH, background work LOW
+ *   - a caller's AbortSignal rejects its own promise with an AbortError; the
+ *     shared fetch itself is only aborted once every caller waiting on it has
+ *     gone, e.g. when the section that asked for it unmounts
+ *
+ * REST calls go to the Worker's /gh proxy (worker/github-proxy.js) when its probe
+ * answers, so visitors share GH_TOKEN's quota and the edge cache instead of 60
+ * unauthenticated requests an hour per IP; otherwise straight to api.github.com.
+ *
+ * REST lists longer than one page are read with fetchAllPages(), which follows
+ * the `Link: <…>; rel="next"` header page by page (each page is cached like any
+ * other response). Pinned items, contribution years and per-repo topics and
+ * languages only exist in GraphQL, which GitHub refuses without a token, so
+ * graphql() runs one of the Worker's persisted queries (worker/graphql.js) and
+ * graphqlPaginate() follows a connection's pageInfo cursor.
  */
 
 import { debug } from './debug.js';
+import { WORKER_BASE } from './config.js';
+import { IDBCache } from './utils/idb-cache.js';
+
+const PERSISTENT_CACHE_NAME = 'portfolio-github';
+const PERSISTENT_CACHE_BYTES = 2 * 1024 * 1024;
+const MAX_STALE_MS = 24 * 60 * 60 * 1000;
+const MAX_CONCURRENT_REQUESTS = 4;
+const MAX_PAGES = 10;
+const PROXY_PROBE_TIMEOUT_MS = 2000;
+const GRAPHQL_URL = `${WORKER_BASE}/graphql`;
+
+// Lower runs first.
+export const RequestPriority = {
+    HIGH: 0,
+    NORMAL: 1,
+    LOW: 2,
+};
+
+function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+/**
+ * Parse an RFC 8288 Link header
+ * @param {string|null} header - e.g. `<https://…?page=2>; rel="next", <…>; rel="last"`
+ * @returns {Object<string, string>} rel → URL
+ */
+export function parseLinkHeader(header) {
+    const links = {};
+    for (const part of (header ?? '').split(',')) {
+        const match = /<([^>]+)>\s*;\s*rel="?([^";]+)"?/.exec(part);
+        if (!match) continue;
+        for (const rel of match[2].trim().split(/\s+/)) links[rel] = match[1];
+    }
+    return links;
+}
+
+/**
+ * @typedef {Object} RepositorySummary
+ * @property {string} name
+ * @property {string|null} description
+ * @property {string} url
+ * @property {string|null} homepage
+ * @property {number} stars
+ * @property {number} forks
+ * @property {string} pushedAt - ISO timestamp
+ * @property {{name: string, color: string|null}|null} language - Primary language
+ * @property {string[]} topics
+ */
+
+/** @returns {RepositorySummary} */
+function toRepositorySummary(node) {
+    return {
+        name: node.name,
+        description: node.description ?? null,
+        url: node.url,
+        homepage: node.homepageUrl || null,
+        stars: node.stargazerCount ?? 0,
+        forks: node.forkCount ?? 0,
+        pushedAt: node.pushedAt,
+        language: node.primaryLanguage ?? null,
+        topics: (node.repositoryTopics?.nodes ?? []).map(({ topic }) => topic.name),
+    };
+}
 
 export class GitHubAPIManager {
     static baseUrl = 'https://api.github.com';
+    static proxyUrl = `${WORKER_BASE}/gh`;
     static username = 'and3rn3t';
 
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.store] - Persistent cache with IDBCache's get/set/delete/clear/entries
+     * @param {string|null} [options.proxyUrl] - REST proxy to probe; null always calls GitHub directly
+     */
+    constructor({ store, proxyUrl = GitHubAPIManager.proxyUrl } = {}) {
         this.cache = new Map();
+        this.baseUrl = GitHubAPIManager.baseUrl;
+        this.proxyUrl = proxyUrl;
+        this.proxyProbe = null;
+        this.store =
+            store ??
+            new IDBCache({ name: PERSISTENT_CACHE_NAME, maxBytes: PERSISTENT_CACHE_BYTES });
+        this.maxStale = MAX_STALE_MS;
+        this.revalidating = new Set();
         this.rateLimitInfo = {
             remaining: 60,
             reset: Date.now() + 3600000,
@@ -18,7 +127,12 @@ export class GitHubAPIManager {
         };
         this.requestQueue = [];
         this.isProcessingQueue = false;
+        this.inFlight = new Map();
+        this.activeRequests = 0;
+        this.maxConcurrent = MAX_CONCURRENT_REQUESTS;
+        this.queueSequence = 0;
         this.cachedData = null;
+        this.cachedDataRequest = null;
         this.maxRetries = 3;
         this.baseDelay = 1000; // 1 second base delay
     }
@@ -34,7 +148,12 @@ export class GitHubAPIManager {
                 lastError = error;
 
                 // Don't retry for certain error types
-                if (error.message.includes('404') || error.message.includes('403')) {
+                if (
+                    isAbortError(error) ||
+                    error.message.includes('400') ||
+                    error.message.includes('404') ||
+                    error.message.includes('403')
+                ) {
                     throw error;
                 }
 
@@ -51,19 +170,36 @@ export class GitHubAPIManager {
         throw lastError;
     }
 
-    // Load pre-fetched GitHub data from workflow
+    // Load pre-fetched GitHub data. Prefers the Worker's cron-refreshed snapshot
+    // (ETag-revalidated by the browser's HTTP cache), then the github-data.json
+    // written by the daily workflow.
+    // Concurrent callers share one load; a failed load can be retried later.
     async loadCachedGitHubData() {
         if (this.cachedData) return this.cachedData;
 
-        try {
-            const response = await fetch('github-data.json');
-            if (response.ok) {
-                this.cachedData = await response.json();
-                return this.cachedData;
+        this.cachedDataRequest ??= this.fetchCachedGitHubData().finally(() => {
+            this.cachedDataRequest = null;
+        });
+        return this.cachedDataRequest;
+    }
+
+    async fetchCachedGitHubData() {
+        const sources = [
+            { url: `${WORKER_BASE}/github-data`, options: { signal: AbortSignal.timeout(4000) } },
+            { url: '/github-data.json', options: {} },
+        ];
+        for (const { url, options } of sources) {
+            try {
+                const response = await fetch(url, options);
+                if (response.ok) {
+                    this.cachedData = await response.json();
+                    return this.cachedData;
+                }
+            } catch (_error) {
+                debug.warn('[GitHub] Pre-fetched data not available from', url);
             }
-        } catch (_error) {
-            debug.warn('[GitHub] Pre-fetched data not available, using direct API');
         }
+        debug.warn('[GitHub] Pre-fetched data not available, using direct API');
         return null;
     }
 
@@ -72,10 +208,10 @@ export class GitHubAPIManager {
         return `${endpoint}:${JSON.stringify(params)}`;
     }
 
-    setCache(key, data, ttl = 300000) {
+    setCache(key, data, ttl = 300000, next = null) {
         // 5 minutes default TTL
         const expiry = Date.now() + ttl;
-        this.cache.set(key, { data, expiry });
+        this.cache.set(key, { data, expiry, next });
     }
 
     getCache(key) {
@@ -127,7 +263,8 @@ export class GitHubAPIManager {
                 // Update rate limit info
                 this.updateRateLimit(response.headers);
 
-                if (response.ok) {
+                // 304: the caller's conditional request matched its cached copy
+                if (response.ok || response.status === 304) {
                     return response;
                 }
 
@@ -145,7 +282,7 @@ export class GitHubAPIManager {
 
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             } catch (error) {
-                if (attempt === maxRetries) {
+                if (attempt === maxRetries || isAbortError(error)) {
                     throw error;
                 }
 
@@ -156,36 +293,356 @@ export class GitHubAPIManager {
         }
     }
 
-    // Main API method with caching and enhanced retry
-    async fetchGitHubData(endpoint, params = {}, ttl = 300000) {
+    /**
+     * Main API method with caching and enhanced retry
+     * @param {string} endpoint - API path, e.g. /users/and3rn3t
+     * @param {Object} [params] - Query parameters
+     * @param {number} [ttl] - Cache lifetime in ms
+     * @param {Object} [options]
+     * @param {number} [options.priority] - RequestPriority for a network request
+     * @param {AbortSignal} [options.signal] - Rejects this call with an AbortError
+     */
+    async fetchGitHubData(endpoint, params = {}, ttl = 300000, options = {}) {
+        const { data } = await this.fetchEntry(endpoint, params, ttl, options);
+        return data;
+    }
+
+    /**
+     * Every page of a REST list, following the Link header's rel="next"
+     * @param {string} endpoint - API path returning an array
+     * @param {Object} [params] - Query parameters; per_page defaults to 100
+     * @param {number} [ttl] - Cache lifetime in ms, per page
+     * @param {Object} [options] - fetchGitHubData options, plus:
+     * @param {number} [options.maxPages] - Stop after this many pages
+     * @param {number} [options.limit] - Stop once this many items have been read
+     * @returns {Promise<Array>}
+     */
+    async fetchAllPages(
+        endpoint,
+        params = {},
+        ttl = 300000,
+        { maxPages = MAX_PAGES, limit = Infinity, ...options } = {}
+    ) {
+        const items = [];
+        let page = { endpoint, params: { per_page: 100, ...params } };
+        for (let count = 0; page && count < maxPages && items.length < limit; count++) {
+            const { data, next } = await this.fetchEntry(page.endpoint, page.params, ttl, options);
+            items.push(...data);
+            page = next ? this.pageFromLink(next) : null;
+        }
+        return items.slice(0, limit);
+    }
+
+    // Split a rel="next" URL back into endpoint + params so the page is cached
+    // like any other request. Links outside the current base URL are not followed.
+    pageFromLink(link) {
+        const url = new URL(link);
+        const base = new URL(this.baseUrl);
+        const prefix = base.pathname.replace(/\/$/, '');
+        if (url.origin !== base.origin || !url.pathname.startsWith(`${prefix}/`)) return null;
+        return {
+            endpoint: url.pathname.slice(prefix.length),
+            params: Object.fromEntries(url.searchParams),
+        };
+    }
+
+    /**
+     * Base URL for REST calls: the proxy if it answered its probe, else GitHub.
+     * The probe runs once per page load.
+     * @returns {Promise<string>}
+     */
+    async resolveBaseUrl() {
+        if (!this.proxyUrl) return this.baseUrl;
+
+        this.proxyProbe ??= fetch(this.proxyUrl, {
+            signal: AbortSignal.timeout(PROXY_PROBE_TIMEOUT_MS),
+        })
+            .then(response => response.ok)
+            .catch(() => false)
+            .then(reachable => {
+                if (reachable) this.baseUrl = this.proxyUrl;
+                debug.log('[GitHub] REST base URL:', this.baseUrl);
+                return this.baseUrl;
+            });
+        return this.proxyProbe;
+    }
+
+    /**
+     * fetchGitHubData's lookup, also returning the rel="next" page URL
+     * @returns {Promise<{data: any, next: string|null}>}
+     */
+    async fetchEntry(endpoint, params, ttl, { priority = RequestPriority.NORMAL, signal } = {}) {
+        signal?.throwIfAborted();
+
         const cacheKey = this.getCacheKey(endpoint, params);
 
         // Check cache first
         const cachedData = this.getCache(cacheKey);
         if (cachedData) {
             debug.log('[GitHub] Cache hit for', endpoint);
-            return cachedData;
+            return { data: cachedData, next: this.cache.get(cacheKey).next ?? null };
         }
 
         // Build URL with parameters
-        const url = new URL(`${GitHubAPIManager.baseUrl}${endpoint}`);
+        const url = new URL(`${await this.resolveBaseUrl()}${endpoint}`);
         for (const [key, value] of Object.entries(params)) {
             url.searchParams.append(key, value);
         }
 
-        return await this.executeWithRetry(async () => {
-            const response = await this.fetchWithRetry(url.toString());
-            const data = await response.json();
+        // Then the persistent cache: fresh, stale-but-usable, or only a validator
+        const stored = await this.store.get(cacheKey);
+        if (stored) {
+            const now = Date.now();
+            if (stored.expiry > now) {
+                debug.log('[GitHub] Persistent cache hit for', endpoint);
+                this.setCache(cacheKey, stored.data, stored.expiry - now, stored.next);
+                return { data: stored.data, next: stored.next ?? null };
+            }
+            if (now - stored.expiry < this.maxStale) {
+                debug.log('[GitHub] Serving stale', endpoint, 'while revalidating');
+                this.revalidate({ endpoint, params, cacheKey, url: url.toString(), stored, ttl });
+                return { data: stored.data, next: stored.next ?? null };
+            }
+        }
 
-            // Cache the result
-            this.setCache(cacheKey, data, ttl);
+        return this.enqueueRequest(
+            cacheKey,
+            shared =>
+                this.executeWithRetry(() =>
+                    this.fetchAndStore(cacheKey, url.toString(), stored, ttl, shared)
+                ),
+            { priority, signal }
+        );
+    }
 
-            return data;
+    /**
+     * Fetch with conditional headers from `stored` and cache the result
+     * @returns {Promise<{data: any, changed: boolean, next: string|null}>}
+     */
+    async fetchAndStore(cacheKey, url, stored, ttl, signal) {
+        const headers = {};
+        if (stored?.etag) headers['If-None-Match'] = stored.etag;
+        if (stored?.lastModified) headers['If-Modified-Since'] = stored.lastModified;
+
+        const response = await this.fetchWithRetry(url, { headers, signal });
+        const notModified = response.status === 304 && stored;
+        const data = notModified ? stored.data : await response.json();
+        const next = notModified
+            ? (stored.next ?? null)
+            : (parseLinkHeader(response.headers.get('Link')).next ?? null);
+
+        this.setCache(cacheKey, data, ttl, next);
+        await this.store.set({
+            key: cacheKey,
+            data,
+            next,
+            etag: response.headers.get('ETag') ?? stored?.etag ?? null,
+            lastModified: response.headers.get('Last-Modified') ?? stored?.lastModified ?? null,
+            expiry: Date.now() + ttl,
         });
+
+        return { data, changed: !notModified, next };
     }
 
-    // Convenience methods for common endpoints
-    async getUserData() {
+    // Background half of stale-while-revalidate; one revalidation per key at a time
+    async revalidate({ endpoint, params, cacheKey, url, stored, ttl }) {
+        if (this.revalidating.has(cacheKey)) return;
+        this.revalidating.add(cacheKey);
+        try {
+            const { changed } = await this.enqueueRequest(
+                cacheKey,
+                shared => this.fetchAndStore(cacheKey, url, stored, ttl, shared),
+                { priority: RequestPriority.LOW }
+            );
+            if (changed) {
+                document.dispatchEvent(
+                    new CustomEvent('githubDataUpdated', { detail: { endpoint, params } })
+                );
+            }
+        } catch (error) {
+            debug.warn('[GitHub] Revalidation failed for', endpoint, error);
+        } finally {
+            this.revalidating.delete(cacheKey);
+        }
+    }
+
+    // ========================================
+    // GraphQL (through the Worker)
+    // ========================================
+
+    /**
+     * Run one of the Worker's persisted GraphQL queries
+     * @param {string} query - Query name, e.g. 'pinnedItems' (see worker/graphql.js)
+     * @param {Object} [variables]
+     * @param {Object} [options]
+     * @param {number} [options.ttl] - Cache lifetime in ms
+     * @param {number} [options.priority]
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<Object>} The query's `data`
+     */
+    async graphql(
+        query,
+        variables = {},
+        { ttl = 600000, priority = RequestPriority.NORMAL, signal } = {}
+    ) {
+        signal?.throwIfAborted();
+
+        const cacheKey = `graphql:${this.getCacheKey(query, variables)}`;
+        const cachedData = this.getCache(cacheKey);
+        if (cachedData) {
+            debug.log('[GitHub] Cache hit for query', query);
+            return cachedData;
+        }
+
+        const data = await this.enqueueRequest(
+            cacheKey,
+            shared => this.executeWithRetry(() => this.postGraphQL(query, variables, shared)),
+            { priority, signal }
+        );
+        this.setCache(cacheKey, data, ttl);
+        return data;
+    }
+
+    async postGraphQL(query, variables, signal) {
+        const response = await fetch(GRAPHQL_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query, variables }),
+            signal,
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${body.error ?? response.statusText}`);
+        }
+        return body.data;
+    }
+
+    /**
+     * Every node of a paginated GraphQL connection, following pageInfo.endCursor
+     * @param {string} query - Persisted query taking `first` and `after`
+     * @param {Object} variables
+     * @param {string} path - Dotted path to the connection in `data`, e.g. 'user.repositories'
+     * @param {Object} [options] - graphql() options, plus `maxPages`
+     * @returns {Promise<Array>}
+     */
+    async graphqlPaginate(query, variables, path, { maxPages = MAX_PAGES, ...options } = {}) {
+        const nodes = [];
+        let after = null;
+        for (let page = 0; page < maxPages; page++) {
+            const data = await this.graphql(query, { ...variables, first: 100, after }, options);
+            const connection = path.split('.').reduce((value, key) => value?.[key], data);
+            if (!connection) break;
+            nodes.push(...connection.nodes);
+            if (!connection.pageInfo?.hasNextPage) break;
+            after = connection.pageInfo.endCursor;
+        }
+        return nodes;
+    }
+
+    // ========================================
+    // Request scheduling
+    // ========================================
+
+    /**
+     * Run `task` through the queue, sharing it with identical in-flight requests
+     * @param {string} key - Requests with the same key are coalesced
+     * @param {Function} task - (signal) => Promise; the signal aborts the shared request
+     * @param {Object} [options]
+     * @param {number} [options.priority]
+     * @param {AbortSignal} [options.signal] - Aborts only this caller's wait
+     * @returns {Promise<any>}
+     */
+    enqueueRequest(key, task, { priority = RequestPriority.NORMAL, signal } = {}) {
+        let shared = this.inFlight.get(key);
+        if (shared) {
+            debug.log('[GitHub] Joining in-flight request for', key);
+            // A more urgent caller promotes a request that is still queued.
+            if (shared.job && priority < shared.job.priority) {
+                shared.job.priority = priority;
+                this.sortQueue();
+            }
+        } else {
+            const controller = new AbortController();
+            shared = { controller, waiters: 0, job: null, promise: null };
+            shared.promise = new Promise((resolve, reject) => {
+                shared.job = {
+                    priority,
+                    sequence: this.queueSequence++,
+                    run: () => {
+                        shared.job = null;
+                        return task(controller.signal);
+                    },
+                    resolve,
+                    reject,
+                };
+                this.requestQueue.push(shared.job);
+                this.sortQueue();
+            }).finally(() => this.inFlight.delete(key));
+            // Nobody may be listening once every caller has aborted.
+            shared.promise.catch(() => {});
+            this.inFlight.set(key, shared);
+            this.processQueue();
+        }
+
+        return this.waitForShared(key, shared, signal);
+    }
+
+    waitForShared(key, shared, signal) {
+        shared.waiters++;
+        if (!signal) return shared.promise;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                reject(signal.reason);
+                if (--shared.waiters > 0) return;
+                // Last caller gone: drop the job if queued, else abort the fetch.
+                const index = this.requestQueue.indexOf(shared.job);
+                if (index !== -1) {
+                    this.requestQueue.splice(index, 1);
+                    shared.job.reject(signal.reason);
+                }
+                shared.controller.abort(signal.reason);
+                debug.log('[GitHub] Cancelled request for', key);
+            };
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+            signal.addEventListener('abort', onAbort, { once: true });
+            shared.promise
+                .finally(() => signal.removeEventListener('abort', onAbort))
+                .then(resolve, reject);
+        });
+    }
+
+    sortQueue() {
+        this.requestQueue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+    }
+
+    // Start queued jobs while there is capacity
+    processQueue() {
+        if (this.isProcessingQueue) return;
+        this.isProcessingQueue = true;
+        try {
+            while (this.activeRequests < this.maxConcurrent && this.requestQueue.length) {
+                const job = this.requestQueue.shift();
+                this.activeRequests++;
+                Promise.resolve()
+                    .then(job.run)
+                    .then(job.resolve, job.reject)
+                    .finally(() => {
+                        this.activeRequests--;
+                        this.processQueue();
+                    });
+            }
+        } finally {
+            this.isProcessingQueue = false;
+        }
+    }
+
+    // Convenience methods for common endpoints. `options` ({ priority, signal })
+    // is passed to fetchGitHubData when the pre-fetched data misses.
+    async getUserData(options) {
         // Try cached data first
         const cachedData = await this.loadCachedGitHubData();
         if (cachedData && cachedData.user) {
@@ -193,10 +650,10 @@ export class GitHubAPIManager {
         }
 
         // Fall back to direct API
-        return this.fetchGitHubData(`/users/${GitHubAPIManager.username}`, {}, 600000); // 10 min cache
+        return this.fetchGitHubData(`/users/${GitHubAPIManager.username}`, {}, 600000, options); // 10 min cache
     }
 
-    async getRepositories(sort = 'stars', per_page = 100) {
+    async getRepositories(sort = 'stars', limit = Infinity, options) {
         // Try cached data first
         const cachedData = await this.loadCachedGitHubData();
         if (cachedData && cachedData.repositories) {
@@ -210,17 +667,22 @@ export class GitHubAPIManager {
             }
 
             // Apply limit
-            return repos.slice(0, per_page);
+            return repos.slice(0, limit);
         }
 
         // Fall back to direct API
-        return this.fetchGitHubData(`/users/${GitHubAPIManager.username}/repos`, {
-            sort,
-            per_page,
-        });
+        return this.fetchAllPages(
+            `/users/${GitHubAPIManager.username}/repos`,
+            { sort },
+            undefined,
+            {
+                ...options,
+                limit,
+            }
+        );
     }
 
-    async getRecentActivity(per_page = 30) {
+    async getRecentActivity(per_page = 30, options) {
         // Try cached data first
         const cachedData = await this.loadCachedGitHubData();
         if (cachedData && cachedData.events) {
@@ -229,10 +691,14 @@ export class GitHubAPIManager {
 
         // Fall back to direct API (may be limited for public events)
         try {
-            return await this.fetchGitHubData(`/users/${GitHubAPIManager.username}/events/public`, {
-                per_page,
-            });
-        } catch (_error) {
+            return await this.fetchGitHubData(
+                `/users/${GitHubAPIManager.username}/events/public`,
+                { per_page },
+                undefined,
+                options
+            );
+        } catch (error) {
+            if (isAbortError(error)) throw error;
             return [];
         }
     }
@@ -251,14 +717,110 @@ export class GitHubAPIManager {
         return cachedData?.languageBytes ?? null;
     }
 
-    async getUserEvents(per_page = 30) {
+    async getUserEvents(per_page = 30, options) {
         return this.fetchGitHubData(
-            `/users/${GitHubAPIManager.username}/events`,
+            `/users/${GitHubAPIManager.username}/events/public`,
             { per_page },
-            180000
+            180000,
+            options
         ); // 3 min cache
     }
 
+    /**
+     * A repository's README, decoded from the API's base64
+     * @param {string} fullName - owner/repo
+     * @param {Object} [options] - fetchGitHubData options
+     * @returns {Promise<{markdown: string, path: string, htmlUrl: string, downloadUrl: string}|null>}
+     *   null when the repository has no README
+     */
+    async getReadme(fullName, options) {
+        let readme;
+        try {
+            readme = await this.fetchGitHubData(`/repos/${fullName}/readme`, {}, 3600000, options); // 1 hour cache
+        } catch (error) {
+            if (error.message === 'Resource not found') return null;
+            throw error;
+        }
+        const bytes = Uint8Array.from(atob(readme.content.replaceAll('\n', '')), c =>
+            c.charCodeAt(0)
+        );
+        return {
+            markdown: new TextDecoder().decode(bytes),
+            path: readme.path,
+            htmlUrl: readme.html_url,
+            downloadUrl: readme.download_url,
+        };
+    }
+
+    // GraphQL-only data. These resolve null when the Worker can't run the query
+    // (e.g. no GH_TOKEN configured), so callers can simply hide the section.
+
+    /** @returns {Promise<RepositorySummary[]|null>} Pinned repositories, in profile order */
+    async getPinnedItems(options) {
+        try {
+            const data = await this.graphql(
+                'pinnedItems',
+                { login: GitHubAPIManager.username },
+                options
+            );
+            return (data?.user?.pinnedItems.nodes ?? []).map(toRepositorySummary);
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            debug.warn('[GitHub] Pinned items unavailable:', error);
+            return null;
+        }
+    }
+
+    /** @returns {Promise<number[]|null>} Years with contributions, newest first */
+    async getContributionYears(options) {
+        try {
+            const data = await this.graphql(
+                'contributionYears',
+                { login: GitHubAPIManager.username },
+                { ttl: 3600000, ...options }
+            );
+            return data?.user?.contributionsCollection.contributionYears ?? [];
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            debug.warn('[GitHub] Contribution years unavailable:', error);
+            return null;
+        }
+    }
+
+    /** @returns {Promise<Object<string, string[]>|null>} Repository name → topics */
+    async getRepositoryTopics(options) {
+        const repos = await this.getRepositoryDetails(options);
+        return repos && Object.fromEntries(repos.map(repo => [repo.name, repo.topics]));
+    }
+
+    /** @returns {Promise<Object<string, Object<string, number>>|null>} Repository name → { language: bytes } */
+    async getRepositoryLanguages(options) {
+        const repos = await this.getRepositoryDetails(options);
+        return repos && Object.fromEntries(repos.map(repo => [repo.name, repo.languages]));
+    }
+
+    /** @returns {Promise<Array<RepositorySummary & {languages: Object<string, number>}>|null>} */
+    async getRepositoryDetails(options) {
+        try {
+            const nodes = await this.graphqlPaginate(
+                'repositories',
+                { login: GitHubAPIManager.username },
+                'user.repositories',
+                options
+            );
+            return nodes.map(node => ({
+                ...toRepositorySummary(node),
+                languages: Object.fromEntries(
+                    (node.languages?.edges ?? []).map(edge => [edge.node.name, edge.size])
+                ),
+            }));
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            debug.warn('[GitHub] Repository details unavailable:', error);
+            return null;
+        }
+    }
+
     // Get rate limit status
     getRateLimitStatus() {
         return {
@@ -283,7 +845,8 @@ export class GitHubAPIManager {
         }
     }
 
-    // Clear expired cache entries
+    // Clear expired cache entries. Persistent entries are kept until they are
+    // too stale to serve, since their ETags still make revalidation free.
     clearExpiredCache() {
         const now = Date.now();
         let removedCount = 0;
@@ -299,6 +862,12 @@ export class GitHubAPIManager {
             debug.log('[GitHub] Cleared', removedCount, 'expired cache entries');
         }
 
+        this.store.entries().then(entries => {
+            for (const entry of entries) {
+                if (now - entry.expiry >= this.maxStale) this.store.delete(entry.key);
+            }
+        });
+
         return removedCount;
     }
 
@@ -306,6 +875,7 @@ export class GitHubAPIManager {
     clearCache() {
         const { size } = this.cache;
         this.cache.clear();
+        this.store.clear();
         debug.log('[GitHub] Cleared all', size, 'cache entries');
     }
 }
@@ -1,10 +1,14 @@
 /**
  * Guestbook Module
  *
- * Fetches entries from the Worker GET /guestbook and renders them into
- * #guestbook-entries. The submission form POSTs to Worker POST /guestbook
+ * Fetches entries from the Worker GET /guestbook one page at a time and renders
+ * them into #guestbook-entries; #guestbook-more loads the next (older) page
+ * using the cursor the Worker returned. The submission form POSTs to Worker POST /guestbook
  * with a Cloudflare Turnstile token for spam prevention.
  *
+ * New entries are held for moderation by the Worker, so a successful POST
+ * tells the poster their message is awaiting review instead of rendering it.
+ *
  * The Turnstile widget is rendered into #turnstile-container.
  * Turnstile sitekey is public and safe to embed here.
  */
@@ -16,21 +20,26 @@ import { escapeHtml } from './utils/html.js';
 // Public sitekey — safe to commit. Get from dash.cloudflare.com → Turnstile.
 // Replace with your actual sitekey after creating a Turnstile site.
 const TURNSTILE_SITEKEY = 'REPLACE_WITH_TURNSTILE_SITEKEY';
+const PAGE_SIZE = 20;
 
 class GuestbookManager {
     #form = null;
     #entriesEl = null;
     #statusEl = null;
+    #moreBtn = null;
+    #cursor = null;
     #token = '';
 
     async init() {
         this.#form = document.querySelector('#guestbook-form');
         this.#entriesEl = document.querySelector('#guestbook-entries');
         this.#statusEl = document.querySelector('#guestbook-status');
+        this.#moreBtn = document.querySelector('#guestbook-more');
 
         if (!this.#form || !this.#entriesEl) return;
 
         await this.#loadEntries();
+        this.#moreBtn?.addEventListener('click', () => this.#loadOlder());
         this.#initTurnstile();
         this.#form.addEventListener('submit', e => this.#handleSubmit(e));
         debug.log('[Guestbook] Initialized');
@@ -38,16 +47,48 @@ class GuestbookManager {
 
     async #loadEntries() {
         try {
-            const resp = await fetch(`${WORKER_BASE}/guestbook`, {
-                signal: AbortSignal.timeout(5000),
-            });
-            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-            const entries = await resp.json();
+            const { entries, cursor } = await this.#fetchPage();
+            this.#cursor = cursor;
             this.#renderEntries(entries);
         } catch (err) {
             debug.warn('[Guestbook] Load failed:', err.message);
+            this.#cursor = null;
             this.#entriesEl.innerHTML = '<p class="guestbook-error">Could not load entries.</p>';
         }
+        this.#updateMoreButton();
+    }
+
+    async #loadOlder() {
+        if (!this.#cursor || !this.#moreBtn) return;
+        this.#moreBtn.disabled = true;
+        try {
+            const { entries, cursor } = await this.#fetchPage(this.#cursor);
+            this.#cursor = cursor;
+            this.#entriesEl.insertAdjacentHTML(
+                'beforeend',
+                entries.map(e => this.#entryHtml(e)).join('')
+            );
+        } catch (err) {
+            // Keep the cursor so the button retries the same page.
+            debug.warn('[Guestbook] Loading older entries failed:', err.message);
+        } finally {
+            this.#moreBtn.disabled = false;
+            this.#updateMoreButton();
+        }
+    }
+
+    async #fetchPage(cursor = null) {
+        const url = new URL(`${WORKER_BASE}/guestbook`);
+        url.searchParams.set('limit', String(PAGE_SIZE));
+        if (cursor) url.searchParams.set('cursor', cursor);
+        const resp = await fetch(url, { signal: AbortSignal.timeout(5000) });
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        const { entries = [], cursor: next = null } = await resp.json();
+        return { entries, cursor: next };
+    }
+
+    #updateMoreButton() {
+        if (this.#moreBtn) this.#moreBtn.hidden = !this.#cursor;
     }
 
     #renderEntries(entries) {
@@ -56,18 +97,18 @@ class GuestbookManager {
                 '<p class="guestbook-empty">No entries yet — be the first!</p>';
             return;
         }
-        this.#entriesEl.innerHTML = entries
-            .map(
-                e => `
+        this.#entriesEl.innerHTML = entries.map(e => this.#entryHtml(e)).join('');
+    }
+
+    #entryHtml(e) {
+        return `
             <article class="guestbook-entry">
                 <header class="guestbook-entry-header">
                     <strong class="guestbook-name">${escapeHtml(e.name)}</strong>
                     <time class="guestbook-date" datetime="${escapeHtml(e.date)}">${this.#formatDate(e.date)}</time>
                 </header>
                 <p class="guestbook-message">${escapeHtml(e.message)}</p>
-            </article>`
-            )
-            .join('');
+            </article>`;
     }
 
     #initTurnstile() {
@@ -128,12 +169,19 @@ class GuestbookManager {
             });
             const result = await resp.json();
             if (resp.ok && result.ok) {
-                this.#setStatus('Thanks! Your message was added.', 'success');
                 this.#form.reset();
                 this.#token = '';
                 globalThis.turnstile?.reset?.('#turnstile-container');
-                // Prepend new entry to the list without a full reload.
                 const { entry } = result;
+                if (entry.status === 'pending') {
+                    this.#setStatus(
+                        'Thanks! Your message is awaiting review and will appear once approved.',
+                        'success'
+                    );
+                    return;
+                }
+                this.#setStatus('Thanks! Your message was added.', 'success');
+                // Prepend new entry to the list without a full reload.
                 const newEl = document.createElement('article');
                 newEl.className = 'guestbook-entry guestbook-entry--new';
                 newEl.innerHTML = `
@@ -146,12 +194,7 @@ class GuestbookManager {
                 const emptyMsg = this.#entriesEl.querySelector('.guestbook-empty');
                 emptyMsg?.remove();
             } else {
-                this.#setStatus(
-                    result.error === 'invalid_captcha'
-                        ? 'Captcha verification failed — please try again.'
-                        : 'Something went wrong. Please try again.',
-                    'error'
-                );
+                this.#setStatus(this.#errorMessage(result.error), 'error');
             }
         } catch {
             this.#setStatus('Network error. Please try again.', 'error');
@@ -163,6 +206,19 @@ class GuestbookManager {
         }
     }
 
+    #errorMessage(error) {
+        switch (error) {
+            case 'invalid_captcha':
+                return 'Captcha verification failed — please try again.';
+            case 'rate_limited':
+                return "You're posting a little fast — please wait a few minutes and try again.";
+            case 'content_rejected':
+                return "Your message couldn't be posted. Try removing links or rephrasing it.";
+            default:
+                return 'Something went wrong. Please try again.';
+        }
+    }
+
     #setStatus(msg, type) {
         if (!this.#statusEl) return;
         this.#statusEl.textContent = msg;
@@ -92,10 +92,13 @@ function rotateRoles(el, roles) {
  * @param {Object} [options]
  * @param {string} [options.nameSelector='.hero-title .highlight']
  * @param {string} [options.roleSelector='[data-roles]']
+ * @param {string} [options.roleSet] - Use `data-roles-<roleSet>` instead of `data-roles`
+ *   when the element has it (the heroRoles experiment)
  */
 export function initHeroText({
     nameSelector = '.hero-title .highlight',
     roleSelector = '[data-roles]',
+    roleSet = null,
 } = {}) {
     const nameEl = document.querySelector(nameSelector);
     const roleEl = document.querySelector(roleSelector);
@@ -106,7 +109,8 @@ export function initHeroText({
     }
 
     if (roleEl) {
-        const roles = (roleEl.dataset.roles || '')
+        const variantKey = roleSet && `roles${roleSet.charAt(0).toUpperCase()}${roleSet.slice(1)}`;
+        const roles = ((variantKey && roleEl.dataset[variantKey]) || roleEl.dataset.roles || '')
             .split('|')
             .map(r => r.trim())
             .filter(Boolean);
@@ -0,0 +1,240 @@
+/**
+ * Module Registry
+ * Declarative startup for the app's feature modules. Each entry describes
+ * when and whether a module should start instead of main.js hand-sequencing
+ * dynamic imports:
+ *
+ *   {
+ *       name: 'guestbook',            // key in appState.managers
+ *       phase: 'sections',            // started by registry.run(phase)
+ *       after: ['ui'],                // managers this one needs (any phase)
+ *       selector: '#guestbook',       // skipped when the container is absent
+ *       flag: 'guestbook',            // skipped when the feature flag is off
+ *       trigger: 'visible',           // 'immediate' (default) | 'visible' | 'idle'
+ *       timeout: 8000,                // ms before it is reported as timed out
+ *       load: () => import('./guestbook.js'),
+ *       init: ({ guestbookManager }, deps) => guestbookManager.init().then(() => guestbookManager),
+ *   }
+ *
+ * Modules in a phase start together and only wait on their own dependencies,
+ * so one slow module no longer holds up the ones registered after it.
+ * `run(phase)` resolves once its immediate modules have settled; visible and
+ * idle modules are scheduled and start later. A 'visible' module starts when
+ * its selector element comes within VISIBLE_MARGIN of the viewport, so it
+ * should not gate on an element that starts out `hidden`.
+ *
+ * A module that fails, times out, is skipped or is disabled resolves its
+ * dependents as 'blocked'. One that times out keeps running and is stored if
+ * it finishes.
+ * Every module gets a timings record: { phase, trigger, status, start, duration }.
+ */
+
+import { debug } from './debug.js';
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const IDLE_TIMEOUT_MS = 2000;
+const VISIBLE_MARGIN = '300px 0px';
+
+class TimeoutError extends Error {
+    constructor(name, ms) {
+        super(`${name} did not initialize within ${ms}ms`);
+        this.name = 'TimeoutError';
+    }
+}
+
+export class ModuleRegistry {
+    #entries = new Map();
+    #settled = new Map();
+    #observers = new Set();
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.managers - Where initialized managers are stored by name
+     * @param {Object} options.timings - Where per-module timing records are stored by name
+     * @param {Function} [options.isEnabled] - Feature-flag check for entries with a `flag`
+     */
+    constructor({ managers = {}, timings = {}, isEnabled = () => true } = {}) {
+        this.managers = managers;
+        this.timings = timings;
+        this.isEnabled = isEnabled;
+    }
+
+    /**
+     * Add module entries
+     * @param {Array<Object>} entries - Module descriptors (see top of file)
+     * @returns {ModuleRegistry} this, for chaining
+     */
+    register(entries) {
+        for (const entry of entries) {
+            if (this.#entries.has(entry.name)) {
+                throw new Error(`Module "${entry.name}" is already registered`);
+            }
+            this.#entries.set(entry.name, { trigger: 'immediate', after: [], ...entry });
+        }
+        return this;
+    }
+
+    /**
+     * Start every module registered for `phase`
+     * @param {string} phase
+     * @returns {Promise<Object>} name → status for the phase's immediate modules
+     */
+    async run(phase) {
+        const entries = [...this.#entries.values()].filter(entry => entry.phase === phase);
+        const immediate = [];
+
+        for (const entry of entries) {
+            if (entry.flag && !this.isEnabled(entry.flag)) {
+                this.#finish(entry, 'disabled', null);
+                continue;
+            }
+            if (entry.selector && !document.querySelector(entry.selector)) {
+                this.#finish(entry, 'skipped', null);
+                continue;
+            }
+
+            if (entry.trigger === 'visible') {
+                this.#record(entry, { status: 'waiting' });
+                this.#whenVisible(entry, () => this.#start(entry));
+            } else if (entry.trigger === 'idle') {
+                this.#record(entry, { status: 'waiting' });
+                requestIdleCallback(() => this.#start(entry), { timeout: IDLE_TIMEOUT_MS });
+            } else {
+                immediate.push(this.#start(entry).then(status => [entry.name, status]));
+            }
+        }
+
+        return Object.fromEntries(await Promise.all(immediate));
+    }
+
+    /**
+     * Resolves with a module's manager once it has settled (null unless ready)
+     * @param {string} name
+     * @returns {Promise<any>}
+     */
+    whenSettled(name) {
+        return this.#deferred(name).promise;
+    }
+
+    /** Stop waiting on visibility for modules that have not started yet. */
+    disconnect() {
+        for (const observer of this.#observers) observer.disconnect();
+        this.#observers.clear();
+    }
+
+    async #start(entry) {
+        const deps = await this.#resolveDeps(entry);
+        if (!deps) return this.#finish(entry, 'blocked', null);
+
+        const start = performance.now();
+        this.#record(entry, { status: 'loading', start: round(start) });
+
+        const timeout = entry.timeout ?? DEFAULT_TIMEOUT_MS;
+        const work = this.#load(entry, deps);
+        let timer;
+        try {
+            const manager = await Promise.race([
+                work,
+                new Promise((_, reject) => {
+                    timer = setTimeout(
+                        () => reject(new TimeoutError(entry.name, timeout)),
+                        timeout
+                    );
+                }),
+            ]);
+            return this.#finish(entry, 'ready', manager, start);
+        } catch (err) {
+            if (err instanceof TimeoutError) {
+                debug.warn(`[Registry] ${err.message}`);
+                this.#finishLate(entry, work, start);
+                return this.#finish(entry, 'timeout', null, start);
+            }
+            debug.warn(`[Registry] ${entry.name} skipped:`, err);
+            return this.#finish(entry, 'failed', null, start);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async #load(entry, deps) {
+        const module = entry.load ? await entry.load() : {};
+        return entry.init ? entry.init(module, deps) : module;
+    }
+
+    /** Managers for `after`, or null if any of them is unavailable. */
+    async #resolveDeps(entry) {
+        const deps = {};
+        for (const name of entry.after) {
+            if (!this.#entries.has(name)) {
+                debug.warn(`[Registry] ${entry.name} depends on unknown module "${name}"`);
+                return null;
+            }
+            deps[name] = await this.whenSettled(name);
+            if (deps[name] == null) return null;
+        }
+        return deps;
+    }
+
+    #finishLate(entry, work, start) {
+        work.then(
+            manager => {
+                if (manager != null) this.managers[entry.name] = manager;
+                this.#record(entry, { status: 'ready', late: true, duration: elapsed(start) });
+            },
+            () => {}
+        );
+    }
+
+    #finish(entry, status, manager, start) {
+        if (status === 'ready' && manager != null) this.managers[entry.name] = manager;
+        this.#record(entry, { status, duration: start == null ? 0 : elapsed(start) });
+        this.#deferred(entry.name).resolve(status === 'ready' ? (manager ?? true) : null);
+        return status;
+    }
+
+    #record(entry, fields) {
+        this.timings[entry.name] = {
+            phase: entry.phase,
+            trigger: entry.trigger,
+            ...this.timings[entry.name],
+            ...fields,
+        };
+    }
+
+    #deferred(name) {
+        if (!this.#settled.has(name)) {
+            let resolve;
+            const promise = new Promise(r => (resolve = r));
+            this.#settled.set(name, { promise, resolve });
+        }
+        return this.#settled.get(name);
+    }
+
+    #whenVisible(entry, callback) {
+        const element = document.querySelector(entry.selector ?? '');
+        if (!element || !('IntersectionObserver' in globalThis)) {
+            callback();
+            return;
+        }
+
+        const observer = new IntersectionObserver(
+            records => {
+                if (!records.some(record => record.isIntersecting)) return;
+                observer.disconnect();
+                this.#observers.delete(observer);
+                callback();
+            },
+            { rootMargin: VISIBLE_MARGIN }
+        );
+        observer.observe(element);
+        this.#observers.add(observer);
+    }
+}
+
+function elapsed(start) {
+    return round(performance.now() - start);
+}
+
+function round(ms) {
+    return Math.round(ms * 10) / 10;
+}
@@ -1,10 +1,14 @@
 /**
  * Navigation Module
  * Site navigation, smooth scrolling, search functionality, and content discovery
+ *
+ * Owns the router's `/` route: `#section` links navigate to `/#section` (which
+ * also closes an open post or case study) and the route scrolls to the section.
  */
 
 import { debug } from './debug.js';
 import { analyticsManager } from './analytics.js';
+import { router } from './router.js';
 
 // Navigation configuration
 const CONFIG = {
@@ -53,10 +57,18 @@ export class NavigationManager {
     // ========================================
 
     setupSmoothScrolling() {
-        // Handle anchor links
+        router.on('/', {
+            enter: ({ hash, scroll }) => {
+                const target = hash && document.getElementById(hash);
+                if (target && scroll) this.scrollToElement(target);
+            },
+        });
+
+        // Handle anchor links (ones a view already handled, like in-post
+        // footnotes, are left alone)
         document.addEventListener('click', e => {
             const link = e.target.closest('a[href^="#"]');
-            if (!link) return;
+            if (!link || e.defaultPrevented) return;
 
             const targetId = link.getAttribute('href');
             if (targetId === '#' || targetId === '#top') {
@@ -65,13 +77,10 @@ export class NavigationManager {
                 return;
             }
 
-            const target = document.querySelector(targetId);
+            const target = document.getElementById(targetId.slice(1));
             if (target) {
                 e.preventDefault();
-                this.scrollToElement(target);
-
-                // Update URL without jumping
-                history.pushState(null, '', targetId);
+                router.navigate(`/${targetId}`);
 
                 // Track navigation
                 analyticsManager.trackEvent('navigation', {
@@ -80,16 +89,6 @@ export class NavigationManager {
                 });
             }
         });
-
-        // Handle initial hash on page load
-        if (globalThis.location.hash) {
-            setTimeout(() => {
-                const target = document.querySelector(globalThis.location.hash);
-                if (target) {
-                    this.scrollToElement(target);
-                }
-            }, 100);
-        }
     }
 
     scrollToElement(element, offset = CONFIG.scrollOffset) {
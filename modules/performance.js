@@ -1,14 +1,33 @@
 /**
  * Performance Monitoring Module
  * Consolidated performance tracking, Web Vitals, and optimization
+ *
+ * Real-user monitoring: when the page is first hidden, the final LCP, CLS,
+ * FCP, TTFB and INP values are beaconed to the Worker's /vitals endpoint with
+ * the device class, plus attribution for the slowest interaction (target
+ * element, event type and the longest script from an overlapping Long
+ * Animation Frame). The Worker keeps daily p50/p75/p95 per metric and device.
  */
 
 import { debug } from './debug.js';
+import { WORKER_BASE } from './config.js';
+
+const VITALS_URL = `${WORKER_BASE}/vitals`;
+const REPORTED_METRICS = ['lcp', 'cls', 'fcp', 'ttfb', 'inp'];
+
+// Event-timing entries shorter than this aren't reported by the browser anyway
+// in most cases; 40 ms keeps the buffer small while still catching slow taps.
+const EVENT_DURATION_THRESHOLD = 40;
+const MAX_LONG_ANIMATION_FRAMES = 50;
+// The p98 estimate picks the (n / 50)th longest interaction, so the 10 longest
+// cover visits of up to 500 interactions; shorter ones are dropped on arrival.
+const MAX_INTERACTIONS = 10;
 
 // Performance thresholds based on Core Web Vitals
 const THRESHOLDS = {
     lcp: { good: 2500, needsImprovement: 4000 },
     fid: { good: 100, needsImprovement: 300 },
+    inp: { good: 200, needsImprovement: 500 },
     cls: { good: 0.1, needsImprovement: 0.25 },
     ttfb: { good: 800, needsImprovement: 1800 },
     fcp: { good: 1800, needsImprovement: 3000 },
@@ -22,8 +41,29 @@ const BUDGETS = {
     cumulativeLayoutShift: 0.1,
     totalBlockingTime: 300,
     firstInputDelay: 100,
+    interactionToNextPaint: 200,
 };
 
+/** Short, stable description of an element: `button#theme-toggle`, `a.project-link`. */
+function describeElement(el) {
+    if (!el?.tagName) return null;
+    const tag = el.tagName.toLowerCase();
+    if (el.id) return `${tag}#${el.id}`;
+    const classes = [...(el.classList ?? [])].slice(0, 2);
+    return classes.length ? `${tag}.${classes.join('.')}` : tag;
+}
+
+/** Same-origin scripts keep their path; third-party scripts only their host. */
+function describeScript(url) {
+    if (!url) return null;
+    try {
+        const parsed = new URL(url, globalThis.location.href);
+        return parsed.origin === globalThis.location.origin ? parsed.pathname : parsed.hostname;
+    } catch {
+        return null;
+    }
+}
+
 export class PerformanceManager {
     constructor() {
         this.metrics = {
@@ -31,8 +71,14 @@ export class PerformanceManager {
             navigation: {},
             resources: [],
             longTasks: [],
+            longAnimationFrames: [],
+            inpAttribution: null,
             memoryUsage: [],
         };
+        this.interactions = []; // longest first, at most MAX_INTERACTIONS
+        this.interactionCount = 0;
+        this.lastInteractionId = 0;
+        this.vitalsReported = false;
         this.violations = [];
         this.observers = new Map();
         this.isInitialized = false;
@@ -53,11 +99,20 @@ export class PerformanceManager {
         this.setupLazyLoading();
         this.optimizeAnimations();
         this.optimizeImages();
+        this.setupVitalsReporting();
 
         this.isInitialized = true;
         debug.log('[Performance] Performance manager initialized');
     }
 
+    /** `mobile` | `tablet` | `desktop` — the device dimension /vitals aggregates by. */
+    getDeviceClass() {
+        const coarse = globalThis.matchMedia('(pointer: coarse)').matches;
+        if (coarse && globalThis.innerWidth < 768) return 'mobile';
+        if (coarse) return 'tablet';
+        return this.isMobile ? 'mobile' : 'desktop';
+    }
+
     detectMobile() {
         return (
             /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(
@@ -76,6 +131,8 @@ export class PerformanceManager {
         this.observeCLS();
         this.observeFCP();
         this.observeTTFB();
+        this.observeINP();
+        this.observeLongAnimationFrames();
     }
 
     observeLCP() {
@@ -176,6 +233,120 @@ export class PerformanceManager {
         }
     }
 
+    /**
+     * INP: the slowest interaction on the page (the 98th percentile once there
+     * are 50+ interactions, so one outlier on a long visit doesn't dominate).
+     * Event-timing entries are grouped by interactionId, keeping the longest.
+     */
+    observeINP() {
+        try {
+            const observer = new PerformanceObserver(entryList => {
+                for (const entry of entryList.getEntries()) {
+                    if (entry.interactionId) this.recordInteraction(entry);
+                }
+                this.updateINP();
+            });
+
+            observer.observe({
+                type: 'event',
+                durationThreshold: EVENT_DURATION_THRESHOLD,
+                buffered: true,
+            });
+            this.observers.set('inp', observer);
+        } catch (_error) {
+            debug.warn('[Performance] INP not supported');
+        }
+    }
+
+    /**
+     * Count an event-timing entry and keep it if it's among the longest
+     * interactions. Interaction ids only grow, so a higher id is a new one.
+     */
+    recordInteraction(entry) {
+        if (entry.interactionId > this.lastInteractionId) {
+            this.lastInteractionId = entry.interactionId;
+            this.interactionCount++;
+        }
+
+        const index = this.interactions.findIndex(i => i.interactionId === entry.interactionId);
+        if (index !== -1) {
+            if (entry.duration <= this.interactions[index].duration) return;
+            this.interactions.splice(index, 1);
+        }
+        this.interactions.push(entry);
+        this.interactions.sort((a, b) => b.duration - a.duration);
+        this.interactions.length = Math.min(this.interactions.length, MAX_INTERACTIONS);
+    }
+
+    updateINP() {
+        if (!this.interactions.length) return;
+
+        const p98 = Math.floor(this.interactionCount / 50);
+        const entry = this.interactions[Math.min(p98, this.interactions.length - 1)];
+        const inp = entry.duration;
+        this.metrics.webVitals.inp = inp;
+
+        const rating = this.getRating('inp', inp);
+        this.metrics.webVitals.inp_rating = rating;
+        this.metrics.inpAttribution = this.attributeInteraction(entry);
+        debug.log(
+            `[Performance] INP: ${inp.toFixed(0)}ms (${rating})`,
+            this.metrics.inpAttribution
+        );
+
+        this.checkBudget('interactionToNextPaint', inp);
+    }
+
+    /** Split an interaction into its phases and find the script that blocked it. */
+    attributeInteraction(entry) {
+        const end = entry.startTime + entry.duration;
+        const frame = this.metrics.longAnimationFrames
+            .filter(f => f.startTime < end && f.startTime + f.duration > entry.startTime)
+            .sort((a, b) => b.duration - a.duration)[0];
+
+        return {
+            target: describeElement(entry.target),
+            eventType: entry.name,
+            inputDelay: entry.processingStart - entry.startTime,
+            processingTime: entry.processingEnd - entry.processingStart,
+            presentationDelay: end - entry.processingEnd,
+            script: frame?.scripts[0] ?? null,
+        };
+    }
+
+    /** Long Animation Frames (Chromium 123+): frames over 50 ms with script attribution. */
+    observeLongAnimationFrames() {
+        try {
+            const observer = new PerformanceObserver(entryList => {
+                for (const entry of entryList.getEntries()) {
+                    this.metrics.longAnimationFrames.push({
+                        startTime: entry.startTime,
+                        duration: entry.duration,
+                        blockingDuration: entry.blockingDuration ?? 0,
+                        scripts: [...(entry.scripts ?? [])]
+                            .sort((a, b) => b.duration - a.duration)
+                            .slice(0, 3)
+                            .map(script => ({
+                                source: describeScript(script.sourceURL),
+                                invoker: script.invoker || null,
+                                duration: script.duration,
+                            })),
+                    });
+                }
+
+                if (this.metrics.longAnimationFrames.length > MAX_LONG_ANIMATION_FRAMES) {
+                    this.metrics.longAnimationFrames =
+                        this.metrics.longAnimationFrames.slice(-MAX_LONG_ANIMATION_FRAMES);
+                }
+            });
+
+            observer.observe({ type: 'long-animation-frame', buffered: true });
+            this.observers.set('loaf', observer);
+        } catch (_error) {
+            debug.warn('[Performance] Long Animation Frames not supported');
+        }
+    }
+
     observeTTFB() {
         globalThis.addEventListener('load', () => {
             const navTiming = performance.getEntriesByType('navigation')[0];
@@ -412,6 +583,54 @@ export class PerformanceManager {
         debug.log('[Performance] Image optimization applied');
     }
 
+    // ========================================
+    // Real-User Reporting
+    // ========================================
+
+    setupVitalsReporting() {
+        // The first hide is when LCP/CLS/INP are final for most visits; pagehide
+        // covers browsers that skip visibilitychange on navigation.
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.reportVitals();
+        });
+        globalThis.addEventListener('pagehide', () => this.reportVitals());
+    }
+
+    /**
+     * Beacon this page's Web Vitals to the Worker, once per page load.
+     * @returns {boolean} Whether a report was handed to the browser
+     */
+    reportVitals() {
+        if (this.vitalsReported || !navigator.sendBeacon) return false;
+
+        const metrics = {};
+        for (const name of REPORTED_METRICS) {
+            const value = this.metrics.webVitals[name];
+            if (Number.isFinite(value)) metrics[name] = value;
+        }
+        if (!Object.keys(metrics).length) return false;
+
+        const attribution = this.metrics.inpAttribution;
+        const report = {
+            device: this.getDeviceClass(),
+            metrics,
+            inp: attribution
+                ? {
+                      target: attribution.target,
+                      eventType: attribution.eventType,
+                      script: attribution.script?.source ?? null,
+                  }
+                : null,
+        };
+
+        try {
+            this.vitalsReported = navigator.sendBeacon(VITALS_URL, JSON.stringify(report));
+        } catch (_error) {
+            debug.warn('[Performance] Failed to send vitals:', _error);
+        }
+        return this.vitalsReported;
+    }
+
     // ========================================
     // Budget Checking & Ratings
     // ========================================
@@ -462,6 +681,9 @@ export class PerformanceManager {
         if (vitals.fid_rating === 'needs-improvement') score -= 10;
         if (vitals.fid_rating === 'poor') score -= 20;
 
+        if (vitals.inp_rating === 'needs-improvement') score -= 10;
+        if (vitals.inp_rating === 'poor') score -= 20;
+
         if (vitals.cls_rating === 'needs-improvement') score -= 10;
         if (vitals.cls_rating === 'poor') score -= 20;
 
@@ -485,6 +707,7 @@ export class PerformanceManager {
             score,
             grade: this.getPerformanceGrade(score),
             webVitals: this.metrics.webVitals,
+            inpAttribution: this.metrics.inpAttribution,
             navigation: this.metrics.navigation,
             resources: this.analyzeResources(),
             longTasks: {
@@ -495,6 +718,13 @@ export class PerformanceManager {
                           this.metrics.longTasks.length
                         : 0,
             },
+            longAnimationFrames: {
+                count: this.metrics.longAnimationFrames.length,
+                totalBlockingDuration: this.metrics.longAnimationFrames.reduce(
+                    (sum, f) => sum + f.blockingDuration,
+                    0
+                ),
+            },
             violations: this.violations,
         };
 
@@ -4,17 +4,97 @@
  * view for a project. Content is built entirely from real project metadata and
  * live GitHub stats — nothing is fabricated.
  *
- * Deep-linking: opening a study sets the URL hash to `#project/<slug>`, so a
- * study can be shared/bookmarked and restored on load. Closing restores the
- * previous hash.
+ * Deep-linking: each study is a router route, /projects/<slug>, so it can be
+ * shared/bookmarked and restored on load. Closing restores the previous URL.
+ *
+ * Projects with a GitHub repo also get a README tab. The README is fetched on
+ * first view (through the Worker's /gh proxy when it's up), rendered from
+ * markdown, sanitized, and its relative links and images are pointed at
+ * GitHub: images at raw.githubusercontent.com, links at the repo's blob view.
+ * Headings get `readme-` ids and feed an in-modal table of contents.
  */
 
 import { debug } from './debug.js';
 import { WORKER_BASE } from './config.js';
+import { githubAPI, RequestPriority } from './github-api.js';
+import { router } from './router.js';
+import { escapeHtml } from './utils/html.js';
+import { renderMarkdown } from './utils/markdown.js';
+import { sanitizeHtml } from './utils/sanitize.js';
 
 /** Worker endpoint for OG image generation. */
 const OG_WORKER_URL = `${WORKER_BASE}/og`;
 
+const PROJECT_ROUTE = '/projects/:slug';
+/** Where closing goes when the study was opened straight from a link. */
+const CLOSE_URL = '/#projects';
+
+/** Keeps README ids (and links to them) apart from the page's own ids. */
+const README_ID_PREFIX = 'readme-';
+/** Fewer headings than this and the README gets no table of contents. */
+const MIN_TOC_HEADINGS = 3;
+
+const ABSOLUTE_URL = /^(?:[a-z][a-z\d+.-]*:|\/\/)/i;
+const GITHUB_BLOB_URL = /^https:\/\/github\.com\/([^/]+\/[^/]+)\/(?:blob|raw)\/(.+)$/;
+
+/**
+ * URL rewriter for sanitizeHtml(): resolves a README's relative URLs against
+ * the repo — images to raw files, links to GitHub's rendered view.
+ * @param {{path: string, htmlUrl: string, downloadUrl: string}} readme
+ * @returns {Function} (url, { attr }) => url
+ */
+export function readmeUrlRewriter({ path, htmlUrl, downloadUrl }) {
+    const rawRoot = downloadUrl.slice(0, downloadUrl.length - path.length);
+    const blobRoot = htmlUrl.slice(0, htmlUrl.length - path.length);
+
+    return (url, { attr }) => {
+        if (url.startsWith(`#${README_ID_PREFIX}`)) return url; // footnotes come prefixed
+        if (url.startsWith('#')) return `#${README_ID_PREFIX}${url.slice(1)}`;
+
+        const isImage = attr !== 'href';
+        if (ABSOLUTE_URL.test(url)) {
+            // github.com/…/blob/… serves an HTML page, not the image.
+            return isImage
+                ? url.replace(GITHUB_BLOB_URL, 'https://raw.githubusercontent.com/$1/$2')
+                : url;
+        }
+        if (url.startsWith('/')) return new URL(url.slice(1), isImage ? rawRoot : blobRoot).href;
+        return new URL(url, isImage ? downloadUrl : htmlUrl).href;
+    };
+}
+
+/**
+ * Render a README (from githubAPI.getReadme) as sanitized HTML plus its contents list
+ * @returns {string}
+ */
+export function renderReadme(readme) {
+    const { html, headings } = renderMarkdown(readme.markdown, {
+        allowHtml: true,
+        idPrefix: README_ID_PREFIX,
+    });
+    const content = sanitizeHtml(html, {
+        rewriteUrl: readmeUrlRewriter(readme),
+        idPrefix: README_ID_PREFIX,
+    });
+
+    // h1 is usually the repo name again; list the sections below it.
+    const sections = headings.filter(h => h.level === 2 || h.level === 3);
+    const toc =
+        sections.length >= MIN_TOC_HEADINGS
+            ? `<nav class="project-modal-toc" aria-label="README contents">
+                <h3>Contents</h3>
+                <ol>${sections
+                    .map(
+                        h =>
+                            `<li class="toc-level-${h.level}"><a href="#${escapeHtml(h.id)}">${escapeHtml(h.text)}</a></li>`
+                    )
+                    .join('')}</ol>
+            </nav>`
+            : '';
+
+    return `${toc}<article class="project-modal-readme">${content}</article>`;
+}
+
 /** The og:image meta value set at page load (restored on modal close). */
 let defaultOgImage = '';
 
@@ -27,7 +107,9 @@ export class ProjectModal {
     isOpen = false;
     currentSlug = null;
     lastFocused = null;
-    previousHash = '';
+    previousUrl = '';
+    pendingSlug = null;
+    readmeRequest = null;
 
     init() {
         if (this.modal) return; // idempotent
@@ -55,6 +137,9 @@ export class ProjectModal {
             el.addEventListener('click', () => this.close());
         }
 
+        this.bodyEl.addEventListener('click', e => this.handleBodyClick(e));
+        this.bodyEl.addEventListener('keydown', e => this.handleTabKeys(e));
+
         document.addEventListener('keydown', e => {
             if (this.isOpen && e.key === 'Escape') {
                 e.preventDefault();
@@ -62,10 +147,14 @@ export class ProjectModal {
             }
         });
 
-        globalThis.addEventListener('hashchange', () => this.handleHash());
-
-        // Restore a deep-linked study on first load (after registration).
-        this.handleHash();
+        // Deep-linked studies open once their project registers.
+        router.on(PROJECT_ROUTE, {
+            enter: ({ params }) => this.handleRoute(params.slug),
+            leave: () => {
+                this.pendingSlug = null;
+                this.close({ updateUrl: false });
+            },
+        });
 
         // Cache the initial og:image so we can restore it on close.
         defaultOgImage =
@@ -83,40 +172,33 @@ export class ProjectModal {
         if (!slug) return;
         this.registry.set(slug, data);
         // If the page loaded pointing at this study, open it now that data exists.
-        if (!this.isOpen && this._slugFromHash() === slug) {
-            this.open(slug, { updateHash: false });
+        if (!this.isOpen && this.pendingSlug === slug) {
+            this.pendingSlug = null;
+            this.open(slug, { updateUrl: false });
         }
     }
 
-    _slugFromHash() {
-        const { hash } = globalThis.location;
-        return hash.startsWith('#project/')
-            ? decodeURIComponent(hash.slice('#project/'.length))
-            : null;
-    }
-
-    handleHash() {
-        const slug = this._slugFromHash();
-        if (slug && this.registry.has(slug)) {
-            if (!this.isOpen || this.currentSlug !== slug) {
-                this.open(slug, { updateHash: false });
-            }
-        } else if (this.isOpen) {
-            this.close({ updateHash: false });
+    handleRoute(slug) {
+        if (!this.registry.has(slug)) {
+            this.pendingSlug = slug;
+            if (this.isOpen) this.close({ updateUrl: false });
+        } else if (!this.isOpen || this.currentSlug !== slug) {
+            this.open(slug, { updateUrl: false });
         }
     }
 
-    open(slug, { updateHash = true } = {}) {
+    open(slug, { updateUrl = true } = {}) {
         const data = this.registry.get(slug);
         if (!data || !this.modal) return;
 
-        if (updateHash) {
-            this.previousHash = globalThis.location.hash || '';
-            globalThis.location.hash = `project/${encodeURIComponent(slug)}`;
+        if (updateUrl && !this.isOpen) {
+            const { pathname, search, hash } = globalThis.location;
+            this.previousUrl = `${pathname}${search}${hash}`;
         }
 
         this.lastFocused = document.activeElement;
         this.currentSlug = slug;
+        this.readmeRequest?.abort();
         this.bodyEl.innerHTML = this.renderBody(data);
         this.titleEl = this.bodyEl.querySelector('#project-modal-title');
 
@@ -135,23 +217,28 @@ export class ProjectModal {
             const closeBtn = this.modal.querySelector('.project-modal-close');
             closeBtn?.focus();
         });
+
+        // After isOpen is set, so the route's enter() sees the study is showing.
+        if (updateUrl) router.navigate(`/projects/${encodeURIComponent(slug)}`);
     }
 
-    close({ updateHash = true } = {}) {
+    close({ updateUrl = true } = {}) {
         if (!this.isOpen) return;
         this.isOpen = false;
         this.currentSlug = null;
+        this.readmeRequest?.abort();
         this.modal.classList.remove('visible');
         this.modal.setAttribute('aria-hidden', 'true');
         document.body.classList.remove('modal-open');
         document.removeEventListener('keydown', this.trapFocus);
 
-        if (updateHash && this._slugFromHash()) {
+        if (updateUrl && router.current?.pattern === PROJECT_ROUTE) {
             const restore =
-                this.previousHash && !this.previousHash.startsWith('#project/')
-                    ? this.previousHash
-                    : '#projects';
-            globalThis.history.replaceState(null, '', restore);
+                this.previousUrl && !this.previousUrl.startsWith('/projects/')
+                    ? this.previousUrl
+                    : CLOSE_URL;
+            this.previousUrl = '';
+            router.navigate(restore, { replace: true, scroll: false });
         }
 
         if (this.lastFocused instanceof HTMLElement) {
@@ -184,6 +271,86 @@ export class ProjectModal {
         }
     };
 
+    handleBodyClick(e) {
+        const tab = e.target.closest('[role="tab"]');
+        if (tab) {
+            this.selectTab(tab.dataset.tab);
+            return;
+        }
+
+        // README anchors scroll the dialog instead of changing the hash, which
+        // would close the modal.
+        const link = e.target.closest('#project-panel-readme a[href^="#"]');
+        const target = link && document.getElementById(link.getAttribute('href').slice(1));
+        if (link) e.preventDefault();
+        if (target && this.bodyEl.contains(target)) {
+            target.scrollIntoView({ block: 'start' });
+        }
+    }
+
+    handleTabKeys(e) {
+        const tab = e.target.closest('[role="tab"]');
+        if (!tab) return;
+        const tabs = [...this.bodyEl.querySelectorAll('[role="tab"]')];
+        const index = tabs.indexOf(tab);
+        const next = {
+            ArrowRight: tabs[(index + 1) % tabs.length],
+            ArrowLeft: tabs.at(index - 1),
+            Home: tabs[0],
+            End: tabs.at(-1),
+        }[e.key];
+        if (!next) return;
+        e.preventDefault();
+        this.selectTab(next.dataset.tab);
+        next.focus();
+    }
+
+    /**
+     * Show one of the case-study tabs ('overview' | 'readme')
+     * @param {string} name
+     */
+    selectTab(name) {
+        for (const tab of this.bodyEl.querySelectorAll('[role="tab"]')) {
+            const selected = tab.dataset.tab === name;
+            tab.setAttribute('aria-selected', String(selected));
+            tab.tabIndex = selected ? 0 : -1;
+            this.bodyEl.querySelector(`#project-panel-${tab.dataset.tab}`).hidden = !selected;
+        }
+
+        const panel = this.bodyEl.querySelector('#project-panel-readme');
+        if (name === 'readme' && panel && !panel.dataset.loaded) {
+            this.loadReadme(this.registry.get(this.currentSlug), panel);
+        }
+    }
+
+    async loadReadme(data, panel) {
+        this.readmeRequest?.abort();
+        const controller = new AbortController();
+        this.readmeRequest = controller;
+        panel.dataset.loaded = 'loading';
+        panel.innerHTML = '<p class="project-modal-readme-status">Loading README…</p>';
+
+        try {
+            const readme = await githubAPI.getReadme(data.repo, {
+                priority: RequestPriority.HIGH,
+                signal: controller.signal,
+            });
+            panel.innerHTML = readme
+                ? renderReadme(readme)
+                : '<p class="project-modal-readme-status">This repository has no README.</p>';
+            panel.dataset.loaded = 'true';
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            debug.warn('[ProjectModal] README failed to load:', error);
+            // Left unloaded so selecting the tab again retries.
+            delete panel.dataset.loaded;
+            panel.innerHTML = `<p class="project-modal-readme-status">
+                Couldn't load the README.
+                <a href="${escapeHtml(data.htmlUrl)}#readme" target="_blank" rel="noopener noreferrer">Read it on GitHub</a>
+            </p>`;
+        }
+    }
+
     renderBody(d) {
         const stat = (icon, value, label) =>
             value === null || value === undefined
@@ -218,6 +385,8 @@ export class ProjectModal {
                 </a>`
             : '';
 
+        const overview = this.renderOverview(d, { metrics, highlights, techTags });
+
         return `
             <header class="project-modal-header">
                 <div class="project-modal-badges">
@@ -236,6 +405,40 @@ export class ProjectModal {
                 ${d.pushedRelative ? stat('code-commit', d.pushedRelative, 'Last pushed') : ''}
             </div>
 
+            ${d.repo ? this.renderTabs(overview) : overview}
+
+            <footer class="project-modal-links">
+                <a href="${d.htmlUrl}" target="_blank" rel="noopener noreferrer" class="project-link">
+                    <i class="fab fa-github" aria-hidden="true"></i> View Code
+                </a>
+                ${liveLink}
+            </footer>
+        `;
+    }
+
+    renderTabs(overview) {
+        return `
+            <div class="project-modal-tabs" role="tablist" aria-label="Case study sections">
+                <button type="button" role="tab" class="project-modal-tab" id="project-tab-overview"
+                    data-tab="overview" aria-selected="true" aria-controls="project-panel-overview">
+                    Overview
+                </button>
+                <button type="button" role="tab" class="project-modal-tab" id="project-tab-readme"
+                    data-tab="readme" aria-selected="false" aria-controls="project-panel-readme" tabindex="-1">
+                    <i class="fab fa-markdown" aria-hidden="true"></i> README
+                </button>
+            </div>
+            <div class="project-modal-panel" role="tabpanel" id="project-panel-overview"
+                aria-labelledby="project-tab-overview">
+                ${overview}
+            </div>
+            <div class="project-modal-panel" role="tabpanel" id="project-panel-readme"
+                aria-labelledby="project-tab-readme" tabindex="0" hidden></div>
+        `;
+    }
+
+    renderOverview(d, { metrics, highlights, techTags }) {
+        return `
             ${
                 d.longDescription
                     ? `
@@ -275,13 +478,6 @@ export class ProjectModal {
                 </section>`
                     : ''
             }
-
-            <footer class="project-modal-links">
-                <a href="${d.htmlUrl}" target="_blank" rel="noopener noreferrer" class="project-link">
-                    <i class="fab fa-github" aria-hidden="true"></i> View Code
-                </a>
-                ${liveLink}
-            </footer>
         `;
     }
 }
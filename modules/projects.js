@@ -4,14 +4,14 @@
  */
 
 import { debug } from './debug.js';
-import { githubAPI } from './github-api.js';
+import { githubAPI, RequestPriority } from './github-api.js';
 import { projectModal } from './project-modal.js';
 import { escapeHtml } from './utils/html.js';
 
 // Project display configuration
 const CONFIG = {
     cardAnimationDelay: 100,
-    fallbackDataPath: 'projects-data.json',
+    fallbackDataPath: '/projects-data.json',
 };
 
 const LANGUAGE_COLORS = {
@@ -33,6 +33,11 @@ const LANGUAGE_COLORS = {
     Vue: '#41b883',
 };
 
+// github-api.js endpoint for the repo list loadProjects() falls back to.
+const REPOS_ENDPOINT = /^\/users\/[^/]+\/repos$/;
+// The list revalidates page by page; wait for the rest before re-rendering.
+const REFRESH_DELAY_MS = 200;
+
 export class ProjectsManager {
     constructor() {
         this.projects = [];
@@ -40,6 +45,8 @@ export class ProjectsManager {
         this.container = null;
         this.isLoading = false;
         this.isInitialized = false;
+        this.refreshTimer = null;
+        this.onGitHubDataUpdated = this.onGitHubDataUpdated.bind(this);
     }
 
     async init(containerSelector = '#projects-grid') {
@@ -62,6 +69,9 @@ export class ProjectsManager {
             projectModal.open(trigger.dataset.caseStudy);
         });
 
+        // Re-render when revalidated repo data turns out to have changed.
+        document.addEventListener('githubDataUpdated', this.onGitHubDataUpdated);
+
         // Load projects metadata
         await this.loadProjectsMetadata();
 
@@ -95,7 +105,10 @@ export class ProjectsManager {
         try {
             const cachedData = await githubAPI.loadCachedGitHubData();
             const repos =
-                cachedData?.repositories ?? (await githubAPI.getRepositories('pushed', 100));
+                cachedData?.repositories ??
+                (await githubAPI.getRepositories('pushed', Infinity, {
+                    priority: RequestPriority.HIGH,
+                }));
             for (const repo of repos) {
                 repoMap.set(repo.name, repo);
             }
@@ -220,6 +233,7 @@ export class ProjectsManager {
                 highlights,
                 htmlUrl,
                 homepage,
+                repo: repo?.full_name ?? metadata?.github_repo ?? null,
                 stars: repo?.stargazers_count ?? null,
                 forks: repo?.forks_count ?? null,
                 openIssues: repo?.open_issues_count ?? null,
@@ -335,9 +349,17 @@ export class ProjectsManager {
         await this.loadProjects();
     }
 
+    onGitHubDataUpdated({ detail }) {
+        if (!REPOS_ENDPOINT.test(detail.endpoint)) return;
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_DELAY_MS);
+    }
+
     destroy() {
         this.projects = [];
         this.isInitialized = false;
+        clearTimeout(this.refreshTimer);
+        document.removeEventListener('githubDataUpdated', this.onGitHubDataUpdated);
     }
 }
 
@@ -0,0 +1,281 @@
+/**
+ * Router Module
+ *
+ * History-API routing for the one-page site. Views register path routes
+ * instead of each listening to hashchange:
+ *
+ *   router.on('/blog/:slug', {
+ *       enter: ({ params }) => openPost(params.slug),
+ *       leave: () => closePost(),
+ *   });
+ *   router.navigate('/blog/how-this-site-works');
+ *
+ * One route is active at a time: moving to another calls the old route's
+ * leave() before the new route's enter(). enter() runs again when only the
+ * params or #fragment change, so handlers must be idempotent. Routes
+ * registered after start() are entered at once if they match the current URL.
+ *
+ * Crawlable URLs on GitHub Pages: unknown paths get 404.html, which sends
+ * /blog/* and /projects/* back to `/?route=<path>`; start() puts the real
+ * path back with replaceState. Old hash links (#post/<slug>) are rewritten
+ * through redirect().
+ *
+ * Same-origin `<a href="/…">` clicks on a registered route stay in the page;
+ * bare `#fragment` links are left to NavigationManager. Scroll positions are
+ * saved per history entry and restored on Back/Forward (and, via
+ * restoreScroll(), after a reload); other navigations leave scrolling to the
+ * route, which gets `scroll: false` when it should keep the position.
+ *
+ * Every change dispatches `routechange` on document with the route detail.
+ */
+
+import { debug } from './debug.js';
+
+/** Query parameter 404.html uses to hand a path back to the app. */
+export const REDIRECT_PARAM = 'route';
+
+/**
+ * @typedef {Object} RouteDetail
+ * @property {string} path - location.pathname
+ * @property {string|null} pattern - The matched route's pattern, null if none matched
+ * @property {Object<string, string>} params - Decoded `:name` segments
+ * @property {string} hash - Decoded #fragment, without the `#`
+ * @property {boolean} scroll - false when the route should keep the scroll position
+ */
+
+/**
+ * Compile a pattern like `/blog/:slug` (or `#post/:slug`) into a matcher
+ * @param {string} pattern
+ * @returns {(value: string) => Object<string, string>|null} Params, or null when it doesn't match
+ */
+export function compilePattern(pattern) {
+    const names = [];
+    const source = pattern
+        .replace(/\/$/, '')
+        .split('/')
+        .map(part => {
+            if (!part.startsWith(':')) return part.replaceAll(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            names.push(part.slice(1));
+            return '([^/]+)';
+        })
+        .join('/');
+    const regex = new RegExp(`^${source}/?$`);
+
+    return value => {
+        const match = regex.exec(value);
+        if (!match) return null;
+        try {
+            return Object.fromEntries(
+                names.map((name, i) => [name, decodeURIComponent(match[i + 1])])
+            );
+        } catch {
+            return null; // malformed %-escape
+        }
+    };
+}
+
+function fillPattern(pattern, params) {
+    return pattern.replaceAll(/:(\w+)/g, (_, name) => encodeURIComponent(params[name] ?? ''));
+}
+
+function currentUrl() {
+    const { pathname, search, hash } = globalThis.location;
+    return `${pathname}${search}${hash}`;
+}
+
+export class Router {
+    #routes = [];
+    #redirects = [];
+    #active = null;
+    #current = null;
+    #lastUrl = null;
+    #listeners = null;
+
+    /** @returns {RouteDetail|null} The detail of the last dispatch */
+    get current() {
+        return this.#current;
+    }
+
+    /**
+     * Register a route
+     * @param {string} pattern - Path with `:name` segments, e.g. /projects/:slug
+     * @param {{ enter?: (detail: RouteDetail) => void, leave?: () => void }} handlers
+     * @returns {Router}
+     */
+    on(pattern, { enter, leave } = {}) {
+        const route = { pattern, match: compilePattern(pattern), enter, leave };
+        this.#routes.push(route);
+        if (this.#listeners && !this.#active && route.match(globalThis.location.pathname)) {
+            this.#dispatch({ force: true });
+        }
+        return this;
+    }
+
+    /**
+     * Rewrite an old hash URL to a path, e.g. ('#post/:slug', '/blog/:slug')
+     * @returns {Router}
+     */
+    redirect(hashPattern, toPattern) {
+        this.#redirects.push({ match: compilePattern(hashPattern), to: toPattern });
+        if (this.#listeners && this.#redirectLegacyHash()) this.#dispatch();
+        return this;
+    }
+
+    start() {
+        if (this.#listeners) return;
+        this.#listeners = new AbortController();
+        const { signal } = this.#listeners;
+
+        if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+        this.#restoreRedirectedPath();
+        this.#redirectLegacyHash();
+
+        // Fragment navigations fire both events; #dispatch skips the repeat.
+        globalThis.addEventListener('popstate', () => this.#onHistoryChange(), { signal });
+        globalThis.addEventListener('hashchange', () => this.#onHistoryChange(), { signal });
+        globalThis.addEventListener('pagehide', () => this.#saveScroll(), { signal });
+        document.addEventListener('click', e => this.#onClick(e), { signal });
+
+        this.#dispatch();
+        debug.log('[Router] Started at', currentUrl());
+    }
+
+    /** Stop listening to the browser; the active route stays entered. */
+    stop() {
+        this.#listeners?.abort();
+        this.#listeners = null;
+    }
+
+    /**
+     * Go to a same-origin URL without reloading (other origins load normally)
+     * @param {string} url
+     * @param {{ replace?: boolean, scroll?: boolean }} [options] - replace the
+     *   current entry instead of adding one; scroll: false keeps the position
+     */
+    navigate(url, { replace = false, scroll = true } = {}) {
+        const target = new URL(url, globalThis.location.href);
+        if (target.origin !== globalThis.location.origin) {
+            globalThis.location.assign(target.href);
+            return;
+        }
+
+        const path = `${target.pathname}${target.search}${target.hash}`;
+        if (replace) {
+            history.replaceState(history.state, '', path);
+        } else {
+            this.#saveScroll();
+            history.pushState(null, '', path);
+        }
+        this.#dispatch({ force: path === this.#lastUrl, scroll });
+    }
+
+    /**
+     * Scroll back to where this history entry was left, if it was saved
+     * @returns {boolean} Whether a position was restored
+     */
+    restoreScroll() {
+        const y = history.state?.scrollY;
+        if (typeof y !== 'number') return false;
+        requestAnimationFrame(() => globalThis.scrollTo(0, y));
+        return true;
+    }
+
+    #onHistoryChange() {
+        this.#redirectLegacyHash();
+        // Entries we've been on before get their saved position back.
+        const saved = typeof history.state?.scrollY === 'number';
+        if (this.#dispatch({ scroll: !saved }) && saved) this.restoreScroll();
+    }
+
+    #onClick(e) {
+        if (e.defaultPrevented || e.button !== 0) return;
+        if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest?.('a[href]');
+        if (!link || link.hasAttribute('download')) return;
+        if (link.target && link.target !== '_self') return;
+        if (link.getAttribute('href').startsWith('#')) return;
+
+        const url = new URL(link.href);
+        if (url.origin !== globalThis.location.origin) return;
+        if (!this.#routes.some(route => route.match(url.pathname))) return;
+
+        e.preventDefault();
+        this.navigate(url.href);
+    }
+
+    /** @returns {boolean} Whether anything changed */
+    #dispatch({ force = false, scroll = true } = {}) {
+        const url = currentUrl();
+        if (!force && url === this.#lastUrl) return false;
+        this.#lastUrl = url;
+
+        const { pathname, hash } = globalThis.location;
+        let params = null;
+        const route = this.#routes.find(candidate => (params = candidate.match(pathname))) ?? null;
+
+        if (this.#active && this.#active !== route) {
+            const previous = this.#active;
+            this.#active = null;
+            this.#run(previous, 'leave');
+        }
+
+        this.#active = route;
+        this.#current = {
+            path: pathname,
+            pattern: route?.pattern ?? null,
+            params: params ?? {},
+            hash: decodeHash(hash),
+            scroll,
+        };
+        if (route) this.#run(route, 'enter', this.#current);
+        document.dispatchEvent(new CustomEvent('routechange', { detail: this.#current }));
+        return true;
+    }
+
+    #run(route, hook, detail) {
+        try {
+            route[hook]?.(detail);
+        } catch (err) {
+            debug.error(`[Router] ${route.pattern} ${hook} failed:`, err);
+        }
+    }
+
+    #restoreRedirectedPath() {
+        const path = new URLSearchParams(globalThis.location.search).get(REDIRECT_PARAM);
+        // Only same-origin paths: `//host` would be protocol-relative.
+        if (path?.startsWith('/') && !path.startsWith('//')) {
+            history.replaceState(history.state, '', path);
+        }
+    }
+
+    /** @returns {boolean} Whether the URL was rewritten */
+    #redirectLegacyHash() {
+        const { hash } = globalThis.location;
+        if (!hash) return false;
+        for (const { match, to } of this.#redirects) {
+            const params = match(hash);
+            if (params) {
+                history.replaceState(history.state, '', fillPattern(to, params));
+                return true;
+            }
+        }
+        return false;
+    }
+
+    #saveScroll() {
+        history.replaceState({ ...history.state, scrollY: globalThis.scrollY }, '');
+    }
+}
+
+function decodeHash(hash) {
+    try {
+        return decodeURIComponent(hash.slice(1));
+    } catch {
+        return hash.slice(1);
+    }
+}
+
+export const router = new Router();
+
+export default router;
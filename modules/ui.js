@@ -6,6 +6,11 @@
 import { debug } from './debug.js';
 import { githubAPI } from './github-api.js';
 
+// github-api.js endpoints behind the stats section: the user and their repo list.
+const STATS_ENDPOINT = /^\/users\/[^/]+(?:\/repos)?$/;
+// A repo list revalidates page by page; wait for the rest before re-rendering.
+const STATS_REFRESH_DELAY_MS = 200;
+
 // Language colors for stats display
 const LANGUAGE_COLORS = {
     JavaScript: '#f1e05a',
@@ -31,6 +36,8 @@ export class UIManager {
         this.isInitialized = false;
         this.loadingBar = null;
         this.activeTasks = new Set();
+        this.statsRefreshTimer = null;
+        this.onGitHubDataUpdated = this.onGitHubDataUpdated.bind(this);
     }
 
     init() {
@@ -43,6 +50,7 @@ export class UIManager {
         this.initBackToTop();
         this.initSkillInteractions();
         this.initParallax();
+        document.addEventListener('githubDataUpdated', this.onGitHubDataUpdated);
 
         this.isInitialized = true;
         debug.log('[UI] UI manager initialized');
@@ -326,7 +334,7 @@ export class UIManager {
         try {
             const [userData, repos] = await Promise.all([
                 githubAPI.getUserData(),
-                githubAPI.getRepositories('updated', 100),
+                githubAPI.getRepositories('updated'),
             ]);
 
             const totalStars = repos.reduce((sum, repo) => sum + repo.stargazers_count, 0);
@@ -384,6 +392,14 @@ export class UIManager {
         }
     }
 
+    // Stale-while-revalidate: cached GitHub data renders first, and github-api.js
+    // reports when the background refetch turned up something newer.
+    onGitHubDataUpdated({ detail }) {
+        if (!STATS_ENDPOINT.test(detail.endpoint)) return;
+        clearTimeout(this.statsRefreshTimer);
+        this.statsRefreshTimer = setTimeout(() => this.loadGitHubStats(), STATS_REFRESH_DELAY_MS);
+    }
+
     async loadLanguageStats(repos, container) {
         if (!container) {
             container = document.getElementById('main-language-stats');
@@ -498,7 +514,7 @@ export class UIManager {
 
     async loadSkillsMatrix() {
         try {
-            const response = await fetch('projects-data.json');
+            const response = await fetch('/projects-data.json');
             const projectsData = await response.json();
 
             if (!projectsData.skills) return;
@@ -552,6 +568,8 @@ export class UIManager {
     destroy() {
         this.isInitialized = false;
         this.activeTasks.clear();
+        clearTimeout(this.statsRefreshTimer);
+        document.removeEventListener('githubDataUpdated', this.onGitHubDataUpdated);
     }
 }
 
@@ -0,0 +1,69 @@
+/**
+ * Turns the `<pre><code>` blocks of rendered markdown into highlighted code
+ * with an optional filename caption, line numbers and a copy button.
+ *
+ * The fence's info string drives it (renderMarkdown keeps everything after the
+ * language in `data-meta`):
+ *
+ *   ```js title="router.js" {3,7-9} showLineNumbers
+ *
+ * Loaded on demand by BlogManager, only for posts that have code.
+ */
+
+import { debug } from '../debug.js';
+import { escapeHtml } from './html.js';
+import { highlightCode, parseCodeMeta } from './highlight.js';
+
+const COPIED_RESET_MS = 2000;
+
+/** Pending "Copied" → "Copy" resets, per button. */
+const resetTimers = new WeakMap();
+
+/**
+ * Enhance every code block under `root` (blocks already done are skipped)
+ * @param {ParentNode} root
+ */
+export function enhanceCodeBlocks(root) {
+    for (const code of root.querySelectorAll('pre > code')) {
+        const pre = code.parentElement;
+        if (pre.parentElement?.classList.contains('code-block')) continue;
+
+        const lang = /\blanguage-(\S+)/.exec(code.className)?.[1] ?? '';
+        const { title, highlight, lineNumbers } = parseCodeMeta(code.dataset.meta);
+        const source = code.textContent;
+
+        code.innerHTML = highlightCode(source, lang, { highlight });
+        pre.classList.toggle('has-line-numbers', lineNumbers);
+
+        const figure = document.createElement('figure');
+        figure.className = 'code-block';
+        if (lang) figure.dataset.lang = lang;
+        figure.innerHTML = `
+            ${title ? `<figcaption class="code-block-title">${escapeHtml(title)}</figcaption>` : ''}
+            <button type="button" class="code-copy-button">
+                <i class="fas fa-copy" aria-hidden="true"></i> <span aria-live="polite">Copy</span>
+            </button>`;
+        const button = figure.querySelector('.code-copy-button');
+        pre.replaceWith(figure);
+        button.before(pre);
+        button.addEventListener('click', () => copyCode(button, source));
+    }
+}
+
+async function copyCode(button, source) {
+    const label = button.querySelector('span');
+    try {
+        await navigator.clipboard.writeText(source.replace(/\n$/, ''));
+        label.textContent = 'Copied';
+    } catch (err) {
+        debug.warn('[CodeBlocks] Copy failed:', err);
+        label.textContent = 'Copy failed';
+    }
+    clearTimeout(resetTimers.get(button));
+    resetTimers.set(
+        button,
+        setTimeout(() => {
+            label.textContent = 'Copy';
+        }, COPIED_RESET_MS)
+    );
+}
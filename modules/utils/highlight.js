@@ -0,0 +1,279 @@
+/**
+ * Small syntax highlighter for the code blocks in blog posts.
+ *
+ * Each language is a list of sticky-regex rules tried in order at every
+ * position; the first match becomes a token, anything no rule matches stays
+ * plain text. That is far from a parser (no nesting, template literals are one
+ * string), but it gets comments, strings, keywords, numbers and calls right
+ * for the JS/TS, Swift, Rust, CSS, shell and JSON the posts show.
+ *
+ * Tokens come out as `<span class="tok-TYPE">`, one `<span class="code-line">`
+ * per line so line numbers and highlighted ranges are plain CSS. Colors are
+ * custom properties in styles.css, switched with the theme.
+ *
+ * Plain module with no DOM use, like ./markdown.js.
+ */
+
+import { escapeHtml } from './html.js';
+
+/**
+ * A token type, or a function picking one from the match (null = plain text)
+ * @typedef {string|((text: string, source: string, end: number) => string|null)} TokenType
+ * @typedef {[TokenType, RegExp]} Rule - The RegExp must be sticky (`y`)
+ */
+
+const LINE_COMMENT = /\/\/.*/y;
+const BLOCK_COMMENT = /\/\*[\s\S]*?(?:\*\/|$)/y;
+const DOUBLE_QUOTED = /"(?:\\.|[^\\"\n])*"?/y;
+const SINGLE_QUOTED = /'(?:\\.|[^\\'\n])*'?/y;
+const NUMBER = /\b(?:0[xob][\da-f_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:e[+-]?\d+)?)[a-z\d]*\b/iy;
+
+/** Words that are keywords, literals, calls (`name(`) or types (`Name`). */
+function words({ keywords, literals = '' }) {
+    const keywordSet = new Set(keywords.split(/\s+/));
+    const literalSet = new Set(literals.split(/\s+/));
+    return (word, source, end) => {
+        if (keywordSet.has(word)) return 'keyword';
+        if (literalSet.has(word)) return 'literal';
+        if (/^\s*\(/.test(source.slice(end, end + 20))) return 'function';
+        if (/^[A-Z]/.test(word)) return 'type';
+        return null;
+    };
+}
+
+const JS_RULES = [
+    ['comment', LINE_COMMENT],
+    ['comment', BLOCK_COMMENT],
+    ['string', /`(?:\\[\s\S]|[^\\`])*`?/y],
+    ['string', DOUBLE_QUOTED],
+    ['string', SINGLE_QUOTED],
+    // A slash where a value is expected starts a regex, not a division.
+    [
+        'regex',
+        /(?<=(?:^|[(,=:[!&|?{};])\s*)\/(?:\\.|\[(?:\\.|[^\]\n])*\]|[^/\\\n])+\/[dgimsuvy]*/my,
+    ],
+    ['number', NUMBER],
+    [
+        words({
+            keywords: `abstract as async await break case catch class const continue debugger declare
+                default delete do else enum export extends finally for from function get if
+                implements import in instanceof interface keyof let namespace new of private
+                protected public readonly return satisfies set static super switch this throw
+                try type typeof var void while with yield`,
+            literals: 'true false null undefined NaN Infinity',
+        }),
+        /[A-Za-z_$][\w$]*/y,
+    ],
+];
+
+const SWIFT_RULES = [
+    ['comment', LINE_COMMENT],
+    ['comment', BLOCK_COMMENT],
+    ['string', /"""[\s\S]*?(?:"""|$)/y],
+    ['string', DOUBLE_QUOTED],
+    ['meta', /[@#][A-Za-z_]\w*/y],
+    ['number', NUMBER],
+    [
+        words({
+            keywords: `actor any as associatedtype async await break case catch class continue default
+                defer deinit do else enum extension fallthrough fileprivate final for func guard
+                if import in init inout internal is lazy let mutating open operator override
+                private protocol public repeat rethrows return self Self some static struct
+                subscript super switch throw throws try typealias var weak where while`,
+            literals: 'true false nil',
+        }),
+        /[A-Za-z_]\w*/y,
+    ],
+];
+
+const RUST_RULES = [
+    ['comment', LINE_COMMENT],
+    ['comment', BLOCK_COMMENT],
+    ['meta', /#!?\[[^\]\n]*\]?/y],
+    ['string', /b?r(#*)"[\s\S]*?(?:"\1|$)/y],
+    ['string', /b?"(?:\\[\s\S]|[^\\"])*"?/y],
+    ['string', /b?'(?:\\.|[^\\'\n])'/y],
+    ['type', /'[A-Za-z_]\w*/y], // lifetime
+    ['function', /[A-Za-z_]\w*!/y], // macro
+    ['number', NUMBER],
+    [
+        words({
+            keywords: `as async await break const continue crate dyn else enum extern fn for if impl in
+                let loop match mod move mut pub ref return self Self static struct super trait
+                type unsafe use where while`,
+            literals: 'true false None Some Ok Err',
+        }),
+        /[A-Za-z_]\w*/y,
+    ],
+];
+
+const CSS_RULES = [
+    ['comment', BLOCK_COMMENT],
+    ['string', DOUBLE_QUOTED],
+    ['string', SINGLE_QUOTED],
+    ['keyword', /@[\w-]+|!important/y],
+    // Declarations follow `{`, `;` or `(` or start an indented line, and no
+    // `{` comes after them on the line (that would be a selector like a:hover).
+    ['property', /(?<=[{;(]\s*|^[ \t]+)-{0,2}[A-Za-z][\w-]*(?=\s*:(?![^;{}()\n]*\{))/my],
+    ['function', /[A-Za-z][\w-]*(?=\()/y],
+    ['number', /#[\da-f]{3,8}\b/iy],
+    ['number', /(?<![\w-])-?(?:\d+\.?\d*|\.\d+)(?:%|[a-z]+)?/iy],
+    [null, /[A-Za-z_][\w-]*/y],
+];
+
+const SHELL_KEYWORDS = new Set(
+    `case do done elif else esac export fi for function if in local return then until
+    while`.split(/\s+/)
+);
+
+const SHELL_RULES = [
+    ['comment', /(?<=^|\s)#.*/my],
+    ['string', /"(?:\\[\s\S]|[^\\"])*"?/y],
+    ['string', /'[^']*'?/y],
+    ['variable', /\$(?:\{[^}\n]*\}?|[A-Za-z_]\w*|[@*#?$!\d])/y],
+    ['meta', /^[ \t]*\$(?= )/my], // prompt
+    // The first word of a command, after an optional prompt or a | ; && ||.
+    [
+        word => (SHELL_KEYWORDS.has(word) ? 'keyword' : 'function'),
+        /(?<=^[ \t]*(?:\$ )?|[|;&(][ \t]*)[\w./-]+/my,
+    ],
+    ['attr', /(?<=\s)--?[A-Za-z][\w-]*/y],
+    [word => (SHELL_KEYWORDS.has(word) ? 'keyword' : null), /[\w./-]+/y],
+];
+
+const JSON_RULES = [
+    ['comment', LINE_COMMENT],
+    ['comment', BLOCK_COMMENT],
+    ['property', /"(?:\\.|[^\\"\n])*"(?=\s*:)/y],
+    ['string', DOUBLE_QUOTED],
+    ['number', /-?\d+(?:\.\d+)?(?:e[+-]?\d+)?/iy],
+    ['literal', /\b(?:true|false|null)\b/y],
+];
+
+const LANGUAGES = {
+    js: JS_RULES,
+    swift: SWIFT_RULES,
+    rust: RUST_RULES,
+    css: CSS_RULES,
+    shell: SHELL_RULES,
+    json: JSON_RULES,
+};
+
+const ALIASES = {
+    javascript: 'js',
+    mjs: 'js',
+    cjs: 'js',
+    jsx: 'js',
+    ts: 'js',
+    typescript: 'js',
+    tsx: 'js',
+    rs: 'rust',
+    sh: 'shell',
+    bash: 'shell',
+    zsh: 'shell',
+    console: 'shell',
+    jsonc: 'json',
+    json5: 'json',
+};
+
+/**
+ * The highlighter's name for a fence language, or null if it has none
+ * @param {string} [lang] - e.g. `ts`, `bash`
+ * @returns {string|null}
+ */
+export function resolveLanguage(lang) {
+    const name = String(lang ?? '').toLowerCase();
+    if (LANGUAGES[name]) return name;
+    return ALIASES[name] ?? null;
+}
+
+/**
+ * Split code into tokens
+ * @param {string} code
+ * @param {string} lang - Any name resolveLanguage() knows; others give one plain token
+ * @returns {Array<{ type: string|null, text: string }>}
+ */
+export function tokenize(code, lang) {
+    const rules = LANGUAGES[resolveLanguage(lang)];
+    if (!rules) return code ? [{ type: null, text: code }] : [];
+
+    const tokens = [];
+    let plain = '';
+    let pos = 0;
+    while (pos < code.length) {
+        const token = matchRule(rules, code, pos);
+        if (!token) {
+            plain += code[pos++];
+            continue;
+        }
+        if (plain) tokens.push({ type: null, text: plain });
+        plain = '';
+        tokens.push(token);
+        pos += token.text.length;
+    }
+    if (plain) tokens.push({ type: null, text: plain });
+    return tokens;
+}
+
+function matchRule(rules, code, pos) {
+    for (const [type, pattern] of rules) {
+        pattern.lastIndex = pos;
+        const match = pattern.exec(code);
+        if (!match?.[0]) continue;
+        const [text] = match;
+        return {
+            type: typeof type === 'function' ? type(text, code, pos + text.length) : type,
+            text,
+        };
+    }
+    return null;
+}
+
+/**
+ * Read a fence's meta string, e.g. `title="server.js" {2,5-7} showLineNumbers`
+ * @param {string} [meta]
+ * @returns {{ title: string|null, highlight: Set<number>, lineNumbers: boolean }}
+ */
+export function parseCodeMeta(meta = '') {
+    const title = /\btitle=(?:"([^"]*)"|'([^']*)'|(\S+))/.exec(meta);
+    const highlight = new Set();
+    for (const [, ranges] of meta.matchAll(/\{([\d,\s-]+)\}/g)) {
+        for (const range of ranges.split(',')) {
+            const [from, to = from] = range.split('-').map(n => Number.parseInt(n, 10));
+            if (!(from > 0) || !(to >= from)) continue;
+            for (let line = from; line <= to; line++) highlight.add(line);
+        }
+    }
+    return {
+        title: title ? (title[1] ?? title[2] ?? title[3]) : null,
+        highlight,
+        lineNumbers: /\bshowLineNumbers\b/.test(meta),
+    };
+}
+
+/**
+ * Highlight code into one `<span class="code-line">` per line
+ * @param {string} code - Raw code (not HTML)
+ * @param {string} lang
+ * @param {Object} [options]
+ * @param {Set<number>} [options.highlight] - 1-based lines to mark with `code-line-highlight`
+ * @returns {string} Escaped HTML, lines joined by newlines
+ */
+export function highlightCode(code, lang, { highlight = new Set() } = {}) {
+    const lines = [[]];
+    for (const { type, text } of tokenize(code.replace(/\n$/, ''), lang)) {
+        // Comments and strings can span lines; each line gets its own span.
+        text.split('\n').forEach((part, i) => {
+            if (i > 0) lines.push([]);
+            if (!part) return;
+            const html = escapeHtml(part);
+            lines.at(-1).push(type ? `<span class="tok-${type}">${html}</span>` : html);
+        });
+    }
+    return lines
+        .map((parts, i) => {
+            const className = highlight.has(i + 1) ? 'code-line code-line-highlight' : 'code-line';
+            return `<span class="${className}">${parts.join('')}</span>`;
+        })
+        .join('\n');
+}
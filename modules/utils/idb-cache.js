@@ -0,0 +1,132 @@
+/**
+ * IndexedDB-backed response cache with a size quota.
+ *
+ * Entries are plain objects keyed by `key`; the cache adds `size` (length of
+ * the JSON-serialised `data`) and `lastAccess`. After every write the least
+ * recently used entries are evicted until the store is back under both
+ * `maxBytes` and `maxEntries`.
+ *
+ * Every method resolves rather than rejects — null/false when IndexedDB is
+ * missing (private modes, old browsers, jsdom) or fails — so a broken cache
+ * only ever costs a network request.
+ */
+
+import { debug } from '../debug.js';
+
+const STORE = 'entries';
+const DB_VERSION = 1;
+
+/**
+ * Pick the entries to delete so the rest fit the quota, oldest access first
+ * @param {Array<{key: string, size: number, lastAccess: number}>} entries
+ * @param {{maxBytes: number, maxEntries: number}} quota
+ * @returns {string[]} Keys to evict
+ */
+export function selectEvictions(entries, { maxBytes, maxEntries }) {
+    let bytes = entries.reduce((sum, entry) => sum + (entry.size ?? 0), 0);
+    let count = entries.length;
+    const evict = [];
+    for (const entry of entries.toSorted((a, b) => a.lastAccess - b.lastAccess)) {
+        if (bytes <= maxBytes && count <= maxEntries) break;
+        evict.push(entry.key);
+        bytes -= entry.size ?? 0;
+        count -= 1;
+    }
+    return evict;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class IDBCache {
+    #db = null;
+
+    /**
+     * @param {Object} options
+     * @param {string} options.name - IndexedDB database name
+     * @param {number} [options.maxBytes] - Quota for the summed entry sizes
+     * @param {number} [options.maxEntries]
+     */
+    constructor({ name, maxBytes = 2 * 1024 * 1024, maxEntries = 200 }) {
+        this.name = name;
+        this.maxBytes = maxBytes;
+        this.maxEntries = maxEntries;
+    }
+
+    /** @returns {Promise<Object|null>} The entry, with its access time refreshed */
+    async get(key) {
+        return this.#run('readwrite', async store => {
+            const entry = await promisify(store.get(key));
+            if (!entry) return null;
+            store.put({ ...entry, lastAccess: Date.now() });
+            return entry;
+        });
+    }
+
+    /** @returns {Promise<boolean>} Whether the entry was stored */
+    async set(entry) {
+        const size = JSON.stringify(entry.data ?? null).length;
+        if (size > this.maxBytes) return false;
+
+        const stored = await this.#run('readwrite', async store => {
+            await promisify(store.put({ ...entry, size, lastAccess: Date.now() }));
+            return true;
+        });
+        if (stored) await this.#evict();
+        return Boolean(stored);
+    }
+
+    async delete(key) {
+        return Boolean(await this.#run('readwrite', store => promisify(store.delete(key))));
+    }
+
+    async clear() {
+        return Boolean(await this.#run('readwrite', store => promisify(store.clear())));
+    }
+
+    /** @returns {Promise<Array<Object>>} Every entry (empty when unavailable) */
+    async entries() {
+        return (await this.#run('readonly', store => promisify(store.getAll()))) ?? [];
+    }
+
+    async #evict() {
+        const evict = selectEvictions(await this.entries(), this);
+        if (!evict.length) return;
+        await this.#run('readwrite', store =>
+            Promise.all(evict.map(key => promisify(store.delete(key))))
+        );
+        debug.log('[IDBCache] Evicted', evict.length, 'entries from', this.name);
+    }
+
+    async #run(mode, operation) {
+        try {
+            const db = await this.#open();
+            if (!db) return null;
+            return await operation(db.transaction(STORE, mode).objectStore(STORE));
+        } catch (err) {
+            debug.warn('[IDBCache] Operation failed:', err);
+            return null;
+        }
+    }
+
+    #open() {
+        if (!globalThis.indexedDB) return Promise.resolve(null);
+
+        this.#db ??= new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(err => {
+            debug.warn('[IDBCache] Unavailable:', err);
+            return null;
+        });
+        return this.#db;
+    }
+}
@@ -0,0 +1,525 @@
+/**
+ * Markdown → HTML, for READMEs and blog posts.
+ *
+ * Covers the CommonMark/GFM subset those actually use: ATX and setext
+ * headings, paragraphs, emphasis, strikethrough, code spans, fenced and
+ * indented code, block quotes, nested and task lists, tables, rules, inline
+ * and reference links and images, autolinks, hard line breaks and footnotes.
+ *
+ * Headings get GitHub-style slug ids (with `idPrefix`, so a README rendered
+ * inside the page can't collide with the page's own ids), optionally a `#`
+ * link to themselves, and are returned so callers can build a table of
+ * contents. Footnotes are numbered in order of first reference and listed in a
+ * closing `<section class="footnotes">` with links back. Fenced code keeps its
+ * info string: the language as `class="language-x"` and anything after it as
+ * `data-meta`.
+ *
+ * Raw HTML is escaped unless `allowHtml` is set; in that case the output MUST
+ * go through sanitizeHtml() (./sanitize.js) before it touches the DOM. Link
+ * and image URLs with a scheme other than http(s) or mailto are dropped either way.
+ *
+ * Plain module with no DOM use, so the posts build script can share it.
+ */
+
+import { escapeHtml } from './html.js';
+
+const FENCE = /^( {0,3})(`{3,}|~{3,})\s*([^`]*)$/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const BLOCKQUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])([ \t]+|$)(.*)$/;
+const INDENTED_CODE = /^(?: {4}|\t)/;
+const HTML_BLOCK = /^ {0,3}<(?:\/?[a-zA-Z][\w-]*(?:[\s/>]|$)|!--)/;
+const TABLE_DELIMITER = /^ *\|?(?: *:?-+:? *\|)* *:?-+:? *\|? *$/;
+const SETEXT_H1 = /^ {0,3}=+[ \t]*$/;
+const SETEXT_H2 = /^ {0,3}-+[ \t]*$/;
+const REFERENCE_DEF =
+    /^ {0,3}\[([^\]]+)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+["'(]([^"')]*)["')])?[ \t]*$/;
+const TASK = /^\[([ xX])\][ \t]+/;
+const FOOTNOTE_DEF = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]?(.*)$/;
+
+const SAFE_SCHEME = /^(?:https?|mailto):/i;
+const HAS_SCHEME = /^[a-z][a-z\d+.-]*:/i;
+
+// Placeholders for already-rendered inline HTML: \u0000<index>\u0000.
+const TOKEN = /\0(\d+)\0/g;
+
+/**
+ * GitHub-style heading slug: lowercase, punctuation dropped, spaces → hyphens
+ * @param {string} text
+ * @returns {string}
+ */
+export function slugify(text) {
+    return text
+        .trim()
+        .toLowerCase()
+        .replaceAll(/[^\p{L}\p{N}\s_-]/gu, '')
+        .replaceAll(/\s/g, '-');
+}
+
+/** Keep http(s), mailto, relative and fragment URLs; anything else becomes null. */
+export function safeUrl(url) {
+    const value = String(url ?? '').trim();
+    if (!value) return null;
+    // Browsers ignore tabs and newlines inside a URL, so `java\tscript:` still runs.
+    const compact = value.replaceAll(/[\p{Cc} ]/gu, '');
+    if (HAS_SCHEME.test(compact) && !SAFE_SCHEME.test(compact)) return null;
+    return value;
+}
+
+/**
+ * Render markdown to HTML
+ * @param {string} source
+ * @param {Object} [options]
+ * @param {boolean} [options.allowHtml] - Pass raw HTML through (sanitize the result!)
+ * @param {string} [options.idPrefix] - Prepended to every heading and footnote id
+ * @param {boolean} [options.headingAnchors] - Append a `#` self-link to each heading
+ * @returns {{html: string, headings: Array<{level: number, id: string, text: string}>}}
+ */
+export function renderMarkdown(
+    source,
+    { allowHtml = false, idPrefix = '', headingAnchors = false } = {}
+) {
+    const { lines, footnotes } = collectFootnotes(
+        String(source ?? '')
+            .replaceAll(/\r\n?/g, '\n')
+            .split('\n')
+    );
+    const ctx = {
+        allowHtml,
+        idPrefix,
+        headingAnchors,
+        references: collectReferences(lines),
+        footnotes,
+        footnoteOrder: [],
+        footnoteRefs: new Map(),
+        headings: [],
+        usedIds: new Map(),
+    };
+    const html = renderBlocks(lines, ctx);
+    const notes = renderFootnotes(ctx);
+    return { html: notes ? `${html}\n${notes}` : html, headings: ctx.headings };
+}
+
+/** Split `[^label]: …` definitions (and their indented continuation) out of the body. */
+function collectFootnotes(source) {
+    const lines = [];
+    const footnotes = new Map();
+    let inFence = false;
+    for (let i = 0; i < source.length; i++) {
+        if (FENCE.test(source[i])) inFence = !inFence;
+        const match = !inFence && FOOTNOTE_DEF.exec(source[i]);
+        if (!match) {
+            lines.push(source[i]);
+            continue;
+        }
+
+        const body = [match[2]];
+        while (i + 1 < source.length) {
+            const next = source[i + 1];
+            const continues =
+                INDENTED_CODE.test(next) ||
+                (!next.trim() && INDENTED_CODE.test(source[i + 2] ?? ''));
+            if (!continues) break;
+            body.push(next.replace(INDENTED_CODE, ''));
+            i++;
+        }
+        const label = match[1].toLowerCase();
+        if (!footnotes.has(label)) footnotes.set(label, body);
+    }
+    return { lines, footnotes };
+}
+
+function collectReferences(lines) {
+    const references = new Map();
+    let inFence = false;
+    for (const line of lines) {
+        if (FENCE.test(line)) inFence = !inFence;
+        const match = !inFence && REFERENCE_DEF.exec(line);
+        if (match) {
+            const label = match[1].trim().toLowerCase();
+            if (!references.has(label)) {
+                references.set(label, { href: match[2], title: match[3] ?? null });
+            }
+        }
+    }
+    return references;
+}
+
+// ---------------------------------------------------------------------------
+// Blocks
+// ---------------------------------------------------------------------------
+
+function renderBlocks(lines, ctx, { tight = false } = {}) {
+    const out = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim() || REFERENCE_DEF.test(line)) {
+            i++;
+            continue;
+        }
+
+        const fence = FENCE.exec(line);
+        if (fence) {
+            i = renderFence(lines, i, fence, out);
+            continue;
+        }
+
+        const heading = ATX_HEADING.exec(line);
+        if (heading) {
+            out.push(renderHeading(heading[1].length, heading[2] ?? '', ctx));
+            i++;
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            out.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (BLOCKQUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && BLOCKQUOTE.test(lines[i])) {
+                quoted.push(lines[i].replace(BLOCKQUOTE, ''));
+                i++;
+            }
+            out.push(`<blockquote>\n${renderBlocks(quoted, ctx)}\n</blockquote>`);
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            i = renderList(lines, i, ctx, out);
+            continue;
+        }
+
+        if (INDENTED_CODE.test(line)) {
+            const code = [];
+            while (i < lines.length && (INDENTED_CODE.test(lines[i]) || !lines[i].trim())) {
+                code.push(lines[i].replace(INDENTED_CODE, ''));
+                i++;
+            }
+            while (code.length && !code.at(-1).trim()) code.pop();
+            out.push(`<pre><code>${escapeHtml(code.join('\n'))}\n</code></pre>`);
+            continue;
+        }
+
+        if (ctx.allowHtml && HTML_BLOCK.test(line)) {
+            const html = [];
+            while (i < lines.length && lines[i].trim()) html.push(lines[i++]);
+            out.push(html.join('\n'));
+            continue;
+        }
+
+        if (line.includes('|') && TABLE_DELIMITER.test(lines[i + 1] ?? '')) {
+            i = renderTable(lines, i, ctx, out);
+            continue;
+        }
+
+        // Paragraph, possibly a setext heading.
+        const para = [line];
+        i++;
+        while (i < lines.length && lines[i].trim() && !startsBlock(lines[i], ctx)) {
+            if (SETEXT_H1.test(lines[i]) || SETEXT_H2.test(lines[i])) break;
+            para.push(lines[i]);
+            i++;
+        }
+        const setext = lines[i] ?? '';
+        if (SETEXT_H1.test(setext) || (SETEXT_H2.test(setext) && setext.trim())) {
+            out.push(renderHeading(SETEXT_H1.test(setext) ? 1 : 2, para.join(' '), ctx));
+            i++;
+            continue;
+        }
+        const text = renderInline(para.map(l => l.replace(/^[ \t]+/, '')).join('\n'), ctx);
+        out.push(tight ? text : `<p>${text}</p>`);
+    }
+
+    return out.join('\n');
+}
+
+/** Lines that interrupt a paragraph. */
+function startsBlock(line, ctx) {
+    return (
+        FENCE.test(line) ||
+        ATX_HEADING.test(line) ||
+        BLOCKQUOTE.test(line) ||
+        (RULE.test(line) && !SETEXT_H2.test(line)) ||
+        /^ {0,3}(?:[-*+]|1[.)])[ \t]+\S/.test(line) ||
+        (ctx.allowHtml && HTML_BLOCK.test(line))
+    );
+}
+
+function renderFence(lines, start, [, indent, marker, info], out) {
+    const code = [];
+    let i = start + 1;
+    while (i < lines.length) {
+        const close = lines[i].trim();
+        if (close.startsWith(marker[0].repeat(marker.length)) && /^([`~])\1*$/.test(close)) {
+            i++;
+            break;
+        }
+        // Content is de-indented by the fence's own indentation.
+        code.push(lines[i].replace(new RegExp(`^ {0,${indent.length}}`), ''));
+        i++;
+    }
+
+    const [lang, ...meta] = info.trim().split(/\s+/).filter(Boolean);
+    const attrs = [
+        lang ? ` class="language-${escapeHtml(lang.toLowerCase())}"` : '',
+        meta.length ? ` data-meta="${escapeHtml(meta.join(' '))}"` : '',
+    ];
+    const body = code.length ? `${escapeHtml(code.join('\n'))}\n` : '';
+    out.push(`<pre><code${attrs.join('')}>${body}</code></pre>`);
+    return i;
+}
+
+function renderHeading(level, raw, ctx) {
+    const html = renderInline(raw.trim(), ctx);
+    const text = plainText(html);
+    const base = `${ctx.idPrefix}${slugify(text)}` || `${ctx.idPrefix}section`;
+    const seen = ctx.usedIds.get(base) ?? 0;
+    ctx.usedIds.set(base, seen + 1);
+    const id = seen ? `${base}-${seen}` : base;
+
+    ctx.headings.push({ level, id, text });
+    const link = ctx.headingAnchors
+        ? ` <a class="heading-anchor" href="#${escapeHtml(id)}" aria-label="Link to this section">#</a>`
+        : '';
+    return `<h${level} id="${escapeHtml(id)}">${html}${link}</h${level}>`;
+}
+
+function renderList(lines, start, ctx, out) {
+    const first = LIST_ITEM.exec(lines[start]);
+    const ordered = /\d/.test(first[2]);
+    const delimiter = first[2].at(-1);
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+        const match = LIST_ITEM.exec(lines[i]);
+        if (!match || /\d/.test(match[2]) !== ordered || match[2].at(-1) !== delimiter) break;
+
+        const contentIndent = match[1].length + match[2].length + Math.max(match[3].length, 1);
+        const body = [match[4]];
+        i++;
+
+        let sawBlank = false;
+        while (i < lines.length) {
+            const next = lines[i];
+            if (!next.trim()) {
+                sawBlank = true;
+                body.push('');
+                i++;
+                continue;
+            }
+            const indent = next.length - next.trimStart().length;
+            if (indent >= contentIndent) {
+                if (sawBlank) loose = true;
+                body.push(next.slice(contentIndent));
+            } else if (!sawBlank && !LIST_ITEM.test(next) && !startsBlock(next, ctx)) {
+                body.push(next.trimStart()); // lazy continuation
+            } else {
+                break;
+            }
+            sawBlank = false;
+            i++;
+        }
+
+        // A blank line between items makes the whole list loose.
+        while (body.length && !body.at(-1).trim()) {
+            body.pop();
+            if (i < lines.length && LIST_ITEM.test(lines[i])) loose = true;
+        }
+        items.push(body);
+    }
+
+    const html = items.map(body => {
+        const task = TASK.exec(body[0]);
+        if (task) body[0] = body[0].slice(task[0].length);
+        const content = renderBlocks(body, ctx, { tight: !loose });
+        if (!task) return `<li>${content}</li>`;
+        const checked = task[1] === ' ' ? '' : ' checked';
+        return `<li class="task-list-item"><input type="checkbox" disabled${checked}> ${content}</li>`;
+    });
+
+    const startNumber = ordered ? Number.parseInt(first[2], 10) : 1;
+    const tag = ordered ? 'ol' : 'ul';
+    const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+    out.push(`<${tag}${startAttr}>\n${html.join('\n')}\n</${tag}>`);
+    return i;
+}
+
+function splitRow(line) {
+    const cells = line
+        .trim()
+        .replace(/^\|/, '')
+        .replace(/(?<!\\)\|$/, '')
+        .split(/(?<!\\)\|/);
+    return cells.map(cell => cell.trim().replaceAll('\\|', '|'));
+}
+
+function renderTable(lines, start, ctx, out) {
+    const header = splitRow(lines[start]);
+    const aligns = splitRow(lines[start + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return null;
+    });
+    const cell = (tag, text, index) => {
+        const align = aligns[index] ? ` align="${aligns[index]}"` : '';
+        return `<${tag}${align}>${renderInline(text ?? '', ctx)}</${tag}>`;
+    };
+
+    let i = start + 2;
+    const rows = [];
+    while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        const cells = splitRow(lines[i]);
+        rows.push(`<tr>${header.map((_, index) => cell('td', cells[index], index)).join('')}</tr>`);
+        i++;
+    }
+
+    const head = `<tr>${header.map((text, index) => cell('th', text, index)).join('')}</tr>`;
+    const body = rows.length ? `<tbody>\n${rows.join('\n')}\n</tbody>\n` : '';
+    out.push(`<table>\n<thead>\n${head}\n</thead>\n${body}</table>`);
+    return i;
+}
+
+function renderFootnotes(ctx) {
+    const items = [];
+    // Rendering a note can reference notes not seen yet, so the order may grow.
+    for (let index = 0; index < ctx.footnoteOrder.length; index++) {
+        const label = ctx.footnoteOrder[index];
+        const n = index + 1;
+        const content = renderBlocks(ctx.footnotes.get(label), ctx);
+        const backrefs = Array.from(
+            { length: ctx.footnoteRefs.get(label) },
+            (_, k) =>
+                `<a href="#${ctx.idPrefix}${footnoteRefId(n, k + 1)}" class="footnote-backref" aria-label="Back to reference ${n}">↩</a>`
+        ).join(' ');
+        const body = content.endsWith('</p>')
+            ? `${content.slice(0, -'</p>'.length)} ${backrefs}</p>`
+            : `${content}\n${backrefs}`;
+        items.push(`<li id="${escapeHtml(ctx.idPrefix)}fn-${n}">\n${body}\n</li>`);
+    }
+    return items.length
+        ? `<section class="footnotes">\n<ol>\n${items.join('\n')}\n</ol>\n</section>`
+        : '';
+}
+
+function footnoteRefId(n, occurrence) {
+    return occurrence > 1 ? `fnref-${n}-${occurrence}` : `fnref-${n}`;
+}
+
+/** The superscript link for a `[^label]` reference, or null if it has no definition. */
+function footnoteRef(label, ctx) {
+    const key = label.toLowerCase();
+    if (!ctx.footnotes.has(key)) return null;
+    if (!ctx.footnoteRefs.has(key)) ctx.footnoteOrder.push(key);
+    const occurrence = (ctx.footnoteRefs.get(key) ?? 0) + 1;
+    ctx.footnoteRefs.set(key, occurrence);
+
+    const n = ctx.footnoteOrder.indexOf(key) + 1;
+    const prefix = escapeHtml(ctx.idPrefix);
+    return `<sup><a href="#${prefix}fn-${n}" id="${prefix}${footnoteRefId(n, occurrence)}" class="footnote-ref">${n}</a></sup>`;
+}
+
+// ---------------------------------------------------------------------------
+// Inline
+// ---------------------------------------------------------------------------
+
+const BACKSLASH_ESCAPE = /\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g;
+const CODE_SPAN = /(`+)(?!`)([\s\S]*?[^`])\1(?!`)/g;
+const AUTOLINK = /<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi;
+const INLINE_HTML = /<\/?[a-zA-Z][\w-]*(?:\s+[^<>]*?)?\s*\/?>|<!--[\s\S]*?-->/g;
+const LINK_TEXT = String.raw`\[((?:[^[\]]|\[[^\]]*\])*)\]`;
+const LINK_DEST = String.raw`\(\s*<?([^\s<>()]*(?:\([^\s()]*\)[^\s<>()]*)*)>?(?:\s+(?:"([^"]*)"|'([^']*)'))?\s*\)`;
+const IMAGE = new RegExp(`!${LINK_TEXT}${LINK_DEST}`, 'g');
+const LINK = new RegExp(`${LINK_TEXT}${LINK_DEST}`, 'g');
+const REF_IMAGE = new RegExp(`!${LINK_TEXT}(?:\\[([^\\]]*)\\])?`, 'g');
+const REF_LINK = new RegExp(`${LINK_TEXT}(?:\\[([^\\]]*)\\])?`, 'g');
+const FOOTNOTE_REF = /\[\^([^\]\s]+)\]/g;
+const BARE_URL = /\bhttps?:\/\/[^\s<\0]*[^\s<\0.,:;"')\]!?*_~]/g;
+
+function renderInline(text, ctx) {
+    const tokens = [];
+    const stash = html => `\0${tokens.push(html) - 1}\0`;
+    const restore = value => {
+        let result = value;
+        while (result.includes('\0')) result = result.replaceAll(TOKEN, (_, n) => tokens[n]);
+        return result;
+    };
+
+    // Returns `value` rendered, with finished pieces still stashed as tokens.
+    const span = value => {
+        let s = value
+            .replaceAll(/\\\n/g, () => stash('<br>\n'))
+            .replaceAll(BACKSLASH_ESCAPE, (_, char) => stash(escapeHtml(char)))
+            .replaceAll(CODE_SPAN, (_, _ticks, code) => {
+                const trimmed = /^ .* $/s.test(code) && code.trim() ? code.slice(1, -1) : code;
+                return stash(`<code>${escapeHtml(trimmed.replaceAll('\n', ' '))}</code>`);
+            })
+            .replaceAll(AUTOLINK, (_, url) => stash(anchor(url, escapeHtml(url))));
+
+        if (ctx.allowHtml) s = s.replaceAll(INLINE_HTML, html => stash(html));
+
+        const label = raw => restore(span(raw));
+        s = s
+            .replaceAll(FOOTNOTE_REF, (match, name) => {
+                const ref = footnoteRef(name, ctx);
+                return ref ? stash(ref) : match;
+            })
+            .replaceAll(IMAGE, (_, alt, src, t1, t2) => stash(image(src, restore(alt), t1 ?? t2)))
+            .replaceAll(REF_IMAGE, (match, alt, ref) => {
+                const def = ctx.references.get((ref || alt).trim().toLowerCase());
+                return def ? stash(image(def.href, restore(alt), def.title)) : match;
+            })
+            .replaceAll(LINK, (_, text, href, t1, t2) => stash(anchor(href, label(text), t1 ?? t2)))
+            .replaceAll(REF_LINK, (match, text, ref) => {
+                const def = ctx.references.get((ref || text).trim().toLowerCase());
+                return def ? stash(anchor(def.href, label(text), def.title)) : match;
+            });
+
+        return escapeHtml(s)
+            .replaceAll(BARE_URL, url => stash(anchor(plainText(url), url)))
+            .replaceAll(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replaceAll(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+            .replaceAll(
+                /(^|[^\p{L}\p{N}_])_(?=[^\s_])([\s\S]*?[^\s_])_(?![\p{L}\p{N}_])/gu,
+                '$1<em>$2</em>'
+            )
+            .replaceAll(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replaceAll(/ {2,}\n/g, '<br>\n');
+    };
+
+    return restore(span(text));
+}
+
+function anchor(href, html, title = null) {
+    const url = safeUrl(href);
+    if (url === null) return html;
+    const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+    return `<a href="${escapeHtml(url)}"${titleAttr}>${html}</a>`;
+}
+
+function image(src, alt, title = null) {
+    const url = safeUrl(src);
+    if (url === null) return escapeHtml(plainText(alt));
+    const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+    return `<img src="${escapeHtml(url)}" alt="${escapeHtml(plainText(alt))}"${titleAttr} loading="lazy">`;
+}
+
+/** Text content of rendered inline HTML. */
+function plainText(html) {
+    return html
+        .replaceAll(/<[^>]*>/g, '')
+        .replaceAll('&lt;', '<')
+        .replaceAll('&gt;', '>')
+        .replaceAll('&quot;', '"')
+        .replaceAll('&#39;', "'")
+        .replaceAll('&amp;', '&');
+}
@@ -0,0 +1,183 @@
+/**
+ * Allowlist HTML sanitizer for untrusted markup (rendered READMEs, blog posts).
+ *
+ * The markup is parsed into an inert <template>, so nothing in it loads or runs
+ * while it is cleaned. Elements outside ALLOWED_TAGS are unwrapped (their text
+ * is kept) except DROPPED_TAGS, which go with their content. Attributes outside
+ * ALLOWED_ATTRS are removed, URL attributes must be http(s), mailto, relative
+ * or fragment URLs, and every remaining URL can be rewritten by the caller.
+ * An `idPrefix` keeps ids in the markup from colliding with the page's own.
+ */
+
+import { safeUrl } from './markdown.js';
+
+const ALLOWED_TAGS = new Set([
+    'a',
+    'abbr',
+    'b',
+    'blockquote',
+    'br',
+    'caption',
+    'code',
+    'dd',
+    'del',
+    'details',
+    'div',
+    'dl',
+    'dt',
+    'em',
+    'h1',
+    'h2',
+    'h3',
+    'h4',
+    'h5',
+    'h6',
+    'hr',
+    'i',
+    'img',
+    'input',
+    'ins',
+    'kbd',
+    'li',
+    'ol',
+    'p',
+    'picture',
+    'pre',
+    's',
+    'samp',
+    'section',
+    'source',
+    'span',
+    'strong',
+    'sub',
+    'summary',
+    'sup',
+    'table',
+    'tbody',
+    'td',
+    'tfoot',
+    'th',
+    'thead',
+    'tr',
+    'ul',
+]);
+
+const DROPPED_TAGS = new Set([
+    'script',
+    'style',
+    'iframe',
+    'object',
+    'embed',
+    'noscript',
+    'template',
+    'form',
+    'textarea',
+    'select',
+    'button',
+    'svg',
+    'math',
+    'link',
+    'meta',
+    'base',
+]);
+
+const GLOBAL_ATTRS = ['id', 'class', 'title', 'align', 'lang', 'dir', 'aria-label'];
+const ALLOWED_ATTRS = {
+    a: ['href'],
+    img: ['src', 'alt', 'width', 'height'],
+    source: ['srcset', 'media', 'type'],
+    code: ['data-meta'],
+    input: ['type', 'checked', 'disabled'],
+    ol: ['start'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan'],
+    details: ['open'],
+};
+
+const URL_ATTRS = new Set(['href', 'src', 'srcset']);
+// Classes renderMarkdown() emits; anything else could borrow the page's own styles.
+const CLASS_PATTERN =
+    /^(?:language-[\w+#-]+|task-list-item|heading-anchor|footnotes|footnote-ref|footnote-backref)$/;
+
+/**
+ * Clean untrusted HTML
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {Function} [options.rewriteUrl] - (url, { tag, attr }) => url, or null to drop it
+ * @param {string} [options.idPrefix] - Prepended to ids that don't already start with it
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHtml(html, { rewriteUrl = url => url, idPrefix = '' } = {}) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    cleanChildren(template.content, { rewriteUrl, idPrefix });
+    return template.innerHTML;
+}
+
+function cleanChildren(parent, options) {
+    for (const node of [...parent.childNodes]) {
+        if (node.nodeType === Node.TEXT_NODE) continue;
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            node.remove();
+            continue;
+        }
+
+        const tag = node.localName;
+        if (DROPPED_TAGS.has(tag)) {
+            node.remove();
+            continue;
+        }
+
+        cleanChildren(node, options);
+        if (!ALLOWED_TAGS.has(tag)) {
+            node.replaceWith(...node.childNodes);
+            continue;
+        }
+        cleanAttributes(node, tag, options);
+    }
+}
+
+function cleanAttributes(element, tag, { rewriteUrl, idPrefix }) {
+    const allowed = [...GLOBAL_ATTRS, ...(ALLOWED_ATTRS[tag] ?? [])];
+    for (const { name, value } of [...element.attributes]) {
+        if (!allowed.includes(name)) {
+            element.removeAttribute(name);
+        } else if (URL_ATTRS.has(name)) {
+            const url = cleanUrl(value, name, tag, rewriteUrl);
+            if (url === null) element.removeAttribute(name);
+            else element.setAttribute(name, url);
+        } else if (name === 'id') {
+            if (!value.startsWith(idPrefix)) element.setAttribute('id', `${idPrefix}${value}`);
+        } else if (name === 'class') {
+            const classes = value.split(/\s+/).filter(c => CLASS_PATTERN.test(c));
+            if (classes.length) element.setAttribute('class', classes.join(' '));
+            else element.removeAttribute('class');
+        }
+    }
+
+    if (tag === 'input') {
+        if (element.getAttribute('type') !== 'checkbox') element.remove();
+        else element.setAttribute('disabled', '');
+    }
+    if (tag === 'a' && /^(?:https?:)?\/\//.test(element.getAttribute('href') ?? '')) {
+        element.setAttribute('target', '_blank');
+        element.setAttribute('rel', 'noopener noreferrer');
+    }
+    if (tag === 'img') element.setAttribute('loading', 'lazy');
+}
+
+function cleanUrl(value, attr, tag, rewriteUrl) {
+    if (attr === 'srcset') {
+        const candidates = value
+            .split(',')
+            .map(candidate => {
+                const [url, descriptor] = candidate.trim().split(/\s+/);
+                const clean = safeUrl(url) && rewriteUrl(url, { tag, attr });
+                return clean ? [clean, descriptor].filter(Boolean).join(' ') : null;
+            })
+            .filter(Boolean);
+        return candidates.length ? candidates.join(', ') : null;
+    }
+    const url = safeUrl(value);
+    return url === null ? null : rewriteUrl(url, { tag, attr });
+}
@@ -1,32 +1,120 @@
 /**
  * View Counter Module
  *
- * On init, calls the Worker POST /views?page=home to increment and then
- * displays the total count in any element matching [data-view-count].
- * Silently no-ops if the Worker is not deployed.
+ * Records views with the Worker POST /views?page=<slug>; the Worker counts each
+ * visitor once per page per day. On init it records `home` and displays the
+ * total count in any element matching [data-view-count], then tracks:
+ *   - sections      → section-<id>, the first time each section scrolls into view
+ *   - blog posts    → post-<slug>, when the route becomes /blog/<slug>
+ *   - case studies  → project-<slug>, when the route becomes /projects/<slug>
+ *
+ * Each page is posted at most once per browser session. Silently no-ops if the
+ * Worker is not deployed.
  */
 
 import { debug } from './debug.js';
 import { WORKER_BASE } from './config.js';
+import { router } from './router.js';
+
+const SESSION_KEY = 'views:tracked';
+// Route pattern → page prefix (the same keys the old #post/ and #project/ hashes used).
+const ROUTE_PAGES = {
+    '/blog/:slug': 'post',
+    '/projects/:slug': 'project',
+};
 
 class ViewCounter {
+    #tracked = new Set();
+    #observer = null;
+
     async init() {
-        try {
-            const resp = await fetch(`${WORKER_BASE}/views?page=home`, {
-                method: 'POST',
-                signal: AbortSignal.timeout(4000),
-            });
-            if (!resp.ok) return;
-            const { views } = await resp.json();
+        this.#tracked = this.#loadTracked();
+
+        const views = await this.track('home', { force: true });
+        if (views !== null) {
             for (const el of document.querySelectorAll('[data-view-count]')) {
                 el.textContent = views.toLocaleString('en-US');
                 el.closest('.view-count-widget')?.removeAttribute('hidden');
             }
             debug.log('[ViewCounter] Views:', views);
+        }
+
+        this.#observeSections();
+        this.#trackRoute(router.current);
+        document.addEventListener('routechange', e => this.#trackRoute(e.detail));
+    }
+
+    /**
+     * Record a view of `page` once per session.
+     * @param {string} page - Page slug ([a-z0-9-_])
+     * @param {{ force?: boolean }} [options] - force posts even if already tracked
+     * @returns {Promise<number|null>} All-time views, or null if skipped/unavailable
+     */
+    async track(page, { force = false } = {}) {
+        const slug = toSlug(page);
+        if (!slug || (!force && this.#tracked.has(slug))) return null;
+        this.#remember(slug);
+
+        try {
+            const resp = await fetch(`${WORKER_BASE}/views?page=${encodeURIComponent(slug)}`, {
+                method: 'POST',
+                signal: AbortSignal.timeout(4000),
+            });
+            if (!resp.ok) return null;
+            const { views } = await resp.json();
+            return views;
         } catch (err) {
             debug.warn('[ViewCounter] Skipped:', err.message);
+            return null;
+        }
+    }
+
+    #observeSections() {
+        if (!('IntersectionObserver' in globalThis)) return;
+        this.#observer = new IntersectionObserver(
+            entries => {
+                for (const entry of entries) {
+                    if (!entry.isIntersecting) continue;
+                    this.#observer.unobserve(entry.target);
+                    this.track(`section-${entry.target.id}`);
+                }
+            },
+            { threshold: 0.4 }
+        );
+        for (const section of document.querySelectorAll('section[id]')) {
+            if (section.id !== 'home') this.#observer.observe(section);
         }
     }
+
+    #trackRoute(route) {
+        const kind = ROUTE_PAGES[route?.pattern];
+        if (kind) this.track(`${kind}-${route.params.slug}`);
+    }
+
+    #loadTracked() {
+        try {
+            return new Set(JSON.parse(sessionStorage.getItem(SESSION_KEY) ?? '[]'));
+        } catch {
+            return new Set();
+        }
+    }
+
+    #remember(slug) {
+        this.#tracked.add(slug);
+        try {
+            sessionStorage.setItem(SESSION_KEY, JSON.stringify([...this.#tracked]));
+        } catch {
+            // Storage full or blocked — the Worker still dedupes per day.
+        }
+    }
+}
+
+function toSlug(page) {
+    return String(page ?? '')
+        .toLowerCase()
+        .replace(/[^a-z0-9-_]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60);
 }
 
 export const viewCounter = new ViewCounter();
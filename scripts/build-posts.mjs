@@ -0,0 +1,403 @@
+/**
+ * Compile posts/*.md into posts-data.json for the blog (modules/blog.js).
+ *
+ * Each post is a markdown file with YAML frontmatter:
+ *
+ *   ---
+ *   title: How This Site Works
+ *   date: 2026-07-12
+ *   tags: [JavaScript, WebAssembly]
+ *   summary: A tour of the architecture behind this portfolio.
+ *   series: Building andernet.dev
+ *   draft: false
+ *   ---
+ *
+ * `series` is optional; posts with the same series name are numbered by date
+ * ("Part 2 of 4") and linked to each other by the blog.
+ * The slug is the file name unless the frontmatter sets `slug`. The body goes
+ * through the same renderer as project READMEs (modules/utils/markdown.js)
+ * with heading anchors and footnotes, then through sanitizeHtml(), so
+ * `content` is safe to inject. `readingMinutes` is computed from the text.
+ *
+ * Posts still written as HTML directly in posts-data.json (entries without a
+ * `source`) are kept as they are; compiled posts carry `source` and are
+ * replaced on every run. Drafts are left out unless --drafts is passed.
+ *
+ * Every published post also gets blog/<slug>/index.html, so /blog/<slug> (the
+ * URL in sitemap.xml and feed.xml) is a real page rather than the 404.html
+ * fallback. The stub carries the post's title, description, canonical URL and
+ * Open Graph tags, with og/post-<slug>.png (pnpm generate:og) as the image,
+ * and the post itself for crawlers that don't run scripts; browsers are handed
+ * on to the app the same way 404.html does. Stubs for posts that no longer
+ * exist are removed — only pages this script wrote, anything else in blog/ is
+ * left alone.
+ *
+ * Usage: pnpm build:posts [--drafts] [--check]
+ *   --check  exit 1 instead of writing when posts-data.json or a stub is out of date (CI)
+ */
+
+import {
+  readdirSync,
+  readFileSync,
+  writeFileSync,
+  existsSync,
+  mkdirSync,
+  rmSync,
+  rmdirSync,
+} from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { renderMarkdown } from '../modules/utils/markdown.js';
+import { sanitizeHtml } from '../modules/utils/sanitize.js';
+import { escapeHtml } from '../modules/utils/html.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const POSTS_DIR = join(ROOT, 'posts');
+const OUT_FILE = join(ROOT, 'posts-data.json');
+const STUBS_DIR = join(ROOT, 'blog');
+const SITE_URL = 'https://andernet.dev';
+// Marks a blog/<slug>/index.html as ours, so only those are ever replaced or removed.
+const STUB_MARKER = 'Generated by scripts/build-posts.mjs';
+
+/** Same rate as BlogManager's estimate for hand-written posts. */
+const READING_SPEED_WPM = 200;
+/** Heading and footnote ids share the page with its own sections. */
+export const POST_ID_PREFIX = 'post-';
+
+const FRONTMATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SLUG_PATTERN = /^[a-z\d]+(?:-[a-z\d]+)*$/;
+
+// ---------------------------------------------------------------------------
+// Frontmatter
+// ---------------------------------------------------------------------------
+
+/**
+ * Split a post into its frontmatter and markdown body.
+ *
+ * Understands the YAML subset posts need: `key: value` scalars (plain or
+ * quoted), booleans, `[a, b]` and `- item` lists, and `>` / `|` block scalars.
+ * @param {string} source
+ * @returns {{ data: Object, body: string }}
+ */
+export function parseFrontmatter(source) {
+  const match = FRONTMATTER.exec(source);
+  if (!match) return { data: {}, body: source };
+
+  const data = {};
+  const lines = match[1].split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim() || line.trimStart().startsWith('#')) continue;
+
+    const pair = /^([\w-]+):(?:[ \t]+(.*?))?[ \t]*$/.exec(line);
+    if (!pair) throw new Error(`Unreadable frontmatter line: ${line}`);
+    const [, key, raw = ''] = pair;
+
+    // Indented and `- ` lines below belong to this key (block lists and scalars).
+    const block = [];
+    while (i + 1 < lines.length && /^(?:[ \t]|-(?:\s|$)|\s*$)/.test(lines[i + 1])) {
+      block.push(lines[++i]);
+    }
+    while (block.length && !block.at(-1).trim()) block.pop();
+
+    if (raw === '' && block.length && block.every(l => /^\s*-(?:\s|$)/.test(l) || !l.trim())) {
+      data[key] = block.filter(l => l.trim()).map(l => parseScalar(l.replace(/^\s*-\s*/, '')));
+    } else if (raw === '>' || raw === '>-' || raw === '|' || raw === '|-') {
+      const text = block.map(l => l.trim());
+      data[key] = raw.startsWith('>') ? text.join(' ').replaceAll(/ {2,}/g, ' ') : text.join('\n');
+    } else if (raw.startsWith('[') && raw.endsWith(']')) {
+      data[key] = splitList(raw.slice(1, -1)).map(parseScalar);
+    } else {
+      data[key] = parseScalar([raw, ...block.map(l => l.trim())].join(' ').trim());
+    }
+  }
+  return { data, body: source.slice(match[0].length) };
+}
+
+function splitList(text) {
+  const items = [];
+  let current = '';
+  let quote = null;
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  items.push(current);
+  return items.map(item => item.trim()).filter(Boolean);
+}
+
+function parseScalar(raw) {
+  const value = raw.trim();
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    return JSON.parse(value);
+  }
+  if (value.length >= 2 && value.startsWith("'") && value.endsWith("'")) {
+    return value.slice(1, -1).replaceAll("''", "'");
+  }
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value === '' || value === '~' || value === 'null') return null;
+  return value;
+}
+
+// ---------------------------------------------------------------------------
+// Compile
+// ---------------------------------------------------------------------------
+
+/** `href="#x"` in a post points at the prefixed heading id. */
+function rewritePostUrl(url) {
+  if (!url.startsWith('#') || url.startsWith(`#${POST_ID_PREFIX}`)) return url;
+  return `#${POST_ID_PREFIX}${url.slice(1)}`;
+}
+
+/**
+ * Reading time for rendered HTML, in whole minutes (at least 1)
+ * @param {string} html
+ * @returns {number}
+ */
+export function readingMinutes(html) {
+  const text = html.replaceAll(/<[^>]*>/g, ' ').trim();
+  const words = text ? text.split(/\s+/).length : 0;
+  return Math.max(1, Math.round(words / READING_SPEED_WPM));
+}
+
+/**
+ * Compile one markdown post into a posts-data.json entry
+ * @param {string} source - File contents, frontmatter included
+ * @param {string} file - Path relative to the repo root, e.g. posts/hello.md
+ * @returns {Object}
+ */
+export function compilePost(source, file) {
+  const { data, body } = parseFrontmatter(source);
+  const slug = data.slug ?? basename(file, '.md');
+  const tags = data.tags ?? [];
+
+  if (!data.title) throw new Error(`${file}: frontmatter needs a title`);
+  if (!DATE_PATTERN.test(data.date ?? '')) {
+    throw new Error(`${file}: frontmatter date must be YYYY-MM-DD`);
+  }
+  if (!SLUG_PATTERN.test(slug)) throw new Error(`${file}: slug "${slug}" is not kebab-case`);
+  if (!Array.isArray(tags)) throw new Error(`${file}: tags must be a list`);
+  if (data.series != null && typeof data.series !== 'string') {
+    throw new Error(`${file}: series must be a name`);
+  }
+
+  const { html } = renderMarkdown(body, {
+    allowHtml: true,
+    idPrefix: POST_ID_PREFIX,
+    headingAnchors: true,
+  });
+  const content = sanitizeHtml(html, { rewriteUrl: rewritePostUrl, idPrefix: POST_ID_PREFIX });
+
+  return {
+    slug,
+    title: String(data.title),
+    date: data.date,
+    summary: data.summary ? String(data.summary) : '',
+    tags: tags.map(String),
+    ...(data.series && { series: data.series }),
+    readingMinutes: readingMinutes(content),
+    content,
+    ...(data.draft === true && { draft: true }),
+    source: file,
+  };
+}
+
+/**
+ * Combine compiled posts with the hand-written ones already in posts-data.json
+ * @param {Array<Object>} existing - Current `posts`
+ * @param {Array<Object>} compiled - compilePost() results
+ * @returns {Array<Object>} Newest first
+ */
+export function mergePosts(existing, compiled) {
+  const seen = new Map();
+  for (const post of compiled) {
+    if (seen.has(post.slug)) {
+      throw new Error(`${post.source}: slug "${post.slug}" is also used by ${seen.get(post.slug)}`);
+    }
+    seen.set(post.slug, post.source);
+  }
+
+  const handWritten = existing.filter(post => !post.source && !seen.has(post.slug));
+  return [...compiled, ...handWritten].sort((a, b) => b.date.localeCompare(a.date));
+}
+
+// ---------------------------------------------------------------------------
+// Stubs
+// ---------------------------------------------------------------------------
+
+/**
+ * The static page served at /blog/<slug>: metadata and the post's text for
+ * crawlers and link previews, and a redirect into the app for browsers
+ * @param {Object} post - posts-data.json entry
+ * @returns {string} HTML (unformatted)
+ */
+export function renderPostStub(post) {
+  const path = `/blog/${post.slug}`;
+  const url = escapeHtml(`${SITE_URL}${path}`);
+  const image = escapeHtml(`${SITE_URL}/og/post-${post.slug}.png`);
+  const title = escapeHtml(post.title);
+  const description = escapeHtml(post.summary);
+  const appUrl = escapeHtml(`/?route=${encodeURIComponent(path)}`);
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${title} | Matthew Anderson</title>
+<meta name="description" content="${description}" />
+<link rel="canonical" href="${url}" />
+<link rel="icon" type="image/svg+xml" href="/favicon.svg" />
+<link rel="alternate" type="application/rss+xml" title="Matthew Anderson — Writing" href="/feed.xml" />
+<meta property="og:type" content="article" />
+<meta property="og:url" content="${url}" />
+<meta property="og:title" content="${title}" />
+<meta property="og:description" content="${description}" />
+<meta property="og:image" content="${image}" />
+<meta property="og:image:width" content="1200" />
+<meta property="og:image:height" content="630" />
+<meta property="og:image:type" content="image/png" />
+<meta property="og:site_name" content="Matthew Anderson Portfolio" />
+<meta property="article:published_time" content="${escapeHtml(post.date)}" />
+<meta name="twitter:card" content="summary_large_image" />
+<meta name="twitter:title" content="${title}" />
+<meta name="twitter:description" content="${description}" />
+<meta name="twitter:image" content="${image}" />
+<script>
+// ${STUB_MARKER}. The post renders in the app, which
+// restores the path from ?route= (modules/router.js), as from 404.html.
+location.replace('/?route=' + encodeURIComponent(${JSON.stringify(path)} + location.search + location.hash));
+</script>
+</head>
+<body>
+<article>
+<h1>${title}</h1>
+<p><time datetime="${escapeHtml(post.date)}">${escapeHtml(post.date)}</time></p>
+${post.content}
+<p><a href="${appUrl}">Read ${title} on andernet.dev</a></p>
+</article>
+</body>
+</html>
+`;
+}
+
+/**
+ * Format every published post's stub, keyed by path relative to STUBS_DIR
+ * @param {Array<Object>} posts
+ * @param {Object} prettier - The prettier module, loaded by main()
+ * @returns {Promise<Map<string, string>>}
+ */
+async function buildStubs(posts, prettier) {
+  const stubs = new Map();
+  for (const post of posts) {
+    if (post.draft) continue;
+    const file = join(post.slug, 'index.html');
+    const config = (await prettier.resolveConfig(join(STUBS_DIR, file))) ?? {};
+    stubs.set(
+      file,
+      await prettier.format(renderPostStub(post), { ...config, filepath: join(STUBS_DIR, file) })
+    );
+  }
+  return stubs;
+}
+
+/** Stubs this script wrote earlier, as `<slug>/index.html` paths. */
+function existingStubs() {
+  if (!existsSync(STUBS_DIR)) return [];
+  return readdirSync(STUBS_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => join(entry.name, 'index.html'))
+    .filter(file => {
+      const path = join(STUBS_DIR, file);
+      return existsSync(path) && readFileSync(path, 'utf8').includes(STUB_MARKER);
+    });
+}
+
+// ---------------------------------------------------------------------------
+// CLI
+// ---------------------------------------------------------------------------
+
+async function main(args) {
+  // sanitizeHtml() parses with the DOM; give it jsdom's.
+  if (!globalThis.document) {
+    const { JSDOM } = await import('jsdom');
+    const { window } = new JSDOM('');
+    globalThis.document = window.document;
+    globalThis.Node = window.Node;
+  }
+
+  const includeDrafts = args.includes('--drafts');
+  const files = existsSync(POSTS_DIR)
+    ? readdirSync(POSTS_DIR)
+        .filter(name => name.endsWith('.md'))
+        .sort()
+    : [];
+  const compiled = files
+    .map(name => compilePost(readFileSync(join(POSTS_DIR, name), 'utf8'), `posts/${name}`))
+    .filter(post => includeDrafts || !post.draft);
+
+  const current = existsSync(OUT_FILE) ? readFileSync(OUT_FILE, 'utf8') : '{}';
+  const data = JSON.parse(current);
+  const posts = mergePosts(data.posts ?? [], compiled);
+
+  const prettier = await import('prettier');
+  const config = (await prettier.resolveConfig(OUT_FILE)) ?? {};
+  const output = await prettier.format(JSON.stringify({ ...data, posts }), {
+    ...config,
+    filepath: OUT_FILE,
+  });
+
+  const stubs = await buildStubs(posts, prettier);
+  const ours = existingStubs();
+  const stale = ours.filter(file => !stubs.has(file));
+  for (const file of stubs.keys()) {
+    if (existsSync(join(STUBS_DIR, file)) && !ours.includes(file)) {
+      throw new Error(`blog/${file} was not written by build-posts; move it out of the way`);
+    }
+  }
+
+  if (args.includes('--check')) {
+    const outdated = [...stubs].filter(([file, html]) => {
+      const path = join(STUBS_DIR, file);
+      return !existsSync(path) || readFileSync(path, 'utf8') !== html;
+    });
+    if (output !== current || outdated.length || stale.length) {
+      console.error(
+        'posts-data.json or blog/ is out of date — run pnpm build:posts and commit them.'
+      );
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  writeFileSync(OUT_FILE, output);
+  for (const [file, html] of stubs) {
+    mkdirSync(dirname(join(STUBS_DIR, file)), { recursive: true });
+    writeFileSync(join(STUBS_DIR, file), html);
+  }
+  for (const file of stale) {
+    const dir = dirname(join(STUBS_DIR, file));
+    rmSync(join(STUBS_DIR, file));
+    if (!readdirSync(dir).length) rmdirSync(dir);
+  }
+  const drafts = compiled.filter(post => post.draft).length;
+  console.log(
+    `Compiled ${compiled.length} markdown post(s)${drafts ? ` (${drafts} draft)` : ''}; ` +
+      `posts-data.json has ${posts.length}, blog/ has ${stubs.size} page(s).`
+  );
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  await main(process.argv.slice(2));
+}
@@ -6,11 +6,17 @@
  *
  *   og/default.png     — portfolio overview card (used by index.html metas)
  *   og/<repo>.png      — per-project case-study cards
+ *   og/post-<slug>.png — per-post blog cards (drafts are skipped)
  *
  * Rasterization uses Playwright's bundled Chromium (already a devDependency
  * for e2e tests) with the site's own Inter variable font, so the cards match
- * across local and CI runs. Data comes from the local github-data.json and
- * projects-data.json — no network access needed.
+ * across local and CI runs. Data comes from the local github-data.json,
+ * projects-data.json and posts-data.json — no network access needed.
+ *
+ * The Worker can also rasterize the same cards on demand (/og?format=png, see
+ * worker/og-png.js), which covers projects added between builds. These static
+ * files stay the og:image targets in index.html and the blog/<slug>/ pages
+ * (scripts/build-posts.mjs) so shares never depend on the Worker being deployed.
  *
  * Usage: pnpm generate:og
  */
@@ -19,7 +25,12 @@ import { mkdirSync, readFileSync } from 'node:fs';
 import { dirname, join } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { chromium } from '@playwright/test';
-import { findRepoStats, renderPortfolioCard, renderProjectCard } from '../worker/og.js';
+import {
+  findRepoStats,
+  renderPortfolioCard,
+  renderPostCard,
+  renderProjectCard,
+} from '../worker/og.js';
 
 const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
 const OUT_DIR = join(ROOT, 'og');
@@ -28,6 +39,7 @@ const HEIGHT = 630;
 
 const ghData = JSON.parse(readFileSync(join(ROOT, 'github-data.json'), 'utf8'));
 const projectsData = JSON.parse(readFileSync(join(ROOT, 'projects-data.json'), 'utf8'));
+const postsData = JSON.parse(readFileSync(join(ROOT, 'posts-data.json'), 'utf8'));
 const interWoff2 = readFileSync(join(ROOT, 'fonts', 'inter-variable.woff2')).toString('base64');
 
 /** Wrap a card SVG in a page that swaps system-ui for the site's Inter font. */
@@ -70,5 +82,10 @@ for (const project of projectsData.projects ?? []) {
   await renderPng(page, renderProjectCard(project, repoStats), join(OUT_DIR, `${slug}.png`));
 }
 
+for (const post of postsData.posts ?? []) {
+  if (post.draft) continue;
+  await renderPng(page, renderPostCard(post), join(OUT_DIR, `post-${post.slug}.png`));
+}
+
 await browser.close();
 console.log('Done.');
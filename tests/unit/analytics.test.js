@@ -0,0 +1,113 @@
+import { test, expect, vi, beforeEach } from 'vitest';
+import { AnalyticsManager, toCollectEvent } from '../../modules/analytics.js';
+import { validateEvent } from '../../worker/collect.js';
+
+vi.mock('../../modules/debug.js', () => ({
+    debug: { log: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+beforeEach(() => {
+    localStorage.clear();
+    navigator.sendBeacon = vi.fn(() => true);
+});
+
+function queued() {
+    return JSON.parse(localStorage.getItem('portfolio_analytics') || '[]');
+}
+
+// ── toCollectEvent ──────────────────────────────────────────────────────────
+
+test('toCollectEvent drops session ids, link text and full URLs', () => {
+    const click = toCollectEvent({
+        type: 'event',
+        name: 'link_click',
+        page: '/',
+        sessionId: 'abc',
+        text: 'Email me',
+        href: 'https://github.com/and3rn3t?tab=repositories',
+    });
+    expect(click).toEqual({ type: 'click', page: '/', kind: 'link', target: 'github.com' });
+
+    const view = toCollectEvent({
+        type: 'pageview',
+        page: '/',
+        referrer: 'https://www.google.com/search?q=me',
+    });
+    expect(view).toEqual({ type: 'pageview', page: '/', referrer: 'www.google.com' });
+});
+
+test('collected events pass the Worker schema unchanged', () => {
+    const events = [
+        { type: 'pageview', page: '/', referrer: 'https://www.google.com/search?q=me' },
+        { type: 'event', name: 'link_click', page: '/', href: 'https://github.com/and3rn3t' },
+        { type: 'event', name: 'link_click', page: '/', href: 'mailto:me@example.com' },
+        { type: 'event', name: 'link_click', page: '/', href: '/resume.pdf' },
+        { type: 'event', name: 'scroll_depth', page: '/', depth: 50 },
+        { type: 'event', name: 'section_view', page: '/', section: 'projects' },
+    ].map(toCollectEvent);
+
+    for (const event of events) {
+        expect(validateEvent(event)).toEqual(event);
+    }
+});
+
+test('toCollectEvent ignores events the Worker does not collect', () => {
+    expect(toCollectEvent({ type: 'event', name: 'visibility_change' })).toBeNull();
+    expect(toCollectEvent({ type: 'performance', metric: 'LCP' })).toBeNull();
+});
+
+// ── flush ───────────────────────────────────────────────────────────────────
+
+test('flush beacons the queue in batches and clears it', () => {
+    const analytics = new AnalyticsManager();
+    for (let i = 0; i < 30; i++) {
+        analytics.storeEvent({ type: 'event', name: 'scroll_depth', page: '/', depth: 25 });
+    }
+    analytics.storeEvent({ type: 'event', name: 'exit_intent', page: '/' });
+    expect(queued()).toHaveLength(30);
+
+    expect(analytics.flush()).toBe(30);
+    expect(navigator.sendBeacon).toHaveBeenCalledTimes(1);
+    const [url, body] = navigator.sendBeacon.mock.calls[0];
+    expect(url).toMatch(/\/collect$/);
+    expect(JSON.parse(body).events).toHaveLength(30);
+    expect(queued()).toHaveLength(0);
+});
+
+test('a full batch flushes early; refused beacons stay queued', () => {
+    const analytics = new AnalyticsManager();
+    navigator.sendBeacon = vi.fn(() => false);
+    for (let i = 0; i < 50; i++) {
+        analytics.storeEvent({ type: 'event', name: 'section_view', page: '/', section: 'about' });
+    }
+    expect(navigator.sendBeacon).toHaveBeenCalledTimes(1);
+    expect(queued()).toHaveLength(50);
+});
+
+// ── Feature flags ───────────────────────────────────────────────────────────
+
+test('trackFlags queues only decisions that differ from the defaults', () => {
+    const analytics = new AnalyticsManager();
+    analytics.trackFlags({
+        guestbook: { value: false, source: 'remote' },
+        heroWasm: { value: true, source: 'default' },
+    });
+    expect(queued()).toEqual([
+        { type: 'flag', page: '/', flag: 'guestbook', value: 'off', source: 'remote' },
+    ]);
+});
+
+test('every event is tagged with the A/B variants', () => {
+    const analytics = new AnalyticsManager();
+    analytics.setExperiments({ heroCta: 'collaborate' });
+    analytics.trackEvent('link_click', { href: '/resume.pdf' });
+    expect(queued()).toEqual([
+        {
+            type: 'click',
+            page: '/',
+            kind: 'link',
+            target: '/resume.pdf',
+            variants: { heroCta: 'collaborate' },
+        },
+    ]);
+});
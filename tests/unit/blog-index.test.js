@@ -0,0 +1,87 @@
+import { test, expect } from 'vitest';
+import {
+    filterByTag,
+    groupByMonth,
+    relatedPosts,
+    seriesInfo,
+    sortPosts,
+    tagName,
+    tagSlug,
+} from '../../modules/blog-index.js';
+
+const post = (slug, date, tags = [], extra = {}) => ({
+    slug,
+    date,
+    tags,
+    readingMinutes: 3,
+    ...extra,
+});
+
+const POSTS = [
+    post('wasm', '2026-07-12', ['JavaScript', 'WebAssembly', 'Cloudflare Workers']),
+    post('lidar', '2026-05-12', ['iOS', 'Swift'], { readingMinutes: 2 }),
+    post('iot', '2026-05-03', ['JavaScript', 'IoT'], { readingMinutes: 1 }),
+    post('edge', '2025-12-01', ['Cloudflare Workers', 'WebAssembly', 'JavaScript']),
+];
+
+const slugs = posts => posts.map(p => p.slug);
+
+// ── Tags ─────────────────────────────────────────────────────────────────────
+
+test('tags filter by their URL slug', () => {
+    expect(tagSlug('Cloudflare Workers')).toBe('cloudflare-workers');
+    expect(slugs(filterByTag(POSTS, 'webassembly'))).toEqual(['wasm', 'edge']);
+    expect(filterByTag(POSTS, 'cobol')).toEqual([]);
+    expect(tagName(POSTS, 'cloudflare-workers')).toBe('Cloudflare Workers');
+    expect(tagName(POSTS, 'cobol')).toBeNull();
+});
+
+// ── Sorting and archive ──────────────────────────────────────────────────────
+
+test('posts sort by date either way or by reading time', () => {
+    expect(slugs(sortPosts(POSTS, 'oldest'))).toEqual(['edge', 'iot', 'lidar', 'wasm']);
+    expect(slugs(sortPosts(POSTS, 'quickest'))).toEqual(['iot', 'lidar', 'wasm', 'edge']);
+    expect(slugs(sortPosts(POSTS, 'bogus'))).toEqual(['wasm', 'lidar', 'iot', 'edge']);
+});
+
+test('the archive groups posts by year, then month', () => {
+    expect(
+        groupByMonth(POSTS).map(({ year, months }) => [
+            year,
+            months.map(({ month, posts }) => [month, slugs(posts)]),
+        ])
+    ).toEqual([
+        [
+            '2026',
+            [
+                ['2026-07', ['wasm']],
+                ['2026-05', ['lidar', 'iot']],
+            ],
+        ],
+        ['2025', [['2025-12', ['edge']]]],
+    ]);
+});
+
+// ── Series and related posts ─────────────────────────────────────────────────
+
+test('series parts are numbered by date with previous and next posts', () => {
+    const series = [
+        post('part-2', '2026-02-01', [], { series: 'Site' }),
+        post('part-1', '2026-01-01', [], { series: 'Site' }),
+        post('part-3', '2026-03-01', [], { series: 'Site' }),
+        post('other', '2026-02-15', [], { series: 'Other' }),
+    ];
+    const info = seriesInfo(series[0], series);
+    expect(info).toMatchObject({ name: 'Site', part: 2, total: 3 });
+    expect(info.previous.slug).toBe('part-1');
+    expect(info.next.slug).toBe('part-3');
+
+    expect(seriesInfo(series[1], series)).toMatchObject({ part: 1, previous: null });
+    expect(seriesInfo(POSTS[0], POSTS)).toBeNull();
+});
+
+test('related posts are ranked by shared tags, then date', () => {
+    expect(slugs(relatedPosts(POSTS[0], POSTS))).toEqual(['edge', 'iot']);
+    expect(slugs(relatedPosts(POSTS[0], POSTS, 1))).toEqual(['edge']);
+    expect(relatedPosts(POSTS[1], POSTS)).toEqual([]);
+});
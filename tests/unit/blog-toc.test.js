@@ -0,0 +1,165 @@
+import { test, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../../modules/debug.js', () => ({
+    debug: { log: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+const { ArticleToc } = await import('../../modules/blog-toc.js');
+const { mobileManager } = await import('../../modules/mobile.js');
+
+// IntersectionObserver stand-in: tests drive the callback themselves.
+let observed = null;
+class FakeObserver {
+    constructor(callback, options) {
+        this.callback = callback;
+        this.options = options;
+        this.targets = [];
+        this.disconnect = vi.fn();
+        observed = this;
+    }
+    observe(target) {
+        this.targets.push(target);
+    }
+}
+
+const tocs = [];
+
+function renderArticle(headings = ['h2 One', 'h2 Two', 'h3 Three']) {
+    const html = headings.map((heading, i) => {
+        const [tag, text] = heading.split(' ');
+        return `<${tag} id="post-s${i}">${text} <a class="heading-anchor" href="#post-s${i}">#</a></${tag}>`;
+    });
+    document.body.innerHTML = `
+        <div class="blog-article-inner">
+            <a class="blog-back-link" href="/#writing">Back</a>
+            <article><div class="blog-article-content">${html.join('')}</div></article>
+        </div>`;
+    const container = document.querySelector('.blog-article-inner');
+    const toc = new ArticleToc({
+        container,
+        content: container.querySelector('.blog-article-content'),
+        sectionUrl: id => `/blog/hello#${id.slice('post-'.length)}`,
+    });
+    tocs.push(toc);
+    return { container, toc };
+}
+
+beforeEach(() => {
+    vi.stubGlobal('IntersectionObserver', FakeObserver);
+    mobileManager.currentBreakpoint = 'desktop';
+});
+
+afterEach(() => {
+    for (const toc of tocs.splice(0)) toc.destroy();
+    vi.unstubAllGlobals();
+    observed = null;
+});
+
+// ── Table of contents ────────────────────────────────────────────────────────
+
+test('headings become section links, without their anchor text', () => {
+    const { container } = renderArticle();
+    const links = [...container.querySelectorAll('.blog-toc-list a')];
+
+    expect(links.map(link => link.textContent)).toEqual(['One', 'Two', 'Three']);
+    expect(links.map(link => link.getAttribute('href'))).toEqual([
+        '/blog/hello#s0',
+        '/blog/hello#s1',
+        '/blog/hello#s2',
+    ]);
+    expect(links[2].parentElement.classList.contains('blog-toc-level-3')).toBe(true);
+    expect(container.dataset.toc).toBe('sidebar');
+});
+
+test('short posts get the progress bar but no table of contents', () => {
+    const { container } = renderArticle(['h2 Only', 'h2 Two']);
+    expect(container.querySelector('.blog-toc')).toBeNull();
+    expect(container.querySelector('.blog-progress[role="progressbar"]')).not.toBeNull();
+    expect(container.dataset.toc).toBeUndefined();
+});
+
+test('the heading at the top of the viewport is marked current', () => {
+    const { container } = renderArticle();
+    const [first, second] = observed.targets;
+    const link = id => container.querySelector(`a[data-target="${id}"]`);
+
+    expect(observed.targets).toHaveLength(3);
+    observed.callback([{ target: first, isIntersecting: true }]);
+    expect(link('post-s0').getAttribute('aria-current')).toBe('location');
+
+    observed.callback([{ target: second, isIntersecting: true }]);
+    expect(link('post-s0').hasAttribute('aria-current')).toBe(false);
+    expect(link('post-s1').getAttribute('aria-current')).toBe('location');
+
+    // Scrolling back up: the current heading drops below the band.
+    observed.callback([
+        {
+            target: second,
+            isIntersecting: false,
+            boundingClientRect: { top: 500 },
+            rootBounds: { bottom: 200 },
+        },
+    ]);
+    expect(link('post-s0').getAttribute('aria-current')).toBe('location');
+});
+
+// ── Drawer ───────────────────────────────────────────────────────────────────
+
+test('below desktop the list becomes a drawer that opens and closes', () => {
+    mobileManager.currentBreakpoint = 'mobile';
+    const { container } = renderArticle();
+    const nav = container.querySelector('.blog-toc');
+    const toggle = nav.querySelector('.blog-toc-toggle');
+
+    expect(container.dataset.toc).toBe('drawer');
+    toggle.click();
+    expect(nav.classList.contains('is-open')).toBe(true);
+    expect(toggle.getAttribute('aria-expanded')).toBe('true');
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(nav.classList.contains('is-open')).toBe(false);
+    expect(document.activeElement).toBe(toggle);
+
+    toggle.click();
+    nav.querySelector('.blog-toc-list a').addEventListener('click', e => e.preventDefault());
+    nav.querySelector('.blog-toc-list a').click();
+    expect(nav.classList.contains('is-open')).toBe(false);
+});
+
+test('breakpoint changes switch the layout', () => {
+    const { container } = renderArticle();
+    mobileManager.currentBreakpoint = 'tablet';
+    globalThis.dispatchEvent(new CustomEvent('breakpointchange'));
+    expect(container.dataset.toc).toBe('drawer');
+
+    mobileManager.currentBreakpoint = 'desktop';
+    globalThis.dispatchEvent(new CustomEvent('breakpointchange'));
+    expect(container.dataset.toc).toBe('sidebar');
+});
+
+test('destroy stops observing and listening', () => {
+    const { container, toc } = renderArticle();
+    toc.destroy();
+    expect(observed.disconnect).toHaveBeenCalled();
+    expect(container.dataset.toc).toBeUndefined();
+
+    mobileManager.currentBreakpoint = 'mobile';
+    globalThis.dispatchEvent(new CustomEvent('breakpointchange'));
+    expect(container.dataset.toc).toBeUndefined();
+});
+
+// ── Progress ─────────────────────────────────────────────────────────────────
+
+test('the progress bar follows how far the post has been scrolled', async () => {
+    const { container } = renderArticle();
+    const content = container.querySelector('.blog-article-content');
+    const progress = container.querySelector('.blog-progress');
+    vi.spyOn(content, 'getBoundingClientRect').mockReturnValue({
+        top: -(1000 - globalThis.innerHeight) / 2,
+        height: 1000,
+    });
+
+    globalThis.dispatchEvent(new Event('scroll'));
+    await vi.waitFor(() => expect(progress.getAttribute('aria-valuenow')).toBe('50'));
+    expect(progress.firstElementChild.style.transform).toBe('scaleX(0.5)');
+});
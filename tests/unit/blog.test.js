@@ -0,0 +1,168 @@
+import { test, expect, vi, beforeAll, beforeEach, afterAll } from 'vitest';
+
+vi.mock('../../modules/debug.js', () => ({
+    debug: { log: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+const POSTS = [
+    {
+        slug: 'part-two',
+        title: 'Part Two',
+        date: '2026-07-12',
+        summary: 'Second.',
+        tags: ['JavaScript', 'WebAssembly'],
+        readingMinutes: 4,
+        series: 'Site notes',
+        content: '<p>Two</p>',
+    },
+    {
+        slug: 'part-one',
+        title: 'Part One',
+        date: '2026-05-03',
+        summary: 'First.',
+        tags: ['JavaScript'],
+        readingMinutes: 2,
+        series: 'Site notes',
+        content: '<p>One</p>',
+    },
+    {
+        slug: 'swift',
+        title: 'Swift',
+        date: '2025-11-20',
+        summary: 'Unrelated.',
+        tags: ['Swift'],
+        content: '<p>Hand-written</p>',
+    },
+];
+
+document.body.innerHTML = `
+    <section id="writing">
+        <div id="blog-toolbar" hidden></div>
+        <div id="blog-posts"></div>
+        <div id="blog-article" hidden></div>
+    </section>`;
+Element.prototype.scrollIntoView = vi.fn();
+globalThis.IntersectionObserver = class {
+    observe() {}
+    disconnect() {}
+};
+
+const { router } = await import('../../modules/router.js');
+const { blogManager } = await import('../../modules/blog.js');
+
+const list = () => document.querySelector('#blog-posts');
+const article = () => document.querySelector('#blog-article');
+const toolbar = () => document.querySelector('#blog-toolbar');
+const cardSlugs = () => [...list().querySelectorAll('.blog-card')].map(card => card.dataset.slug);
+
+beforeAll(async () => {
+    globalThis.fetch = vi
+        .fn()
+        .mockResolvedValue({ ok: true, json: async () => ({ posts: POSTS }) });
+    history.replaceState(null, '', '/');
+    router.on('/', {});
+    router.start();
+    await blogManager.init();
+});
+
+beforeEach(() => {
+    router.navigate('/');
+});
+
+afterAll(() => router.stop());
+
+// ── List ─────────────────────────────────────────────────────────────────────
+
+test('tags link to a filtered list', () => {
+    const tag = list().querySelector('.blog-card[data-slug="swift"] a.blog-tag');
+    expect(tag.getAttribute('href')).toBe('/blog/tag/swift');
+
+    router.navigate('/blog/tag/javascript');
+    expect(cardSlugs()).toEqual(['part-two', 'part-one']);
+    expect(toolbar().querySelector('.blog-filter').textContent).toContain(
+        '2 posts tagged JavaScript'
+    );
+
+    router.navigate('/');
+    expect(cardSlugs()).toHaveLength(3);
+    expect(toolbar().querySelector('.blog-filter').hidden).toBe(true);
+});
+
+test('clicking a card opens the post, unless a modifier key asks for a new tab', () => {
+    const summary = () => list().querySelector('.blog-card[data-slug="swift"] .blog-card-summary');
+    const click = init =>
+        summary().dispatchEvent(
+            new MouseEvent('click', { bubbles: true, cancelable: true, ...init })
+        );
+
+    expect(click({ ctrlKey: true })).toBe(true);
+    expect(click({ button: 1 })).toBe(true);
+    expect(location.pathname).toBe('/');
+
+    expect(click({})).toBe(false);
+    expect(location.pathname).toBe('/blog/swift');
+});
+
+test('unknown tags go back to the full list', () => {
+    router.navigate('/blog/tag/cobol');
+    expect(location.pathname).toBe('/');
+    expect(cardSlugs()).toHaveLength(3);
+});
+
+test('the toolbar sorts posts and switches to the archive', () => {
+    const select = toolbar().querySelector('select');
+    select.value = 'quickest';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    // Hand-written posts get an estimated reading time.
+    expect(cardSlugs()).toEqual(['swift', 'part-one', 'part-two']);
+
+    toolbar().querySelector('[data-view="archive"]').click();
+    expect(list().classList.contains('is-archive')).toBe(true);
+    expect([...list().querySelectorAll('.blog-archive-heading')].map(h => h.textContent)).toEqual([
+        '2026',
+        '2025',
+    ]);
+    expect([...list().querySelectorAll('.blog-archive-month')].map(h => h.textContent)).toEqual([
+        'July',
+        'May',
+        'November',
+    ]);
+
+    toolbar().querySelector('[data-view="grid"]').click();
+    select.value = 'newest';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(cardSlugs()).toEqual(['part-two', 'part-one', 'swift']);
+});
+
+// ── Article ──────────────────────────────────────────────────────────────────
+
+test('series posts show their part with previous and next links', () => {
+    router.navigate('/blog/part-one');
+    expect(toolbar().hidden).toBe(true);
+    expect(article().querySelector('.blog-series-part').textContent).toBe('Part 1 of 2');
+    expect(article().querySelector('.blog-series-prev')).toBeNull();
+    expect(article().querySelector('.blog-series-next').getAttribute('href')).toBe(
+        '/blog/part-two'
+    );
+
+    router.navigate('/blog/part-two');
+    expect(article().querySelector('.blog-series-title').textContent).toBe(
+        'Part 2 of 2 in Site notes'
+    );
+    expect(article().querySelector('.blog-series-prev').getAttribute('href')).toBe(
+        '/blog/part-one'
+    );
+});
+
+test('related posts are those sharing tags', () => {
+    router.navigate('/blog/part-two');
+    const related = [...article().querySelectorAll('.blog-related-list a')];
+    expect(related.map(a => a.getAttribute('href'))).toEqual(['/blog/part-one']);
+
+    router.navigate('/blog/swift');
+    expect(article().querySelector('.blog-related')).toBeNull();
+    expect(article().querySelector('.blog-series')).toBeNull();
+
+    router.navigate('/');
+    expect(toolbar().hidden).toBe(false);
+});
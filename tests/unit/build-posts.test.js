@@ -0,0 +1,165 @@
+import { test, expect } from 'vitest';
+import {
+    compilePost,
+    mergePosts,
+    parseFrontmatter,
+    readingMinutes,
+    renderPostStub,
+} from '../../scripts/build-posts.mjs';
+
+// ── Frontmatter ──────────────────────────────────────────────────────────────
+
+test('parses scalars, quoted strings, booleans, lists and folded text', () => {
+    const { data, body } = parseFrontmatter(
+        [
+            '---',
+            "title: 'Ports: a guide'",
+            'date: 2026-08-01',
+            'tags: [Swift, "Rust, mostly", iOS]',
+            'categories:',
+            '  - one',
+            '- two',
+            'summary: >',
+            '  First line',
+            '  second line.',
+            'draft: true',
+            '---',
+            'Body text',
+        ].join('\n')
+    );
+    expect(data).toEqual({
+        title: 'Ports: a guide',
+        date: '2026-08-01',
+        tags: ['Swift', 'Rust, mostly', 'iOS'],
+        categories: ['one', 'two'],
+        summary: 'First line second line.',
+        draft: true,
+    });
+    expect(body).toBe('Body text');
+});
+
+test('files without frontmatter are all body', () => {
+    expect(parseFrontmatter('# Hi')).toEqual({ data: {}, body: '# Hi' });
+});
+
+// ── Compile ──────────────────────────────────────────────────────────────────
+
+const POST = `---
+title: Hello
+date: 2026-08-01
+tags: [Notes]
+summary: A first post.
+---
+
+## Why
+
+See [below](#details)[^1] and <span onclick="x()">this</span>.
+
+## Details
+
+<script>alert(1)</script>
+
+[^1]: A footnote.
+`;
+
+test('compiles markdown into a sanitized posts-data.json entry', () => {
+    const post = compilePost(POST, 'posts/hello.md');
+    expect(post).toMatchObject({
+        slug: 'hello',
+        title: 'Hello',
+        date: '2026-08-01',
+        summary: 'A first post.',
+        tags: ['Notes'],
+        readingMinutes: 1,
+        source: 'posts/hello.md',
+    });
+    expect(post).not.toHaveProperty('draft');
+    expect(post.content).toContain(
+        '<h2 id="post-why">Why <a class="heading-anchor" href="#post-why"'
+    );
+    expect(post.content).toContain('<a href="#post-details">below</a>');
+    expect(post.content).toContain('href="#post-fn-1" id="post-fnref-1"');
+    expect(post.content).toContain('<li id="post-fn-1">');
+    expect(post.content).not.toMatch(/onclick|<script/);
+});
+
+test('rejects posts with missing or malformed metadata', () => {
+    expect(() => compilePost('---\ndate: 2026-08-01\n---\n', 'posts/a.md')).toThrow(/title/);
+    expect(() => compilePost('---\ntitle: A\ndate: Aug 1\n---\n', 'posts/a.md')).toThrow(/date/);
+    expect(() => compilePost('---\ntitle: A\ndate: 2026-08-01\n---\n', 'posts/My Post.md')).toThrow(
+        /kebab-case/
+    );
+});
+
+test('drafts are flagged and a frontmatter slug wins over the file name', () => {
+    const post = compilePost(
+        '---\ntitle: A\ndate: 2026-08-01\nslug: custom\ndraft: true\n---\nx',
+        'posts/a.md'
+    );
+    expect(post.slug).toBe('custom');
+    expect(post.draft).toBe(true);
+});
+
+test('series names are kept and must be plain names', () => {
+    const post = compilePost(
+        '---\ntitle: A\ndate: 2026-08-01\nseries: Site notes\n---\nx',
+        'posts/a.md'
+    );
+    expect(post.series).toBe('Site notes');
+    expect(compilePost('---\ntitle: A\ndate: 2026-08-01\n---\nx', 'posts/a.md')).not.toHaveProperty(
+        'series'
+    );
+    expect(() =>
+        compilePost('---\ntitle: A\ndate: 2026-08-01\nseries: [a, b]\n---\nx', 'posts/a.md')
+    ).toThrow(/series/);
+});
+
+test('reading time counts words at 200 a minute', () => {
+    expect(readingMinutes('<p>short</p>')).toBe(1);
+    expect(readingMinutes(`<p>${'word '.repeat(700)}</p>`)).toBe(4);
+});
+
+// ── Merge ────────────────────────────────────────────────────────────────────
+
+test('keeps hand-written posts, replaces compiled ones and sorts newest first', () => {
+    const existing = [
+        { slug: 'legacy', date: '2026-01-01', content: '<p>old</p>' },
+        { slug: 'moved', date: '2026-02-01', content: '<p>now markdown</p>' },
+        { slug: 'deleted', date: '2026-03-01', source: 'posts/deleted.md' },
+    ];
+    const compiled = [
+        { slug: 'moved', date: '2026-02-01', source: 'posts/moved.md' },
+        { slug: 'new', date: '2026-04-01', source: 'posts/new.md' },
+    ];
+    expect(mergePosts(existing, compiled).map(post => post.slug)).toEqual([
+        'new',
+        'moved',
+        'legacy',
+    ]);
+    expect(() =>
+        mergePosts([], [...compiled, { slug: 'new', date: '2026-05-01', source: 'posts/b.md' }])
+    ).toThrow(/also used by posts\/new\.md/);
+});
+
+// ── Stubs ────────────────────────────────────────────────────────────────────
+
+test('post stubs carry escaped metadata, the post and the static card, then open the app', () => {
+    const html = renderPostStub({
+        slug: 'tips',
+        title: 'Tips & "tricks"',
+        date: '2026-08-01',
+        summary: 'A <short> list.',
+        content: '<p>First, <em>read</em> it.</p>',
+    });
+    expect(html).toContain('<title>Tips &amp; &quot;tricks&quot; | Matthew Anderson</title>');
+    expect(html).toContain('<meta name="description" content="A &lt;short&gt; list." />');
+    expect(html).toContain('<link rel="canonical" href="https://andernet.dev/blog/tips" />');
+    expect(html).toContain(
+        '<meta property="og:image" content="https://andernet.dev/og/post-tips.png" />'
+    );
+    expect(html).toContain('encodeURIComponent("/blog/tips" + location.search');
+    expect(html).toContain('<a href="/?route=%2Fblog%2Ftips">');
+    expect(html).toContain('<h1>Tips &amp; &quot;tricks&quot;</h1>');
+    expect(html).toContain('<p>First, <em>read</em> it.</p>');
+    expect(html).toContain('Generated by scripts/build-posts.mjs');
+});
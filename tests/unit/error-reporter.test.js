@@ -0,0 +1,76 @@
+import { test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ErrorReporter } from '../../modules/error-reporter.js';
+import { ErrorSeverity } from '../../modules/error-handler.js';
+
+vi.mock('../../modules/debug.js', () => ({
+    debug: { log: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+function entry(message, severity = ErrorSeverity.ERROR, stack = `Error\n    at f (/a.js:1:1)`) {
+    return { message, type: 'unknown', severity, stack, context: {}, timestamp: 'now' };
+}
+
+beforeEach(() => {
+    vi.useFakeTimers();
+    navigator.sendBeacon = vi.fn(() => true);
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+});
+
+// ── Sampling & throttling ───────────────────────────────────────────────────
+
+test('info is never reported and warnings are sampled', () => {
+    const reporter = new ErrorReporter();
+    expect(reporter.report(entry('fyi', ErrorSeverity.INFO))).toBe(false);
+
+    vi.spyOn(Math, 'random').mockReturnValue(0.9);
+    expect(reporter.report(entry('careful', ErrorSeverity.WARNING))).toBe(false);
+    Math.random.mockReturnValue(0.1);
+    expect(reporter.report(entry('careful', ErrorSeverity.WARNING))).toBe(true);
+});
+
+test('the same error is reported at most once a minute', () => {
+    const reporter = new ErrorReporter();
+    expect(reporter.report(entry('loop'))).toBe(true);
+    for (let i = 0; i < 100; i++) {
+        expect(reporter.report(entry('loop'))).toBe(false);
+    }
+    vi.advanceTimersByTime(61_000);
+    expect(reporter.report(entry('loop'))).toBe(true);
+});
+
+test('distinct errors are capped at 10 a minute', () => {
+    const reporter = new ErrorReporter();
+    const results = Array.from({ length: 15 }, (_, i) => reporter.report(entry(`e${i}`)));
+    expect(results.filter(Boolean)).toHaveLength(10);
+});
+
+// ── Sending ─────────────────────────────────────────────────────────────────
+
+test('queued reports are beaconed together after a short delay', () => {
+    const reporter = new ErrorReporter();
+    reporter.report({ ...entry('a'), context: { modulePath: './x.js', el: document.body } });
+    reporter.report(entry('b'));
+    expect(navigator.sendBeacon).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(2000);
+    expect(navigator.sendBeacon).toHaveBeenCalledTimes(1);
+    const [url, body] = navigator.sendBeacon.mock.calls[0];
+    expect(url).toMatch(/\/errors$/);
+    const { errors } = JSON.parse(body);
+    expect(errors.map(e => e.message)).toEqual(['a', 'b']);
+    expect(errors[0].context).toEqual({ modulePath: './x.js' });
+});
+
+test('attach subscribes to the error handler', () => {
+    const reporter = new ErrorReporter();
+    let listener;
+    reporter.attach({ subscribe: fn => ((listener = fn), () => {}) }, { release: '2.0.0' });
+    listener(entry('from handler'));
+    reporter.flush();
+    expect(JSON.parse(navigator.sendBeacon.mock.calls[0][1]).release).toBe('2.0.0');
+    reporter.detach();
+});
@@ -0,0 +1,61 @@
+import { test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { Experiments, parseAssignments } from '../../modules/experiments.js';
+
+vi.mock('../../modules/debug.js', () => ({
+    debug: { log: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+beforeEach(() => {
+    localStorage.clear();
+    history.replaceState(null, '', '/');
+    document.documentElement.className = 'exp-pending';
+    for (const key of Object.keys(document.documentElement.dataset)) {
+        delete document.documentElement.dataset[key];
+    }
+});
+
+afterEach(() => {
+    delete globalThis.fetch;
+});
+
+test('load fetches with credentials, caches and applies the assignment to <html>', async () => {
+    globalThis.fetch = vi.fn(() =>
+        Promise.resolve(Response.json({ assignments: { heroCta: 'collaborate' } }))
+    );
+    const experiments = new Experiments();
+    expect(experiments.hasCached()).toBe(false);
+    expect(await experiments.load()).toBe(true);
+    expect(experiments.hasCached()).toBe(true);
+
+    expect(fetch.mock.calls[0][1].credentials).toBe('include');
+    expect(document.documentElement.dataset.expHeroCta).toBe('collaborate');
+    expect(document.documentElement.classList.contains('exp-pending')).toBe(false);
+    expect(JSON.parse(localStorage.getItem('portfolio_experiments'))).toEqual({
+        heroCta: 'collaborate',
+    });
+});
+
+test('cached assignments are echoed back to the Worker and survive a failed fetch', async () => {
+    localStorage.setItem('portfolio_experiments', JSON.stringify({ heroRoles: 'builder' }));
+    globalThis.fetch = vi.fn(() => Promise.reject(new TypeError('offline')));
+
+    const experiments = new Experiments();
+    expect(experiments.hasCached()).toBe(true);
+    expect(await experiments.load()).toBe(false);
+    expect(fetch.mock.calls[0][0]).toContain('current=heroRoles%3Abuilder');
+    expect(experiments.variant('heroRoles')).toBe('builder');
+    expect(document.documentElement.classList.contains('exp-pending')).toBe(false);
+});
+
+test('?exp= forces arms for the page without being cached', async () => {
+    history.replaceState(null, '', '/?exp=heroBackground:static');
+    globalThis.fetch = vi.fn(() =>
+        Promise.resolve(Response.json({ assignments: { heroBackground: 'wasm' } }))
+    );
+    const experiments = new Experiments();
+    await experiments.load();
+
+    expect(experiments.variant('heroBackground')).toBe('static');
+    expect(JSON.parse(localStorage.getItem('portfolio_experiments')).heroBackground).toBe('wasm');
+    expect(parseAssignments('a:b| bad |c:')).toEqual({ a: 'b' });
+});
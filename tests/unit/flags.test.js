@@ -0,0 +1,81 @@
+import { test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { FeatureFlags, parseFlagParam } from '../../modules/flags.js';
+
+vi.mock('../../modules/debug.js', () => ({
+    debug: { log: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+const DEFAULTS = { guestbook: true, heroWasm: true, newThing: false };
+
+function respond(flags) {
+    globalThis.fetch = vi.fn(() => Promise.resolve(Response.json({ flags })));
+}
+
+beforeEach(() => {
+    localStorage.clear();
+    history.replaceState(null, '', '/');
+});
+
+afterEach(() => {
+    delete globalThis.fetch;
+});
+
+// ── Resolution order ────────────────────────────────────────────────────────
+
+test('parseFlagParam turns names on and -names off', () => {
+    expect(parseFlagParam('newThing, -guestbook,,')).toEqual({ newThing: true, guestbook: false });
+    expect(parseFlagParam(null)).toEqual({});
+});
+
+test('defaults < remote < localStorage < ?flags=', async () => {
+    localStorage.setItem('portfolio_flags', JSON.stringify({ heroWasm: true, newThing: true }));
+    history.replaceState(null, '', '/?flags=-newThing');
+    respond({ guestbook: false, heroWasm: false });
+
+    const flags = new FeatureFlags(DEFAULTS);
+    await flags.load();
+
+    expect(flags.decisions()).toEqual({
+        guestbook: { value: false, source: 'remote' },
+        heroWasm: { value: true, source: 'local' },
+        newThing: { value: false, source: 'url' },
+    });
+});
+
+test('unknown flags and non-boolean values are ignored in every layer', async () => {
+    history.replaceState(null, '', '/?flags=surprise');
+    respond({ guestbook: 'no', other: false });
+
+    const flags = new FeatureFlags(DEFAULTS);
+    await flags.load();
+
+    expect(flags.isEnabled('surprise')).toBe(false);
+    expect(flags.decisions().guestbook).toEqual({ value: true, source: 'default' });
+    expect('other' in flags.decisions()).toBe(false);
+});
+
+// ── Remote layer ────────────────────────────────────────────────────────────
+
+test('the last remote response applies on the next visit before it is refetched', async () => {
+    respond({ guestbook: false });
+    const first = new FeatureFlags(DEFAULTS);
+    expect(first.hasCached()).toBe(false);
+    await first.load();
+
+    globalThis.fetch = vi.fn(() => Promise.reject(new TypeError('offline')));
+    const next = new FeatureFlags(DEFAULTS);
+    expect(next.hasCached()).toBe(true);
+    expect(next.isEnabled('guestbook')).toBe(false);
+    expect(await next.load()).toBe(false);
+    expect(next.isEnabled('guestbook')).toBe(false);
+});
+
+test('setOverride persists a local override and null clears it', () => {
+    const flags = new FeatureFlags(DEFAULTS);
+    flags.setOverride('newThing', true);
+    expect(flags.isEnabled('newThing')).toBe(true);
+    expect(new FeatureFlags(DEFAULTS).isEnabled('newThing')).toBe(true);
+
+    flags.setOverride('newThing', null);
+    expect(flags.decisions().newThing).toEqual({ value: false, source: 'default' });
+});
@@ -1,5 +1,5 @@
 import { test, expect, vi } from 'vitest';
-import { GitHubAPIManager } from '../../modules/github-api.js';
+import { GitHubAPIManager, RequestPriority, parseLinkHeader } from '../../modules/github-api.js';
 
 // Stub the debug module (avoids console noise and import errors).
 vi.mock('../../modules/debug.js', () => ({
@@ -94,3 +94,360 @@ test('loadCachedGitHubData memoises the result after first fetch', async () => {
     expect(second).toBe(first); // same reference — memoised
     expect(globalThis.fetch).toHaveBeenCalledTimes(1);
 });
+
+test('loadCachedGitHubData falls back to github-data.json when the Worker is down', async () => {
+    const api = new GitHubAPIManager();
+    const payload = { contributions: 7 };
+    globalThis.fetch = vi
+        .fn()
+        .mockRejectedValueOnce(new Error('network'))
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(payload) });
+    expect(await api.loadCachedGitHubData()).toEqual(payload);
+    expect(globalThis.fetch.mock.calls[0][0]).toMatch(/\/github-data$/);
+    expect(globalThis.fetch.mock.calls[1][0]).toBe('/github-data.json');
+});
+
+// ── Persistent cache + revalidation ──────────────────────────────────────────
+
+function memoryStore(entries = []) {
+    const map = new Map(entries.map(entry => [entry.key, entry]));
+    return {
+        map,
+        get: vi.fn(key => Promise.resolve(map.get(key) ?? null)),
+        set: vi.fn(entry => Promise.resolve(map.set(entry.key, entry) && true)),
+        delete: key => Promise.resolve(map.delete(key)),
+        clear: () => Promise.resolve(map.clear()),
+        entries: () => Promise.resolve([...map.values()]),
+    };
+}
+
+function githubResponse(status, body, headers = {}) {
+    return new Response(status === 304 ? null : JSON.stringify(body), {
+        status,
+        headers: { 'X-RateLimit-Remaining': '59', ...headers },
+    });
+}
+
+const KEY = '/users/and3rn3t:{}';
+
+test('a miss stores the response with its validators', async () => {
+    const store = memoryStore();
+    const api = new GitHubAPIManager({ proxyUrl: null, store });
+    globalThis.fetch = vi.fn(() =>
+        Promise.resolve(githubResponse(200, { login: 'and3rn3t' }, { ETag: '"v1"' }))
+    );
+
+    expect(await api.fetchGitHubData('/users/and3rn3t')).toEqual({ login: 'and3rn3t' });
+    expect(store.map.get(KEY)).toMatchObject({ etag: '"v1"', data: { login: 'and3rn3t' } });
+    expect(fetch.mock.calls[0][1].headers['If-None-Match']).toBeUndefined();
+});
+
+test('a fresh persistent entry is served without a request', async () => {
+    const store = memoryStore([{ key: KEY, data: { login: 'cached' }, expiry: Date.now() + 1e5 }]);
+    const api = new GitHubAPIManager({ proxyUrl: null, store });
+    globalThis.fetch = vi.fn();
+
+    expect(await api.fetchGitHubData('/users/and3rn3t')).toEqual({ login: 'cached' });
+    expect(fetch).not.toHaveBeenCalled();
+});
+
+test('a stale entry is served at once and revalidated with If-None-Match', async () => {
+    const stale = { key: KEY, data: { login: 'old' }, etag: '"v1"', expiry: Date.now() - 1000 };
+    const store = memoryStore([stale]);
+    const api = new GitHubAPIManager({ proxyUrl: null, store });
+    globalThis.fetch = vi.fn(() => Promise.resolve(githubResponse(304)));
+    const updated = vi.fn();
+    document.addEventListener('githubDataUpdated', updated);
+
+    expect(await api.fetchGitHubData('/users/and3rn3t')).toEqual({ login: 'old' });
+    await vi.waitFor(() => expect(store.set).toHaveBeenCalled());
+
+    expect(fetch.mock.calls[0][1].headers['If-None-Match']).toBe('"v1"');
+    expect(store.map.get(KEY).expiry).toBeGreaterThan(Date.now());
+    expect(store.map.get(KEY).data).toEqual({ login: 'old' });
+    expect(updated).not.toHaveBeenCalled();
+    document.removeEventListener('githubDataUpdated', updated);
+});
+
+test('changed data found while revalidating is announced', async () => {
+    const stale = { key: KEY, data: { login: 'old' }, etag: '"v1"', expiry: Date.now() - 1000 };
+    const api = new GitHubAPIManager({ proxyUrl: null, store: memoryStore([stale]) });
+    globalThis.fetch = vi.fn(() =>
+        Promise.resolve(githubResponse(200, { login: 'new' }, { ETag: '"v2"' }))
+    );
+    const updated = new Promise(resolve =>
+        document.addEventListener('githubDataUpdated', e => resolve(e.detail), { once: true })
+    );
+
+    await api.fetchGitHubData('/users/and3rn3t');
+    expect(await updated).toEqual({ endpoint: '/users/and3rn3t', params: {} });
+    expect(api.getCache(KEY)).toEqual({ login: 'new' });
+});
+
+test('an entry past maxStale waits for the conditional request', async () => {
+    const old = { key: KEY, data: { login: 'old' }, etag: '"v1"', expiry: Date.now() - 2 * 864e5 };
+    const api = new GitHubAPIManager({ proxyUrl: null, store: memoryStore([old]) });
+    globalThis.fetch = vi.fn(() =>
+        Promise.resolve(githubResponse(200, { login: 'new' }, { ETag: '"v2"' }))
+    );
+
+    expect(await api.fetchGitHubData('/users/and3rn3t')).toEqual({ login: 'new' });
+    expect(fetch.mock.calls[0][1].headers['If-None-Match']).toBe('"v1"');
+});
+
+// ── Request scheduling ───────────────────────────────────────────────────────
+
+/** fetch that only settles when `release()` is called or its signal aborts. */
+function pendingFetch() {
+    const pending = [];
+    const fetchMock = vi.fn(
+        (url, { signal } = {}) =>
+            new Promise((resolve, reject) => {
+                pending.push({ url, resolve });
+                signal?.addEventListener('abort', () => reject(signal.reason));
+            })
+    );
+    fetchMock.release = (index = 0, body = {}) => pending[index].resolve(githubResponse(200, body));
+    fetchMock.pending = pending;
+    return fetchMock;
+}
+
+test('identical concurrent requests share one fetch', async () => {
+    const api = new GitHubAPIManager({ proxyUrl: null, store: memoryStore() });
+    globalThis.fetch = pendingFetch();
+
+    const first = api.fetchGitHubData('/users/and3rn3t');
+    const second = api.fetchGitHubData('/users/and3rn3t');
+    await vi.waitFor(() => expect(fetch).toHaveBeenCalledTimes(1));
+    fetch.release(0, { login: 'and3rn3t' });
+
+    expect(await first).toEqual({ login: 'and3rn3t' });
+    expect(await second).toEqual({ login: 'and3rn3t' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(api.inFlight.size).toBe(0);
+});
+
+test('queued requests start in priority order within the concurrency cap', async () => {
+    const api = new GitHubAPIManager({ proxyUrl: null, store: memoryStore() });
+    api.maxConcurrent = 1;
+    globalThis.fetch = vi.fn(url => Promise.resolve(githubResponse(200, { url })));
+
+    await Promise.all([
+        api.fetchGitHubData('/a', {}, 300000, { priority: RequestPriority.LOW }),
+        api.fetchGitHubData('/b', {}, 300000, { priority: RequestPriority.NORMAL }),
+        api.fetchGitHubData('/c', {}, 300000, { priority: RequestPriority.HIGH }),
+    ]);
+
+    // '/a' was already running when the others were queued.
+    const order = fetch.mock.calls.map(([url]) => new URL(url).pathname);
+    expect(order).toEqual(['/a', '/c', '/b']);
+});
+
+test('an aborted caller rejects while the others still get the data', async () => {
+    const api = new GitHubAPIManager({ proxyUrl: null, store: memoryStore() });
+    globalThis.fetch = pendingFetch();
+    const controller = new AbortController();
+
+    const cancelled = api.fetchGitHubData('/users/and3rn3t', {}, 300000, {
+        signal: controller.signal,
+    });
+    const kept = api.fetchGitHubData('/users/and3rn3t');
+    await vi.waitFor(() => expect(fetch).toHaveBeenCalledTimes(1));
+    controller.abort();
+
+    await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+    fetch.release(0, { login: 'and3rn3t' });
+    expect(await kept).toEqual({ login: 'and3rn3t' });
+});
+
+test('the shared fetch is aborted once every caller has gone', async () => {
+    const api = new GitHubAPIManager({ proxyUrl: null, store: memoryStore() });
+    globalThis.fetch = pendingFetch();
+    const controllers = [new AbortController(), new AbortController()];
+
+    const calls = controllers.map(({ signal }) =>
+        api.fetchGitHubData('/users/and3rn3t', {}, 300000, { signal })
+    );
+    await vi.waitFor(() => expect(fetch).toHaveBeenCalledTimes(1));
+    const { signal } = fetch.mock.calls[0][1];
+
+    controllers[0].abort();
+    await expect(calls[0]).rejects.toMatchObject({ name: 'AbortError' });
+    expect(signal.aborted).toBe(false);
+
+    controllers[1].abort();
+    await expect(calls[1]).rejects.toMatchObject({ name: 'AbortError' });
+    expect(signal.aborted).toBe(true);
+    await vi.waitFor(() => expect(api.activeRequests).toBe(0));
+    expect(fetch).toHaveBeenCalledTimes(1); // not retried
+});
+
+test('loadCachedGitHubData shares one request between concurrent callers', async () => {
+    const api = new GitHubAPIManager();
+    globalThis.fetch = vi.fn(() =>
+        Promise.resolve({ ok: true, json: () => Promise.resolve({ contributions: 1 }) })
+    );
+
+    const [first, second] = await Promise.all([
+        api.loadCachedGitHubData(),
+        api.loadCachedGitHubData(),
+    ]);
+    expect(second).toBe(first);
+    expect(fetch).toHaveBeenCalledTimes(1);
+});
+
+// ── Pagination ───────────────────────────────────────────────────────────────
+
+test('parseLinkHeader maps each rel to its URL', () => {
+    const header =
+        '<https://api.github.com/user/1/repos?page=2>; rel="next", ' +
+        '<https://api.github.com/user/1/repos?page=5>; rel="last"';
+    expect(parseLinkHeader(header)).toEqual({
+        next: 'https://api.github.com/user/1/repos?page=2',
+        last: 'https://api.github.com/user/1/repos?page=5',
+    });
+    expect(parseLinkHeader(null)).toEqual({});
+});
+
+test('fetchAllPages follows rel="next" until the last page', async () => {
+    const api = new GitHubAPIManager({ proxyUrl: null, store: memoryStore() });
+    const next = 'https://api.github.com/users/and3rn3t/repos?per_page=100&page=2';
+    globalThis.fetch = vi.fn(url =>
+        Promise.resolve(
+            new URL(url).searchParams.get('page') === '2'
+                ? githubResponse(200, [{ name: 'c' }])
+                : githubResponse(200, [{ name: 'a' }, { name: 'b' }], {
+                      Link: `<${next}>; rel="next"`,
+                  })
+        )
+    );
+
+    const repos = await api.fetchAllPages('/users/and3rn3t/repos');
+    expect(repos.map(repo => repo.name)).toEqual(['a', 'b', 'c']);
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    // Pages are cached along with their next link.
+    expect(await api.fetchAllPages('/users/and3rn3t/repos')).toEqual(repos);
+    expect(fetch).toHaveBeenCalledTimes(2);
+});
+
+test('fetchAllPages stops at the item limit and ignores foreign links', async () => {
+    const api = new GitHubAPIManager({ proxyUrl: null, store: memoryStore() });
+    globalThis.fetch = vi.fn(() =>
+        Promise.resolve(
+            githubResponse(200, [{ name: 'a' }, { name: 'b' }], {
+                Link: '<https://example.com/repos?page=2>; rel="next"',
+            })
+        )
+    );
+
+    expect(await api.fetchAllPages('/users/and3rn3t/repos', {}, 300000, { limit: 1 })).toEqual([
+        { name: 'a' },
+    ]);
+    expect(await api.fetchAllPages('/users/and3rn3t/repos')).toHaveLength(2);
+    expect(fetch).toHaveBeenCalledTimes(1);
+});
+
+// ── GraphQL ──────────────────────────────────────────────────────────────────
+
+function graphqlResponse(data, status = 200) {
+    return new Response(JSON.stringify(status === 200 ? { data } : { error: data }), { status });
+}
+
+test('graphqlPaginate follows the connection cursor', async () => {
+    const api = new GitHubAPIManager({ proxyUrl: null, store: memoryStore() });
+    const page = (nodes, endCursor) => ({
+        user: { repositories: { nodes, pageInfo: { hasNextPage: !!endCursor, endCursor } } },
+    });
+    globalThis.fetch = vi.fn((url, init) => {
+        const { after } = JSON.parse(init.body).variables;
+        return Promise.resolve(
+            graphqlResponse(after ? page([{ name: 'b' }], null) : page([{ name: 'a' }], 'c1'))
+        );
+    });
+
+    const nodes = await api.graphqlPaginate(
+        'repositories',
+        { login: 'and3rn3t' },
+        'user.repositories'
+    );
+    expect(nodes).toEqual([{ name: 'a' }, { name: 'b' }]);
+    expect(fetch.mock.calls[0][0]).toMatch(/\/graphql$/);
+    expect(JSON.parse(fetch.mock.calls[1][1].body)).toEqual({
+        query: 'repositories',
+        variables: { login: 'and3rn3t', first: 100, after: 'c1' },
+    });
+});
+
+test('getRepositoryTopics maps repository names to topics', async () => {
+    const api = new GitHubAPIManager({ proxyUrl: null, store: memoryStore() });
+    const node = {
+        name: 'homehub',
+        url: 'https://github.com/and3rn3t/homehub',
+        repositoryTopics: { nodes: [{ topic: { name: 'iot' } }, { topic: { name: 'swift' } }] },
+        languages: { edges: [{ size: 300, node: { name: 'Swift' } }] },
+    };
+    globalThis.fetch = vi.fn(() =>
+        Promise.resolve(
+            graphqlResponse({
+                user: { repositories: { nodes: [node], pageInfo: { hasNextPage: false } } },
+            })
+        )
+    );
+
+    expect(await api.getRepositoryTopics()).toEqual({ homehub: ['iot', 'swift'] });
+    expect(await api.getRepositoryLanguages()).toEqual({ homehub: { Swift: 300 } });
+    expect(fetch).toHaveBeenCalledTimes(1);
+});
+
+test('GraphQL helpers resolve null when the Worker cannot run the query', async () => {
+    const api = new GitHubAPIManager({ proxyUrl: null, store: memoryStore() });
+    globalThis.fetch = vi.fn(() => Promise.resolve(graphqlResponse('graphql_unavailable', 503)));
+    api.baseDelay = 0;
+
+    expect(await api.getContributionYears()).toBeNull();
+    expect(await api.getPinnedItems()).toBeNull();
+});
+
+// ── Worker proxy ─────────────────────────────────────────────────────────────
+
+const PROXY = 'https://worker.test/gh';
+
+test('REST calls switch to the proxy when its probe answers', async () => {
+    const api = new GitHubAPIManager({ proxyUrl: PROXY, store: memoryStore() });
+    const next = `${PROXY}/users/and3rn3t/repos?per_page=100&page=2`;
+    globalThis.fetch = vi.fn(url => {
+        if (url === PROXY) return Promise.resolve(new Response('{"queries":[]}'));
+        const page = new URL(url).searchParams.get('page');
+        return Promise.resolve(
+            page
+                ? githubResponse(200, [{ name: 'b' }])
+                : githubResponse(200, [{ name: 'a' }], { Link: `<${next}>; rel="next"` })
+        );
+    });
+
+    const repos = await api.fetchAllPages('/users/and3rn3t/repos');
+    expect(repos).toEqual([{ name: 'a' }, { name: 'b' }]);
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+        PROXY,
+        `${PROXY}/users/and3rn3t/repos?per_page=100`,
+        next,
+    ]);
+});
+
+test('an unreachable proxy leaves REST calls on api.github.com', async () => {
+    const api = new GitHubAPIManager({ proxyUrl: PROXY, store: memoryStore() });
+    globalThis.fetch = vi.fn(url =>
+        url === PROXY
+            ? Promise.reject(new TypeError('Failed to fetch'))
+            : Promise.resolve(githubResponse(200, { login: 'and3rn3t' }))
+    );
+
+    await api.fetchGitHubData('/users/and3rn3t');
+    await api.fetchGitHubData('/users/and3rn3t/repos');
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+        PROXY,
+        'https://api.github.com/users/and3rn3t',
+        'https://api.github.com/users/and3rn3t/repos',
+    ]);
+});
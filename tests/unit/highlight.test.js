@@ -0,0 +1,196 @@
+import { test, expect, vi, afterEach } from 'vitest';
+import {
+    tokenize,
+    resolveLanguage,
+    parseCodeMeta,
+    highlightCode,
+} from '../../modules/utils/highlight.js';
+
+vi.mock('../../modules/debug.js', () => ({
+    debug: { log: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+const { enhanceCodeBlocks } = await import('../../modules/utils/code-blocks.js');
+
+/** `type:text` for every highlighted token */
+const tokens = (code, lang) =>
+    tokenize(code, lang)
+        .filter(token => token.type)
+        .map(({ type, text }) => `${type}:${text}`);
+
+afterEach(() => {
+    document.body.innerHTML = '';
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+});
+
+// ── Languages ────────────────────────────────────────────────────────────────
+
+test('fence names and aliases resolve to a grammar', () => {
+    expect(resolveLanguage('TypeScript')).toBe('js');
+    expect(resolveLanguage('bash')).toBe('shell');
+    expect(resolveLanguage('rs')).toBe('rust');
+    expect(resolveLanguage('css')).toBe('css');
+    expect(resolveLanguage('cobol')).toBeNull();
+    expect(resolveLanguage(undefined)).toBeNull();
+});
+
+test('JS/TS: keywords, strings, regexes, calls and comments', () => {
+    expect(tokens('const re = /a\\/b/g; // note\nfetch(`x ${y}`, 0x1f, true);', 'ts')).toEqual([
+        'keyword:const',
+        'regex:/a\\/b/g',
+        'comment:// note',
+        'function:fetch',
+        'string:`x ${y}`',
+        'number:0x1f',
+        'literal:true',
+    ]);
+    expect(tokens('a = b / c / d', 'js')).toEqual([]);
+});
+
+test('Swift: attributes, types and string interpolation', () => {
+    expect(tokens('@MainActor func go(x: Int) -> String { "hi \\(x)" }', 'swift')).toEqual([
+        'meta:@MainActor',
+        'keyword:func',
+        'function:go',
+        'type:Int',
+        'type:String',
+        'string:"hi \\(x)"',
+    ]);
+});
+
+test('Rust: attributes, macros, lifetimes and chars', () => {
+    expect(tokens("#[derive(Debug)]\nfn f<'a>() { println!(\"{}\", 'c'); None }", 'rust')).toEqual([
+        'meta:#[derive(Debug)]',
+        'keyword:fn',
+        "type:'a",
+        'function:println!',
+        'string:"{}"',
+        "string:'c'",
+        'literal:None',
+    ]);
+});
+
+test('CSS: properties are told apart from selectors', () => {
+    expect(
+        tokens('a:hover { color: #fff; margin: -0.5rem var(--gap) !important; }', 'css')
+    ).toEqual([
+        'property:color',
+        'number:#fff',
+        'property:margin',
+        'number:-0.5rem',
+        'function:var',
+        'keyword:!important',
+    ]);
+    expect(tokens('@media (min-width: 40em) {}', 'css')).toEqual([
+        'keyword:@media',
+        'property:min-width',
+        'number:40em',
+    ]);
+});
+
+test('shell: prompts, commands, flags, variables and comments', () => {
+    expect(
+        tokens('$ pnpm i --frozen-lockfile # deps\nif [ "$HOME" ]; then echo ${X}; fi', 'sh')
+    ).toEqual([
+        'meta:$',
+        'function:pnpm',
+        'attr:--frozen-lockfile',
+        'comment:# deps',
+        'keyword:if',
+        'string:"$HOME"',
+        'keyword:then',
+        'variable:${X}',
+        'keyword:fi',
+    ]);
+});
+
+test('JSON: keys, values and literals', () => {
+    expect(tokens('{"a": [1, -2.5e3, null], "b": "s"}', 'json')).toEqual([
+        'property:"a"',
+        'number:1',
+        'number:-2.5e3',
+        'literal:null',
+        'property:"b"',
+        'string:"s"',
+    ]);
+});
+
+test('unknown languages are one plain token', () => {
+    expect(tokenize('x = 1', 'cobol')).toEqual([{ type: null, text: 'x = 1' }]);
+    expect(tokenize('', 'js')).toEqual([]);
+});
+
+// ── Meta and lines ───────────────────────────────────────────────────────────
+
+test('meta strings give a title, highlighted lines and line numbers', () => {
+    expect(parseCodeMeta('title="src/main.js" {1,4-6} showLineNumbers')).toEqual({
+        title: 'src/main.js',
+        highlight: new Set([1, 4, 5, 6]),
+        lineNumbers: true,
+    });
+    expect(parseCodeMeta("title='a b.rs'").title).toBe('a b.rs');
+    expect(parseCodeMeta('title=Cargo.toml {0,3-2}')).toEqual({
+        title: 'Cargo.toml',
+        highlight: new Set(),
+        lineNumbers: false,
+    });
+    expect(parseCodeMeta()).toEqual({ title: null, highlight: new Set(), lineNumbers: false });
+});
+
+test('highlightCode escapes, wraps each line and splits multi-line tokens', () => {
+    expect(highlightCode('/* a\nb */ x < 1\n', 'js', { highlight: new Set([2]) })).toBe(
+        '<span class="code-line"><span class="tok-comment">/* a</span></span>\n' +
+            '<span class="code-line code-line-highlight"><span class="tok-comment">b */</span> x &lt; <span class="tok-number">1</span></span>'
+    );
+    expect(highlightCode('a\n\nb', 'text')).toBe(
+        '<span class="code-line">a</span>\n<span class="code-line"></span>\n<span class="code-line">b</span>'
+    );
+});
+
+// ── enhanceCodeBlocks ────────────────────────────────────────────────────────
+
+function renderBlock(meta = '') {
+    document.body.innerHTML = `<div id="post"><pre><code class="language-js" data-meta="${meta}">let a = '&lt;b&gt;';\n</code></pre></div>`;
+    const root = document.querySelector('#post');
+    enhanceCodeBlocks(root);
+    return root;
+}
+
+test('code blocks get a figure, caption, line classes and a copy button', () => {
+    const root = renderBlock('title=&quot;a.js&quot; {1} showLineNumbers');
+    const figure = root.querySelector('figure.code-block');
+
+    expect(figure.dataset.lang).toBe('js');
+    expect(figure.querySelector('figcaption').textContent).toBe('a.js');
+    expect(figure.querySelector('pre').classList.contains('has-line-numbers')).toBe(true);
+    expect(figure.querySelector('.code-line-highlight .tok-string').textContent).toBe("'<b>'");
+    expect(figure.querySelector('.code-copy-button')).not.toBeNull();
+
+    enhanceCodeBlocks(root);
+    expect(root.querySelectorAll('figure')).toHaveLength(1);
+});
+
+test('the copy button copies the original code and resets its label', async () => {
+    vi.useFakeTimers();
+    const writeText = vi.fn().mockResolvedValue();
+    vi.stubGlobal('navigator', { clipboard: { writeText } });
+
+    const button = renderBlock().querySelector('.code-copy-button');
+    button.click();
+    await vi.waitFor(() => expect(button.textContent.trim()).toBe('Copied'));
+    expect(writeText).toHaveBeenCalledWith("let a = '<b>';");
+
+    vi.advanceTimersByTime(2000);
+    expect(button.textContent.trim()).toBe('Copy');
+});
+
+test('a failed copy says so', async () => {
+    vi.stubGlobal('navigator', {
+        clipboard: { writeText: vi.fn().mockRejectedValue(new Error()) },
+    });
+
+    const button = renderBlock().querySelector('.code-copy-button');
+    button.click();
+    await vi.waitFor(() => expect(button.textContent.trim()).toBe('Copy failed'));
+});
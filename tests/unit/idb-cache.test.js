@@ -0,0 +1,25 @@
+import { test, expect, vi } from 'vitest';
+import { IDBCache, selectEvictions } from '../../modules/utils/idb-cache.js';
+
+vi.mock('../../modules/debug.js', () => ({
+    debug: { log: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+test('selectEvictions drops least recently used entries until within quota', () => {
+    const entries = [
+        { key: 'a', size: 400, lastAccess: 3 },
+        { key: 'b', size: 400, lastAccess: 1 },
+        { key: 'c', size: 400, lastAccess: 2 },
+    ];
+    expect(selectEvictions(entries, { maxBytes: 1000, maxEntries: 10 })).toEqual(['b']);
+    expect(selectEvictions(entries, { maxBytes: 1000, maxEntries: 1 })).toEqual(['b', 'c']);
+    expect(selectEvictions(entries, { maxBytes: 5000, maxEntries: 10 })).toEqual([]);
+});
+
+test('without IndexedDB every operation resolves to an empty result', async () => {
+    const cache = new IDBCache({ name: 'test' });
+    expect(globalThis.indexedDB).toBeUndefined();
+    expect(await cache.get('k')).toBeNull();
+    expect(await cache.set({ key: 'k', data: 1 })).toBe(false);
+    expect(await cache.entries()).toEqual([]);
+});
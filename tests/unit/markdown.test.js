@@ -0,0 +1,128 @@
+import { test, expect } from 'vitest';
+import { renderMarkdown, slugify, safeUrl } from '../../modules/utils/markdown.js';
+
+const html = (source, options) => renderMarkdown(source, options).html;
+
+// ── Blocks ───────────────────────────────────────────────────────────────────
+
+test('headings get slug ids and are returned for a table of contents', () => {
+    const { html: out, headings } = renderMarkdown(
+        '# Title\n\n## Getting started\n\n## Getting started',
+        {
+            idPrefix: 'readme-',
+        }
+    );
+    expect(out).toContain('<h1 id="readme-title">Title</h1>');
+    expect(out).toContain('<h2 id="readme-getting-started-1">Getting started</h2>');
+    expect(headings).toEqual([
+        { level: 1, id: 'readme-title', text: 'Title' },
+        { level: 2, id: 'readme-getting-started', text: 'Getting started' },
+        { level: 2, id: 'readme-getting-started-1', text: 'Getting started' },
+    ]);
+});
+
+test('setext headings, rules and paragraphs', () => {
+    expect(html('Title\n=====\n\nSub\n---\n\none\ntwo\n\n***')).toBe(
+        '<h1 id="title">Title</h1>\n<h2 id="sub">Sub</h2>\n<p>one\ntwo</p>\n<hr>'
+    );
+});
+
+test('fenced code keeps its language and meta, and escapes its content', () => {
+    expect(html('```js title="a.js" {2}\nif (a < b) {}\n```')).toBe(
+        '<pre><code class="language-js" data-meta="title=&quot;a.js&quot; {2}">if (a &lt; b) {}\n</code></pre>'
+    );
+    expect(html('    indented <code>')).toBe('<pre><code>indented &lt;code&gt;\n</code></pre>');
+});
+
+test('tight, loose, nested, ordered and task lists', () => {
+    expect(html('- a\n- b\n  - c')).toBe(
+        '<ul>\n<li>a</li>\n<li>b\n<ul>\n<li>c</li>\n</ul></li>\n</ul>'
+    );
+    expect(html('1. a\n\n2. b')).toBe('<ol>\n<li><p>a</p></li>\n<li><p>b</p></li>\n</ol>');
+    expect(html('3) x')).toBe('<ol start="3">\n<li>x</li>\n</ol>');
+    expect(html('- [x] done\n- [ ] todo')).toBe(
+        '<ul>\n<li class="task-list-item"><input type="checkbox" disabled checked> done</li>\n' +
+            '<li class="task-list-item"><input type="checkbox" disabled> todo</li>\n</ul>'
+    );
+});
+
+test('block quotes and tables', () => {
+    expect(html('> quoted\n> text')).toBe('<blockquote>\n<p>quoted\ntext</p>\n</blockquote>');
+    expect(html('| a | b |\n|:--|--:|\n| 1 | `\\|` |')).toBe(
+        '<table>\n<thead>\n<tr><th align="left">a</th><th align="right">b</th></tr>\n</thead>\n' +
+            '<tbody>\n<tr><td align="left">1</td><td align="right"><code>|</code></td></tr>\n</tbody>\n</table>'
+    );
+});
+
+// ── Inline ───────────────────────────────────────────────────────────────────
+
+test('emphasis, code spans and strikethrough', () => {
+    expect(html('**bold** *em* _em_ ~~gone~~ `a*b*c` snake_case_name')).toBe(
+        '<p><strong>bold</strong> <em>em</em> <em>em</em> <del>gone</del> <code>a*b*c</code> snake_case_name</p>'
+    );
+});
+
+test('links, images, badges and references', () => {
+    expect(html('[site](https://andernet.dev "Home")')).toBe(
+        '<p><a href="https://andernet.dev" title="Home">site</a></p>'
+    );
+    expect(html('[![CI](badge.svg)](https://ci.example)')).toBe(
+        '<p><a href="https://ci.example"><img src="badge.svg" alt="CI" loading="lazy"></a></p>'
+    );
+    expect(html('See [docs][d].\n\n[d]: docs/README.md')).toBe(
+        '<p>See <a href="docs/README.md">docs</a>.</p>'
+    );
+    expect(html('Visit https://andernet.dev/a?b=1&c=2.')).toBe(
+        '<p>Visit <a href="https://andernet.dev/a?b=1&amp;c=2">https://andernet.dev/a?b=1&amp;c=2</a>.</p>'
+    );
+});
+
+// ── Safety ───────────────────────────────────────────────────────────────────
+
+test('raw HTML is escaped unless allowed', () => {
+    expect(html('<script>alert(1)</script>')).toBe('<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    expect(html('<p align="center">\n<img src="logo.png">\n</p>', { allowHtml: true })).toBe(
+        '<p align="center">\n<img src="logo.png">\n</p>'
+    );
+});
+
+test('unsafe link schemes are dropped', () => {
+    expect(html('[x](javascript:alert(1))')).toBe('<p>x</p>');
+    expect(safeUrl('java\tscript:alert(1)')).toBeNull();
+    expect(safeUrl('data:text/html,hi')).toBeNull();
+    expect(safeUrl('mailto:me@andernet.dev')).toBe('mailto:me@andernet.dev');
+    expect(safeUrl('../docs/a.md')).toBe('../docs/a.md');
+});
+
+test('slugify follows GitHub', () => {
+    expect(slugify('What’s New in v2.0?')).toBe('whats-new-in-v20');
+    expect(slugify('API & SDK')).toBe('api--sdk');
+});
+
+// ── Footnotes and anchors ────────────────────────────────────────────────────
+
+test('footnotes are numbered by first reference and link both ways', () => {
+    const out = html(
+        'Claim[^src] and another[^a], again[^src].\n\n[^a]: Second note.\n[^src]: First note\n    continued.'
+    );
+    expect(out).toContain(
+        '<sup><a href="#fn-1" id="fnref-1" class="footnote-ref">1</a></sup> and another' +
+            '<sup><a href="#fn-2" id="fnref-2" class="footnote-ref">2</a></sup>'
+    );
+    expect(out).toContain('id="fnref-1-2"');
+    expect(out).toContain(
+        '<li id="fn-1">\n<p>First note\ncontinued. <a href="#fnref-1" class="footnote-backref" aria-label="Back to reference 1">↩</a> ' +
+            '<a href="#fnref-1-2" class="footnote-backref" aria-label="Back to reference 1">↩</a></p>\n</li>'
+    );
+    expect(out).toMatch(/^<p>[\s\S]*<\/p>\n<section class="footnotes">\n<ol>\n<li id="fn-1">/);
+});
+
+test('undefined and unreferenced footnotes are left alone', () => {
+    expect(html('Nothing[^x] here.\n\n[^y]: Unused.')).toBe('<p>Nothing[^x] here.</p>');
+});
+
+test('headings can link to themselves', () => {
+    expect(html('## Set up', { headingAnchors: true, idPrefix: 'post-' })).toBe(
+        '<h2 id="post-set-up">Set up <a class="heading-anchor" href="#post-set-up" aria-label="Link to this section">#</a></h2>'
+    );
+});
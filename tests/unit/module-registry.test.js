@@ -0,0 +1,162 @@
+import { test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ModuleRegistry } from '../../modules/module-registry.js';
+
+vi.mock('../../modules/debug.js', () => ({
+    debug: { log: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+function delay(ms, value) {
+    return new Promise(resolve => setTimeout(() => resolve(value), ms));
+}
+
+function makeRegistry(entries) {
+    const managers = {};
+    const timings = {};
+    const registry = new ModuleRegistry({ managers, timings }).register(entries);
+    return { registry, managers, timings };
+}
+
+beforeEach(() => {
+    document.body.innerHTML = '<div id="present"></div>';
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+// ── Scheduling ──────────────────────────────────────────────────────────────
+
+test('independent modules start in parallel; a slow one does not delay the rest', async () => {
+    vi.useFakeTimers();
+    const order = [];
+    const { registry, managers, timings } = makeRegistry([
+        {
+            name: 'slow',
+            phase: 'sections',
+            init: () => delay(500, 'slow').then(m => (order.push(m), m)),
+        },
+        {
+            name: 'fast',
+            phase: 'sections',
+            init: () => delay(10, 'fast').then(m => (order.push(m), m)),
+        },
+    ]);
+
+    const run = registry.run('sections');
+    await vi.advanceTimersByTimeAsync(500);
+
+    expect(await run).toEqual({ slow: 'ready', fast: 'ready' });
+    expect(order).toEqual(['fast', 'slow']);
+    expect(managers).toEqual({ slow: 'slow', fast: 'fast' });
+    expect(timings.slow).toMatchObject({ phase: 'sections', status: 'ready', duration: 500 });
+});
+
+test('modules receive the managers they depend on, across phases', async () => {
+    const init = vi.fn(() => 'projects');
+    const { registry } = makeRegistry([
+        {
+            name: 'ui',
+            phase: 'critical',
+            load: async () => ({ uiManager: 'ui' }),
+            init: m => m.uiManager,
+        },
+        { name: 'projects', phase: 'content', after: ['ui'], init },
+    ]);
+
+    await registry.run('critical');
+    await registry.run('content');
+    expect(init).toHaveBeenCalledWith({}, { ui: 'ui' });
+});
+
+// ── Gating & failures ───────────────────────────────────────────────────────
+
+test('a missing selector skips the module and blocks its dependents', async () => {
+    const init = vi.fn();
+    const { registry, timings } = makeRegistry([
+        { name: 'feed', phase: 'sections', selector: '#absent', init },
+        { name: 'present', phase: 'sections', selector: '#present', init: () => 'ok' },
+        { name: 'extras', phase: 'sections', after: ['feed'], init },
+    ]);
+
+    expect(await registry.run('sections')).toEqual({ present: 'ready', extras: 'blocked' });
+    expect(timings.feed.status).toBe('skipped');
+    expect(init).not.toHaveBeenCalled();
+});
+
+test('modules behind a disabled flag are not loaded', async () => {
+    const load = vi.fn();
+    const registry = new ModuleRegistry({ isEnabled: flag => flag !== 'guestbook' }).register([
+        { name: 'guestbook', phase: 'sections', flag: 'guestbook', load },
+        { name: 'views', phase: 'sections', flag: 'views', init: () => 'v' },
+    ]);
+
+    expect(await registry.run('sections')).toEqual({ views: 'ready' });
+    expect(registry.timings.guestbook.status).toBe('disabled');
+    expect(load).not.toHaveBeenCalled();
+});
+
+test('a failed import is recorded without rejecting the phase', async () => {
+    const { registry, managers, timings } = makeRegistry([
+        { name: 'broken', phase: 'sections', load: () => Promise.reject(new Error('404')) },
+    ]);
+
+    expect(await registry.run('sections')).toEqual({ broken: 'failed' });
+    expect(managers.broken).toBeUndefined();
+    expect(timings.broken.status).toBe('failed');
+});
+
+test('a module past its timeout is reported, then stored if it finishes late', async () => {
+    vi.useFakeTimers();
+    const { registry, managers, timings } = makeRegistry([
+        { name: 'guestbook', phase: 'sections', timeout: 100, init: () => delay(300, 'gb') },
+    ]);
+
+    const run = registry.run('sections');
+    await vi.advanceTimersByTimeAsync(100);
+    expect(await run).toEqual({ guestbook: 'timeout' });
+    expect(managers.guestbook).toBeUndefined();
+
+    await vi.advanceTimersByTimeAsync(200);
+    expect(managers.guestbook).toBe('gb');
+    expect(timings.guestbook).toMatchObject({ status: 'ready', late: true });
+});
+
+// ── Triggers ────────────────────────────────────────────────────────────────
+
+test('visible modules wait until their section nears the viewport', async () => {
+    let notify;
+    globalThis.IntersectionObserver = class {
+        constructor(callback) {
+            notify = callback;
+        }
+        observe() {}
+        disconnect() {}
+    };
+    const init = vi.fn(() => 'widget');
+    const { registry, managers, timings } = makeRegistry([
+        { name: 'widget', phase: 'sections', selector: '#present', trigger: 'visible', init },
+    ]);
+
+    expect(await registry.run('sections')).toEqual({});
+    expect(timings.widget.status).toBe('waiting');
+    expect(init).not.toHaveBeenCalled();
+
+    notify([{ isIntersecting: true }]);
+    await registry.whenSettled('widget');
+    expect(managers.widget).toBe('widget');
+    delete globalThis.IntersectionObserver;
+});
+
+test('idle modules start from requestIdleCallback', async () => {
+    const callbacks = [];
+    globalThis.requestIdleCallback = vi.fn(cb => callbacks.push(cb));
+    const { registry } = makeRegistry([
+        { name: 'analytics', phase: 'deferred', trigger: 'idle', init: () => 'a' },
+    ]);
+
+    await registry.run('deferred');
+    expect(callbacks).toHaveLength(1);
+    callbacks[0]();
+    expect(await registry.whenSettled('analytics')).toBe('a');
+    delete globalThis.requestIdleCallback;
+});
@@ -0,0 +1,93 @@
+import { test, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../modules/debug.js', () => ({
+    debug: { log: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+// jsdom has no matchMedia; the manager reads it in its constructor.
+globalThis.matchMedia ??= () => ({ matches: false });
+
+const { PerformanceManager } = await import('../../modules/performance.js');
+
+function interaction(id, duration, overrides = {}) {
+    return {
+        interactionId: id,
+        name: 'click',
+        startTime: 1000,
+        processingStart: 1010,
+        processingEnd: 1010 + duration / 2,
+        duration,
+        target: Object.assign(document.createElement('button'), { id: 'theme-toggle' }),
+        ...overrides,
+    };
+}
+
+beforeEach(() => {
+    navigator.sendBeacon = vi.fn(() => true);
+});
+
+// ── INP ─────────────────────────────────────────────────────────────────────
+
+test('INP is the slowest interaction, with element and phase attribution', () => {
+    const perf = new PerformanceManager();
+    perf.recordInteraction(interaction(1, 120));
+    perf.recordInteraction(interaction(2, 360));
+    perf.updateINP();
+
+    expect(perf.metrics.webVitals.inp).toBe(360);
+    expect(perf.metrics.webVitals.inp_rating).toBe('needs-improvement');
+    expect(perf.metrics.inpAttribution).toMatchObject({
+        target: 'button#theme-toggle',
+        eventType: 'click',
+        inputDelay: 10,
+        processingTime: 180,
+    });
+});
+
+test('only the longest interactions are kept, and INP is their p98', () => {
+    const perf = new PerformanceManager();
+    for (let id = 1; id <= 120; id++) {
+        perf.recordInteraction(interaction(id, id));
+        perf.recordInteraction(interaction(id, id / 2)); // shorter entry, same interaction
+    }
+    perf.updateINP();
+
+    expect(perf.interactionCount).toBe(120);
+    expect(perf.interactions.map(i => i.duration)).toEqual([
+        120, 119, 118, 117, 116, 115, 114, 113, 112, 111,
+    ]);
+    expect(perf.metrics.webVitals.inp).toBe(118);
+});
+
+test('INP attribution names the longest script of an overlapping animation frame', () => {
+    const perf = new PerformanceManager();
+    perf.metrics.longAnimationFrames.push({
+        startTime: 990,
+        duration: 300,
+        blockingDuration: 250,
+        scripts: [{ source: '/modules/hero.js', invoker: 'click', duration: 240 }],
+    });
+    perf.recordInteraction(interaction(1, 300));
+    perf.updateINP();
+
+    expect(perf.metrics.inpAttribution.script.source).toBe('/modules/hero.js');
+});
+
+// ── reportVitals ────────────────────────────────────────────────────────────
+
+test('reportVitals beacons finite metrics with device class once per page', () => {
+    const perf = new PerformanceManager();
+    perf.metrics.webVitals = { lcp: 1800, lcp_rating: 'good', cls: 0.02, fid: 12 };
+
+    expect(perf.reportVitals()).toBe(true);
+    expect(perf.reportVitals()).toBe(false);
+    expect(navigator.sendBeacon).toHaveBeenCalledTimes(1);
+
+    const [url, body] = navigator.sendBeacon.mock.calls[0];
+    expect(url).toMatch(/\/vitals$/);
+    expect(JSON.parse(body)).toEqual({
+        device: expect.stringMatching(/^(mobile|tablet|desktop)$/),
+        metrics: { lcp: 1800, cls: 0.02 },
+        inp: null,
+    });
+});
@@ -0,0 +1,115 @@
+import { test, expect, vi } from 'vitest';
+
+vi.mock('../../modules/debug.js', () => ({
+    debug: { log: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+vi.mock('../../modules/github-api.js', () => ({
+    githubAPI: { getReadme: vi.fn() },
+    RequestPriority: { HIGH: 0, NORMAL: 1, LOW: 2 },
+}));
+
+const { githubAPI } = await import('../../modules/github-api.js');
+const { ProjectModal, readmeUrlRewriter, renderReadme } =
+    await import('../../modules/project-modal.js');
+
+const README = {
+    path: 'README.md',
+    htmlUrl: 'https://github.com/and3rn3t/homehub/blob/main/README.md',
+    downloadUrl: 'https://raw.githubusercontent.com/and3rn3t/homehub/main/README.md',
+};
+
+// ── URL rewriting ────────────────────────────────────────────────────────────
+
+test('relative images point at raw files and links at the blob view', () => {
+    const rewrite = readmeUrlRewriter(README);
+    expect(rewrite('docs/screen.png', { attr: 'src' })).toBe(
+        'https://raw.githubusercontent.com/and3rn3t/homehub/main/docs/screen.png'
+    );
+    expect(rewrite('/assets/logo.svg', { attr: 'src' })).toBe(
+        'https://raw.githubusercontent.com/and3rn3t/homehub/main/assets/logo.svg'
+    );
+    expect(rewrite('CONTRIBUTING.md', { attr: 'href' })).toBe(
+        'https://github.com/and3rn3t/homehub/blob/main/CONTRIBUTING.md'
+    );
+    expect(rewrite('#setup', { attr: 'href' })).toBe('#readme-setup');
+    expect(rewrite('https://andernet.dev', { attr: 'href' })).toBe('https://andernet.dev');
+    expect(rewrite('https://github.com/and3rn3t/homehub/blob/main/shot.png', { attr: 'src' })).toBe(
+        'https://raw.githubusercontent.com/and3rn3t/homehub/main/shot.png'
+    );
+});
+
+test('a README in a subdirectory resolves against that directory', () => {
+    const rewrite = readmeUrlRewriter({
+        path: 'docs/README.md',
+        htmlUrl: 'https://github.com/and3rn3t/x/blob/dev/docs/README.md',
+        downloadUrl: 'https://raw.githubusercontent.com/and3rn3t/x/dev/docs/README.md',
+    });
+    expect(rewrite('img/a.png', { attr: 'src' })).toBe(
+        'https://raw.githubusercontent.com/and3rn3t/x/dev/docs/img/a.png'
+    );
+    expect(rewrite('/LICENSE', { attr: 'href' })).toBe(
+        'https://github.com/and3rn3t/x/blob/dev/LICENSE'
+    );
+});
+
+// ── Rendering ────────────────────────────────────────────────────────────────
+
+test('renderReadme sanitizes and builds a contents list from h2/h3', () => {
+    const markdown = [
+        '# homehub',
+        '<img src="docs/logo.png" onerror="alert(1)">',
+        '',
+        '## Install',
+        '### Requirements',
+        '## Usage',
+        'See [setup](#install).',
+        '<script>alert(1)</script>',
+    ].join('\n');
+
+    const html = renderReadme({ ...README, markdown });
+    expect(html).not.toContain('onerror');
+    expect(html).not.toContain('<script');
+    expect(html).toContain(
+        'src="https://raw.githubusercontent.com/and3rn3t/homehub/main/docs/logo.png"'
+    );
+    expect(html).toContain('<a href="#readme-install">setup</a>');
+    expect(html).toMatch(/<nav class="project-modal-toc"[\s\S]*href="#readme-requirements"/);
+    expect(html).not.toMatch(/<nav[\s\S]*href="#readme-homehub"[\s\S]*<\/nav>/);
+});
+
+test('short READMEs get no contents list', () => {
+    expect(renderReadme({ ...README, markdown: '## Only\n\ntext' })).not.toContain('<nav');
+});
+
+// ── Tabs ─────────────────────────────────────────────────────────────────────
+
+test('the README tab loads the README once, on first view', async () => {
+    githubAPI.getReadme.mockResolvedValue({ ...README, markdown: '## Hello\n\nworld' });
+    const modal = new ProjectModal();
+    modal.init();
+    modal.register('homehub', {
+        slug: 'homehub',
+        displayName: 'HomeHub',
+        description: 'Home automation',
+        htmlUrl: 'https://github.com/and3rn3t/homehub',
+        repo: 'and3rn3t/homehub',
+    });
+    modal.open('homehub', { updateUrl: false });
+
+    const tab = document.querySelector('#project-tab-readme');
+    const panel = document.querySelector('#project-panel-readme');
+    expect(panel.hidden).toBe(true);
+    expect(githubAPI.getReadme).not.toHaveBeenCalled();
+
+    tab.click();
+    expect(tab.getAttribute('aria-selected')).toBe('true');
+    expect(document.querySelector('#project-panel-overview').hidden).toBe(true);
+    await vi.waitFor(() => expect(panel.querySelector('#readme-hello')).not.toBeNull());
+
+    document.querySelector('#project-tab-overview').click();
+    tab.click();
+    expect(githubAPI.getReadme).toHaveBeenCalledTimes(1);
+    expect(githubAPI.getReadme.mock.calls[0][0]).toBe('and3rn3t/homehub');
+    modal.close({ updateUrl: false });
+});
@@ -0,0 +1,187 @@
+import { test, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../../modules/debug.js', () => ({
+    debug: { log: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+const { Router: BaseRouter, compilePattern } = await import('../../modules/router.js');
+
+// Routers listen on window and document; stop each one after its test.
+const routers = [];
+class Router extends BaseRouter {
+    constructor() {
+        super();
+        routers.push(this);
+    }
+}
+
+beforeEach(() => {
+    history.replaceState(null, '', '/');
+    document.body.innerHTML = '';
+});
+
+afterEach(() => {
+    for (const router of routers.splice(0)) router.stop();
+    vi.restoreAllMocks();
+});
+
+// ── Patterns ─────────────────────────────────────────────────────────────────
+
+test('patterns match paths and decode their params', () => {
+    const match = compilePattern('/blog/:slug');
+    expect(match('/blog/hello%20world')).toEqual({ slug: 'hello world' });
+    expect(match('/blog/hello/')).toEqual({ slug: 'hello' });
+    expect(match('/blog')).toBeNull();
+    expect(match('/blog/a/b')).toBeNull();
+    expect(match('/blog/%E0%A4%A')).toBeNull();
+    expect(compilePattern('/')('/')).toEqual({});
+    expect(compilePattern('#post/:slug')('#post/x')).toEqual({ slug: 'x' });
+});
+
+// ── Dispatch ─────────────────────────────────────────────────────────────────
+
+test('navigating enters the matching route and leaves the previous one', () => {
+    const calls = [];
+    const router = new Router()
+        .on('/', {
+            enter: ({ hash }) => calls.push(`home:${hash}`),
+            leave: () => calls.push('home:leave'),
+        })
+        .on('/blog/:slug', {
+            enter: ({ params }) => calls.push(`post:${params.slug}`),
+            leave: () => calls.push('post:leave'),
+        });
+    const changes = [];
+    document.addEventListener('routechange', e => changes.push(e.detail.pattern));
+
+    router.start();
+    router.navigate('/blog/first');
+    router.navigate('/blog/second');
+    router.navigate('/#writing');
+
+    expect(location.pathname + location.hash).toBe('/#writing');
+    expect(calls).toEqual([
+        'home:',
+        'home:leave',
+        'post:first',
+        'post:second',
+        'post:leave',
+        'home:writing',
+    ]);
+    expect(changes).toEqual(['/', '/blog/:slug', '/blog/:slug', '/']);
+    expect(router.current).toMatchObject({ path: '/', hash: 'writing', scroll: true });
+});
+
+test('a route registered after start is entered if it matches the URL', () => {
+    history.replaceState(null, '', '/projects/homehub');
+    const router = new Router();
+    router.start();
+    const enter = vi.fn();
+    router.on('/projects/:slug', { enter });
+    expect(enter).toHaveBeenCalledWith(expect.objectContaining({ params: { slug: 'homehub' } }));
+});
+
+test('a failing handler does not stop routing', () => {
+    const enter = vi.fn();
+    const router = new Router()
+        .on('/', {
+            leave: () => {
+                throw new Error('boom');
+            },
+        })
+        .on('/blog/:slug', { enter });
+    router.start();
+    router.navigate('/blog/x');
+    expect(enter).toHaveBeenCalled();
+});
+
+// ── Redirects ────────────────────────────────────────────────────────────────
+
+test('legacy hash links are rewritten to paths', () => {
+    history.replaceState(null, '', '/#post/hello');
+    const enter = vi.fn();
+    const router = new Router().redirect('#post/:slug', '/blog/:slug').on('/blog/:slug', { enter });
+    router.start();
+    expect(location.pathname).toBe('/blog/hello');
+    expect(location.hash).toBe('');
+    expect(enter).toHaveBeenCalledTimes(1);
+});
+
+test('legacy section links keep the section as the fragment', () => {
+    history.replaceState(null, '', '/#post/hello/getting-started');
+    const enter = vi.fn();
+    new Router()
+        .redirect('#post/:slug', '/blog/:slug')
+        .redirect('#post/:slug/:section', '/blog/:slug#:section')
+        .on('/blog/:slug', { enter })
+        .start();
+    expect(location.pathname + location.hash).toBe('/blog/hello#getting-started');
+    expect(enter).toHaveBeenCalledWith(
+        expect.objectContaining({ params: { slug: 'hello' }, hash: 'getting-started' })
+    );
+});
+
+test('paths handed back by 404.html are restored', () => {
+    history.replaceState(null, '', `/?route=${encodeURIComponent('/blog/hello#notes')}`);
+    const enter = vi.fn();
+    new Router().on('/blog/:slug', { enter }).start();
+    expect(location.pathname + location.search + location.hash).toBe('/blog/hello#notes');
+    expect(enter).toHaveBeenCalledWith(expect.objectContaining({ hash: 'notes' }));
+});
+
+test('protocol-relative redirect targets are ignored', () => {
+    history.replaceState(null, '', `/?route=${encodeURIComponent('//evil.test/x')}`);
+    new Router().start();
+    expect(location.host).not.toBe('evil.test');
+    expect(location.search).toContain('route=');
+});
+
+// ── Links and history ────────────────────────────────────────────────────────
+
+test('clicks on links to registered routes stay in the page', () => {
+    const enter = vi.fn();
+    new Router().on('/blog/:slug', { enter }).start();
+    document.body.innerHTML = `
+        <a id="post" href="/blog/hello">post</a>
+        <a id="new-tab" href="/blog/other" target="_blank">tab</a>
+        <a id="file" href="/resume.pdf">pdf</a>`;
+
+    const post = new MouseEvent('click', { bubbles: true, cancelable: true, button: 0 });
+    document.querySelector('#post').dispatchEvent(post);
+    expect(post.defaultPrevented).toBe(true);
+    expect(location.pathname).toBe('/blog/hello');
+
+    // Registered after the router's listener: records what it left, then
+    // keeps jsdom from actually following the link.
+    const passedThrough = [];
+    document.addEventListener('click', e => {
+        if (!e.defaultPrevented) passedThrough.push(e.target.id);
+        e.preventDefault();
+    });
+    for (const id of ['new-tab', 'file']) {
+        document.getElementById(id).click();
+    }
+    expect(passedThrough).toEqual(['new-tab', 'file']);
+    expect(location.pathname).toBe('/blog/hello');
+    expect(enter).toHaveBeenCalledTimes(1);
+});
+
+test('Back restores the scroll position the entry was left at', async () => {
+    const scrollTo = vi.spyOn(globalThis, 'scrollTo').mockImplementation(() => {});
+    vi.spyOn(globalThis, 'requestAnimationFrame').mockImplementation(cb => cb());
+    const home = vi.fn();
+    const router = new Router().on('/', { enter: home }).on('/blog/:slug', {});
+    router.start();
+
+    globalThis.scrollY = 640;
+    router.navigate('/blog/hello');
+    const popped = new Promise(resolve =>
+        globalThis.addEventListener('popstate', resolve, { once: true })
+    );
+    history.back();
+    await popped;
+
+    expect(location.pathname).toBe('/');
+    expect(home).toHaveBeenLastCalledWith(expect.objectContaining({ scroll: false }));
+    expect(scrollTo).toHaveBeenCalledWith(0, 640);
+});
@@ -0,0 +1,48 @@
+import { test, expect } from 'vitest';
+import { sanitizeHtml } from '../../modules/utils/sanitize.js';
+
+test('drops scripts and event handlers, keeps safe markup', () => {
+    const out = sanitizeHtml(
+        '<p onclick="x()">Hi <script>alert(1)</script><b style="color:red">there</b></p><iframe src="x"></iframe>'
+    );
+    expect(out).toBe('<p>Hi <b>there</b></p>');
+});
+
+test('unwraps unknown elements but keeps their text', () => {
+    expect(sanitizeHtml('<center><font color="red">Title</font></center>')).toBe('Title');
+});
+
+test('removes dangerous URLs and marks external links', () => {
+    const out = sanitizeHtml(
+        '<a href="javascript:alert(1)">a</a><a href="https://x.dev">b</a><img src="data:image/svg+xml,x">'
+    );
+    expect(out).toBe(
+        '<a>a</a><a href="https://x.dev" target="_blank" rel="noopener noreferrer">b</a><img loading="lazy">'
+    );
+});
+
+test('rewrites URLs and prefixes ids', () => {
+    const out = sanitizeHtml('<h2 id="usage">Usage</h2><a href="#usage">u</a><img src="a.png">', {
+        idPrefix: 'readme-',
+        rewriteUrl: (url, { attr }) => (attr === 'src' ? `https://cdn.test/${url}` : url),
+    });
+    expect(out).toBe(
+        '<h2 id="readme-usage">Usage</h2><a href="#usage">u</a><img src="https://cdn.test/a.png" loading="lazy">'
+    );
+});
+
+test('only disabled checkboxes survive as inputs', () => {
+    expect(sanitizeHtml('<input type="text" value="x"><input type="checkbox" checked>')).toBe(
+        '<input type="checkbox" checked="" disabled="">'
+    );
+});
+
+test('keeps only the classes the markdown renderer emits', () => {
+    expect(
+        sanitizeHtml(
+            '<section class="footnotes hidden"><a class="footnote-backref btn" aria-label="Back">↩</a></section><p class="hero">x</p>'
+        )
+    ).toBe(
+        '<section class="footnotes"><a class="footnote-backref" aria-label="Back">↩</a></section><p>x</p>'
+    );
+});
@@ -0,0 +1,197 @@
+/**
+ * Activity push tests (Node environment): webhook signature checks, publishing
+ * to the edge cache and KV, and the /activity/stream SSE framing.
+ */
+import { test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { handleGitHubWebhook, handleActivityStream } from '../../worker/activity.js';
+import { makeKV } from './helpers/kv.js';
+
+const SECRET = 'webhook-secret';
+
+function stubEdgeCache() {
+    const store = new Map();
+    const keyOf = key => (typeof key === 'string' ? key : key.url);
+    globalThis.caches = {
+        default: {
+            store,
+            match: vi.fn(key => Promise.resolve(store.get(keyOf(key))?.clone())),
+            put: vi.fn((key, res) => {
+                store.set(keyOf(key), res);
+                return Promise.resolve();
+            }),
+        },
+    };
+}
+
+async function sign(body, secret = SECRET) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(body)));
+    return `sha256=${Array.from(mac, b => b.toString(16).padStart(2, '0')).join('')}`;
+}
+
+async function webhook(event, payload, { signature, env } = {}) {
+    const body = JSON.stringify(payload);
+    const request = new Request('https://w.dev/webhook/github', {
+        method: 'POST',
+        headers: {
+            'X-GitHub-Event': event,
+            'X-Hub-Signature-256': signature ?? (await sign(body)),
+        },
+        body,
+    });
+    return handleGitHubWebhook(request, env ?? { GITHUB_WEBHOOK_SECRET: SECRET });
+}
+
+const PUSH = {
+    ref: 'refs/heads/main',
+    repository: { full_name: 'and3rn3t/homehub' },
+    sender: { login: 'And3rn3t' },
+    commits: [{ message: 'feat: live reload\n\nbody' }],
+};
+
+beforeEach(() => {
+    stubEdgeCache();
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+// ── Webhook ──
+
+test('rejects deliveries with a missing or wrong signature', async () => {
+    expect((await webhook('push', PUSH, { signature: '' })).status).toBe(401);
+    const forged = await sign(JSON.stringify(PUSH), 'not-the-secret');
+    expect((await webhook('push', PUSH, { signature: forged })).status).toBe(401);
+});
+
+test('answers 503 when no webhook secret is configured', async () => {
+    const res = await webhook('push', PUSH, { env: {} });
+    expect(res.status).toBe(503);
+});
+
+test('answers ping deliveries without publishing', async () => {
+    const res = await webhook('ping', { zen: 'Keep it logically awesome.' });
+    expect(res.status).toBe(200);
+    expect(globalThis.caches.default.put).not.toHaveBeenCalled();
+});
+
+test('a signed push updates the cached activity, the cached feed and KV', async () => {
+    const env = { GITHUB_WEBHOOK_SECRET: SECRET, GITHUB_KV: makeKV() };
+    const cache = globalThis.caches.default;
+    const older = { type: 'push', repo: 'and3rn3t/weather', message: 'fix: units' };
+    cache.store.set(
+        'https://cache.internal/activity-feed/and3rn3t',
+        new Response(JSON.stringify([older]))
+    );
+
+    const res = await webhook('push', PUSH, { env });
+    expect(res.status).toBe(200);
+    const { activity } = await res.json();
+    expect(activity).toMatchObject({
+        type: 'push',
+        repo: 'and3rn3t/homehub',
+        message: 'feat: live reload',
+        branch: 'main',
+    });
+
+    const cached = await cache.store.get('https://cache.internal/activity/and3rn3t').json();
+    expect(cached.message).toBe('feat: live reload');
+    const feed = await cache.store.get('https://cache.internal/activity-feed/and3rn3t').json();
+    expect(feed.map(i => i.repo)).toEqual(['and3rn3t/homehub', 'and3rn3t/weather']);
+
+    const stored = JSON.parse(env.GITHUB_KV.store.get('activity'));
+    expect(stored.version).toMatch(/^\d+$/);
+});
+
+test('ignores noisy deliveries: tag pushes, skipped repos and PR label changes', async () => {
+    const tagPush = await webhook('push', { ...PUSH, ref: 'refs/tags/v1.0.0' });
+    const portfolio = await webhook('push', {
+        ...PUSH,
+        repository: { full_name: 'and3rn3t/and3rn3t' },
+    });
+    const labeled = await webhook('pull_request', {
+        action: 'labeled',
+        repository: { full_name: 'and3rn3t/homehub' },
+        sender: PUSH.sender,
+        pull_request: { title: 'x', head: { ref: 'y' } },
+    });
+    for (const res of [tagPush, portfolio, labeled]) {
+        expect(res.status).toBe(202);
+    }
+    expect(globalThis.caches.default.put).not.toHaveBeenCalled();
+});
+
+test("ignores other people's deliveries and stars", async () => {
+    const renovate = await webhook('push', { ...PUSH, sender: { login: 'renovate[bot]' } });
+    const anonymous = await webhook('push', { ...PUSH, sender: undefined });
+    const starred = await webhook('watch', {
+        action: 'started',
+        repository: PUSH.repository,
+        sender: { login: 'someone-else' },
+    });
+    for (const res of [renovate, anonymous, starred]) {
+        expect(res.status).toBe(202);
+    }
+    expect(globalThis.caches.default.put).not.toHaveBeenCalled();
+});
+
+// ── /activity/stream ──
+
+async function readChunks(reader, count) {
+    const decoder = new TextDecoder();
+    let text = '';
+    for (let i = 0; i < count; i++) {
+        const { value } = await reader.read();
+        text += decoder.decode(value);
+    }
+    return text;
+}
+
+test('streams the latest published activity as an SSE event', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout'] });
+    const kv = makeKV();
+    kv.store.set('activity', JSON.stringify({ repo: 'and3rn3t/homehub', version: '42' }));
+
+    const res = handleActivityStream(new Request('https://w.dev/activity/stream'), {
+        GITHUB_KV: kv,
+    });
+    expect(res.headers.get('Content-Type')).toMatch(/text\/event-stream/);
+
+    const reader = res.body.getReader();
+    const text = await readChunks(reader, 2);
+    expect(text).toContain('retry: 5000');
+    expect(text).toContain('id: 42\nevent: activity\ndata: {"repo":"and3rn3t/homehub"}\n\n');
+
+    await reader.cancel();
+    await vi.runOnlyPendingTimersAsync();
+});
+
+test('a reconnect with Last-Event-ID only gets a keep-alive until something new arrives', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout'] });
+    const kv = makeKV();
+    kv.store.set('activity', JSON.stringify({ repo: 'and3rn3t/homehub', version: '42' }));
+
+    const request = new Request('https://w.dev/activity/stream', {
+        headers: { 'Last-Event-ID': '42' },
+    });
+    const reader = handleActivityStream(request, { GITHUB_KV: kv }).body.getReader();
+    const text = await readChunks(reader, 2);
+    expect(text).toContain(': keep-alive');
+    expect(text).not.toContain('event: activity');
+
+    await reader.cancel();
+    await vi.runOnlyPendingTimersAsync();
+});
+
+test('the stream answers 503 without a KV binding', async () => {
+    const res = handleActivityStream(new Request('https://w.dev/activity/stream'), {});
+    expect(res.status).toBe(503);
+});
@@ -0,0 +1,187 @@
+/**
+ * Analytics ingestion tests (Node environment): schema validation, PII
+ * scrubbing, per-batch storage and the cron rollup into daily keys.
+ */
+import { test, expect } from 'vitest';
+import {
+    handleCollectRequest,
+    rollUpAnalytics,
+    validateEvent,
+    aggregateEvents,
+} from '../../worker/collect.js';
+import { KvBudget } from '../../worker/kv-budget.js';
+import { makeKV } from './helpers/kv.js';
+
+function collect(env, body) {
+    const request = new Request('https://w.dev/collect', {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    return handleCollectRequest(request, env);
+}
+
+function batches(kv) {
+    return [...kv.store.entries()]
+        .filter(([k]) => k.startsWith('batch:'))
+        .map(([, v]) => JSON.parse(v));
+}
+
+// ── Validation ───────────────────────────────────────────────────────────────
+
+test('validateEvent keeps only schema fields and strips query strings', () => {
+    const event = validateEvent({
+        type: 'pageview',
+        page: '/?email=me@example.com#top',
+        referrer: 'https://news.ycombinator.com/item?id=1',
+        sessionId: 'abc',
+    });
+    expect(event).toEqual({ type: 'pageview', page: '/', referrer: 'news.ycombinator.com' });
+});
+
+test('validateEvent rejects unknown types and out-of-range values', () => {
+    expect(validateEvent({ type: 'keystroke', page: '/' })).toBeNull();
+    expect(validateEvent({ type: 'scroll', page: '/', depth: 33 })).toBeNull();
+    expect(validateEvent({ type: 'section', page: '/', section: 'a b' })).toBeNull();
+    expect(validateEvent({ type: 'click', page: '/', kind: 'hover' })).toBeNull();
+});
+
+test('flag decisions keep only known values and sources', () => {
+    const flag = fields => validateEvent({ type: 'flag', page: '/', ...fields });
+    expect(flag({ flag: 'guestbook', value: 'off', source: 'remote' })).toEqual({
+        type: 'flag',
+        page: '/',
+        flag: 'guestbook',
+        value: 'off',
+        source: 'remote',
+    });
+    expect(flag({ flag: 'guestbook', value: false, source: 'remote' })).toBeNull();
+    expect(flag({ value: 'on', source: 'url' })).toBeNull();
+});
+
+test('experiment arms count pageviews as exposures and résumé/contact clicks as conversions', () => {
+    const variants = { heroCta: 'collaborate', '<script>': 'x' };
+    const events = [
+        { type: 'pageview', page: '/', referrer: 'direct', variants },
+        { type: 'click', page: '/', kind: 'link', target: '/resume.pdf', variants },
+        { type: 'click', page: '/', kind: 'link', target: 'mailto', variants },
+        { type: 'click', page: '/', kind: 'link', target: 'github.com', variants },
+    ].map(validateEvent);
+
+    expect(events[0].variants).toEqual({ heroCta: 'collaborate' });
+    expect(aggregateEvents(events).experiments).toEqual({
+        'heroCta:collaborate:exposure': 1,
+        'heroCta:collaborate:resume': 1,
+        'heroCta:collaborate:contact': 1,
+    });
+});
+
+test('click targets keep same-site paths but only the host of external links', () => {
+    const click = target => validateEvent({ type: 'click', page: '/', kind: 'link', target });
+    expect(click('#projects').target).toBe('#projects');
+    expect(click('https://github.com/and3rn3t/homehub?tab=readme').target).toBe('github.com');
+    expect(click(null).target).toBe('-');
+});
+
+test('error messages have URLs, emails and numbers masked', () => {
+    const { message } = validateEvent({
+        type: 'error',
+        page: '/',
+        message: 'Failed for jane@example.com at https://x.dev/a?b=1 (id 4821)',
+    });
+    expect(message).toBe('Failed for <email> at <url> (id <n>)');
+});
+
+// ── POST /collect ────────────────────────────────────────────────────────────
+
+test('a batch is aggregated into one batch key; invalid events are dropped', async () => {
+    const env = { ANALYTICS_KV: makeKV() };
+    const res = await collect(env, {
+        events: [
+            { type: 'pageview', page: '/', referrer: 'direct' },
+            { type: 'scroll', page: '/', depth: 50 },
+            { type: 'section', page: '/', section: 'projects' },
+            { type: 'section', page: '/', section: 'projects' },
+            { type: 'mystery', page: '/' },
+        ],
+    });
+    expect(res.status).toBe(202);
+    expect(await res.json()).toEqual({ accepted: 4, dropped: 1 });
+
+    const [counts] = batches(env.ANALYTICS_KV);
+    expect(counts.pages).toEqual({ '/': 1 });
+    expect(counts.sections).toEqual({ projects: 2 });
+    expect(counts.scrollDepth).toEqual({ 50: 1 });
+    expect(counts.events).toEqual({ pageview: 1, scroll: 1, section: 2 });
+});
+
+test('malformed bodies are rejected', async () => {
+    const env = { ANALYTICS_KV: makeKV() };
+    expect((await collect(env, 'not json')).status).toBe(400);
+    expect((await collect(env, { events: 'nope' })).status).toBe(400);
+    expect((await collect(env, 'x'.repeat(70 * 1024))).status).toBe(413);
+    expect(batches(env.ANALYTICS_KV)).toHaveLength(0);
+});
+
+test('answers 503 without an ANALYTICS_KV binding', async () => {
+    expect((await collect({}, { events: [] })).status).toBe(503);
+});
+
+test('GET /collect returns 405', async () => {
+    const res = await handleCollectRequest(new Request('https://w.dev/collect'), {});
+    expect(res.status).toBe(405);
+});
+
+// ── Rollup ───────────────────────────────────────────────────────────────────
+
+test('rollUpAnalytics merges batches into daily keys and deletes them', async () => {
+    const kv = makeKV();
+    kv.store.set('daily:2026-10-18', JSON.stringify({ pages: { '/': 5 } }));
+    kv.store.set('batch:2026-10-18:a', JSON.stringify({ pages: { '/': 2, '/blog': 1 } }));
+    kv.store.set('batch:2026-10-19:b', JSON.stringify({ events: { pageview: 3 } }));
+
+    const result = await rollUpAnalytics({ ANALYTICS_KV: kv });
+    expect(result).toEqual({ batches: 2, days: ['2026-10-18', '2026-10-19'] });
+    expect(JSON.parse(kv.store.get('daily:2026-10-18'))).toEqual({
+        pages: { '/': 7, '/blog': 1 },
+    });
+    expect(JSON.parse(kv.store.get('daily:2026-10-19'))).toEqual({ events: { pageview: 3 } });
+    expect(batches(kv)).toHaveLength(0);
+});
+
+test('rollUpAnalytics stops at its KV budget and leaves the rest for the next run', async () => {
+    const kv = makeKV();
+    for (const id of ['a', 'b', 'c', 'd', 'e']) {
+        kv.store.set(`batch:2026-10-18:${id}`, JSON.stringify({ pages: { '/': 1 } }));
+    }
+
+    // One list, the daily key's get and put, and a get and a delete for two batches.
+    const budget = new KvBudget(1 + 2 + 2 * 2);
+    expect(await rollUpAnalytics({ ANALYTICS_KV: kv }, budget)).toEqual({
+        batches: 2,
+        days: ['2026-10-18'],
+    });
+    expect(budget.remaining).toBe(0);
+    expect(batches(kv)).toHaveLength(3);
+
+    await rollUpAnalytics({ ANALYTICS_KV: kv });
+    expect(batches(kv)).toHaveLength(0);
+    expect(JSON.parse(kv.store.get('daily:2026-10-18'))).toEqual({ pages: { '/': 5 } });
+});
+
+test('keys named like Object.prototype members are counted as plain keys', async () => {
+    const section = name => ({ type: 'section', page: '/', section: name });
+    const counts = aggregateEvents([section('constructor'), section('__proto__')]);
+    expect(Object.entries(JSON.parse(JSON.stringify(counts)).sections)).toEqual([
+        ['constructor', 1],
+        ['__proto__', 1],
+    ]);
+
+    const kv = makeKV();
+    kv.store.set('daily:2026-10-18', JSON.stringify({ sections: { about: 1 } }));
+    kv.store.set('batch:2026-10-18:a', JSON.stringify({ sections: { toString: 2 } }));
+    await rollUpAnalytics({ ANALYTICS_KV: kv });
+    expect(JSON.parse(kv.store.get('daily:2026-10-18'))).toEqual({
+        sections: { about: 1, toString: 2 },
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Guestbook content-filter tests (Node environment).
+ */
+import { test, expect } from 'vitest';
+import {
+    blocklistFilter,
+    linkLimitFilter,
+    duplicateFilter,
+    runContentFilters,
+    recordContentFilters,
+} from '../../worker/content-filter.js';
+import { makeKV } from './helpers/kv.js';
+
+const entry = (message, name = 'Alice') => ({ name, message });
+
+test('blocklist matches whole words case-insensitively', async () => {
+    const filter = blocklistFilter(['casino']);
+    expect(await filter.check(entry('Visit my CASINO'), {})).toBe('blocked_term');
+    expect(await filter.check(entry('Occasionally I code'), {})).toBeNull();
+});
+
+test('blocklist picks up extra terms from GUESTBOOK_BLOCKLIST', async () => {
+    const filter = blocklistFilter([]);
+    const env = { GUESTBOOK_BLOCKLIST: 'widgets, gizmos' };
+    expect(await filter.check(entry('cheap gizmos'), env)).toBe('blocked_term');
+});
+
+test('link limit allows one link and rejects more', async () => {
+    const filter = linkLimitFilter(1);
+    expect(await filter.check(entry('My site: https://example.com'))).toBeNull();
+    expect(await filter.check(entry('https://a.example and www.b.example'))).toBe('too_many_links');
+});
+
+test('duplicate filter only rejects after the message was recorded', async () => {
+    const env = { GUESTBOOK_KV: makeKV() };
+    const filter = duplicateFilter();
+    expect(await filter.check(entry('Hello there'), env)).toBeNull();
+    await filter.record(entry('Hello there'), env);
+    expect(await filter.check(entry('hello   THERE'), env)).toBe('duplicate');
+});
+
+test('runContentFilters reports the first failing filter', async () => {
+    const env = { GUESTBOOK_KV: makeKV() };
+    const filters = [
+        { name: 'first', check: async () => null },
+        { name: 'second', check: async () => 'nope' },
+        { name: 'third', check: async () => 'never-reached' },
+    ];
+    expect(await runContentFilters(entry('Hi'), env, filters)).toEqual({
+        ok: false,
+        filter: 'second',
+        reason: 'nope',
+    });
+    expect(await runContentFilters(entry('Hi'), env, [])).toEqual({ ok: true });
+});
+
+test('recordContentFilters skips filters without a record hook', async () => {
+    const env = { GUESTBOOK_KV: makeKV() };
+    await recordContentFilters(entry('Once only'), env);
+    expect((await runContentFilters(entry('Once only'), env)).reason).toBe('duplicate');
+});
@@ -2,33 +2,19 @@
  * Worker engagement handler tests (Node environment).
  *
  * Node 18+ provides global Request/Response/URL/fetch, so no polyfills needed.
- * KV namespaces are mocked with a simple Map wrapper.
+ * KV namespaces are mocked with a simple Map wrapper whose list() mirrors
+ * Workers KV: keys sorted lexicographically, with prefix, limit, cursor and
+ * per-key metadata.
  */
 import { test, expect, vi } from 'vitest';
 import {
     handleViewsRequest,
     handleGuestbookRequest,
-    jsonResponse,
-    corsHeaders,
+    handleGuestbookAdminRequest,
+    rollUpViews,
 } from '../../worker/engagement.js';
-
-// ── KV mock ──────────────────────────────────────────────────────────────────
-
-function makeKV() {
-    const store = new Map();
-    return {
-        get: k => Promise.resolve(store.get(k) ?? null),
-        put: (k, v) => {
-            store.set(k, v);
-            return Promise.resolve();
-        },
-        delete: k => {
-            store.delete(k);
-            return Promise.resolve();
-        },
-        list: () => Promise.resolve({ keys: [...store.keys()].map(name => ({ name })) }),
-    };
-}
+import { jsonResponse, corsHeaders } from '../../worker/http.js';
+import { makeKV } from './helpers/kv.js';
 
 function makeRequest(method, url, body) {
     return new Request(url, {
@@ -38,6 +24,26 @@ function makeRequest(method, url, body) {
     });
 }
 
+function adminRequest(method, path, secret = 'admin-secret') {
+    return new Request(`https://w.dev${path}`, {
+        method,
+        headers: secret ? { Authorization: `Bearer ${secret}` } : {},
+    });
+}
+
+async function postEntry(env, name, message) {
+    const req = new Request('https://w.dev/guestbook', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, message, token: 'ok' }),
+    });
+    return (await (await handleGuestbookRequest(req, env)).json()).entry;
+}
+
+async function approve(env, id) {
+    return handleGuestbookAdminRequest(adminRequest('POST', `/guestbook/admin/${id}/approve`), env);
+}
+
 // ── jsonResponse / corsHeaders ────────────────────────────────────────────────
 
 test('jsonResponse sets Content-Type to application/json', async () => {
@@ -101,6 +107,101 @@ test('POST /views sanitises the page slug', async () => {
     expect(body.page).not.toContain('.');
 });
 
+test('POST /views counts a visitor once per page per day', async () => {
+    const env = { VIEWS_KV: makeKV() };
+    const post = (ip, page = 'home') =>
+        handleViewsRequest(
+            new Request(`https://w.dev/views?page=${page}`, {
+                method: 'POST',
+                headers: { 'CF-Connecting-IP': ip, 'User-Agent': 'test' },
+            }),
+            env
+        ).then(r => r.json());
+
+    expect(await post('203.0.113.7')).toMatchObject({ views: 1, unique: true });
+    expect(await post('203.0.113.7')).toMatchObject({ views: 1, unique: false });
+    expect((await post('198.51.100.1')).views).toBe(2);
+    expect((await post('203.0.113.7', 'post-hello')).views).toBe(1);
+});
+
+test('POST /views never stores the raw IP or user agent', async () => {
+    const env = { VIEWS_KV: makeKV() };
+    await handleViewsRequest(
+        new Request('https://w.dev/views?page=home', {
+            method: 'POST',
+            headers: { 'CF-Connecting-IP': '203.0.113.7', 'User-Agent': 'SecretAgent/1.0' },
+        }),
+        env
+    );
+    const { keys } = await env.VIEWS_KV.list();
+    const values = await Promise.all(keys.map(k => env.VIEWS_KV.get(k.name)));
+    const dump = JSON.stringify({ keys, values });
+    expect(dump).not.toContain('203.0.113.7');
+    expect(dump).not.toContain('SecretAgent');
+});
+
+test('GET /views/summary counts closed days into totals and a 30-day series', async () => {
+    const env = { VIEWS_KV: makeKV() };
+    const post = (ip, page) =>
+        handleViewsRequest(
+            new Request(`https://w.dev/views?page=${page}`, {
+                method: 'POST',
+                headers: { 'CF-Connecting-IP': ip },
+            }),
+            env
+        );
+
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-06-12T10:00:00Z'));
+    await post('203.0.113.7', 'home');
+    await post('198.51.100.1', 'home');
+    await post('203.0.113.7', 'section-projects');
+    vi.setSystemTime(new Date('2026-06-13T10:00:00Z'));
+    await post('203.0.113.7', 'home');
+
+    const res = await handleViewsRequest(makeRequest('GET', 'https://w.dev/views/summary'), env);
+    vi.useRealTimers();
+    const body = await res.json();
+
+    expect(body.to).toBe('2026-06-13');
+    expect(body.total.series).toHaveLength(30);
+    expect(body.total.views).toBe(4);
+    expect(body.total.series.at(-2)).toEqual({ date: '2026-06-12', views: 3 });
+    expect(body.total.series.at(-1)).toEqual({ date: '2026-06-13', views: 1 });
+    const home = body.pages.find(p => p.page === 'home');
+    expect(home.views).toBe(3);
+    expect(home.series.at(-2).views).toBe(2);
+    expect(body.pages.map(p => p.page)).toContain('section-projects');
+});
+
+test('GET requests never write; the cron folds closed days into daily keys', async () => {
+    const env = { VIEWS_KV: makeKV() };
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-06-12T10:00:00Z'));
+    await handleViewsRequest(
+        new Request('https://w.dev/views?page=home', {
+            method: 'POST',
+            headers: { 'CF-Connecting-IP': '203.0.113.7' },
+        }),
+        env
+    );
+    vi.setSystemTime(new Date('2026-06-13T10:00:00Z'));
+
+    const put = vi.spyOn(env.VIEWS_KV, 'put');
+    const summary = await handleViewsRequest(
+        makeRequest('GET', 'https://w.dev/views/summary'),
+        env
+    );
+    await handleViewsRequest(makeRequest('GET', 'https://w.dev/views?page=home'), env);
+    expect((await summary.json()).total.views).toBe(1);
+    expect(put).not.toHaveBeenCalled();
+
+    expect(await rollUpViews(env)).toEqual({ pages: 1 });
+    vi.useRealTimers();
+    expect(await env.VIEWS_KV.get('daily:home:2026-06-12')).toBe('1');
+    expect(await env.VIEWS_KV.get('rollup:home')).toBe('2026-06-12');
+});
+
 // ── /views — no KV ────────────────────────────────────────────────────────────
 
 test('GET /views returns 503 when VIEWS_KV is undefined', async () => {
@@ -111,28 +212,62 @@ test('GET /views returns 503 when VIEWS_KV is undefined', async () => {
 
 // ── /guestbook GET ────────────────────────────────────────────────────────────
 
-test('GET /guestbook returns empty array when no entries', async () => {
+test('GET /guestbook returns an empty page when no entries', async () => {
     const env = { GUESTBOOK_KV: makeKV() };
     const req = makeRequest('GET', 'https://w.dev/guestbook');
     const res = await handleGuestbookRequest(req, env);
     const body = await res.json();
-    expect(Array.isArray(body)).toBe(true);
-    expect(body.length).toBe(0);
+    expect(body.entries).toEqual([]);
+    expect(body.cursor).toBeNull();
 });
 
-test('GET /guestbook returns stored entries in order', async () => {
-    const env = { GUESTBOOK_KV: makeKV() };
-    // The handler stores a JSON array under the single 'entries' key.
-    const entries = [
-        { name: 'Bob', message: 'Hey', date: '2026-06-13T12:00:00Z' },
-        { name: 'Alice', message: 'Hi', date: '2026-06-01T00:00:00Z' },
-    ];
-    await env.GUESTBOOK_KV.put('entries', JSON.stringify(entries));
+test('GET /guestbook returns approved entries newest-first', async () => {
+    const env = { GUESTBOOK_KV: makeKV(), GUESTBOOK_ADMIN_SECRET: 'admin-secret' };
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-06-01T00:00:00Z'));
+    const alice = await postEntry(env, 'Alice', 'Hi');
+    vi.setSystemTime(new Date('2026-06-13T12:00:00Z'));
+    const bob = await postEntry(env, 'Bob', 'Hey');
+    vi.useRealTimers();
+    await approve(env, alice.id);
+    await approve(env, bob.id);
+
     const req = makeRequest('GET', 'https://w.dev/guestbook');
     const res = await handleGuestbookRequest(req, env);
     const body = await res.json();
-    expect(body[0].name).toBe('Bob');
-    expect(body[1].name).toBe('Alice');
+    expect(body.entries.map(e => e.name)).toEqual(['Bob', 'Alice']);
+});
+
+test('GET /guestbook paginates with cursor and limit', async () => {
+    const env = { GUESTBOOK_KV: makeKV(), GUESTBOOK_ADMIN_SECRET: 'admin-secret' };
+    for (const name of ['A', 'B', 'C']) {
+        await approve(env, (await postEntry(env, name, `Hi from ${name}`)).id);
+    }
+
+    const first = await (
+        await handleGuestbookRequest(makeRequest('GET', 'https://w.dev/guestbook?limit=2'), env)
+    ).json();
+    expect(first.entries).toHaveLength(2);
+    expect(first.cursor).toBeTruthy();
+
+    const second = await (
+        await handleGuestbookRequest(
+            makeRequest('GET', `https://w.dev/guestbook?limit=2&cursor=${first.cursor}`),
+            env
+        )
+    ).json();
+    expect(second.entries).toHaveLength(1);
+    expect(second.cursor).toBeNull();
+});
+
+test('concurrent POST /guestbook requests each keep their entry', async () => {
+    const env = { GUESTBOOK_KV: makeKV(), GUESTBOOK_ADMIN_SECRET: 'admin-secret' };
+    await Promise.all(['A', 'B', 'C'].map(name => postEntry(env, name, `Hi from ${name}`)));
+    const res = await handleGuestbookAdminRequest(
+        adminRequest('GET', '/guestbook/admin/pending'),
+        env
+    );
+    expect((await res.json()).entries).toHaveLength(3);
 });
 
 // ── /guestbook POST — validation ──────────────────────────────────────────────
@@ -190,3 +325,204 @@ test('POST /guestbook with valid payload stores and returns 201 with entry', asy
     expect(body.entry.name).toBe('Alice');
     expect(body.entry.message).toBe('Love the site!');
 });
+
+// ── /guestbook moderation ─────────────────────────────────────────────────────
+
+test('POST /guestbook queues the entry as pending instead of publishing it', async () => {
+    const env = { GUESTBOOK_KV: makeKV() };
+    const entry = await postEntry(env, 'Alice', 'Hello');
+    expect(entry.status).toBe('pending');
+    expect(entry.id).toBeTruthy();
+
+    const res = await handleGuestbookRequest(makeRequest('GET', 'https://w.dev/guestbook'), env);
+    expect((await res.json()).entries).toEqual([]);
+});
+
+test('admin routes return 401 without the bearer secret', async () => {
+    const env = { GUESTBOOK_KV: makeKV(), GUESTBOOK_ADMIN_SECRET: 'admin-secret' };
+    const missing = await handleGuestbookAdminRequest(
+        adminRequest('GET', '/guestbook/admin/pending', null),
+        env
+    );
+    const wrong = await handleGuestbookAdminRequest(
+        adminRequest('GET', '/guestbook/admin/pending', 'nope'),
+        env
+    );
+    expect(missing.status).toBe(401);
+    expect(wrong.status).toBe(401);
+});
+
+test('admin routes return 401 when GUESTBOOK_ADMIN_SECRET is unset', async () => {
+    const env = { GUESTBOOK_KV: makeKV() };
+    const res = await handleGuestbookAdminRequest(
+        adminRequest('GET', '/guestbook/admin/pending'),
+        env
+    );
+    expect(res.status).toBe(401);
+});
+
+test('approving a pending entry publishes it on GET /guestbook', async () => {
+    const env = { GUESTBOOK_KV: makeKV(), GUESTBOOK_ADMIN_SECRET: 'admin-secret' };
+    const entry = await postEntry(env, 'Alice', 'Hello');
+
+    const pending = await handleGuestbookAdminRequest(
+        adminRequest('GET', '/guestbook/admin/pending'),
+        env
+    );
+    expect((await pending.json()).entries.map(e => e.id)).toEqual([entry.id]);
+
+    const res = await handleGuestbookAdminRequest(
+        adminRequest('POST', `/guestbook/admin/${entry.id}/approve`),
+        env
+    );
+    expect(res.status).toBe(200);
+    expect((await res.json()).entry.status).toBe('approved');
+
+    const list = await handleGuestbookRequest(makeRequest('GET', 'https://w.dev/guestbook'), env);
+    const { entries } = await list.json();
+    expect(entries).toHaveLength(1);
+    expect(entries[0].name).toBe('Alice');
+});
+
+test('rejecting a pending entry keeps it off the public list', async () => {
+    const env = { GUESTBOOK_KV: makeKV(), GUESTBOOK_ADMIN_SECRET: 'admin-secret' };
+    const entry = await postEntry(env, 'Spam', 'Buy now');
+
+    const res = await handleGuestbookAdminRequest(
+        adminRequest('POST', `/guestbook/admin/${entry.id}/reject`),
+        env
+    );
+    expect((await res.json()).entry.status).toBe('rejected');
+
+    const pending = await handleGuestbookAdminRequest(
+        adminRequest('GET', '/guestbook/admin/pending'),
+        env
+    );
+    expect((await pending.json()).entries).toEqual([]);
+    const list = await handleGuestbookRequest(makeRequest('GET', 'https://w.dev/guestbook'), env);
+    expect((await list.json()).entries).toEqual([]);
+});
+
+test('DELETE removes an entry and 404s for unknown ids', async () => {
+    const env = { GUESTBOOK_KV: makeKV(), GUESTBOOK_ADMIN_SECRET: 'admin-secret' };
+    const entry = await postEntry(env, 'Alice', 'Hello');
+
+    const res = await handleGuestbookAdminRequest(
+        adminRequest('DELETE', `/guestbook/admin/${entry.id}`),
+        env
+    );
+    expect(res.status).toBe(200);
+
+    const again = await handleGuestbookAdminRequest(
+        adminRequest('DELETE', `/guestbook/admin/${entry.id}`),
+        env
+    );
+    expect(again.status).toBe(404);
+});
+
+test('POST /guestbook/admin/migrate splits the legacy entries list into per-entry keys', async () => {
+    const env = { GUESTBOOK_KV: makeKV(), GUESTBOOK_ADMIN_SECRET: 'admin-secret' };
+    await env.GUESTBOOK_KV.put(
+        'entries',
+        JSON.stringify([
+            { name: 'Bob', message: 'Hey', date: '2026-06-13T12:00:00Z' },
+            { name: 'Alice', message: 'Hi', date: '2026-06-01T00:00:00Z' },
+        ])
+    );
+
+    const res = await handleGuestbookAdminRequest(
+        adminRequest('POST', '/guestbook/admin/migrate'),
+        env
+    );
+    expect((await res.json()).migrated).toBe(2);
+    expect(await env.GUESTBOOK_KV.get('entries')).toBeNull();
+
+    const list = await handleGuestbookRequest(makeRequest('GET', 'https://w.dev/guestbook'), env);
+    const { entries } = await list.json();
+    expect(entries.map(e => e.name)).toEqual(['Bob', 'Alice']);
+    expect(entries.every(e => e.status === 'approved')).toBe(true);
+});
+
+test('rerunning the migration does not duplicate or un-moderate entries', async () => {
+    const env = { GUESTBOOK_KV: makeKV(), GUESTBOOK_ADMIN_SECRET: 'admin-secret' };
+    const legacy = JSON.stringify([
+        { name: 'Bob', message: 'Hey', date: '2026-06-13T12:00:00Z' },
+        { name: 'Alice', message: 'Hi', date: '2026-06-01T00:00:00Z' },
+    ]);
+    const migrate = async () =>
+        (
+            await handleGuestbookAdminRequest(adminRequest('POST', '/guestbook/admin/migrate'), env)
+        ).json();
+
+    await env.GUESTBOOK_KV.put('pending', legacy);
+    expect((await migrate()).migrated).toBe(2);
+    const [first] = (
+        await (
+            await handleGuestbookAdminRequest(adminRequest('GET', '/guestbook/admin/pending'), env)
+        ).json()
+    ).entries;
+    await handleGuestbookAdminRequest(
+        adminRequest('POST', `/guestbook/admin/${first.id}/approve`),
+        env
+    );
+
+    // The old list is still readable, e.g. before its delete has propagated.
+    await env.GUESTBOOK_KV.put('pending', legacy);
+    expect((await migrate()).migrated).toBe(0);
+    const pending = await handleGuestbookAdminRequest(
+        adminRequest('GET', '/guestbook/admin/pending'),
+        env
+    );
+    expect((await pending.json()).entries.map(e => e.name)).toEqual(['Alice']);
+});
+
+// ── Abuse protection ──────────────────────────────────────────────────────────
+
+test('POST /views returns 429 with Retry-After once the per-IP limit is hit', async () => {
+    const env = { VIEWS_KV: makeKV() };
+    const post = ip =>
+        handleViewsRequest(
+            new Request('https://w.dev/views?page=home', {
+                method: 'POST',
+                headers: { 'CF-Connecting-IP': ip },
+            }),
+            env
+        );
+    for (let i = 0; i < 30; i++) {
+        expect((await post('203.0.113.7')).status).toBe(200);
+    }
+    const limited = await post('203.0.113.7');
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(0);
+    expect((await post('198.51.100.1')).status).toBe(200);
+});
+
+test('POST /guestbook rejects filtered content with 422 and does not queue it', async () => {
+    const env = { GUESTBOOK_KV: makeKV(), GUESTBOOK_ADMIN_SECRET: 'admin-secret' };
+    const req = new Request('https://w.dev/guestbook', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'Bot', message: 'Best casino bonus here' }),
+    });
+    const res = await handleGuestbookRequest(req, env);
+    expect(res.status).toBe(422);
+    expect(await res.json()).toEqual({ error: 'content_rejected', reason: 'blocked_term' });
+
+    const pending = await handleGuestbookAdminRequest(
+        adminRequest('GET', '/guestbook/admin/pending'),
+        env
+    );
+    expect((await pending.json()).entries).toEqual([]);
+});
+
+test('POST /guestbook rejects a repeated message as a duplicate', async () => {
+    const env = { GUESTBOOK_KV: makeKV() };
+    await postEntry(env, 'Alice', 'Great site!');
+    const req = new Request('https://w.dev/guestbook', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '198.51.100.2' },
+        body: JSON.stringify({ name: 'Bob', message: '  great   SITE! ' }),
+    });
+    const res = await handleGuestbookRequest(req, env);
+    expect((await res.json()).reason).toBe('duplicate');
+});
@@ -0,0 +1,160 @@
+/**
+ * Error reporting tests (Node environment): stack normalization, fingerprint
+ * grouping and the cron rollup into issues with counts and seen times.
+ */
+import { test, expect, vi, afterEach } from 'vitest';
+import {
+    handleErrorsRequest,
+    rollUpErrors,
+    normalizeStack,
+    fingerprintError,
+} from '../../worker/errors.js';
+import { KvBudget } from '../../worker/kv-budget.js';
+import { makeKV } from './helpers/kv.js';
+
+function report(env, errors, extra = {}) {
+    const body = JSON.stringify({ release: '2.0.0', page: '/', errors, ...extra });
+    return handleErrorsRequest(new Request('https://w.dev/errors', { method: 'POST', body }), env);
+}
+
+const CHROME_STACK = `TypeError: Cannot read properties of null (reading 'id')
+    at BlogManager.openArticle (https://andernet.dev/modules/blog.js?v=3:120:17)
+    at https://andernet.dev/main.js:88:5`;
+
+const FIREFOX_STACK = `BlogManager.openArticle@https://andernet.dev/modules/blog.js:131:9
+@https://andernet.dev/main.js:90:1`;
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+// ── Fingerprinting ───────────────────────────────────────────────────────────
+
+test('normalizeStack drops origins, query strings and line numbers', () => {
+    expect(normalizeStack(CHROME_STACK)).toEqual([
+        'BlogManager.openArticle@/modules/blog.js',
+        '<anonymous>@/main.js',
+    ]);
+    expect(normalizeStack(FIREFOX_STACK)).toEqual(normalizeStack(CHROME_STACK));
+});
+
+test('the same error on different lines shares a fingerprint; a different type does not', async () => {
+    const base = { type: 'dom', message: 'Cannot read properties of null' };
+    const a = await fingerprintError({ ...base, stack: CHROME_STACK });
+    const b = await fingerprintError({ ...base, stack: FIREFOX_STACK });
+    const c = await fingerprintError({ ...base, type: 'api', stack: CHROME_STACK });
+    expect(a).toMatch(/^[0-9a-f]{16}$/);
+    expect(a).toBe(b);
+    expect(c).not.toBe(a);
+});
+
+// ── Ingestion + rollup ───────────────────────────────────────────────────────
+
+test('occurrences roll up into one issue with counts and first/last seen', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const env = { ANALYTICS_KV: makeKV() };
+    const error = {
+        message: 'Failed to load post 42',
+        type: 'network',
+        severity: 'error',
+        stack: CHROME_STACK,
+        context: { modulePath: './modules/blog.js', element: { nested: true } },
+    };
+
+    vi.setSystemTime(new Date('2026-10-18T10:00:00Z'));
+    expect((await report(env, [error, error])).status).toBe(202);
+    vi.setSystemTime(new Date('2026-10-19T09:30:00Z'));
+    await report(env, [{ ...error, message: 'Failed to load post 7', severity: 'critical' }]);
+
+    expect(await rollUpErrors(env)).toEqual({ occurrences: 3, issues: 1 });
+
+    const res = await handleErrorsRequest(new Request('https://w.dev/errors'), env);
+    const { issues } = await res.json();
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({
+        type: 'network',
+        severity: 'critical',
+        message: 'Failed to load post <n>',
+        count: 3,
+        firstSeen: '2026-10-18T10:00:00.000Z',
+        lastSeen: '2026-10-19T09:30:00.000Z',
+    });
+    expect(issues[0].sample.context).toEqual({ modulePath: './modules/blog.js' });
+    expect(issues[0].sample.release).toBe('2.0.0');
+    // Only normalized frames are kept: no origins, query strings or raw stack.
+    expect(issues[0].sample.frames).toEqual(normalizeStack(CHROME_STACK));
+    expect(JSON.stringify(issues)).not.toContain('andernet.dev');
+});
+
+test('a second rollup adds to the existing issue', async () => {
+    const env = { ANALYTICS_KV: makeKV() };
+    const error = { message: 'boom', type: 'unknown', severity: 'error', stack: CHROME_STACK };
+    await report(env, [error]);
+    await rollUpErrors(env);
+    await report(env, [error]);
+    await rollUpErrors(env);
+
+    const { issues } = await (
+        await handleErrorsRequest(new Request('https://w.dev/errors'), env)
+    ).json();
+    expect(issues[0].count).toBe(2);
+});
+
+test('a rollup merges at most 100 issues and its KV budget, leaving whole batches', async () => {
+    const kv = makeKV();
+    const occurrence = fingerprint => ({
+        fingerprint,
+        type: 'unknown',
+        severity: 'error',
+        message: fingerprint,
+        frames: [],
+        context: {},
+        page: '/',
+        release: null,
+        at: '2026-10-19T09:00:00.000Z',
+    });
+    // 11 batches of 10 distinct errors each: 110 issues in all.
+    for (let b = 0; b < 11; b++) {
+        const batch = Array.from({ length: 10 }, (_, i) => occurrence(`f${b * 10 + i}`));
+        kv.store.set(`errors:batch:${String(b).padStart(2, '0')}`, JSON.stringify(batch));
+    }
+    const pending = () => [...kv.store.keys()].filter(k => k.startsWith('errors:batch:'));
+
+    expect(await rollUpErrors({ ANALYTICS_KV: kv })).toEqual({ occurrences: 100, issues: 100 });
+    expect(pending()).toEqual(['errors:batch:10']);
+
+    // One list, then the batch's get and delete and a get and a put per issue.
+    const budget = new KvBudget(1 + 2 + 2 * 10 - 1);
+    expect(await rollUpErrors({ ANALYTICS_KV: kv }, budget)).toEqual({
+        occurrences: 0,
+        issues: 0,
+    });
+    expect(pending()).toEqual(['errors:batch:10']);
+
+    expect(await rollUpErrors({ ANALYTICS_KV: kv })).toEqual({ occurrences: 10, issues: 10 });
+    expect(pending()).toEqual([]);
+});
+
+test('messages are masked before storage and batches are capped at 10 errors', async () => {
+    const env = { ANALYTICS_KV: makeKV() };
+    const errors = Array.from({ length: 15 }, () => ({
+        message: 'No account for jane@example.com',
+        stack: '',
+    }));
+    const res = await report(env, errors);
+    expect(await res.json()).toEqual({ accepted: 10 });
+
+    const [batch] = [...env.ANALYTICS_KV.store.values()].map(v => JSON.parse(v));
+    expect(batch[0].message).toBe('No account for <email>');
+    expect(batch[0].type).toBe('unknown');
+});
+
+test('malformed bodies are rejected', async () => {
+    const env = { ANALYTICS_KV: makeKV() };
+    expect((await report(env, 'nope')).status).toBe(400);
+    const bad = await handleErrorsRequest(
+        new Request('https://w.dev/errors', { method: 'POST', body: '{' }),
+        env
+    );
+    expect(bad.status).toBe(400);
+});
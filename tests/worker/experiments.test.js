@@ -0,0 +1,59 @@
+/**
+ * A/B experiment assignment tests (Node environment).
+ */
+import { test, expect } from 'vitest';
+import {
+    handleExperimentsRequest,
+    assignVariants,
+    parseAssignments,
+    EXPERIMENTS,
+} from '../../worker/experiments.js';
+
+function get(path = '/experiments', headers = {}) {
+    return handleExperimentsRequest(
+        new Request(`https://w.dev${path}`, {
+            headers: { Origin: 'https://andernet.dev', ...headers },
+        }),
+        {}
+    );
+}
+
+test('a new visitor is assigned every experiment and gets a sticky cookie', async () => {
+    const res = await get();
+    const { assignments } = await res.json();
+
+    for (const [experiment, variants] of Object.entries(EXPERIMENTS)) {
+        expect(variants).toContain(assignments[experiment]);
+    }
+    const cookie = res.headers.get('Set-Cookie');
+    expect(cookie).toMatch(/^exp=heroBackground:\w+\|/);
+    expect(cookie).toContain('SameSite=None');
+    expect(res.headers.get('Access-Control-Allow-Origin')).toBe('https://andernet.dev');
+    expect(res.headers.get('Access-Control-Allow-Credentials')).toBe('true');
+    expect(res.headers.get('Cache-Control')).toBe('private, no-store');
+});
+
+test('a returning visitor keeps their arms and the cookie is not rewritten', async () => {
+    const value = 'heroBackground:static|heroRoles:builder|heroCta:collaborate';
+    const res = await get('/experiments', { Cookie: `theme=dark; exp=${value}` });
+    expect(await res.json()).toEqual({
+        assignments: { heroBackground: 'static', heroRoles: 'builder', heroCta: 'collaborate' },
+    });
+    expect(res.headers.get('Set-Cookie')).toBeNull();
+});
+
+test('cached assignments are honoured when the cookie was blocked; the cookie wins', async () => {
+    const current = encodeURIComponent('heroBackground:webgl|heroCta:collaborate');
+    const res = await get(`/experiments?current=${current}`, { Cookie: 'exp=heroCta:control' });
+    const { assignments } = await res.json();
+    expect(assignments.heroBackground).toBe('webgl');
+    expect(assignments.heroCta).toBe('control');
+});
+
+test('ended experiments and unknown variants are dropped and reassigned', () => {
+    expect(parseAssignments('oldTest:a|heroCta:purple|heroRoles:builder')).toEqual({
+        heroRoles: 'builder',
+    });
+    expect(assignVariants({ heroCta: 'purple' }, () => 0.99).heroCta).toBe('collaborate');
+    expect(assignVariants({}, () => 0).heroBackground).toBe('wasm');
+});
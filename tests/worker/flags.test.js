@@ -0,0 +1,36 @@
+/**
+ * Remote feature flag tests (Node environment).
+ */
+import { test, expect } from 'vitest';
+import { handleFlagsRequest, cleanFlags } from '../../worker/flags.js';
+import { makeKV } from './helpers/kv.js';
+
+function get(env) {
+    return handleFlagsRequest(new Request('https://w.dev/flags'), env);
+}
+
+test('serves boolean flags from CONFIG_KV with a short cache', async () => {
+    const res = await get({ CONFIG_KV: makeKV({ flags: '{"guestbook":false,"heroWasm":true}' }) });
+    expect(res.status).toBe(200);
+    expect(res.headers.get('Cache-Control')).toBe('public, max-age=60');
+    expect(await res.json()).toEqual({ flags: { guestbook: false, heroWasm: true } });
+});
+
+test('serves no overrides without a binding or with malformed JSON', async () => {
+    expect(await (await get({})).json()).toEqual({ flags: {} });
+    expect(await (await get({ CONFIG_KV: makeKV({ flags: '{oops' }) })).json()).toEqual({
+        flags: {},
+    });
+});
+
+test('cleanFlags drops non-boolean values and odd names', () => {
+    expect(cleanFlags({ ok: true, count: 1, 'bad name': false, '<x>': true })).toEqual({
+        ok: true,
+    });
+    expect(cleanFlags(['guestbook'])).toEqual({});
+});
+
+test('rejects writes', async () => {
+    const res = await handleFlagsRequest(new Request('https://w.dev/flags', { method: 'PUT' }), {});
+    expect(res.status).toBe(405);
+});
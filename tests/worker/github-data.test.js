@@ -0,0 +1,125 @@
+/**
+ * GitHub snapshot tests (Node environment) — scheduled refresh + GET /github-data.
+ */
+import { test, expect, vi, beforeEach } from 'vitest';
+import { handleGitHubDataRequest, refreshGitHubSnapshot } from '../../worker/github-data.js';
+import { makeKV } from './helpers/kv.js';
+
+const repo = (name, pushedAt) => ({
+    name,
+    fork: false,
+    archived: false,
+    pushed_at: pushedAt,
+    languages_url: `https://api.github.com/repos/and3rn3t/${name}/languages`,
+});
+
+function mockGitHub(repos) {
+    globalThis.fetch = vi.fn(async url => {
+        const path = String(url);
+        let body = [];
+        if (path.endsWith('/users/and3rn3t')) body = { login: 'and3rn3t' };
+        else if (path.includes('/repos?')) body = repos;
+        else if (path.endsWith('/homehub/languages')) body = { TypeScript: 300, CSS: 10 };
+        else if (path.endsWith('/weather/languages')) body = { Swift: 500 };
+        return { ok: true, json: () => Promise.resolve(body) };
+    });
+}
+
+function req(headers = {}) {
+    return new Request('https://w.dev/github-data', { headers });
+}
+
+beforeEach(() => {
+    mockGitHub([repo('homehub', '2026-06-13T00:00:00Z'), repo('weather', '2026-06-01T00:00:00Z')]);
+});
+
+test('refreshGitHubSnapshot stores a github-data.json-shaped snapshot', async () => {
+    const env = { GITHUB_KV: makeKV() };
+    await refreshGitHubSnapshot(env);
+    const snapshot = JSON.parse(await env.GITHUB_KV.get('snapshot'));
+    expect(snapshot.user.login).toBe('and3rn3t');
+    expect(snapshot.totalRepos).toBe(2);
+    expect(Object.keys(snapshot.languageBytes)).toEqual(['Swift', 'TypeScript', 'CSS']);
+    expect(snapshot.lastUpdated).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/);
+});
+
+test('refreshGitHubSnapshot only refetches languages for repos pushed since last run', async () => {
+    const env = { GITHUB_KV: makeKV() };
+    await refreshGitHubSnapshot(env);
+    mockGitHub([repo('homehub', '2026-06-14T00:00:00Z'), repo('weather', '2026-06-01T00:00:00Z')]);
+    await refreshGitHubSnapshot(env);
+    const languageCalls = globalThis.fetch.mock.calls.filter(([u]) => u.endsWith('/languages'));
+    expect(languageCalls.map(([u]) => u)).toEqual([
+        'https://api.github.com/repos/and3rn3t/homehub/languages',
+    ]);
+});
+
+test('a cold languages cache is filled over several refreshes, newest pushes first', async () => {
+    const repos = Array.from({ length: 35 }, (_, i) =>
+        repo(
+            `r${String(i).padStart(2, '0')}`,
+            `2026-06-${String(35 - i).padStart(2, '0')}T00:00:00Z`
+        )
+    );
+    mockGitHub(repos);
+    const env = { GITHUB_KV: makeKV() };
+    const languageCalls = () =>
+        globalThis.fetch.mock.calls.map(([u]) => u).filter(u => u.endsWith('/languages'));
+
+    await refreshGitHubSnapshot(env);
+    expect(languageCalls()).toHaveLength(30);
+    expect(languageCalls()[0]).toMatch(/\/r00\/languages$/);
+    expect(Object.keys(JSON.parse(await env.GITHUB_KV.get('languages')))).toHaveLength(30);
+
+    globalThis.fetch.mockClear();
+    await refreshGitHubSnapshot(env);
+    expect(languageCalls().map(u => u.split('/').at(-2))).toEqual([
+        'r30',
+        'r31',
+        'r32',
+        'r33',
+        'r34',
+    ]);
+});
+
+test('refreshGitHubSnapshot does nothing without GITHUB_KV', async () => {
+    expect(await refreshGitHubSnapshot({})).toEqual({
+        etag: null,
+        lastUpdated: null,
+        changed: false,
+    });
+    expect(fetch).not.toHaveBeenCalled();
+});
+
+test('an unchanged refresh keeps the ETag and skips the snapshot write', async () => {
+    const env = { GITHUB_KV: makeKV() };
+    const first = await refreshGitHubSnapshot(env);
+    const put = vi.spyOn(env.GITHUB_KV, 'put');
+
+    const second = await refreshGitHubSnapshot(env);
+    expect(second).toEqual({ ...first, changed: false });
+    expect(put.mock.calls.map(([key]) => key)).not.toContain('snapshot');
+
+    mockGitHub([repo('homehub', '2026-06-14T00:00:00Z')]);
+    const third = await refreshGitHubSnapshot(env);
+    expect(third.changed).toBe(true);
+    expect(third.etag).not.toBe(first.etag);
+});
+
+test('GET /github-data serves the snapshot with an ETag and honours If-None-Match', async () => {
+    const env = { GITHUB_KV: makeKV() };
+    const { etag } = await refreshGitHubSnapshot(env);
+
+    const res = await handleGitHubDataRequest(req(), env);
+    expect(res.status).toBe(200);
+    expect(res.headers.get('ETag')).toBe(`"${etag}"`);
+    expect((await res.json()).totalRepos).toBe(2);
+
+    const revalidated = await handleGitHubDataRequest(req({ 'If-None-Match': `"${etag}"` }), env);
+    expect(revalidated.status).toBe(304);
+});
+
+test('GET /github-data returns 404 before the first cron run', async () => {
+    const res = await handleGitHubDataRequest(req(), { GITHUB_KV: makeKV() });
+    expect(res.status).toBe(404);
+});
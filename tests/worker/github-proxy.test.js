@@ -0,0 +1,144 @@
+/**
+ * GitHub proxy tests (Node environment): the query allowlist, header
+ * stripping, Link rewriting and the edge cache.
+ */
+import { test, expect, vi, beforeEach } from 'vitest';
+import { handleGitHubProxyRequest, matchQuery, rewriteLink } from '../../worker/github-proxy.js';
+
+const env = { GH_TOKEN: 'token' };
+
+function stubEdgeCache() {
+    const store = new Map();
+    globalThis.caches = {
+        default: {
+            store,
+            match: vi.fn(key => Promise.resolve(store.get(key.url)?.clone())),
+            put: vi.fn((key, res) => {
+                store.set(key.url, res);
+                return Promise.resolve();
+            }),
+        },
+    };
+}
+
+function get(path, headers = {}) {
+    return new Request(`https://w.dev/gh${path}`, {
+        headers: { 'CF-Connecting-IP': '203.0.113.9', ...headers },
+    });
+}
+
+const upstreamHeaders = {
+    'Content-Type': 'application/json; charset=utf-8',
+    ETag: '"abc"',
+    'Set-Cookie': 'logged_in=no',
+    'X-OAuth-Scopes': 'read:user',
+    'X-RateLimit-Remaining': '4999',
+    'GitHub-Authentication-Token-Expiration': '2027-01-01 00:00:00 UTC',
+};
+
+function mockGitHub(responses) {
+    globalThis.fetch = vi.fn(url => {
+        const path = new URL(url).pathname;
+        const [body, extra] = responses[path] ?? [null];
+        if (!body) return Promise.resolve(new Response('{}', { status: 404 }));
+        return Promise.resolve(
+            new Response(JSON.stringify(body), { headers: { ...upstreamHeaders, ...extra } })
+        );
+    });
+}
+
+beforeEach(() => {
+    stubEdgeCache();
+    mockGitHub({
+        '/repos/and3rn3t/homehub': [{ name: 'homehub', private: false }],
+        '/repos/and3rn3t/secret': [{ name: 'secret', private: true }],
+        '/repos/and3rn3t/homehub/commits': [
+            [{ sha: '1' }],
+            {
+                Link: '<https://api.github.com/repositories/1/commits?page=2>; rel="next"',
+            },
+        ],
+        '/users/and3rn3t': [{ login: 'and3rn3t' }],
+    });
+});
+
+// ── Allowlist ─────────────────────────────────────────────────────────────────
+
+test('matchQuery names allowlisted paths for the portfolio owner only', () => {
+    expect(matchQuery('/repos/and3rn3t/homehub/readme').name).toBe('readme');
+    expect(matchQuery('/repos/and3rn3t/homehub/languages').repo).toBe('and3rn3t/homehub');
+    expect(matchQuery('/users/and3rn3t/events/public').name).toBe('userEvents');
+    expect(matchQuery('/users/and3rn3t/events')).toBeNull();
+    expect(matchQuery('/repos/someone-else/repo')).toBeNull();
+    expect(matchQuery('/repos/and3rn3t/homehub/issues')).toBeNull();
+    expect(matchQuery('/user')).toBeNull();
+});
+
+test('matchQuery rejects parameters the query does not take', () => {
+    const ok = matchQuery(
+        '/repos/and3rn3t/homehub/commits',
+        new URLSearchParams('page=2&sha=main')
+    );
+    expect(String(ok.params)).toBe('page=2&sha=main');
+    const bad = matchQuery('/repos/and3rn3t/homehub/commits', new URLSearchParams('path=x'));
+    expect(bad.params).toBeNull();
+});
+
+test('paths outside the allowlist never reach GitHub', async () => {
+    const res = await handleGitHubProxyRequest(get('/user/repos'), env);
+    expect(res.status).toBe(404);
+    expect(await res.json()).toEqual({ error: 'unknown_query' });
+    expect(fetch).not.toHaveBeenCalled();
+});
+
+test('private repositories are reported as not found', async () => {
+    const res = await handleGitHubProxyRequest(get('/repos/and3rn3t/secret/readme'), env);
+    expect(res.status).toBe(404);
+    expect(fetch).toHaveBeenCalledTimes(1); // the public check only
+});
+
+test('GET /gh lists the queries for the reachability probe', async () => {
+    const res = await handleGitHubProxyRequest(get(''), env);
+    expect((await res.json()).queries).toContain('readme');
+});
+
+test('the proxy is unavailable without GH_TOKEN', async () => {
+    const res = await handleGitHubProxyRequest(get('/users/and3rn3t'), {});
+    expect(res.status).toBe(503);
+});
+
+// ── Responses ─────────────────────────────────────────────────────────────────
+
+test('responses drop sensitive headers and use the per-query TTL', async () => {
+    const res = await handleGitHubProxyRequest(get('/users/and3rn3t'), env);
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({ login: 'and3rn3t' });
+    expect(res.headers.get('ETag')).toBe('"abc"');
+    expect(res.headers.get('Cache-Control')).toBe('public, max-age=600');
+    expect(res.headers.get('Access-Control-Expose-Headers')).toContain('ETag');
+    for (const name of ['Set-Cookie', 'X-OAuth-Scopes', 'X-RateLimit-Remaining']) {
+        expect(res.headers.get(name)).toBeNull();
+    }
+    expect(res.headers.get('GitHub-Authentication-Token-Expiration')).toBeNull();
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer token');
+});
+
+test('Link headers point back at the proxy', async () => {
+    const res = await handleGitHubProxyRequest(get('/repos/and3rn3t/homehub/commits'), env);
+    expect(res.headers.get('Link')).toBe(
+        '<https://w.dev/gh/repos/and3rn3t/homehub/commits?page=2>; rel="next"'
+    );
+    expect(rewriteLink('<https://example.com/x>; rel="next"', 'https://w.dev/gh/x')).toBe(
+        '<https://example.com/x>; rel="next"'
+    );
+});
+
+test('repeat requests come from the edge cache and honour If-None-Match', async () => {
+    await handleGitHubProxyRequest(get('/repos/and3rn3t/homehub'), env);
+    const res = await handleGitHubProxyRequest(
+        get('/repos/and3rn3t/homehub', { 'If-None-Match': '"abc"' }),
+        env
+    );
+    expect(res.status).toBe(304);
+    expect(fetch).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,149 @@
+/**
+ * GraphQL proxy tests (Node environment): persisted query lookup, variable
+ * validation and the edge cache.
+ */
+import { test, expect, vi, beforeEach } from 'vitest';
+import { handleGraphQLRequest, cleanVariables, QUERIES } from '../../worker/graphql.js';
+
+const env = { GH_TOKEN: 'token' };
+
+function stubEdgeCache() {
+    const store = new Map();
+    globalThis.caches = {
+        default: {
+            store,
+            match: vi.fn(key => Promise.resolve(store.get(key.url)?.clone())),
+            put: vi.fn((key, res) => {
+                store.set(key.url, res);
+                return Promise.resolve();
+            }),
+        },
+    };
+}
+
+function post(body, headers = {}) {
+    return new Request('https://w.dev/graphql', {
+        method: 'POST',
+        headers: { 'CF-Connecting-IP': `203.0.113.${Math.floor(Math.random() * 250)}`, ...headers },
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+    });
+}
+
+beforeEach(() => {
+    stubEdgeCache();
+    globalThis.fetch = vi.fn(() =>
+        Promise.resolve(
+            new Response(JSON.stringify({ data: { user: { pinnedItems: { nodes: [] } } } }))
+        )
+    );
+});
+
+// ── Validation ────────────────────────────────────────────────────────────────
+
+test('cleanVariables keeps declared variables and rejects bad values', () => {
+    const query = QUERIES.repositories;
+    expect(cleanVariables(query, { login: 'and3rn3t', first: 50, extra: 1 })).toEqual({
+        login: 'and3rn3t',
+        first: 50,
+    });
+    expect(cleanVariables(query, { login: 'and3rn3t', after: null })).toEqual({
+        login: 'and3rn3t',
+        after: null,
+    });
+    expect(cleanVariables(query, { first: 50 })).toBeNull();
+    expect(cleanVariables(query, { login: 'and3rn3t', first: 500 })).toBeNull();
+    expect(cleanVariables(query, { login: 'a b' })).toBeNull();
+    expect(cleanVariables(query, { login: 'torvalds' })).toBeNull();
+    expect(cleanVariables(query, { login: 'And3rn3t' })).toEqual({ login: 'and3rn3t' });
+    expect(cleanVariables(query, 'login')).toBeNull();
+});
+
+test('unknown query names are rejected without calling GitHub', async () => {
+    for (const query of ['viewer', 'toString', '{ viewer { login } }']) {
+        const res = await handleGraphQLRequest(post({ query, variables: {} }), env);
+        expect(res.status).toBe(400);
+        expect(await res.json()).toEqual({ error: 'unknown_query' });
+    }
+    expect(fetch).not.toHaveBeenCalled();
+});
+
+test('invalid variables and bodies return 400', async () => {
+    const bad = await handleGraphQLRequest(post({ query: 'pinnedItems', variables: {} }), env);
+    expect(await bad.json()).toEqual({ error: 'invalid_variables' });
+
+    const broken = await handleGraphQLRequest(post('{'), env);
+    expect(await broken.json()).toEqual({ error: 'invalid_json' });
+});
+
+test('only POST is allowed', async () => {
+    const res = await handleGraphQLRequest(new Request('https://w.dev/graphql'), env);
+    expect(res.status).toBe(405);
+});
+
+// ── Execution ─────────────────────────────────────────────────────────────────
+
+test('runs the persisted query with the token and caches the result', async () => {
+    const body = { query: 'pinnedItems', variables: { login: 'and3rn3t' } };
+
+    const first = await handleGraphQLRequest(post(body), env);
+    expect(await first.json()).toEqual({
+        data: { user: { pinnedItems: { nodes: [] } } },
+        cached: false,
+    });
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('https://api.github.com/graphql');
+    expect(init.headers.Authorization).toBe('Bearer token');
+    expect(JSON.parse(init.body)).toEqual({
+        query: QUERIES.pinnedItems.text,
+        variables: { login: 'and3rn3t' },
+    });
+
+    const second = await handleGraphQLRequest(post(body), env);
+    expect((await second.json()).cached).toBe(true);
+    expect(fetch).toHaveBeenCalledTimes(1);
+});
+
+test('private pinned repositories are dropped before caching', async () => {
+    const node = (name, isPrivate) => ({
+        name,
+        isPrivate,
+        url: `https://github.com/and3rn3t/${name}`,
+    });
+    globalThis.fetch = vi.fn(() =>
+        Promise.resolve(
+            new Response(
+                JSON.stringify({
+                    data: {
+                        user: {
+                            pinnedItems: {
+                                nodes: [node('homehub', false), node('secret-plans', true)],
+                            },
+                        },
+                    },
+                })
+            )
+        )
+    );
+    const body = { query: 'pinnedItems', variables: { login: 'and3rn3t' } };
+
+    const first = await (await handleGraphQLRequest(post(body), env)).json();
+    expect(first.data.user.pinnedItems.nodes.map(n => n.name)).toEqual(['homehub']);
+
+    const [cached] = caches.default.store.values();
+    expect(JSON.stringify(await cached.clone().json())).not.toContain('secret-plans');
+    const second = await (await handleGraphQLRequest(post(body), env)).json();
+    expect(second.cached).toBe(true);
+    expect(second.data.user.pinnedItems.nodes.map(n => n.name)).toEqual(['homehub']);
+});
+
+test('GraphQL errors are reported as upstream errors and not cached', async () => {
+    globalThis.fetch = vi.fn(() =>
+        Promise.resolve(new Response(JSON.stringify({ errors: [{ message: 'Not found' }] })))
+    );
+    const res = await handleGraphQLRequest(
+        post({ query: 'contributionYears', variables: { login: 'and3rn3t' } }),
+        env
+    );
+    expect(res.status).toBe(502);
+    expect(caches.default.put).not.toHaveBeenCalled();
+});
@@ -0,0 +1,56 @@
+/**
+ * In-memory Workers KV namespace shared by the worker tests.
+ *
+ * Covers the KV API the Worker uses: get() as text or JSON (`'json'` or
+ * `{ type: 'json' }`), getWithMetadata(), put() with options, delete() and
+ * list() with prefix, limit, cursor and metadata. `store` holds the raw
+ * values and `options` the last put() options for each key, so tests can
+ * seed and inspect storage directly.
+ *
+ * @param {Object} [entries] - Initial key → string value
+ */
+export function makeKV(entries = {}) {
+    const store = new Map(Object.entries(entries));
+    const options = new Map();
+
+    const read = (key, type) => {
+        const value = store.get(key) ?? null;
+        const json = (typeof type === 'string' ? type : type?.type) === 'json';
+        return json && value !== null ? JSON.parse(value) : value;
+    };
+
+    return {
+        store,
+        options,
+        get: (key, type) => Promise.resolve().then(() => read(key, type)),
+        getWithMetadata: (key, type) =>
+            Promise.resolve().then(() => ({
+                value: read(key, type),
+                metadata: options.get(key)?.metadata ?? null,
+            })),
+        put: (key, value, opts) => {
+            store.set(key, value);
+            options.set(key, opts);
+            return Promise.resolve();
+        },
+        delete: key => {
+            store.delete(key);
+            options.delete(key);
+            return Promise.resolve();
+        },
+        list: ({ prefix = '', limit = 1000, cursor } = {}) => {
+            const names = [...store.keys()].filter(k => k.startsWith(prefix)).sort();
+            const start = cursor ? Number(cursor) : 0;
+            const page = names.slice(start, start + limit);
+            const done = start + limit >= names.length;
+            return Promise.resolve({
+                keys: page.map(name => {
+                    const metadata = options.get(name)?.metadata;
+                    return metadata === undefined ? { name } : { name, metadata };
+                }),
+                list_complete: done,
+                ...(done ? {} : { cursor: String(start + limit) }),
+            });
+        },
+    };
+}
@@ -0,0 +1,21 @@
+/**
+ * Cron KV operation budget tests (Node environment).
+ */
+import { test, expect } from 'vitest';
+import { KvBudget, KV_OPERATIONS_PER_INVOCATION } from '../../worker/kv-budget.js';
+
+test('take() reserves all or nothing', () => {
+    const budget = new KvBudget(5);
+    expect(budget.take(3)).toBe(true);
+    expect(budget.take(3)).toBe(false);
+    expect(budget.remaining).toBe(2);
+    expect(new KvBudget().remaining).toBe(KV_OPERATIONS_PER_INVOCATION);
+});
+
+test('takeUpTo() reserves for as many items as fit after the fixed cost', () => {
+    const budget = new KvBudget(10);
+    expect(budget.takeUpTo(5, 2, 3)).toBe(3);
+    expect(budget.remaining).toBe(1);
+    expect(budget.takeUpTo(5, 2, 0)).toBe(0);
+    expect(budget.remaining).toBe(1);
+});
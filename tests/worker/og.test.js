@@ -0,0 +1,119 @@
+/**
+ * OG image handler tests (Node environment).
+ *
+ * The resvg rasterizer (og-png.js) imports a .wasm module that only wrangler
+ * can bundle, so it is mocked here; these tests cover format negotiation,
+ * edge caching and the SVG fallback.
+ */
+import { test, expect, vi, beforeEach } from 'vitest';
+
+const svgToPng = vi.fn();
+vi.mock('../../worker/og-png.js', () => ({ svgToPng }));
+
+const { handleOgRequest } = await import('../../worker/og.js');
+
+function stubEdgeCache() {
+    const store = new Map();
+    globalThis.caches = {
+        default: {
+            match: vi.fn(key => Promise.resolve(store.get(key.url)?.clone())),
+            put: vi.fn((key, res) => {
+                store.set(key.url, res);
+                return Promise.resolve();
+            }),
+        },
+    };
+}
+
+function req(path, headers = {}) {
+    return new Request(`https://w.dev${path}`, { headers });
+}
+
+beforeEach(() => {
+    stubEdgeCache();
+    svgToPng.mockReset();
+    svgToPng.mockResolvedValue(new Uint8Array([0x89, 0x50, 0x4e, 0x47]));
+    globalThis.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ repositories: [], languageBytes: {} }),
+    });
+});
+
+test('GET /og returns SVG by default', async () => {
+    const res = await handleOgRequest(req('/og'));
+    expect(res.headers.get('Content-Type')).toMatch(/image\/svg\+xml/);
+    expect(svgToPng).not.toHaveBeenCalled();
+});
+
+test('GET /og?format=png rasterizes the card', async () => {
+    const res = await handleOgRequest(req('/og?format=png'));
+    expect(res.headers.get('Content-Type')).toBe('image/png');
+    expect(svgToPng.mock.calls[0][0]).toMatch(/^<svg/);
+});
+
+test('an Accept header preferring PNG over SVG negotiates a PNG', async () => {
+    const png = await handleOgRequest(req('/og', { Accept: 'image/png,image/*;q=0.8' }));
+    expect(png.headers.get('Content-Type')).toBe('image/png');
+
+    const svg = await handleOgRequest(req('/og', { Accept: 'image/svg+xml,image/png' }));
+    expect(svg.headers.get('Content-Type')).toMatch(/svg/);
+});
+
+test('PNG responses are served from the edge cache on repeat requests', async () => {
+    await handleOgRequest(req('/og?format=png&project=homehub'));
+    const res = await handleOgRequest(req('/og?project=homehub&format=png'));
+    expect(res.headers.get('Content-Type')).toBe('image/png');
+    expect(svgToPng).toHaveBeenCalledTimes(1);
+});
+
+test('falls back to SVG when rasterizing fails', async () => {
+    svgToPng.mockRejectedValue(new Error('wasm init failed'));
+    const res = await handleOgRequest(req('/og?format=png'));
+    expect(res.headers.get('Content-Type')).toMatch(/svg/);
+    expect(globalThis.caches.default.put).not.toHaveBeenCalled();
+});
+
+// ── Post cards and themes ──
+
+const POSTS = {
+    posts: [
+        {
+            slug: 'local-first-iot-dashboard',
+            title: 'Building a Local-First IoT Dashboard Without the Cloud',
+            date: '2026-04-03',
+            tags: ['IoT', 'MQTT'],
+            readingMinutes: 5,
+        },
+    ],
+};
+
+test('GET /og?post=slug renders a post card with date, reading time and tags', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve(POSTS) });
+    const svg = await (await handleOgRequest(req('/og?post=local-first-iot-dashboard'))).text();
+    expect(globalThis.fetch.mock.calls[0][0]).toMatch(/posts-data\.json$/);
+    expect(svg).toContain('Local-First IoT');
+    expect(svg).toContain('April 3, 2026');
+    expect(svg).toContain('5 min read');
+    expect(svg).toContain('>MQTT<');
+});
+
+test('an unknown post slug falls back to the portfolio card', async () => {
+    globalThis.fetch = vi
+        .fn()
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(POSTS) })
+        .mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({ repositories: [], languageBytes: {} }),
+        });
+    const svg = await (await handleOgRequest(req('/og?post=nope'))).text();
+    expect(svg).toContain('Top languages');
+});
+
+test('?theme=light swaps the card palette; unknown themes stay dark', async () => {
+    const light = await (await handleOgRequest(req('/og?theme=light'))).text();
+    expect(light).toContain('fill="#ffffff"');
+    expect(light).not.toContain('#0d1117');
+
+    const other = await (await handleOgRequest(req('/og?theme=neon'))).text();
+    expect(other).toContain('fill="#0d1117"');
+});
@@ -0,0 +1,66 @@
+/**
+ * Rate-limit layer tests (Node environment).
+ *
+ * Covers both the RATE_LIMIT_KV backend and the in-memory stand-in.
+ */
+import { test, expect, vi, afterEach } from 'vitest';
+import { checkRateLimit, enforceRateLimit } from '../../worker/rate-limit.js';
+import { makeKV } from './helpers/kv.js';
+
+const policy = { name: 'test', limit: 2, windowSeconds: 60 };
+
+function req(ip = '203.0.113.7') {
+    return new Request('https://w.dev/views', {
+        method: 'POST',
+        headers: { 'CF-Connecting-IP': ip },
+    });
+}
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+test('allows requests up to the limit, then blocks', async () => {
+    const env = {};
+    expect((await checkRateLimit(req(), env, policy)).remaining).toBe(1);
+    expect((await checkRateLimit(req(), env, policy)).allowed).toBe(true);
+    expect((await checkRateLimit(req(), env, policy)).allowed).toBe(false);
+});
+
+test('counts each IP separately', async () => {
+    const env = {};
+    await checkRateLimit(req('203.0.113.7'), env, policy);
+    await checkRateLimit(req('203.0.113.7'), env, policy);
+    expect((await checkRateLimit(req('198.51.100.1'), env, policy)).allowed).toBe(true);
+});
+
+test('a new window resets the count', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-06-13T12:00:00Z'));
+    const env = {};
+    await checkRateLimit(req(), env, policy);
+    await checkRateLimit(req(), env, policy);
+    expect((await checkRateLimit(req(), env, policy)).allowed).toBe(false);
+
+    vi.setSystemTime(new Date('2026-06-13T12:01:00Z'));
+    expect((await checkRateLimit(req(), env, policy)).allowed).toBe(true);
+});
+
+test('stores counters in RATE_LIMIT_KV with an expiry when bound', async () => {
+    const env = { RATE_LIMIT_KV: makeKV() };
+    await checkRateLimit(req(), env, policy);
+    const [key] = [...env.RATE_LIMIT_KV.store.keys()];
+    expect(key).toMatch(/^rl:test:203\.0\.113\.7:\d+$/);
+    expect(env.RATE_LIMIT_KV.store.get(key)).toBe('1');
+    expect(env.RATE_LIMIT_KV.options.get(key).expirationTtl).toBeGreaterThanOrEqual(60);
+});
+
+test('enforceRateLimit returns a 429 with Retry-After when over the limit', async () => {
+    const env = {};
+    expect(await enforceRateLimit(req(), env, policy)).toBeNull();
+    expect(await enforceRateLimit(req(), env, policy)).toBeNull();
+    const res = await enforceRateLimit(req(), env, policy);
+    expect(res.status).toBe(429);
+    expect(Number(res.headers.get('Retry-After'))).toBeGreaterThan(0);
+    expect((await res.json()).error).toBe('rate_limited');
+});
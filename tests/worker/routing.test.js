@@ -1,7 +1,7 @@
 /**
  * Worker routing tests — exercises worker/index.js without deploying.
  *
- * og.js and engagement.js are mocked to avoid their network calls.
+ * og.js, engagement.js and github-data.js are mocked to avoid their network calls.
  */
 import { test, expect, vi } from 'vitest';
 
@@ -16,8 +16,14 @@ vi.mock('../../worker/og.js', () => ({
 vi.mock('../../worker/engagement.js', () => ({
     handleViewsRequest: vi.fn().mockResolvedValue(new Response('{}', { status: 200 })),
     handleGuestbookRequest: vi.fn().mockResolvedValue(new Response('[]', { status: 200 })),
-    jsonResponse: (body, _req, status) => new Response(JSON.stringify(body), { status }),
-    corsHeaders: () => ({ 'Access-Control-Allow-Origin': '*' }),
+    handleGuestbookAdminRequest: vi.fn().mockResolvedValue(new Response('[]', { status: 200 })),
+    rollUpViews: vi.fn().mockResolvedValue({ pages: 0 }),
+}));
+
+vi.mock('../../worker/github-data.js', () => ({
+    handleGitHubDataRequest: vi.fn().mockResolvedValue(new Response('{}', { status: 200 })),
+    refreshGitHubSnapshot: vi.fn().mockResolvedValue({ etag: 'abc' }),
+    SNAPSHOT_KV_OPERATIONS: 4,
 }));
 
 const { default: worker } = await import('../../worker/index.js');
@@ -57,6 +63,40 @@ test('GET /views delegates to handleViewsRequest', async () => {
     expect(res.status).toBe(200);
 });
 
+test('GET /views/summary delegates to handleViewsRequest', async () => {
+    const { handleViewsRequest } = await import('../../worker/engagement.js');
+    handleViewsRequest.mockClear();
+    await worker.fetch(req('GET', '/views/summary'), env);
+    expect(handleViewsRequest).toHaveBeenCalled();
+});
+
+// ── /guestbook/admin ──────────────────────────────────────────────────────────
+
+test('GET /guestbook/admin/pending delegates to handleGuestbookAdminRequest', async () => {
+    const { handleGuestbookAdminRequest } = await import('../../worker/engagement.js');
+    await worker.fetch(req('GET', '/guestbook/admin/pending'), env);
+    expect(handleGuestbookAdminRequest).toHaveBeenCalled();
+});
+
+// ── /github-data + cron ────────────────────────────────────────────────────────
+
+test('GET /github-data delegates to handleGitHubDataRequest', async () => {
+    const { handleGitHubDataRequest } = await import('../../worker/github-data.js');
+    await worker.fetch(req('GET', '/github-data'), env);
+    expect(handleGitHubDataRequest).toHaveBeenCalled();
+});
+
+test('scheduled() refreshes the GitHub snapshot and runs the rollups via waitUntil', async () => {
+    const { refreshGitHubSnapshot } = await import('../../worker/github-data.js');
+    const { rollUpViews } = await import('../../worker/engagement.js');
+    const ctx = { waitUntil: vi.fn() };
+    await worker.scheduled({}, env, ctx);
+    await Promise.all(ctx.waitUntil.mock.calls.map(([promise]) => promise));
+    expect(refreshGitHubSnapshot).toHaveBeenCalledWith(env);
+    const [, budget] = rollUpViews.mock.calls.at(-1);
+    expect(budget.remaining).toBe(1000 - 4);
+});
+
 // ── /activity — non-GET ───────────────────────────────────────────────────────
 
 test('POST /activity returns 405', async () => {
@@ -71,3 +111,108 @@ test('OPTIONS /activity returns 200 with CORS headers', async () => {
     expect(res.status).toBe(200);
     expect(res.headers.get('Access-Control-Allow-Origin')).toBeDefined();
 });
+
+// ── /activity/feed ────────────────────────────────────────────────────────────
+
+function stubEdgeCache() {
+    const store = new Map();
+    globalThis.caches = {
+        default: {
+            match: key => Promise.resolve(store.get(key.url)?.clone()),
+            put: (key, res) => {
+                store.set(key.url, res);
+                return Promise.resolve();
+            },
+        },
+    };
+}
+
+const push = (repo, message, ref = 'refs/heads/main') => ({
+    type: 'PushEvent',
+    repo: { name: repo },
+    created_at: '2026-06-13T12:00:00Z',
+    payload: { ref, commits: [{ message }] },
+});
+
+test('GET /activity/feed returns normalized, deduplicated items filtered by type', async () => {
+    stubEdgeCache();
+    globalThis.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: () =>
+            Promise.resolve([
+                push('and3rn3t/homehub', 'feat: reconnect'),
+                push('and3rn3t/homehub', 'feat: reconnect', 'refs/heads/dev'),
+                {
+                    type: 'ReleaseEvent',
+                    repo: { name: 'and3rn3t/homehub' },
+                    created_at: '2026-06-12T12:00:00Z',
+                    payload: { release: { tag_name: 'v1.0.0' } },
+                },
+                { type: 'IssuesEvent', repo: { name: 'and3rn3t/homehub' }, payload: {} },
+            ]),
+    });
+
+    const all = await (await worker.fetch(req('GET', '/activity/feed'), env)).json();
+    expect(all.items.map(i => i.type)).toEqual(['push', 'release']);
+    expect(all.items[0]).toMatchObject({ repoName: 'homehub', message: 'feat: reconnect' });
+
+    const releases = await (
+        await worker.fetch(req('GET', '/activity/feed?types=release&limit=5'), env)
+    ).json();
+    expect(releases.items).toHaveLength(1);
+    expect(releases.items[0].message).toBe('Released v1.0.0');
+    expect(releases.cached).toBe(true);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('GET /activity/feed returns 502 when GitHub fails', async () => {
+    stubEdgeCache();
+    globalThis.fetch = vi.fn().mockResolvedValue({ ok: false, status: 500 });
+    const res = await worker.fetch(req('GET', '/activity/feed'), env);
+    expect(res.status).toBe(502);
+});
+
+// ── /webhook/github and /activity/stream ──────────────────────────────────────
+
+test('POST /webhook/github is routed to the webhook handler', async () => {
+    // No GITHUB_WEBHOOK_SECRET in env → the handler refuses before reading the body.
+    const res = await worker.fetch(req('POST', '/webhook/github'), env);
+    expect(res.status).toBe(503);
+});
+
+test('GET /activity/stream is routed to the SSE handler', async () => {
+    const res = await worker.fetch(req('GET', '/activity/stream'), env);
+    expect(res.status).toBe(503);
+    expect(await res.json()).toEqual({ error: 'stream_unavailable' });
+});
+
+// ── /flags ────────────────────────────────────────────────────────────────────
+
+test('GET /flags serves no overrides without CONFIG_KV', async () => {
+    const res = await worker.fetch(req('GET', '/flags'), env);
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({ flags: {} });
+});
+
+// ── /experiments ──────────────────────────────────────────────────────────────
+
+test('GET /experiments is routed to the assignment handler', async () => {
+    const res = await worker.fetch(req('GET', '/experiments'), env);
+    expect(res.status).toBe(200);
+    expect(res.headers.get('Set-Cookie')).toMatch(/^exp=/);
+});
+
+// ── /graphql ──────────────────────────────────────────────────────────────────
+
+test('POST /graphql is unavailable without GH_TOKEN', async () => {
+    const res = await worker.fetch(req('POST', '/graphql'), env);
+    expect(res.status).toBe(503);
+});
+
+// ── /gh ───────────────────────────────────────────────────────────────────────
+
+test('GET /gh/* is routed to the GitHub proxy', async () => {
+    const res = await worker.fetch(req('GET', '/gh/users/and3rn3t'), env);
+    expect(res.status).toBe(503);
+    expect(await res.json()).toEqual({ error: 'proxy_unavailable' });
+});
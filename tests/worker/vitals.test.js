@@ -0,0 +1,102 @@
+/**
+ * Web Vitals RUM tests (Node environment): report validation, histogram
+ * percentiles and the daily per-device rollup served by GET /vitals.
+ */
+import { test, expect } from 'vitest';
+import {
+    handleVitalsRequest,
+    rollUpVitals,
+    validateReport,
+    bucketOf,
+    percentile,
+} from '../../worker/vitals.js';
+import { makeKV } from './helpers/kv.js';
+
+function post(env, body) {
+    return handleVitalsRequest(
+        new Request('https://w.dev/vitals', { method: 'POST', body: JSON.stringify(body) }),
+        env
+    );
+}
+
+// ── Validation ───────────────────────────────────────────────────────────────
+
+test('validateReport keeps in-range known metrics and rejects unknown devices', () => {
+    expect(validateReport({ device: 'fridge', metrics: { lcp: 1000 } })).toBeNull();
+    expect(validateReport({ device: 'mobile', metrics: { lcp: -1, fid: 20 } })).toBeNull();
+    expect(
+        validateReport({ device: 'mobile', metrics: { lcp: 1200, cls: 0.05, fid: 20 } })
+    ).toEqual({ device: 'mobile', metrics: { lcp: 1200, cls: 0.05 } });
+});
+
+test('INP attribution is kept only for slow interactions with a plain selector', () => {
+    const inp = { target: 'button#theme-toggle', eventType: 'click', script: '/main.js' };
+    const slow = validateReport({ device: 'desktop', metrics: { inp: 350 }, inp });
+    expect(slow.inp).toEqual(inp);
+
+    const fast = validateReport({ device: 'desktop', metrics: { inp: 80 }, inp });
+    expect(fast.inp).toBeUndefined();
+
+    const odd = validateReport({
+        device: 'desktop',
+        metrics: { inp: 350 },
+        inp: { target: '<img onerror=x>', eventType: 'click' },
+    });
+    expect(odd.inp).toBeUndefined();
+});
+
+// ── Histograms ───────────────────────────────────────────────────────────────
+
+test('percentiles from the histogram are within a bucket of the true value', () => {
+    const histogram = { count: 0, buckets: {} };
+    for (let ms = 100; ms <= 10_000; ms += 100) {
+        const index = bucketOf(ms);
+        histogram.buckets[index] = (histogram.buckets[index] ?? 0) + 1;
+        histogram.count += 1;
+    }
+    const p75 = percentile(histogram, 0.75);
+    expect(p75).toBeGreaterThanOrEqual(7500);
+    expect(p75).toBeLessThanOrEqual(7500 * 1.05);
+});
+
+// ── Ingestion + rollup ───────────────────────────────────────────────────────
+
+test('reports roll up into per-device daily percentiles served by GET /vitals', async () => {
+    const env = { ANALYTICS_KV: makeKV() };
+    for (const lcp of [1000, 2000, 3000, 4000]) {
+        const res = await post(env, { device: 'mobile', metrics: { lcp, cls: 0.1 } });
+        expect(res.status).toBe(202);
+    }
+    await post(env, {
+        device: 'desktop',
+        metrics: { inp: 420 },
+        inp: { target: 'canvas#hero-canvas', eventType: 'pointerdown', script: '/main.js' },
+    });
+
+    expect(await rollUpVitals(env)).toEqual({ reports: 5 });
+    expect([...env.ANALYTICS_KV.store.keys()].some(k => k.startsWith('vitals:batch:'))).toBe(false);
+
+    const res = await handleVitalsRequest(new Request('https://w.dev/vitals?days=1'), env);
+    const { days } = await res.json();
+    const mobile = days.find(d => d.device === 'mobile');
+    expect(mobile.metrics.lcp.count).toBe(4);
+    expect(mobile.metrics.lcp.p50).toBeGreaterThanOrEqual(2000);
+    expect(mobile.metrics.lcp.p50).toBeLessThanOrEqual(2100);
+    expect(mobile.metrics.cls.p75).toBeCloseTo(0.1, 1);
+
+    const desktop = days.find(d => d.device === 'desktop');
+    expect(desktop.slowInteractions).toEqual([
+        { target: 'canvas#hero-canvas', eventType: 'pointerdown', script: '/main.js', count: 1 },
+    ]);
+});
+
+test('malformed reports are rejected and nothing is stored', async () => {
+    const env = { ANALYTICS_KV: makeKV() };
+    expect((await post(env, { device: 'mobile', metrics: {} })).status).toBe(400);
+    expect(env.ANALYTICS_KV.store.size).toBe(0);
+});
+
+test('answers 503 without an ANALYTICS_KV binding', async () => {
+    const res = await handleVitalsRequest(new Request('https://w.dev/vitals'), {});
+    expect(res.status).toBe(503);
+});
@@ -0,0 +1,448 @@
+/**
+ * GitHub activity — powers the "currently coding" widget and the activity feed.
+ *
+ * GET  /activity         → most recent meaningful event (schema in index.js)
+ * GET  /activity/feed    → recent events, deduplicated and filterable by type
+ * POST /webhook/github   → GitHub webhook; publishes the event immediately
+ * GET  /activity/stream  → Server-Sent Events: `activity` events as they arrive
+ *
+ * /activity and /activity/feed are built from the public Events API and cached
+ * at the edge for 5 minutes. The webhook skips that lag: after verifying the
+ * X-Hub-Signature-256 HMAC it normalizes the delivery into the same shape,
+ * overwrites the edge-cached /activity entry, prepends it to the cached feed and
+ * stores it in GITHUB_KV under `activity`.
+ *
+ * Open pages hold an EventSource on /activity/stream. Each stream polls that KV
+ * key every 15 s (KV is eventually consistent, so a new event reaches every
+ * colo within about a minute) and sends an `activity` event whenever its
+ * version changes, with `: keep-alive` comments in between. Streams close after
+ * 5 minutes and the browser reconnects with Last-Event-ID, so no connection
+ * outlives a deploy for long.
+ *
+ * Secrets: GITHUB_WEBHOOK_SECRET — the webhook's shared secret. Without it the
+ * webhook answers 503.
+ */
+
+import { jsonResponse, corsHeaders } from './http.js';
+
+const GITHUB_USERNAME = 'and3rn3t';
+const CACHE_TTL_SECONDS = 300; // 5 min edge cache
+const ACTIVITY_CACHE_URL = `https://cache.internal/activity/${GITHUB_USERNAME}`;
+const FEED_CACHE_URL = `https://cache.internal/activity-feed/${GITHUB_USERNAME}`;
+const FEED_DEFAULT_LIMIT = 10;
+const FEED_MAX_LIMIT = 50;
+const FEED_TYPES = new Set(['push', 'pr', 'create', 'release', 'star']);
+
+const ACTIVITY_KV_KEY = 'activity';
+const STREAM_POLL_MS = 15_000;
+const STREAM_MAX_MS = 5 * 60_000;
+const STREAM_RETRY_MS = 5_000;
+
+// Event types we care about, in priority order.
+const INTERESTING_TYPES = new Set([
+    'PushEvent',
+    'PullRequestEvent',
+    'CreateEvent',
+    'ReleaseEvent',
+    'WatchEvent',
+]);
+
+// Webhook event names → the Events API types buildActivity() understands.
+const WEBHOOK_EVENT_TYPES = {
+    push: 'PushEvent',
+    pull_request: 'PullRequestEvent',
+    create: 'CreateEvent',
+    release: 'ReleaseEvent',
+};
+
+// Webhook actions worth showing; anything else (labels, syncs, edits) is noise.
+const WEBHOOK_ACTIONS = {
+    pull_request: new Set(['opened', 'reopened', 'closed']),
+    release: new Set(['published']),
+};
+
+// Repos to skip (e.g. this portfolio repo — too noisy).
+const SKIP_REPOS = new Set(['and3rn3t/and3rn3t']);
+
+export async function handleActivityRequest(request, env) {
+    // CORS pre-flight
+    if (request.method === 'OPTIONS') {
+        return new Response(null, { headers: corsHeaders(request) });
+    }
+
+    if (request.method !== 'GET') {
+        return new Response('Method not allowed', { status: 405 });
+    }
+
+    // Try the CF cache first.
+    const cache = caches.default;
+    const cacheKey = new Request(ACTIVITY_CACHE_URL, request);
+    const cached = await cache.match(cacheKey);
+    if (cached) {
+        const data = await cached.json();
+        return jsonResponse({ ...data, cached: true }, request, 200);
+    }
+
+    let events;
+    try {
+        events = await fetchPublicEvents(env);
+    } catch (err) {
+        return jsonResponse({ error: 'upstream_error', detail: err.message }, request, 502);
+    }
+
+    const activity = pickActivity(events);
+    if (!activity) {
+        return jsonResponse({ error: 'no_activity' }, request, 404);
+    }
+
+    // Store in CF cache (honour CF Cache rules: only GET, 200 responses).
+    await cache.put(cacheKey, cacheableJson(activity));
+
+    return jsonResponse({ ...activity, cached: false }, request, 200);
+}
+
+export async function handleActivityFeedRequest(request, env) {
+    if (request.method === 'OPTIONS') {
+        return new Response(null, { headers: corsHeaders(request) });
+    }
+
+    if (request.method !== 'GET') {
+        return new Response('Method not allowed', { status: 405 });
+    }
+
+    const url = new URL(request.url);
+    const requested = Number.parseInt(url.searchParams.get('limit') ?? '', 10);
+    const limit = Math.min(Math.max(requested || FEED_DEFAULT_LIMIT, 1), FEED_MAX_LIMIT);
+    const types = new Set(
+        (url.searchParams.get('types') ?? '')
+            .split(',')
+            .map(t => t.trim())
+            .filter(t => FEED_TYPES.has(t))
+    );
+
+    // The full normalized feed is cached once; filtering and limits apply per request.
+    const cache = caches.default;
+    const cacheKey = new Request(FEED_CACHE_URL, request);
+    const cached = await cache.match(cacheKey);
+    let feed;
+    if (cached) {
+        feed = await cached.json();
+    } else {
+        try {
+            feed = buildActivityFeed(await fetchPublicEvents(env));
+        } catch (err) {
+            return jsonResponse({ error: 'upstream_error', detail: err.message }, request, 502);
+        }
+        await cache.put(cacheKey, cacheableJson(feed));
+    }
+
+    const items = feed.filter(item => !types.size || types.has(item.type)).slice(0, limit);
+    return jsonResponse({ items, cached: Boolean(cached) }, request, 200);
+}
+
+// ---------------------------------------------------------------------------
+// Webhook
+// ---------------------------------------------------------------------------
+
+export async function handleGitHubWebhook(request, env) {
+    if (request.method !== 'POST') {
+        return new Response('Method not allowed', { status: 405 });
+    }
+
+    if (!env.GITHUB_WEBHOOK_SECRET) {
+        return jsonResponse({ error: 'webhook_not_configured' }, request, 503);
+    }
+
+    // The signature covers the raw bytes, so read text before parsing.
+    const body = await request.text();
+    const signature = request.headers.get('X-Hub-Signature-256') ?? '';
+    if (!(await verifySignature(env.GITHUB_WEBHOOK_SECRET, body, signature))) {
+        return jsonResponse({ error: 'invalid_signature' }, request, 401);
+    }
+
+    const eventName = request.headers.get('X-GitHub-Event') ?? '';
+    if (eventName === 'ping') {
+        return jsonResponse({ ok: true }, request, 200);
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(body);
+    } catch {
+        return jsonResponse({ error: 'invalid_json' }, request, 400);
+    }
+
+    const activity = activityFromWebhook(eventName, payload);
+    if (!activity) {
+        return jsonResponse({ ok: true, ignored: true }, request, 202);
+    }
+
+    await publishActivity(env, activity);
+    return jsonResponse({ ok: true, activity }, request, 200);
+}
+
+/** Verify GitHub's `sha256=<hex>` HMAC of the raw body (constant-time via subtle.verify). */
+async function verifySignature(secret, body, header) {
+    const match = /^sha256=([0-9a-f]{64})$/i.exec(header);
+    if (!match) return false;
+    const signature = new Uint8Array(match[1].match(/../g).map(h => Number.parseInt(h, 16)));
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['verify']
+    );
+    return crypto.subtle.verify('HMAC', key, signature, encoder.encode(body));
+}
+
+/**
+ * Normalize a webhook delivery with buildActivity(). Webhook payloads carry the
+ * same fields as Events API payloads (commits, ref, pull_request, release…);
+ * only the envelope differs, so it is rebuilt here. Deliveries are sent for
+ * everyone's actions on the owner's repos (collaborators, Renovate, bots), so
+ * only the owner's own are shown as what they're currently doing.
+ */
+function activityFromWebhook(eventName, payload) {
+    const type = WEBHOOK_EVENT_TYPES[eventName];
+    const repo = payload?.repository?.full_name ?? '';
+    if (!type || !repo || SKIP_REPOS.has(repo)) return null;
+    if (payload.sender?.login?.toLowerCase() !== GITHUB_USERNAME.toLowerCase()) return null;
+
+    const actions = WEBHOOK_ACTIONS[eventName];
+    if (actions && !actions.has(payload.action)) return null;
+
+    // Tag pushes and branch deletions arrive as push events too.
+    if (eventName === 'push' && (payload.deleted || !payload.ref?.startsWith('refs/heads/'))) {
+        return null;
+    }
+
+    const event = { type, payload, created_at: new Date().toISOString() };
+    return buildActivity(event, repo);
+}
+
+/** Make a webhook activity visible to /activity, /activity/feed and open streams. */
+async function publishActivity(env, activity) {
+    const cache = caches.default;
+    const cachedFeed = await cache.match(FEED_CACHE_URL);
+    const writes = [cache.put(ACTIVITY_CACHE_URL, cacheableJson(activity))];
+
+    if (cachedFeed) {
+        const feed = await cachedFeed.json();
+        const key = activityKey(activity);
+        const merged = [activity, ...feed.filter(item => activityKey(item) !== key)];
+        writes.push(cache.put(FEED_CACHE_URL, cacheableJson(merged)));
+    }
+
+    if (env.GITHUB_KV) {
+        const version = String(Date.now());
+        writes.push(env.GITHUB_KV.put(ACTIVITY_KV_KEY, JSON.stringify({ ...activity, version })));
+    }
+
+    await Promise.all(writes);
+}
+
+// ---------------------------------------------------------------------------
+// Server-Sent Events
+// ---------------------------------------------------------------------------
+
+export function handleActivityStream(request, env) {
+    if (request.method === 'OPTIONS') {
+        return new Response(null, { headers: corsHeaders(request) });
+    }
+
+    if (request.method !== 'GET') {
+        return new Response('Method not allowed', { status: 405 });
+    }
+
+    // Without KV there is nothing to watch; a non-200 also stops EventSource retrying.
+    if (!env.GITHUB_KV) {
+        return jsonResponse({ error: 'stream_unavailable' }, request, 503);
+    }
+
+    const { readable, writable } = new TransformStream();
+    pumpActivityStream(writable.getWriter(), env, request.headers.get('Last-Event-ID') ?? '');
+
+    return new Response(readable, {
+        headers: {
+            ...corsHeaders(request),
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-store',
+        },
+    });
+}
+
+/**
+ * Poll the published activity until the client disconnects or the stream's
+ * lifetime is up. A new connection (no Last-Event-ID) gets the latest activity
+ * straight away, since the edge-cached /activity it rendered may be older.
+ */
+async function pumpActivityStream(writer, env, lastEventId) {
+    const encoder = new TextEncoder();
+    const send = text => writer.write(encoder.encode(text));
+    const deadline = Date.now() + STREAM_MAX_MS;
+    let lastVersion = lastEventId;
+
+    try {
+        await send(`retry: ${STREAM_RETRY_MS}\n\n`);
+        for (;;) {
+            const latest = await env.GITHUB_KV.get(ACTIVITY_KV_KEY, 'json');
+            if (latest?.version && latest.version !== lastVersion) {
+                const { version, ...activity } = latest;
+                lastVersion = version;
+                await send(
+                    `id: ${version}\nevent: activity\ndata: ${JSON.stringify(activity)}\n\n`
+                );
+            } else {
+                await send(': keep-alive\n\n');
+            }
+            if (Date.now() + STREAM_POLL_MS >= deadline) break;
+            await new Promise(resolve => setTimeout(resolve, STREAM_POLL_MS));
+        }
+    } catch {
+        // Client went away — writes reject once the stream is cancelled.
+    } finally {
+        await writer.close().catch(() => {});
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Events API
+// ---------------------------------------------------------------------------
+
+async function fetchPublicEvents(env) {
+    const ghHeaders = {
+        Accept: 'application/vnd.github.v3+json',
+        'User-Agent': 'and3rn3t-portfolio-worker/1.0',
+    };
+    if (env.GH_TOKEN) {
+        ghHeaders['Authorization'] = `Bearer ${env.GH_TOKEN}`;
+    }
+
+    // Fetch up to 3 pages (90 events) so portfolio-repo noise doesn't
+    // crowd out activity from other repos.
+    const events = [];
+    for (let page = 1; page <= 3; page++) {
+        const resp = await fetch(
+            `https://api.github.com/users/${GITHUB_USERNAME}/events/public?per_page=30&page=${page}`,
+            { headers: ghHeaders }
+        );
+        if (!resp.ok) throw new Error(`GitHub API ${resp.status}`);
+        const chunk = await resp.json();
+        events.push(...chunk);
+        if (chunk.length < 30) break; // no more pages
+    }
+    return events;
+}
+
+function cacheableJson(data) {
+    return new Response(JSON.stringify(data), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': `public, max-age=${CACHE_TTL_SECONDS}`,
+        },
+    });
+}
+
+/**
+ * Every interesting event normalized through buildActivity(), newest first.
+ * Repeats of the same thing (e.g. one commit pushed to several branches, or a
+ * PR opened and then closed) collapse into the newest occurrence.
+ */
+function buildActivityFeed(events) {
+    const seen = new Set();
+    const feed = [];
+    for (const event of events) {
+        if (!INTERESTING_TYPES.has(event.type)) continue;
+        const item = buildActivity(event, event.repo?.name ?? '');
+        if (!item) continue;
+        const key = activityKey(item);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        feed.push(item);
+    }
+    return feed;
+}
+
+function activityKey(item) {
+    return `${item.type}|${item.repo}|${item.message}`;
+}
+
+/** Pick the most interesting recent event, skipping noise. */
+function pickActivity(events) {
+    const cutoff = Date.now() - 7 * 24 * 60 * 60 * 1000; // 7 days
+
+    // First pass: preferred repos only (skip portfolio noise).
+    for (const event of events) {
+        const repo = event.repo?.name ?? '';
+        if (SKIP_REPOS.has(repo) || !INTERESTING_TYPES.has(event.type)) continue;
+        const result = buildActivity(event, repo);
+        if (result) return result;
+    }
+
+    // Second pass: if non-skipped events are absent/stale, include portfolio repo
+    // when it has recent activity (within 7 days).
+    for (const event of events) {
+        const repo = event.repo?.name ?? '';
+        if (!INTERESTING_TYPES.has(event.type)) continue;
+        const age = new Date(event.created_at ?? 0).getTime();
+        if (age < cutoff) break;
+        const result = buildActivity(event, repo);
+        if (result) return result;
+    }
+
+    return null;
+}
+
+function buildActivity(event, repo) {
+    const repoName = repo.split('/').pop();
+    const repoUrl = `https://github.com/${repo}`;
+    const pushedAt = event.created_at ?? null;
+    const base = { repo, repoName, repoUrl, pushedAt };
+
+    if (event.type === 'PushEvent') {
+        const commits = event.payload?.commits ?? [];
+        const commit =
+            [...commits].reverse().find(c => !c.message.startsWith('Merge')) ?? commits.at(-1);
+        const branch = (event.payload?.ref ?? '').replace('refs/heads/', '') || 'main';
+        return { ...base, type: 'push', message: commit?.message?.split('\n')[0] ?? null, branch };
+    }
+
+    if (event.type === 'PullRequestEvent') {
+        const pr = event.payload?.pull_request;
+        return {
+            ...base,
+            type: 'pr',
+            message: pr?.title ?? null,
+            branch: pr?.head?.ref ?? null,
+            action: event.payload?.action ?? null,
+        };
+    }
+
+    if (event.type === 'CreateEvent') {
+        const refType = event.payload?.ref_type;
+        if (refType !== 'repository' && refType !== 'branch') return null;
+        const message =
+            refType === 'repository'
+                ? `Created repo ${repoName}`
+                : `Created branch ${event.payload?.ref}`;
+        return { ...base, type: 'create', message, branch: null };
+    }
+
+    if (event.type === 'ReleaseEvent') {
+        return {
+            ...base,
+            type: 'release',
+            message: `Released ${event.payload?.release?.tag_name}`,
+            branch: null,
+        };
+    }
+
+    if (event.type === 'WatchEvent') {
+        return { ...base, type: 'star', message: `Starred ${repoName}`, branch: null };
+    }
+
+    return null;
+}
@@ -0,0 +1,335 @@
+/**
+ * Cloudflare Worker — first-party analytics ingestion
+ *
+ * POST /collect  { events: [...] }  → 202 { accepted, dropped }
+ *   Batches beaconed by modules/analytics.js when the page is hidden. Sent as
+ *   text/plain by navigator.sendBeacon, so there is no CORS preflight.
+ *
+ * Every event is checked against EVENT_SCHEMAS and rebuilt from its allowed
+ * fields only, so anything unexpected (session ids, link text, stack traces,
+ * query strings) never reaches storage:
+ *
+ *   pageview  { page, referrer }   referrer reduced to a hostname
+ *   scroll    { page, depth }      depth ∈ 25 | 50 | 75 | 90 | 100
+ *   section   { page, section }    section element id
+ *   click     { page, kind, target }  target: same-site path/hash, external host or `mailto`
+ *   error     { page, message }    message with URLs, emails and numbers masked
+ *   flag      { page, flag, value, source }  a non-default feature-flag decision
+ *
+ * Any event may also carry `variants` ({ experiment: variant }, see
+ * experiments.js). Pageviews then count as an exposure of each arm, and
+ * clicks on CONVERSION_TARGETS as that arm's conversions, under `experiments`.
+ *
+ * Storage (ANALYTICS_KV):
+ *   batch:<day>:<uuid>  → counts for one accepted batch (expire after 7 days)
+ *   daily:<day>         → merged counts for the day, written only by the cron
+ *
+ * Each request writes its own batch key, so concurrent beacons never race on a
+ * shared counter. rollUpAnalytics() (run from the scheduled handler) folds
+ * batch keys into daily:<day> and deletes them, as many as the cron's KV
+ * budget allows (kv-budget.js); the rest wait for the next run. A run that
+ * dies between the put and the deletes can count a batch twice — acceptable
+ * for trend data.
+ */
+
+import { jsonResponse, corsHeaders } from './http.js';
+import { enforceRateLimit, RATE_LIMITS } from './rate-limit.js';
+import { KvBudget } from './kv-budget.js';
+
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_BATCH_EVENTS = 50;
+const BATCH_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Batches listed per run; the cron's shared KV budget may let it merge fewer.
+const MAX_BATCHES_PER_ROLLUP = 400;
+const MAX_KEYS_PER_FIELD = 200;
+
+const PAGE_PATTERN = /^\/[\w\-./~%]*$/;
+const SECTION_PATTERN = /^[\w-]{1,64}$/;
+const HOST_PATTERN = /^[a-z0-9.-]{1,253}$/i;
+const SCROLL_DEPTHS = new Set([25, 50, 75, 90, 100]);
+const CLICK_KINDS = new Set(['link', 'anchor', 'button', 'card', 'form', 'other']);
+const FLAG_PATTERN = /^[a-z][\w-]{0,39}$/i;
+const FLAG_VALUES = new Set(['on', 'off']);
+// Mirrors the override layers in modules/flags.js.
+const FLAG_SOURCES = new Set(['remote', 'local', 'url']);
+const VARIANT_PATTERN = /^\w{1,32}$/;
+const MAX_VARIANTS = 5;
+
+// Click targets compared across experiment arms.
+const CONVERSION_TARGETS = {
+    '/resume.pdf': 'resume',
+    '#contact': 'contact',
+    mailto: 'contact',
+};
+
+/**
+ * Per-type field validators. Each returns the cleaned value, or undefined to
+ * reject the whole event.
+ */
+const EVENT_SCHEMAS = {
+    pageview: { page: cleanPage, referrer: cleanReferrer },
+    scroll: { page: cleanPage, depth: v => (SCROLL_DEPTHS.has(v) ? v : undefined) },
+    section: { page: cleanPage, section: v => (SECTION_PATTERN.test(v) ? v : undefined) },
+    click: {
+        page: cleanPage,
+        kind: v => (CLICK_KINDS.has(v) ? v : undefined),
+        target: cleanTarget,
+    },
+    error: { page: cleanPage, message: cleanMessage },
+    flag: {
+        page: cleanPage,
+        flag: v => (typeof v === 'string' && FLAG_PATTERN.test(v) ? v : undefined),
+        value: v => (FLAG_VALUES.has(v) ? v : undefined),
+        source: v => (FLAG_SOURCES.has(v) ? v : undefined),
+    },
+};
+
+// ---------------------------------------------------------------------------
+// Ingestion
+// ---------------------------------------------------------------------------
+
+export async function handleCollectRequest(request, env) {
+    if (request.method === 'OPTIONS') {
+        return new Response(null, { headers: corsHeaders(request) });
+    }
+
+    if (request.method !== 'POST') {
+        return new Response('Method not allowed', { status: 405 });
+    }
+
+    if (!env.ANALYTICS_KV) {
+        return jsonResponse({ error: 'analytics_unavailable' }, request, 503);
+    }
+
+    const limited = await enforceRateLimit(request, env, RATE_LIMITS.collectPost);
+    if (limited) return limited;
+
+    const declared = Number(request.headers.get('Content-Length') ?? 0);
+    const text = declared > MAX_BODY_BYTES ? '' : await request.text();
+    if (declared > MAX_BODY_BYTES || text.length > MAX_BODY_BYTES) {
+        return jsonResponse({ error: 'payload_too_large' }, request, 413);
+    }
+
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch {
+        return jsonResponse({ error: 'invalid_json' }, request, 400);
+    }
+
+    if (!Array.isArray(body?.events)) {
+        return jsonResponse({ error: 'invalid_batch' }, request, 400);
+    }
+
+    const events = body.events.slice(0, MAX_BATCH_EVENTS).map(validateEvent).filter(Boolean);
+    const dropped = body.events.length - events.length;
+
+    if (events.length) {
+        const day = new Date().toISOString().slice(0, 10);
+        await env.ANALYTICS_KV.put(
+            `batch:${day}:${crypto.randomUUID()}`,
+            JSON.stringify(aggregateEvents(events)),
+            { expirationTtl: BATCH_TTL_SECONDS }
+        );
+    }
+
+    return jsonResponse({ accepted: events.length, dropped }, request, 202);
+}
+
+/** Rebuild an event from its schema's fields; null if any field is invalid. */
+export function validateEvent(raw) {
+    const schema = EVENT_SCHEMAS[raw?.type];
+    if (!schema) return null;
+
+    const event = { type: raw.type };
+    for (const [field, clean] of Object.entries(schema)) {
+        const value = clean(raw[field]);
+        if (value === undefined) return null;
+        event[field] = value;
+    }
+
+    const variants = cleanVariants(raw.variants);
+    if (variants) event.variants = variants;
+    return event;
+}
+
+/** Fold validated events into the nested counter shape stored per batch/day. */
+export function aggregateEvents(events) {
+    const counts = {};
+    const bump = (group, key) => {
+        counts[group] ??= Object.create(null);
+        counts[group][key] = (counts[group][key] ?? 0) + 1;
+    };
+
+    for (const event of events) {
+        bump('events', event.type);
+        const metric = experimentMetric(event);
+        for (const [experiment, variant] of Object.entries(event.variants ?? {})) {
+            if (metric) bump('experiments', `${experiment}:${variant}:${metric}`);
+        }
+        switch (event.type) {
+            case 'pageview':
+                bump('pages', event.page);
+                bump('referrers', event.referrer);
+                break;
+            case 'scroll':
+                bump('scrollDepth', String(event.depth));
+                break;
+            case 'section':
+                bump('sections', event.section);
+                break;
+            case 'click':
+                bump('clicks', `${event.kind}:${event.target}`);
+                break;
+            case 'error':
+                bump('errors', event.message);
+                break;
+            case 'flag':
+                bump('flags', `${event.flag}:${event.value}:${event.source}`);
+                break;
+        }
+    }
+    return counts;
+}
+
+function experimentMetric(event) {
+    if (event.type === 'pageview') return 'exposure';
+    if (event.type === 'click' && Object.hasOwn(CONVERSION_TARGETS, event.target)) {
+        return CONVERSION_TARGETS[event.target];
+    }
+    return null;
+}
+
+// ---------------------------------------------------------------------------
+// Daily rollup (cron)
+// ---------------------------------------------------------------------------
+
+/**
+ * Merge pending batch keys into their daily:<day> rollups and delete them.
+ * @param {Object} env
+ * @param {KvBudget} [budget] - KV operations this run may spend
+ * @returns {Promise<{ batches: number, days: string[] }>}
+ */
+export async function rollUpAnalytics(env, budget = new KvBudget()) {
+    const kv = env.ANALYTICS_KV;
+    if (!kv) return { batches: 0, days: [] };
+
+    const keys = [];
+    let cursor;
+    do {
+        if (!budget.take(1)) break;
+        const result = await kv.list({ prefix: 'batch:', cursor });
+        keys.push(...result.keys.map(k => k.name));
+        cursor = result.list_complete ? undefined : result.cursor;
+    } while (cursor && keys.length < MAX_BATCHES_PER_ROLLUP);
+
+    const byDay = new Map();
+    for (const name of keys.slice(0, MAX_BATCHES_PER_ROLLUP)) {
+        const day = name.split(':')[1];
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push(name);
+    }
+
+    let merged = 0;
+    const days = [];
+    for (const [day, pending] of byDay) {
+        // A get and a delete per batch, plus a get and a put of the daily key.
+        const names = pending.slice(0, budget.takeUpTo(pending.length, 2, 2));
+        if (!names.length) break;
+        const daily = (await kv.get(`daily:${day}`, 'json')) ?? {};
+        const batches = await Promise.all(names.map(name => kv.get(name, 'json')));
+        for (const batch of batches) {
+            if (batch) mergeCounts(daily, batch);
+        }
+        await kv.put(`daily:${day}`, JSON.stringify(daily));
+        await Promise.all(names.map(name => kv.delete(name)));
+        merged += names.length;
+        days.push(day);
+    }
+
+    return { batches: merged, days };
+}
+
+/**
+ * Add `source` counters into `target`. Each group keeps at most
+ * MAX_KEYS_PER_FIELD keys so a flood of distinct pages or error messages
+ * can't grow a day's rollup without bound; overflow is counted under `(other)`.
+ */
+function mergeCounts(target, source) {
+    for (const [group, values] of Object.entries(source)) {
+        // Prototype-free, so pages or sections named `constructor` or
+        // `__proto__` are plain keys like any other.
+        const counts = Object.assign(Object.create(null), target[group]);
+        for (const [key, count] of Object.entries(values)) {
+            const slot =
+                key in counts || Object.keys(counts).length < MAX_KEYS_PER_FIELD ? key : '(other)';
+            counts[slot] = (counts[slot] ?? 0) + count;
+        }
+        target[group] = counts;
+    }
+    return target;
+}
+
+// ---------------------------------------------------------------------------
+// Field cleaners
+// ---------------------------------------------------------------------------
+
+/** Path only — query strings and fragments can carry personal data. */
+export function cleanPage(value) {
+    if (typeof value !== 'string') return undefined;
+    const path = value.split(/[?#]/)[0].slice(0, 200);
+    return PAGE_PATTERN.test(path) ? path : undefined;
+}
+
+function cleanReferrer(value) {
+    if (value === undefined || value === null || value === '' || value === 'direct') {
+        return 'direct';
+    }
+    if (typeof value !== 'string') return undefined;
+    const host = hostOf(value) ?? value.toLowerCase();
+    return HOST_PATTERN.test(host) ? host : undefined;
+}
+
+/** Same-site targets keep their path or #hash; external links keep only the host. */
+function cleanTarget(value) {
+    if (value === undefined || value === null || value === '') return '-';
+    if (typeof value !== 'string') return undefined;
+    if (value.startsWith('#')) {
+        const hash = value.slice(0, 64);
+        return /^#[\w\-/]*$/.test(hash) ? hash : undefined;
+    }
+    if (value.startsWith('/')) return cleanPage(value);
+    // modules/analytics.js sends bare hostnames; full URLs are reduced to theirs.
+    const host = hostOf(value) ?? value.toLowerCase();
+    return HOST_PATTERN.test(host) ? host : undefined;
+}
+
+/** Experiment → variant pairs with plain names; null when there are none. */
+function cleanVariants(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+    const variants = Object.entries(value)
+        .filter(
+            ([k, v]) => VARIANT_PATTERN.test(k) && typeof v === 'string' && VARIANT_PATTERN.test(v)
+        )
+        .slice(0, MAX_VARIANTS);
+    return variants.length ? Object.fromEntries(variants) : null;
+}
+
+/** Mask the parts of an error message that can identify a visitor. */
+export function cleanMessage(value) {
+    if (typeof value !== 'string' || !value.trim()) return undefined;
+    return value
+        .replaceAll(/https?:\/\/\S+/g, '<url>')
+        .replaceAll(/[\w.+-]+@[\w-]+\.[\w.-]+/g, '<email>')
+        .replaceAll(/\d+/g, '<n>')
+        .trim()
+        .slice(0, 200);
+}
+
+function hostOf(value) {
+    try {
+        return new URL(value).hostname.toLowerCase();
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * Cloudflare Worker — guestbook content filters
+ *
+ * A filter is `{ name, check(entry, env), record?(entry, env) }`:
+ *   check  → resolves to a rejection reason string, or null to let the entry through
+ *   record → optional; runs after the entry passed every filter and was stored
+ *
+ * Filters run in order and the first rejection wins, so put cheap checks first.
+ * Pass a custom array to runContentFilters() to add or swap filters.
+ *
+ * Env vars:
+ *   GUESTBOOK_BLOCKLIST — optional comma-separated terms added to the built-in blocklist
+ */
+
+const DUPLICATE_TTL_SECONDS = 24 * 60 * 60;
+const MAX_LINKS = 1;
+
+export const DEFAULT_BLOCKLIST = [
+    'viagra',
+    'cialis',
+    'casino',
+    'escort',
+    'porn',
+    'backlinks',
+    'seo services',
+    'crypto giveaway',
+    'free money',
+    'loan offer',
+];
+
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\.|<a\s|\[[^\]]*\]\([^)]*\)/gi;
+
+/** Rejects entries containing a blocklisted term (whole-word, case-insensitive). */
+export function blocklistFilter(terms = DEFAULT_BLOCKLIST) {
+    return {
+        name: 'blocklist',
+        async check(entry, env) {
+            const extra = String(env.GUESTBOOK_BLOCKLIST ?? '')
+                .split(',')
+                .map(t => t.trim().toLowerCase())
+                .filter(Boolean);
+            const text = normalise(`${entry.name} ${entry.message}`);
+            const hit = [...terms, ...extra].some(term =>
+                new RegExp(`\\b${escapeRegExp(term)}\\b`, 'i').test(text)
+            );
+            return hit ? 'blocked_term' : null;
+        },
+    };
+}
+
+/** Rejects entries with more than `maxLinks` URLs across name and message. */
+export function linkLimitFilter(maxLinks = MAX_LINKS) {
+    return {
+        name: 'links',
+        async check(entry) {
+            const count = `${entry.name} ${entry.message}`.match(LINK_PATTERN)?.length ?? 0;
+            return count > maxLinks ? 'too_many_links' : null;
+        },
+    };
+}
+
+/** Rejects a message identical (after normalising) to one posted in the last day. */
+export function duplicateFilter(ttlSeconds = DUPLICATE_TTL_SECONDS) {
+    return {
+        name: 'duplicate',
+        async check(entry, env) {
+            const seen = await env.GUESTBOOK_KV.get(await duplicateKey(entry));
+            return seen ? 'duplicate' : null;
+        },
+        async record(entry, env) {
+            await env.GUESTBOOK_KV.put(await duplicateKey(entry), '1', {
+                expirationTtl: ttlSeconds,
+            });
+        },
+    };
+}
+
+export const GUESTBOOK_FILTERS = [blocklistFilter(), linkLimitFilter(), duplicateFilter()];
+
+/**
+ * Run `filters` in order.
+ * @returns {Promise<{ ok: true } | { ok: false, filter: string, reason: string }>}
+ */
+export async function runContentFilters(entry, env, filters = GUESTBOOK_FILTERS) {
+    for (const filter of filters) {
+        const reason = await filter.check(entry, env);
+        if (reason) return { ok: false, filter: filter.name, reason };
+    }
+    return { ok: true };
+}
+
+/** Let stateful filters remember an accepted entry (e.g. for duplicate detection). */
+export async function recordContentFilters(entry, env, filters = GUESTBOOK_FILTERS) {
+    await Promise.all(filters.map(f => f.record?.(entry, env)));
+}
+
+function normalise(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+async function duplicateKey(entry) {
+    const bytes = new TextEncoder().encode(normalise(entry.message));
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    const hex = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+    return `dup:${hex}`;
+}
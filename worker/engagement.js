@@ -2,29 +2,80 @@
  * Cloudflare Worker — Views & Guestbook handlers
  *
  * KV namespaces (set in wrangler.toml):
- *   VIEWS_KV     — stores page view counts (key = page slug, value = number string)
- *   GUESTBOOK_KV — stores guestbook entries (key = timestamp ISO, value = JSON entry)
+ *   VIEWS_KV     — stores daily unique visitors per page plus per-day rollups
+ *                  (key layout documented in the Views section below)
+ *   GUESTBOOK_KV — stores one key per guestbook entry: entry:<status>:<id>, where
+ *                  status is pending | approved | rejected and value = JSON entry
  *
  * Cloudflare Turnstile (https://developers.cloudflare.com/turnstile/):
  *   TURNSTILE_SECRET — set via `wrangler secret put TURNSTILE_SECRET`
  *
+ * Abuse protection:
+ *   POST /views and POST /guestbook are rate limited per IP (see rate-limit.js)
+ *   and answer 429 + Retry-After when over the limit. Guestbook posts also run
+ *   through the content filters in content-filter.js and are rejected with
+ *   422 { error: 'content_rejected', reason } before they reach the queue.
+ *
+ * Guestbook moderation:
+ *   GUESTBOOK_ADMIN_SECRET — bearer secret for the admin routes, set via
+ *                            `wrangler secret put GUESTBOOK_ADMIN_SECRET`.
+ *                            Admin routes return 401 while it is unset.
+ *
  * Endpoints:
- *   GET  /views?page=<slug>           → { page, views }
- *   POST /views?page=<slug>           → increments count, returns { page, views }
- *   GET  /guestbook                   → [ ...entries ]  (newest-first, max 50)
- *   POST /guestbook  body: { name, message, token } → validates Turnstile, stores entry
+ *   GET  /views?page=<slug>           → { page, views }  (all-time daily unique visitors)
+ *   POST /views?page=<slug>           → records today's visit (once per visitor per day),
+ *                                        returns { page, views, unique }
+ *   GET  /views/summary?days=<1-30>   → { from, to, total: { views, period, series },
+ *                                          pages: [{ page, views, series }] }
+ *                                        series = [{ date, views }] per UTC day
+ *   GET  /guestbook?cursor=&limit=    → { entries, cursor }  (approved only, newest-first;
+ *                                        limit defaults to 20, max 50; cursor null on last page)
+ *   POST /guestbook  body: { name, message, token } → validates Turnstile, queues entry
+ *                                                      for review (status: 'pending')
+ *
+ * Admin endpoints (Authorization: Bearer <GUESTBOOK_ADMIN_SECRET>):
+ *   GET    /guestbook/admin/pending?cursor=&limit= → { entries, cursor }  (newest-first)
+ *   POST   /guestbook/admin/<id>/approve  → publishes the entry
+ *   POST   /guestbook/admin/<id>/reject   → marks the entry rejected (expires after 30 days)
+ *   DELETE /guestbook/admin/<id>          → removes the entry whatever its status
+ *   POST   /guestbook/admin/migrate       → imports the old single-list storage (safe to rerun)
  */
 
+import { jsonResponse, corsHeaders } from './http.js';
+import { enforceRateLimit, RATE_LIMITS } from './rate-limit.js';
+import { runContentFilters, recordContentFilters } from './content-filter.js';
+import { KvBudget } from './kv-budget.js';
+
 const TURNSTILE_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
-const MAX_GUESTBOOK_ENTRIES = 50;
+const VISIT_TTL_SECONDS = 40 * 24 * 60 * 60; // outlives the 30-day rollup window
+const SALT_TTL_SECONDS = 2 * 24 * 60 * 60;
+const SUMMARY_DAYS = 30;
+const SUMMARY_CACHE_SECONDS = 300;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const REJECTED_TTL_SECONDS = 30 * 24 * 60 * 60;
+// Largest 13-digit ms timestamp; subtracting from it makes newer entries sort first.
+const MAX_TIMESTAMP = 9_999_999_999_999;
 const MAX_NAME_LENGTH = 60;
 const MAX_MESSAGE_LENGTH = 500;
 
 // ── Views ──────────────────────────────────────────────────────────────────
 
+// Counting model: a view is one (page, UTC day, visitor) triple stored as its
+// own key, so reloads are idempotent writes and concurrent hits can't lose
+// increments the way a shared read-increment-write counter does. Closed days
+// are rolled up by the cron (rollUpViews) into one `daily:` key per page (count
+// kept in KV metadata so a single list() call returns a page's whole history).
+// GET requests never write.
+//
+//   salt:<day>                 random per-day salt; expires, so hashes can't be re-linked
+//   visit:<page>:<day>:<hash>  one unique visitor (hash = SHA-256 of salt + IP + UA)
+//   daily:<page>:<day>         rolled-up count for a closed day
+//   rollup:<page>              last day rolled up for the page (also the page index)
+//   <page>                     legacy pre-unique counter, kept as an all-time baseline
+
 export async function handleViewsRequest(request, env) {
     const url = new URL(request.url);
-    const page = (url.searchParams.get('page') ?? 'home').slice(0, 60).replace(/[^a-z0-9-_]/gi, '');
 
     if (request.method === 'OPTIONS') {
         return new Response(null, { headers: corsHeaders(request) });
@@ -34,24 +85,232 @@ export async function handleViewsRequest(request, env) {
         return jsonResponse({ error: 'kv_unavailable' }, request, 503);
     }
 
+    if (url.pathname === '/views/summary') {
+        if (request.method !== 'GET') {
+            return new Response('Method not allowed', { status: 405 });
+        }
+        return handleViewsSummary(request, env, url.searchParams);
+    }
+
+    const page = sanitizePage(url.searchParams.get('page'));
+
     if (request.method === 'POST') {
-        const raw = (await env.VIEWS_KV.get(page)) ?? '0';
-        const count = (Number.parseInt(raw, 10) || 0) + 1;
-        await env.VIEWS_KV.put(page, String(count));
-        return jsonResponse({ page, views: count }, request, 200);
+        const limited = await enforceRateLimit(request, env, RATE_LIMITS.viewsPost);
+        if (limited) return limited;
+
+        const today = utcDay(new Date());
+        const visitor = await visitorHash(request, env, today);
+        const visitKey = `visit:${page}:${today}:${visitor}`;
+        const unique = !(await env.VIEWS_KV.get(visitKey));
+        if (unique) {
+            await env.VIEWS_KV.put(visitKey, '1', { expirationTtl: VISIT_TTL_SECONDS });
+        }
+        await trackPage(env, page, today);
+        const { views } = await pageStats(env, page, today);
+        return jsonResponse({ page, views, unique }, request, 200);
     }
 
     if (request.method === 'GET') {
-        const raw = (await env.VIEWS_KV.get(page)) ?? '0';
-        const count = Number.parseInt(raw, 10) || 0;
-        return jsonResponse({ page, views: count }, request, 200);
+        const { views } = await pageStats(env, page, utcDay(new Date()));
+        return jsonResponse({ page, views }, request, 200);
     }
 
     return new Response('Method not allowed', { status: 405 });
 }
 
+async function handleViewsSummary(request, env, searchParams) {
+    const requested = Number.parseInt(searchParams.get('days') ?? '', 10);
+    const days = Math.min(Math.max(requested || SUMMARY_DAYS, 1), SUMMARY_DAYS);
+    const today = utcDay(new Date());
+    const dates = Array.from({ length: days }, (_, i) => addDays(today, i - days + 1));
+
+    const pageKeys = await listAllKeys(env.VIEWS_KV, 'rollup:');
+    const pages = await Promise.all(
+        pageKeys.map(async ({ name }) => {
+            const page = name.slice('rollup:'.length);
+            const { views, byDay } = await pageStats(env, page, today);
+            return { page, views, series: dates.map(date => ({ date, views: byDay[date] ?? 0 })) };
+        })
+    );
+    pages.sort((a, b) => b.views - a.views);
+
+    const series = dates.map((date, i) => ({
+        date,
+        views: pages.reduce((sum, p) => sum + p.series[i].views, 0),
+    }));
+    const summary = {
+        from: dates[0],
+        to: today,
+        total: {
+            views: pages.reduce((sum, p) => sum + p.views, 0),
+            period: series.reduce((sum, d) => sum + d.views, 0),
+            series,
+        },
+        pages,
+    };
+
+    const response = jsonResponse(summary, request, 200);
+    response.headers.set('Cache-Control', `public, max-age=${SUMMARY_CACHE_SECONDS}`);
+    return response;
+}
+
+/**
+ * All-time views plus a per-day map for one page. Read-only: closed days the
+ * cron hasn't rolled up yet are counted straight from their visit keys.
+ */
+async function pageStats(env, page, today) {
+    const last = await env.VIEWS_KV.get(`rollup:${page}`);
+    const [legacy, rollups, pending] = await Promise.all([
+        env.VIEWS_KV.get(page),
+        listAllKeys(env.VIEWS_KV, `daily:${page}:`),
+        Promise.all(
+            unrolledDays(last, today).map(async day => [
+                day,
+                await countKeys(env.VIEWS_KV, `visit:${page}:${day}:`),
+            ])
+        ),
+    ]);
+
+    const byDay = Object.fromEntries(pending);
+    for (const { name, metadata } of rollups) {
+        byDay[name.slice(`daily:${page}:`.length)] = metadata?.count ?? 0;
+    }
+    const views = Object.values(byDay).reduce(
+        (sum, count) => sum + count,
+        Number.parseInt(legacy ?? '0', 10) || 0
+    );
+    return { views, byDay };
+}
+
+/** Add a page seen for the first time to the summary index; it has nothing to roll up yet. */
+async function trackPage(env, page, today) {
+    if (await env.VIEWS_KV.get(`rollup:${page}`)) return;
+    await env.VIEWS_KV.put(`rollup:${page}`, addDays(today, -1));
+}
+
+/**
+ * Days after the last rollup up to and including today. Visit keys older than
+ * the rollup window may already have expired, so those are left out.
+ */
+function unrolledDays(last, today) {
+    const oldest = addDays(today, -SUMMARY_DAYS);
+    const first = last ? addDays(last, 1) : today;
+    const days = [];
+    for (let day = first < oldest ? oldest : first; day <= today; day = addDays(day, 1)) {
+        days.push(day);
+    }
+    return days;
+}
+
+/**
+ * Cron: fold visit keys for every closed day since each page's last rollup into
+ * `daily:` keys. Rollups are recomputed from the visit keys, so a rerun writes
+ * the same numbers — which is also how a page the KV budget cut short is
+ * finished on the next run.
+ * @param {Object} env
+ * @param {KvBudget} [budget] - KV operations this run may spend
+ * @returns {Promise<{ pages: number }>} Pages brought up to date
+ */
+export async function rollUpViews(env, budget = new KvBudget()) {
+    if (!env.VIEWS_KV) return { pages: 0 };
+
+    const today = utcDay(new Date());
+    const yesterday = addDays(today, -1);
+    const pageKeys = (await listAllKeys(env.VIEWS_KV, 'rollup:', budget)) ?? [];
+    let pages = 0;
+    for (const { name } of pageKeys) {
+        if (!budget.take(1)) break;
+        const page = name.slice('rollup:'.length);
+        const last = await env.VIEWS_KV.get(name);
+        if (!last || last >= yesterday) continue;
+
+        const counts = [];
+        for (const day of unrolledDays(last, yesterday)) {
+            const count = await countKeys(env.VIEWS_KV, `visit:${page}:${day}:`, budget);
+            if (count === null) return { pages };
+            if (count > 0) counts.push([day, count]);
+        }
+        // A put per counted day, and one to move the page's rollup marker.
+        if (!budget.take(counts.length + 1)) break;
+        for (const [day, count] of counts) {
+            await env.VIEWS_KV.put(`daily:${page}:${day}`, String(count), {
+                metadata: { count },
+            });
+        }
+        await env.VIEWS_KV.put(name, yesterday);
+        pages++;
+    }
+    return { pages };
+}
+
+/** Daily-rotating, non-reversible visitor id. The raw IP and UA are never stored. */
+async function visitorHash(request, env, day) {
+    const saltKey = `salt:${day}`;
+    let salt = await env.VIEWS_KV.get(saltKey);
+    if (!salt) {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        salt = toHex(bytes);
+        await env.VIEWS_KV.put(saltKey, salt, { expirationTtl: SALT_TTL_SECONDS });
+    }
+    const ip = request.headers.get('CF-Connecting-IP') ?? '';
+    const ua = request.headers.get('User-Agent') ?? '';
+    const digest = await crypto.subtle.digest(
+        'SHA-256',
+        new TextEncoder().encode(`${salt}|${ip}|${ua}`)
+    );
+    return toHex(new Uint8Array(digest)).slice(0, 32);
+}
+
+/** Every key under `prefix`, or null if `budget` ran out before the last page. */
+async function listAllKeys(kv, prefix, budget) {
+    const keys = [];
+    let cursor;
+    do {
+        if (budget && !budget.take(1)) return null;
+        const result = await kv.list({ prefix, cursor });
+        keys.push(...result.keys);
+        cursor = result.list_complete ? undefined : result.cursor;
+    } while (cursor);
+    return keys;
+}
+
+async function countKeys(kv, prefix, budget) {
+    return (await listAllKeys(kv, prefix, budget))?.length ?? null;
+}
+
+function sanitizePage(raw) {
+    return (raw ?? 'home').slice(0, 60).replace(/[^a-z0-9-_]/gi, '') || 'home';
+}
+
+function utcDay(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(day, n) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + n);
+    return utcDay(date);
+}
+
+function toHex(bytes) {
+    return [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
 // ── Guestbook ──────────────────────────────────────────────────────────────
 
+const GUESTBOOK_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Pre-pagination single-blob keys, read only by POST /guestbook/admin/migrate.
+const LEGACY_GUESTBOOK_LISTS = {
+    approved: 'entries',
+    pending: 'pending',
+    rejected: 'rejected',
+};
+
+// Entry ids are `<inverted ms timestamp>-<uuid>` so KV's lexicographic key
+// order lists newest entries first.
+const ENTRY_ID_PATTERN = /^\d{13}-[0-9a-f-]{36}$/;
+
 export async function handleGuestbookRequest(request, env) {
     if (request.method === 'OPTIONS') {
         return new Response(null, { headers: corsHeaders(request) });
@@ -73,12 +332,15 @@ export async function handleGuestbookRequest(request, env) {
 }
 
 async function handleGuestbookGet(request, env) {
-    const raw = (await env.GUESTBOOK_KV.get('entries')) ?? '[]';
-    const entries = JSON.parse(raw);
-    return jsonResponse(entries.slice(0, MAX_GUESTBOOK_ENTRIES), request, 200);
+    const { searchParams } = new URL(request.url);
+    const page = await listGuestbookEntries(env, 'approved', searchParams);
+    return jsonResponse(page, request, 200);
 }
 
 async function handleGuestbookPost(request, env) {
+    const limited = await enforceRateLimit(request, env, RATE_LIMITS.guestbookPost);
+    if (limited) return limited;
+
     let body;
     try {
         body = await request.json();
@@ -106,22 +368,211 @@ async function handleGuestbookPost(request, env) {
         }
     }
 
+    const now = new Date();
     const entry = {
+        id: newEntryId(now),
         name,
         message,
-        date: new Date().toISOString(),
+        date: now.toISOString(),
+        status: 'pending',
     };
 
-    // Prepend to the list stored in KV (list stays newest-first).
-    const raw = (await env.GUESTBOOK_KV.get('entries')) ?? '[]';
-    const entries = JSON.parse(raw);
-    entries.unshift(entry);
-    const trimmed = entries.slice(0, MAX_GUESTBOOK_ENTRIES);
-    await env.GUESTBOOK_KV.put('entries', JSON.stringify(trimmed));
+    const verdict = await runContentFilters(entry, env);
+    if (!verdict.ok) {
+        return jsonResponse({ error: 'content_rejected', reason: verdict.reason }, request, 422);
+    }
+
+    // Nothing goes live until an admin approves it. Each entry has its own key,
+    // so concurrent posts never overwrite each other.
+    await writeGuestbookEntry(env, entry);
+    await recordContentFilters(entry, env);
 
     return jsonResponse({ ok: true, entry }, request, 201);
 }
 
+// ── Guestbook moderation ───────────────────────────────────────────────────
+
+export async function handleGuestbookAdminRequest(request, env) {
+    if (request.method === 'OPTIONS') {
+        return new Response(null, { headers: corsHeaders(request) });
+    }
+
+    if (!isAuthorizedAdmin(request, env)) {
+        return jsonResponse({ error: 'unauthorized' }, request, 401);
+    }
+
+    if (!env.GUESTBOOK_KV) {
+        return jsonResponse({ error: 'kv_unavailable' }, request, 503);
+    }
+
+    // /guestbook/admin/pending | /guestbook/admin/migrate | /guestbook/admin/<id>[/approve|/reject]
+    const url = new URL(request.url);
+    const [target, action] = url.pathname.replace(/^\/guestbook\/admin\/?/, '').split('/');
+
+    if (target === 'pending' && !action) {
+        if (request.method !== 'GET') {
+            return new Response('Method not allowed', { status: 405 });
+        }
+        const page = await listGuestbookEntries(env, 'pending', url.searchParams);
+        return jsonResponse(page, request, 200);
+    }
+
+    if (target === 'migrate' && !action) {
+        if (request.method !== 'POST') {
+            return new Response('Method not allowed', { status: 405 });
+        }
+        const migrated = await migrateLegacyGuestbook(env);
+        return jsonResponse({ ok: true, migrated }, request, 200);
+    }
+
+    if (!ENTRY_ID_PATTERN.test(target ?? '')) {
+        return jsonResponse({ error: 'not_found' }, request, 404);
+    }
+
+    if (!action && request.method === 'DELETE') {
+        const removed = await removeGuestbookEntry(env, target);
+        if (!removed) return jsonResponse({ error: 'not_found' }, request, 404);
+        return jsonResponse({ ok: true, id: target }, request, 200);
+    }
+
+    if ((action === 'approve' || action === 'reject') && request.method === 'POST') {
+        const status = action === 'approve' ? 'approved' : 'rejected';
+        const entry = await moveGuestbookEntry(env, target, status);
+        if (!entry) return jsonResponse({ error: 'not_found' }, request, 404);
+        return jsonResponse({ ok: true, entry }, request, 200);
+    }
+
+    return new Response('Method not allowed', { status: 405 });
+}
+
+function isAuthorizedAdmin(request, env) {
+    const secret = env.GUESTBOOK_ADMIN_SECRET;
+    if (!secret) return false;
+    const header = request.headers.get('Authorization') ?? '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    return match ? timingSafeEqual(match[1], secret) : false;
+}
+
+// Constant-time string comparison so the secret can't be guessed byte-by-byte.
+function timingSafeEqual(a, b) {
+    const encoder = new TextEncoder();
+    const left = encoder.encode(a);
+    const right = encoder.encode(b);
+    let diff = left.length ^ right.length;
+    for (let i = 0; i < right.length; i++) {
+        diff |= (left[i] ?? 0) ^ right[i];
+    }
+    return diff === 0;
+}
+
+// ── Guestbook storage ──────────────────────────────────────────────────────
+
+function newEntryId(date) {
+    const inverted = String(MAX_TIMESTAMP - date.getTime()).padStart(13, '0');
+    return `${inverted}-${crypto.randomUUID()}`;
+}
+
+function entryKey(status, id) {
+    return `entry:${status}:${id}`;
+}
+
+function clampPageSize(raw) {
+    const limit = Number.parseInt(raw ?? '', 10);
+    if (!Number.isFinite(limit) || limit < 1) return DEFAULT_PAGE_SIZE;
+    return Math.min(limit, MAX_PAGE_SIZE);
+}
+
+/** One newest-first page of entries in `status`; `cursor` is null on the last page. */
+async function listGuestbookEntries(env, status, searchParams) {
+    const result = await env.GUESTBOOK_KV.list({
+        prefix: entryKey(status, ''),
+        limit: clampPageSize(searchParams.get('limit')),
+        cursor: searchParams.get('cursor') || undefined,
+    });
+    const values = await Promise.all(result.keys.map(({ name }) => env.GUESTBOOK_KV.get(name)));
+    const entries = values.filter(Boolean).map(raw => JSON.parse(raw));
+    return { entries, cursor: result.list_complete ? null : (result.cursor ?? null) };
+}
+
+async function writeGuestbookEntry(env, entry) {
+    // Rejected entries are kept for a while for review, then expire on their own.
+    const options = entry.status === 'rejected' ? { expirationTtl: REJECTED_TTL_SECONDS } : {};
+    await env.GUESTBOOK_KV.put(entryKey(entry.status, entry.id), JSON.stringify(entry), options);
+}
+
+async function findGuestbookEntry(env, id) {
+    for (const status of GUESTBOOK_STATUSES) {
+        const raw = await env.GUESTBOOK_KV.get(entryKey(status, id));
+        if (raw) return JSON.parse(raw);
+    }
+    return null;
+}
+
+/** Move an entry into `status`. Writes the new key before deleting the old one. */
+async function moveGuestbookEntry(env, id, status) {
+    const entry = await findGuestbookEntry(env, id);
+    if (!entry) return null;
+
+    const moved = { ...entry, status, moderatedAt: new Date().toISOString() };
+    await writeGuestbookEntry(env, moved);
+    if (entry.status !== status) {
+        await env.GUESTBOOK_KV.delete(entryKey(entry.status, id));
+    }
+    return moved;
+}
+
+async function removeGuestbookEntry(env, id) {
+    const entry = await findGuestbookEntry(env, id);
+    if (!entry) return false;
+    await Promise.all(GUESTBOOK_STATUSES.map(s => env.GUESTBOOK_KV.delete(entryKey(s, id))));
+    return true;
+}
+
+/**
+ * Split the old capped JSON-array lists into per-entry keys, then drop them.
+ * Ids are derived from the legacy entry, and entries that already exist in any
+ * status are skipped, so rerunning the import (after a partial run, or before
+ * the list deletes have propagated) never duplicates or un-moderates anything.
+ */
+async function migrateLegacyGuestbook(env) {
+    let migrated = 0;
+    for (const [status, key] of Object.entries(LEGACY_GUESTBOOK_LISTS)) {
+        const raw = await env.GUESTBOOK_KV.get(key);
+        if (!raw) continue;
+        for (const legacy of JSON.parse(raw)) {
+            const id = await legacyEntryId(legacy);
+            if (await findGuestbookEntry(env, id)) continue;
+            await writeGuestbookEntry(env, {
+                ...legacy,
+                id,
+                date: new Date(Date.parse(legacy.date) || 0).toISOString(),
+                status,
+            });
+            migrated++;
+        }
+        await env.GUESTBOOK_KV.delete(key);
+    }
+    return migrated;
+}
+
+/** Same shape as newEntryId(), with a UUID-formatted SHA-256 of the legacy entry. */
+async function legacyEntryId(legacy) {
+    const digest = await crypto.subtle.digest(
+        'SHA-256',
+        new TextEncoder().encode(JSON.stringify(legacy))
+    );
+    const hex = toHex(new Uint8Array(digest));
+    const uuid = [
+        hex.slice(0, 8),
+        hex.slice(8, 12),
+        hex.slice(12, 16),
+        hex.slice(16, 20),
+        hex.slice(20, 32),
+    ];
+    const inverted = String(MAX_TIMESTAMP - (Date.parse(legacy.date) || 0)).padStart(13, '0');
+    return `${inverted}-${uuid.join('-')}`;
+}
+
 async function verifyTurnstile(token, secret, request) {
     const ip = request.headers.get('CF-Connecting-IP') ?? '';
     const form = new FormData();
@@ -136,30 +587,3 @@ async function verifyTurnstile(token, secret, request) {
         return false;
     }
 }
-
-// ── Shared helpers (re-exported so index.js can use them) ──────────────────
-
-export function jsonResponse(data, request, status = 200) {
-    return new Response(JSON.stringify(data), {
-        status,
-        headers: {
-            'Content-Type': 'application/json',
-            ...corsHeaders(request),
-        },
-    });
-}
-
-export function corsHeaders(request) {
-    const origin = request.headers.get('Origin') ?? '';
-    const allowed =
-        origin === 'https://andernet.dev' ||
-        origin === 'https://and3rn3t.github.io' ||
-        origin.startsWith('http://localhost');
-    return {
-        'Access-Control-Allow-Origin': allowed ? origin : 'https://andernet.dev',
-        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Max-Age': '86400',
-        Vary: 'Origin',
-    };
-}
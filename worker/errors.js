@@ -0,0 +1,308 @@
+/**
+ * Cloudflare Worker — client error reporting
+ *
+ * POST /errors  { release, page, errors: [{ message, type, severity, stack, context, timestamp }] }
+ *   Sent by modules/error-reporter.js, which samples and throttles on the
+ *   client. Up to 10 errors per request; the rest are ignored.
+ *
+ * GET /errors?limit=20&severity=critical
+ *   → { issues: [{ fingerprint, type, severity, message, count, firstSeen, lastSeen,
+ *                  sample: { frames, context, page, release } }] }  newest first
+ *
+ * Errors are grouped into issues by fingerprint: a hash of the error type, the
+ * message with volatile parts masked (numbers, URLs, emails — see collect.js)
+ * and the top stack frames reduced to `function@/path.js`. Line and column
+ * numbers are dropped so an issue survives unrelated edits to the same file.
+ *
+ * Storage (ANALYTICS_KV):
+ *   errors:batch:<uuid>        → occurrences from one request (expire after 7 days)
+ *   errors:issue:<fingerprint> → the grouped issue, written only by the cron
+ *                                (up to 100 issues per run);
+ *                                metadata { count, lastSeen, severity } for listing.
+ *                                Issues expire 30 days after they were last seen.
+ *
+ * Only masked messages and normalized frames are stored; raw stacks (with their
+ * script URLs and query strings) are dropped at ingestion, which keeps GET
+ * /errors safe to serve publicly.
+ */
+
+import { jsonResponse, corsHeaders } from './http.js';
+import { enforceRateLimit, RATE_LIMITS } from './rate-limit.js';
+import { cleanMessage, cleanPage } from './collect.js';
+import { KvBudget } from './kv-budget.js';
+
+const MAX_BODY_BYTES = 32 * 1024;
+const MAX_ERRORS_PER_REQUEST = 10;
+const MAX_STACK_LENGTH = 2000;
+const MAX_CONTEXT_KEYS = 10;
+const STACK_FRAMES = 5;
+const BATCH_TTL_SECONDS = 7 * 24 * 60 * 60;
+const ISSUE_TTL_SECONDS = 30 * 24 * 60 * 60;
+const MAX_BATCHES_PER_ROLLUP = 200;
+// Issues merged per run (a get and a put each); batches that would add more wait.
+const MAX_ISSUES_PER_ROLLUP = 100;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const LIST_CACHE_SECONDS = 60;
+
+// Mirrors ErrorType / ErrorSeverity in modules/error-handler.js.
+const ERROR_TYPES = new Set(['network', 'api', 'parse', 'dom', 'validation', 'timeout', 'unknown']);
+const SEVERITIES = ['info', 'warning', 'error', 'critical'];
+
+const RELEASE_PATTERN = /^[\w.-]{1,32}$/;
+const CONTEXT_KEY_PATTERN = /^\w{1,32}$/;
+
+// `at fn (https://host/path.js:1:2)`, `at https://host/path.js:1:2` (V8) and
+// `fn@https://host/path.js:1:2` (SpiderMonkey / JavaScriptCore).
+const V8_FRAME = /^\s*at (?:(.+?) \()?(.+?):\d+:\d+\)?$/;
+const GECKO_FRAME = /^(.*?)@(.+?):\d+:\d+$/;
+
+// ---------------------------------------------------------------------------
+// Entry point
+// ---------------------------------------------------------------------------
+
+export async function handleErrorsRequest(request, env) {
+    if (request.method === 'OPTIONS') {
+        return new Response(null, { headers: corsHeaders(request) });
+    }
+
+    if (!env.ANALYTICS_KV) {
+        return jsonResponse({ error: 'errors_unavailable' }, request, 503);
+    }
+
+    if (request.method === 'POST') return ingestErrors(request, env);
+    if (request.method === 'GET') return listIssues(request, env);
+    return new Response('Method not allowed', { status: 405 });
+}
+
+async function ingestErrors(request, env) {
+    const limited = await enforceRateLimit(request, env, RATE_LIMITS.errorsPost);
+    if (limited) return limited;
+
+    const text = await request.text();
+    if (text.length > MAX_BODY_BYTES) {
+        return jsonResponse({ error: 'payload_too_large' }, request, 413);
+    }
+
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch {
+        return jsonResponse({ error: 'invalid_json' }, request, 400);
+    }
+
+    if (!Array.isArray(body?.errors)) {
+        return jsonResponse({ error: 'invalid_batch' }, request, 400);
+    }
+
+    const shared = {
+        page: cleanPage(body.page) ?? null,
+        release: RELEASE_PATTERN.test(body.release ?? '') ? body.release : null,
+    };
+    const at = new Date().toISOString();
+    const occurrences = (
+        await Promise.all(
+            body.errors
+                .slice(0, MAX_ERRORS_PER_REQUEST)
+                .map(raw => normalizeOccurrence(raw, shared, at))
+        )
+    ).filter(Boolean);
+
+    if (occurrences.length) {
+        await env.ANALYTICS_KV.put(
+            `errors:batch:${crypto.randomUUID()}`,
+            JSON.stringify(occurrences),
+            { expirationTtl: BATCH_TTL_SECONDS }
+        );
+    }
+
+    return jsonResponse({ accepted: occurrences.length }, request, 202);
+}
+
+async function normalizeOccurrence(raw, shared, at) {
+    const message = cleanMessage(raw?.message);
+    if (!message) return null;
+
+    const type = ERROR_TYPES.has(raw.type) ? raw.type : 'unknown';
+    const severity = SEVERITIES.includes(raw.severity) ? raw.severity : 'error';
+    const stack = typeof raw.stack === 'string' ? raw.stack.slice(0, MAX_STACK_LENGTH) : '';
+
+    return {
+        fingerprint: await fingerprintError({ type, message, stack }),
+        type,
+        severity,
+        message,
+        frames: normalizeStack(stack),
+        context: cleanContext(raw.context),
+        ...shared,
+        at,
+    };
+}
+
+/** Primitive values only, with strings masked like messages. */
+function cleanContext(context) {
+    if (!context || typeof context !== 'object') return {};
+    const clean = {};
+    for (const [key, value] of Object.entries(context)) {
+        if (Object.keys(clean).length >= MAX_CONTEXT_KEYS) break;
+        if (!CONTEXT_KEY_PATTERN.test(key)) continue;
+        if (typeof value === 'number' || typeof value === 'boolean') clean[key] = value;
+        else if (typeof value === 'string') clean[key] = cleanMessage(value) ?? '';
+    }
+    return clean;
+}
+
+// ---------------------------------------------------------------------------
+// Fingerprinting
+// ---------------------------------------------------------------------------
+
+/** Top stack frames as `function@/path.js`, without line/column numbers or origins. */
+export function normalizeStack(stack) {
+    const frames = [];
+    for (const line of String(stack ?? '').split('\n')) {
+        const match = V8_FRAME.exec(line) ?? GECKO_FRAME.exec(line.trim());
+        if (!match) continue;
+        const [, fn, location] = match;
+        frames.push(`${fn?.trim() || '<anonymous>'}@${framePath(location)}`);
+        if (frames.length === STACK_FRAMES) break;
+    }
+    return frames;
+}
+
+function framePath(location) {
+    try {
+        return new URL(location).pathname;
+    } catch {
+        return location.split(/[?#]/)[0];
+    }
+}
+
+/** 16-hex-char SHA-256 of type, masked message and normalized frames. */
+export async function fingerprintError({ type, message, stack }) {
+    const source = [type, message, ...normalizeStack(stack)].join('\n');
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(source));
+    return Array.from(new Uint8Array(digest).slice(0, 8), b =>
+        b.toString(16).padStart(2, '0')
+    ).join('');
+}
+
+// ---------------------------------------------------------------------------
+// Issues
+// ---------------------------------------------------------------------------
+
+async function listIssues(request, env) {
+    const url = new URL(request.url);
+    const requested = Number.parseInt(url.searchParams.get('limit') ?? '', 10);
+    const limit = Math.min(Math.max(requested || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const severity = url.searchParams.get('severity');
+
+    const keys = [];
+    let cursor;
+    do {
+        const result = await env.ANALYTICS_KV.list({ prefix: 'errors:issue:', cursor });
+        keys.push(...result.keys);
+        cursor = result.list_complete ? undefined : result.cursor;
+    } while (cursor);
+
+    const newest = keys
+        .filter(k => !severity || k.metadata?.severity === severity)
+        .sort((a, b) => (b.metadata?.lastSeen ?? '').localeCompare(a.metadata?.lastSeen ?? ''))
+        .slice(0, limit);
+    const issues = await Promise.all(newest.map(k => env.ANALYTICS_KV.get(k.name, 'json')));
+
+    return new Response(JSON.stringify({ issues: issues.filter(Boolean) }), {
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': `public, max-age=${LIST_CACHE_SECONDS}`,
+            ...corsHeaders(request),
+        },
+    });
+}
+
+/**
+ * Fold pending occurrences into their issues and delete the batches. Batches
+ * are taken whole while the budget and MAX_ISSUES_PER_ROLLUP last; the rest
+ * wait for the next run.
+ * @param {Object} env
+ * @param {KvBudget} [budget] - KV operations this run may spend
+ * @returns {Promise<{ occurrences: number, issues: number }>}
+ */
+export async function rollUpErrors(env, budget = new KvBudget()) {
+    const kv = env.ANALYTICS_KV;
+    if (!kv) return { occurrences: 0, issues: 0 };
+
+    const names = [];
+    let cursor;
+    do {
+        if (!budget.take(1)) break;
+        const result = await kv.list({ prefix: 'errors:batch:', cursor });
+        names.push(...result.keys.map(k => k.name));
+        cursor = result.list_complete ? undefined : result.cursor;
+    } while (cursor && names.length < MAX_BATCHES_PER_ROLLUP);
+
+    const batchNames = [];
+    const byFingerprint = new Map();
+    for (const name of names.slice(0, MAX_BATCHES_PER_ROLLUP)) {
+        // The batch's get and delete, then a get and a put per issue it adds.
+        if (!budget.take(2)) break;
+        const occurrences = [await kv.get(name, 'json')].flat().filter(o => o?.fingerprint);
+        const added = new Set(
+            occurrences.map(o => o.fingerprint).filter(fp => !byFingerprint.has(fp))
+        );
+        if (byFingerprint.size + added.size > MAX_ISSUES_PER_ROLLUP) break;
+        if (!budget.take(2 * added.size)) break;
+
+        batchNames.push(name);
+        for (const occurrence of occurrences) {
+            if (!byFingerprint.has(occurrence.fingerprint))
+                byFingerprint.set(occurrence.fingerprint, []);
+            byFingerprint.get(occurrence.fingerprint).push(occurrence);
+        }
+    }
+
+    let count = 0;
+    for (const [fingerprint, occurrences] of byFingerprint) {
+        const key = `errors:issue:${fingerprint}`;
+        const issue = mergeOccurrences(await kv.get(key, 'json'), occurrences);
+        await kv.put(key, JSON.stringify(issue), {
+            expirationTtl: ISSUE_TTL_SECONDS,
+            metadata: { count: issue.count, lastSeen: issue.lastSeen, severity: issue.severity },
+        });
+        count += occurrences.length;
+    }
+    await Promise.all(batchNames.map(name => kv.delete(name)));
+
+    return { occurrences: count, issues: byFingerprint.size };
+}
+
+/** Add occurrences to an issue: counts, seen range, worst severity, latest sample. */
+function mergeOccurrences(issue, occurrences) {
+    const sorted = occurrences.toSorted((a, b) => a.at.localeCompare(b.at));
+    const first = sorted[0];
+    const latest = sorted.at(-1);
+    const merged = issue ?? {
+        fingerprint: first.fingerprint,
+        type: first.type,
+        severity: first.severity,
+        message: first.message,
+        count: 0,
+        firstSeen: first.at,
+        lastSeen: first.at,
+    };
+
+    merged.count += occurrences.length;
+    if (first.at < merged.firstSeen) merged.firstSeen = first.at;
+    if (latest.at > merged.lastSeen) merged.lastSeen = latest.at;
+    for (const { severity } of occurrences) {
+        if (SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(merged.severity)) {
+            merged.severity = severity;
+        }
+    }
+    merged.sample = {
+        frames: latest.frames,
+        context: latest.context,
+        page: latest.page,
+        release: latest.release,
+    };
+    return merged;
+}
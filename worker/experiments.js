@@ -0,0 +1,112 @@
+/**
+ * Cloudflare Worker — A/B experiment assignment
+ *
+ * GET /experiments?current=heroCta:control|heroRoles:builder
+ *   → { assignments: { heroBackground: 'webgl', heroRoles: 'builder', heroCta: 'control' } }
+ *
+ * Each visitor is assigned one variant per experiment, uniformly at random, and
+ * keeps it: assignments are stored in the `exp` cookie (90 days) and echoed
+ * back by modules/experiments.js in `current`, which also covers browsers that
+ * block the Worker's cross-site cookie. The cookie wins when both are present.
+ * Assignments for experiments or variants no longer listed in EXPERIMENTS are
+ * dropped, so ending an experiment is a matter of deleting it here.
+ *
+ * The client caches the response in localStorage and applies it from an
+ * inline <head> script on the next page load, before first paint.
+ */
+
+import { corsHeaders } from './http.js';
+
+// Experiment → variants. The first variant is the control. Mirrored by the
+// markup and CSS in index.html and by initHeroEnhancements in main.js.
+export const EXPERIMENTS = {
+    heroBackground: ['wasm', 'webgl', 'static'],
+    heroRoles: ['control', 'builder'],
+    heroCta: ['control', 'collaborate'],
+};
+
+const COOKIE_NAME = 'exp';
+const COOKIE_MAX_AGE_SECONDS = 90 * 24 * 60 * 60;
+
+export async function handleExperimentsRequest(request, _env) {
+    if (request.method === 'OPTIONS') {
+        return new Response(null, { headers: experimentHeaders(request) });
+    }
+
+    if (request.method !== 'GET') {
+        return new Response('Method not allowed', { status: 405 });
+    }
+
+    const url = new URL(request.url);
+    const cookie = readCookie(request, COOKIE_NAME);
+    const existing = {
+        ...parseAssignments(url.searchParams.get('current')),
+        ...parseAssignments(cookie),
+    };
+    const assignments = assignVariants(existing);
+    const value = serializeAssignments(assignments);
+
+    const headers = {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'private, no-store',
+        ...experimentHeaders(request),
+    };
+    if (value !== cookie) {
+        headers['Set-Cookie'] =
+            `${COOKIE_NAME}=${value}; Max-Age=${COOKIE_MAX_AGE_SECONDS}; Path=/; ` +
+            'Secure; HttpOnly; SameSite=None';
+    }
+
+    return new Response(JSON.stringify({ assignments }), { headers });
+}
+
+// The client fetches with credentials so the cookie is sent cross-site.
+function experimentHeaders(request) {
+    return { ...corsHeaders(request), 'Access-Control-Allow-Credentials': 'true' };
+}
+
+// ---------------------------------------------------------------------------
+// Assignment
+// ---------------------------------------------------------------------------
+
+/**
+ * Keep valid existing assignments and draw a variant for every other experiment
+ * @param {Object} existing - experiment → variant
+ * @param {Function} [random] - returns [0, 1)
+ * @returns {Object} experiment → variant, for every experiment
+ */
+export function assignVariants(existing, random = Math.random) {
+    const assignments = {};
+    for (const [experiment, variants] of Object.entries(EXPERIMENTS)) {
+        assignments[experiment] = variants.includes(existing?.[experiment])
+            ? existing[experiment]
+            : variants[Math.floor(random() * variants.length)];
+    }
+    return assignments;
+}
+
+/** `a:x|b:y` → { a: 'x', b: 'y' }, keeping known experiments and variants only. */
+export function parseAssignments(value) {
+    const assignments = {};
+    for (const pair of String(value ?? '').split('|')) {
+        const [experiment, variant] = pair.split(':');
+        if (Object.hasOwn(EXPERIMENTS, experiment) && EXPERIMENTS[experiment].includes(variant)) {
+            assignments[experiment] = variant;
+        }
+    }
+    return assignments;
+}
+
+export function serializeAssignments(assignments) {
+    return Object.entries(assignments)
+        .map(([experiment, variant]) => `${experiment}:${variant}`)
+        .join('|');
+}
+
+function readCookie(request, name) {
+    for (const part of (request.headers.get('Cookie') ?? '').split(';')) {
+        const [key, ...rest] = part.trim().split('=');
+        if (key === name) return rest.join('=');
+    }
+    return null;
+}
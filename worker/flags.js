@@ -0,0 +1,61 @@
+/**
+ * Cloudflare Worker — remote feature flags
+ *
+ * GET /flags  → { flags: { guestbook: false, heroWasm: true, … } }
+ *   Read by modules/flags.js at startup. Values here override the client's
+ *   defaults but not a visitor's localStorage or ?flags= overrides.
+ *
+ * The flags live in one CONFIG_KV key, so a broken feature can be switched
+ * off without a deploy:
+ *   wrangler kv key put --binding CONFIG_KV flags '{"guestbook":false}'
+ *
+ * KV reads are cached at the edge for FLAGS_CACHE_SECONDS, and browsers may
+ * reuse a response for the same time, so a change is live within ~2 minutes.
+ * Without the binding (or the key) the response is simply `{ flags: {} }`.
+ */
+
+import { corsHeaders } from './http.js';
+
+const FLAGS_KEY = 'flags';
+const FLAGS_CACHE_SECONDS = 60;
+const MAX_FLAGS = 50;
+const FLAG_NAME_PATTERN = /^[a-z][\w-]{0,39}$/i;
+
+export async function handleFlagsRequest(request, env) {
+    if (request.method === 'OPTIONS') {
+        return new Response(null, { headers: corsHeaders(request) });
+    }
+
+    if (request.method !== 'GET') {
+        return new Response('Method not allowed', { status: 405 });
+    }
+
+    let stored = null;
+    try {
+        stored = await env.CONFIG_KV?.get(FLAGS_KEY, {
+            type: 'json',
+            cacheTtl: FLAGS_CACHE_SECONDS,
+        });
+    } catch {
+        // Malformed JSON in KV — serve no overrides rather than an error.
+    }
+
+    return new Response(JSON.stringify({ flags: cleanFlags(stored) }), {
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': `public, max-age=${FLAGS_CACHE_SECONDS}`,
+            ...corsHeaders(request),
+        },
+    });
+}
+
+/** Boolean values with plain names only; anything else is dropped. */
+export function cleanFlags(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return {};
+    const flags = {};
+    for (const [name, value] of Object.entries(raw)) {
+        if (Object.keys(flags).length >= MAX_FLAGS) break;
+        if (FLAG_NAME_PATTERN.test(name) && typeof value === 'boolean') flags[name] = value;
+    }
+    return flags;
+}
@@ -0,0 +1,254 @@
+/**
+ * Cloudflare Worker — scheduled GitHub data snapshot
+ *
+ * scheduled() (cron in wrangler.toml) pulls the same data the daily
+ * update-github-data.yml workflow writes to github-data.json — user, repos,
+ * events, self-starred repos, contribution calendar and language bytes — and
+ * stores it in GITHUB_KV. GET /github-data serves the snapshot with an ETag so
+ * repeat visitors revalidate with a 304 instead of re-downloading it.
+ *
+ * KV keys (GITHUB_KV):
+ *   snapshot  — the github-data.json-shaped JSON; metadata { etag, lastUpdated }
+ *   languages — { [repo]: { pushedAt, bytes } } so unchanged repos skip the
+ *               per-repo languages call. A refresh makes at most 30 of those
+ *               calls, newest pushes first, to stay under the 50-subrequest
+ *               limit of the free Workers plan; on a cold cache, later
+ *               refreshes fill in the rest.
+ *
+ * The contribution calendar needs GraphQL, which requires GH_TOKEN; without it
+ * the previous snapshot's calendar is carried forward.
+ */
+
+import { jsonResponse, corsHeaders } from './http.js';
+
+const GITHUB_USERNAME = 'and3rn3t';
+const API_BASE = 'https://api.github.com';
+const SNAPSHOT_CACHE_SECONDS = 300;
+// Per-repo languages calls per refresh, on top of the ~10 other API calls.
+const MAX_LANGUAGE_FETCHES = 30;
+// KV operations per refresh (snapshot and languages, a read and a write each);
+// the cron's rollups budget around them.
+export const SNAPSHOT_KV_OPERATIONS = 4;
+
+const LEVEL_MAP = {
+    NONE: 0,
+    FIRST_QUARTILE: 1,
+    SECOND_QUARTILE: 2,
+    THIRD_QUARTILE: 3,
+    FOURTH_QUARTILE: 4,
+};
+
+const CONTRIB_QUERY = `
+query($login: String!) {
+  user(login: $login) {
+    contributionsCollection {
+      contributionCalendar {
+        totalContributions
+        weeks { contributionDays { date contributionCount contributionLevel } }
+      }
+    }
+  }
+}`;
+
+// ── GET /github-data ───────────────────────────────────────────────────────
+
+export async function handleGitHubDataRequest(request, env) {
+    if (request.method === 'OPTIONS') {
+        return new Response(null, { headers: corsHeaders(request) });
+    }
+
+    if (request.method !== 'GET') {
+        return new Response('Method not allowed', { status: 405 });
+    }
+
+    if (!env.GITHUB_KV) {
+        return jsonResponse({ error: 'kv_unavailable' }, request, 503);
+    }
+
+    const { value, metadata } = await env.GITHUB_KV.getWithMetadata('snapshot');
+    if (!value) {
+        return jsonResponse({ error: 'no_snapshot' }, request, 404);
+    }
+
+    const etag = `"${metadata?.etag ?? ''}"`;
+    const headers = {
+        ...corsHeaders(request),
+        ETag: etag,
+        'Cache-Control': `public, max-age=${SNAPSHOT_CACHE_SECONDS}`,
+    };
+
+    const ifNoneMatch = request.headers.get('If-None-Match') ?? '';
+    if (ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag)) {
+        return new Response(null, { status: 304, headers });
+    }
+
+    return new Response(value, {
+        status: 200,
+        headers: { ...headers, 'Content-Type': 'application/json' },
+    });
+}
+
+// ── Scheduled refresh ──────────────────────────────────────────────────────
+
+/**
+ * Rebuild the snapshot from the GitHub API and store it in GITHUB_KV.
+ * Sections that fail keep their previous value rather than blanking the site.
+ * The ETag covers the data only, so a run that finds nothing new keeps the old
+ * ETag (clients keep getting 304s) and skips the KV write. Without GITHUB_KV
+ * there is nowhere to store it, so nothing is fetched.
+ * @returns {Promise<{ etag: string|null, lastUpdated: string|null, changed: boolean }>}
+ */
+export async function refreshGitHubSnapshot(env) {
+    if (!env.GITHUB_KV) return { etag: null, lastUpdated: null, changed: false };
+
+    const stored = await env.GITHUB_KV.getWithMetadata('snapshot');
+    const previous = JSON.parse(stored.value ?? '{}');
+    const gh = githubClient(env);
+
+    const [user, repositories] = await Promise.all([
+        gh.get(`/users/${GITHUB_USERNAME}`),
+        gh.getAll(`/users/${GITHUB_USERNAME}/repos?sort=pushed&direction=desc&per_page=100`),
+    ]);
+
+    const [events, selfStarredRepoNames, contributions, languageBytes] = await Promise.all([
+        fetchEvents(gh).catch(() => previous.events ?? []),
+        fetchSelfStarred(gh).catch(() => previous.selfStarredRepoNames ?? []),
+        fetchContributions(gh, env).catch(() => previous.contributions ?? null),
+        fetchLanguageBytes(gh, env, repositories).catch(() => previous.languageBytes ?? {}),
+    ]);
+
+    const data = {
+        user,
+        repositories,
+        events,
+        selfStarredRepoNames,
+        contributions: contributions ?? previous.contributions ?? null,
+        languageBytes,
+        totalRepos: repositories.length,
+    };
+    const etag = await hashHex(JSON.stringify(data));
+    if (stored.metadata?.etag === etag) {
+        return { etag, lastUpdated: stored.metadata.lastUpdated, changed: false };
+    }
+
+    const lastUpdated = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const body = JSON.stringify({ ...data, lastUpdated });
+    await env.GITHUB_KV.put('snapshot', body, { metadata: { etag, lastUpdated } });
+    return { etag, lastUpdated, changed: true };
+}
+
+function githubClient(env) {
+    const headers = {
+        Accept: 'application/vnd.github.v3+json',
+        'User-Agent': 'and3rn3t-portfolio-worker/1.0',
+    };
+    if (env.GH_TOKEN) {
+        headers['Authorization'] = `Bearer ${env.GH_TOKEN}`;
+    }
+
+    async function get(path) {
+        const resp = await fetch(path.startsWith('http') ? path : `${API_BASE}${path}`, {
+            headers,
+        });
+        if (!resp.ok) throw new Error(`GitHub API ${resp.status} for ${path}`);
+        return resp.json();
+    }
+
+    // Every page until the API returns fewer than per_page (100) items.
+    async function getAll(path) {
+        const results = [];
+        for (let page = 1; ; page++) {
+            const chunk = await get(`${path}&page=${page}`);
+            results.push(...chunk);
+            if (chunk.length < 100) return results;
+        }
+    }
+
+    async function graphql(query, variables) {
+        const resp = await fetch(`${API_BASE}/graphql`, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query, variables }),
+        });
+        if (!resp.ok) throw new Error(`GitHub GraphQL ${resp.status}`);
+        const json = await resp.json();
+        if (json.errors?.length) throw new Error(json.errors[0].message);
+        return json.data;
+    }
+
+    return { get, getAll, graphql };
+}
+
+async function fetchEvents(gh) {
+    const events = [];
+    for (let page = 1; page <= 3; page++) {
+        const chunk = await gh.get(
+            `/users/${GITHUB_USERNAME}/events/public?per_page=30&page=${page}`
+        );
+        events.push(...chunk);
+        if (chunk.length < 30) break; // no more pages
+    }
+    return events;
+}
+
+// Own repos the user has starred = portfolio curation signal.
+async function fetchSelfStarred(gh) {
+    const starred = await gh.getAll(`/users/${GITHUB_USERNAME}/starred?per_page=100`);
+    return starred.filter(r => r.owner?.login === GITHUB_USERNAME).map(r => r.name);
+}
+
+async function fetchContributions(gh, env) {
+    if (!env.GH_TOKEN) return null;
+    const data = await gh.graphql(CONTRIB_QUERY, { login: GITHUB_USERNAME });
+    const cal = data.user.contributionsCollection.contributionCalendar;
+    return {
+        total: cal.totalContributions,
+        weeks: cal.weeks.map(week => ({
+            days: week.contributionDays.map(d => ({
+                date: d.date,
+                count: d.contributionCount,
+                level: LEVEL_MAP[d.contributionLevel] ?? 0,
+            })),
+        })),
+    };
+}
+
+/**
+ * Language bytes summed across non-fork, non-archived repos, sorted desc.
+ * `repositories` comes newest-pushed first, so the fetch cap refreshes those.
+ */
+async function fetchLanguageBytes(gh, env, repositories) {
+    const cache = JSON.parse((await env.GITHUB_KV.get('languages')) ?? '{}');
+    const next = {};
+    const totals = {};
+    let fetches = 0;
+
+    for (const repo of repositories) {
+        if (repo.fork || repo.archived) continue;
+        let entry = cache[repo.name];
+        if ((!entry || entry.pushedAt !== repo.pushed_at) && fetches < MAX_LANGUAGE_FETCHES) {
+            fetches++;
+            try {
+                entry = { pushedAt: repo.pushed_at, bytes: await gh.get(repo.languages_url) };
+            } catch {
+                // Keep the stale numbers if we had any.
+            }
+        }
+        if (!entry) continue; // not fetched yet; a later refresh fills it in
+        next[repo.name] = entry;
+        for (const [lang, bytes] of Object.entries(entry.bytes)) {
+            totals[lang] = (totals[lang] ?? 0) + bytes;
+        }
+    }
+
+    await env.GITHUB_KV.put('languages', JSON.stringify(next));
+    return Object.fromEntries(Object.entries(totals).sort((a, b) => b[1] - a[1]));
+}
+
+async function hashHex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)]
+        .slice(0, 16)
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
@@ -0,0 +1,220 @@
+/**
+ * Cloudflare Worker — read-only GitHub REST proxy
+ *
+ * GET /gh                 → { queries: [names] }  (reachability probe for github-api.js)
+ * GET /gh/<api path>?…    → the GitHub response for an allowlisted query
+ *
+ * Browsers calling api.github.com share 60 unauthenticated requests an hour
+ * per IP; through here they use GH_TOKEN's quota and the edge cache instead.
+ * Only the named QUERIES below are served, only for GITHUB_USERNAME's own
+ * public repositories, and only with each query's listed parameters — anything
+ * else is a 404/400 without reaching GitHub. Repo-scoped queries first check
+ * (through the cached `repo` query) that the repository is public, so a token
+ * that can read private repos never leaks them.
+ *
+ * Responses keep Content-Type, ETag, Last-Modified and Link (rewritten to point
+ * back at the requested /gh path, since GitHub's page links often use the
+ * /repositories/<id> form the allowlist can't check). Everything else GitHub
+ * sends — cookies, token scopes and expiry, rate-limit counters, request ids —
+ * is dropped. Each query has its own edge TTL; a matching If-None-Match is
+ * answered with a 304.
+ */
+
+import { corsHeaders, jsonResponse } from './http.js';
+import { enforceRateLimit, RATE_LIMITS } from './rate-limit.js';
+
+const GITHUB_USERNAME = 'and3rn3t';
+const API_BASE = 'https://api.github.com';
+const PROXY_PREFIX = '/gh';
+
+const PARAM_VALUE_PATTERN = /^[\w.:-]{1,100}$/;
+const PAGE_PARAMS = ['per_page', 'page'];
+
+// README can be requested raw or rendered; everything else is plain JSON.
+const ACCEPT_TYPES = new Set([
+    'application/vnd.github.v3+json',
+    'application/vnd.github.raw',
+    'application/vnd.github.html',
+]);
+const DEFAULT_ACCEPT = 'application/vnd.github.v3+json';
+
+const PASS_HEADERS = ['Content-Type', 'ETag', 'Last-Modified'];
+
+const OWNER = '(?<owner>[\\w-]+)';
+const REPO = `${OWNER}/(?<repo>[\\w.-]+)`;
+
+// name → { path pattern, allowed query params, edge TTL in seconds }
+export const QUERIES = {
+    user: { pattern: new RegExp(`^/users/${OWNER}$`), params: [], ttl: 600 },
+    userRepos: {
+        pattern: new RegExp(`^/users/${OWNER}/repos$`),
+        params: ['sort', 'direction', 'type', ...PAGE_PARAMS],
+        ttl: 300,
+    },
+    // Only /public: authenticated as its owner, /events would include private activity.
+    userEvents: {
+        pattern: new RegExp(`^/users/${OWNER}/events/public$`),
+        params: PAGE_PARAMS,
+        ttl: 120,
+    },
+    repo: { pattern: new RegExp(`^/repos/${REPO}$`), params: [], ttl: 600 },
+    readme: { pattern: new RegExp(`^/repos/${REPO}/readme$`), params: ['ref'], ttl: 3600 },
+    commits: {
+        pattern: new RegExp(`^/repos/${REPO}/commits$`),
+        params: ['sha', ...PAGE_PARAMS],
+        ttl: 300,
+    },
+    releases: { pattern: new RegExp(`^/repos/${REPO}/releases$`), params: PAGE_PARAMS, ttl: 3600 },
+    languages: { pattern: new RegExp(`^/repos/${REPO}/languages$`), params: [], ttl: 86400 },
+};
+
+// ---------------------------------------------------------------------------
+// Entry point
+// ---------------------------------------------------------------------------
+
+export async function handleGitHubProxyRequest(request, env) {
+    if (request.method === 'OPTIONS') {
+        return new Response(null, { headers: proxyCorsHeaders(request) });
+    }
+
+    if (request.method !== 'GET') {
+        return new Response('Method not allowed', { status: 405 });
+    }
+
+    if (!env.GH_TOKEN) {
+        return jsonResponse({ error: 'proxy_unavailable' }, request, 503);
+    }
+
+    const url = new URL(request.url);
+    const path = url.pathname.slice(PROXY_PREFIX.length);
+    if (!path || path === '/') {
+        return jsonResponse({ queries: Object.keys(QUERIES) }, request, 200);
+    }
+
+    const match = matchQuery(path, url.searchParams);
+    if (!match) {
+        return jsonResponse({ error: 'unknown_query' }, request, 404);
+    }
+    if (!match.params) {
+        return jsonResponse({ error: 'invalid_params' }, request, 400);
+    }
+
+    const acceptHeader = request.headers.get('Accept');
+    const accept = ACCEPT_TYPES.has(acceptHeader) ? acceptHeader : DEFAULT_ACCEPT;
+
+    if (match.repo) {
+        const details = await fetchCached(request, env, matchQuery(`/repos/${match.repo}`));
+        if (details.status === 429) return details;
+        if (details.status !== 200 || (await details.clone().json()).private !== false) {
+            return jsonResponse({ error: 'not_found' }, request, 404);
+        }
+    }
+
+    const upstream = await fetchCached(request, env, match, accept);
+    if (upstream.status === 429) return upstream;
+    if (upstream.status === 404) {
+        return jsonResponse({ error: 'not_found' }, request, 404);
+    }
+    if (!upstream.ok) {
+        return jsonResponse({ error: 'upstream_error', status: upstream.status }, request, 502);
+    }
+
+    const headers = { ...proxyCorsHeaders(request) };
+    for (const name of [...PASS_HEADERS, 'Cache-Control']) {
+        const value = upstream.headers.get(name);
+        if (value) headers[name] = value;
+    }
+    const link = upstream.headers.get('Link');
+    if (link) headers.Link = rewriteLink(link, `${url.origin}${url.pathname}`);
+
+    const etag = upstream.headers.get('ETag');
+    const ifNoneMatch = request.headers.get('If-None-Match') ?? '';
+    if (etag && ifNoneMatch.split(',').some(tag => tag.trim() === etag)) {
+        return new Response(null, { status: 304, headers });
+    }
+    return new Response(upstream.body, { status: 200, headers });
+}
+
+/**
+ * Resolve an API path to its allowlisted query
+ * @param {string} path - e.g. /repos/and3rn3t/homehub/readme
+ * @param {URLSearchParams} [searchParams]
+ * @returns {{ name, query, path, repo, params }|null} null when no query matches;
+ *   `params` is null when a parameter is not allowed for the query
+ */
+export function matchQuery(path, searchParams = new URLSearchParams()) {
+    for (const [name, query] of Object.entries(QUERIES)) {
+        const groups = query.pattern.exec(path)?.groups;
+        if (!groups) continue;
+        if (groups.owner.toLowerCase() !== GITHUB_USERNAME) return null;
+
+        let params = new URLSearchParams();
+        for (const [key, value] of searchParams) {
+            if (!query.params.includes(key) || !PARAM_VALUE_PATTERN.test(value)) {
+                params = null;
+                break;
+            }
+            params.append(key, value);
+        }
+        params?.sort();
+
+        const repo = groups.repo ? `${groups.owner}/${groups.repo}` : null;
+        return { name, query, path, repo, params };
+    }
+    return null;
+}
+
+/** Point api.github.com page links at `proxyPath`, keeping each link's query. */
+export function rewriteLink(link, proxyPath) {
+    return link.replaceAll(/<([^>]+)>/g, (original, target) => {
+        if (!target.startsWith(`${API_BASE}/`)) return original;
+        return `<${proxyPath}${new URL(target).search}>`;
+    });
+}
+
+function proxyCorsHeaders(request) {
+    return {
+        ...corsHeaders(request),
+        'Access-Control-Allow-Headers': 'Accept, If-None-Match, If-Modified-Since',
+        'Access-Control-Expose-Headers': 'ETag, Last-Modified, Link',
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Upstream + edge cache
+// ---------------------------------------------------------------------------
+
+/**
+ * The upstream response for `match`, from the edge cache when possible.
+ * Only 200s are cached; cache misses count against RATE_LIMITS.ghProxy.
+ */
+async function fetchCached(request, env, match, accept = DEFAULT_ACCEPT) {
+    const cache = caches.default;
+    const params = new URLSearchParams(match.params);
+    params.set('accept', accept);
+    const cacheKey = new Request(`https://cache.internal/gh${match.path}?${params}`);
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+
+    const limited = await enforceRateLimit(request, env, RATE_LIMITS.ghProxy);
+    if (limited) return limited;
+
+    const query = match.params?.size ? `?${match.params}` : '';
+    const resp = await fetch(`${API_BASE}${match.path}${query}`, {
+        headers: {
+            Accept: accept,
+            Authorization: `Bearer ${env.GH_TOKEN}`,
+            'User-Agent': 'and3rn3t-portfolio-worker/1.0',
+        },
+    });
+    if (!resp.ok) return resp;
+
+    const headers = { 'Cache-Control': `public, max-age=${match.query.ttl}` };
+    for (const name of [...PASS_HEADERS, 'Link']) {
+        const value = resp.headers.get(name);
+        if (value) headers[name] = value;
+    }
+    const response = new Response(await resp.arrayBuffer(), { status: 200, headers });
+    await cache.put(cacheKey, response.clone());
+    return response;
+}
@@ -0,0 +1,205 @@
+/**
+ * Cloudflare Worker — GitHub GraphQL for the browser
+ *
+ * POST /graphql  { query: 'pinnedItems', variables: { login } }
+ *   → { data, cached }
+ *
+ * GitHub's GraphQL API refuses unauthenticated calls, so the page asks the
+ * Worker to run the query with GH_TOKEN. Clients name one of the persisted
+ * QUERIES below rather than sending query text: the token never runs anything
+ * but these read-only public lookups, and each variable is validated before it
+ * reaches GitHub. `login` must be GITHUB_USERNAME, so the token can't be used
+ * to look up anyone else. The token can also see the owner's private
+ * repositories, which pins may include; a query's `publicOnly` drops them
+ * before anything is cached or returned.
+ *
+ * Paginated queries take `first` / `after` and return a connection with
+ * pageInfo { hasNextPage endCursor }; modules/github-api.js follows the cursor.
+ *
+ * Results are cached at the edge per query + variables for that query's ttl.
+ */
+
+import { jsonResponse, corsHeaders } from './http.js';
+import { enforceRateLimit, RATE_LIMITS } from './rate-limit.js';
+
+const API_URL = 'https://api.github.com/graphql';
+const MAX_BODY_BYTES = 2 * 1024;
+const GITHUB_USERNAME = 'and3rn3t';
+
+const CURSOR_PATTERN = /^[\w+/=:-]{1,200}$/;
+
+// Variable validators: return the cleaned value, or undefined to reject.
+const VARIABLES = {
+    login: value =>
+        String(value ?? '').toLowerCase() === GITHUB_USERNAME ? GITHUB_USERNAME : undefined,
+    first: value => (Number.isInteger(value) && value >= 1 && value <= 100 ? value : undefined),
+    after: value => (value === null || CURSOR_PATTERN.test(value ?? '') ? value : undefined),
+};
+
+const REPOSITORY_FIELDS = `
+  name description url homepageUrl stargazerCount forkCount pushedAt
+  primaryLanguage { name color }
+  repositoryTopics(first: 20) { nodes { topic { name } } }`;
+
+// Persisted queries: name → { text, required and optional variables, edge ttl,
+// and publicOnly(data) where the results can include private repositories }.
+export const QUERIES = {
+    pinnedItems: {
+        required: ['login'],
+        ttl: 3600,
+        text: `
+query($login: String!) {
+  user(login: $login) {
+    pinnedItems(first: 6, types: REPOSITORY) {
+      nodes { ... on Repository { isPrivate ${REPOSITORY_FIELDS} } }
+    }
+  }
+}`,
+        publicOnly: data => {
+            const pinned = data?.user?.pinnedItems;
+            if (!pinned) return data;
+            const nodes = pinned.nodes.filter(node => node?.isPrivate === false);
+            return { ...data, user: { ...data.user, pinnedItems: { ...pinned, nodes } } };
+        },
+    },
+    contributionYears: {
+        required: ['login'],
+        ttl: 86400,
+        text: `
+query($login: String!) {
+  user(login: $login) {
+    contributionsCollection { contributionYears }
+  }
+}`,
+    },
+    repositories: {
+        required: ['login'],
+        optional: ['first', 'after'],
+        ttl: 3600,
+        text: `
+query($login: String!, $first: Int = 100, $after: String) {
+  user(login: $login) {
+    repositories(first: $first, after: $after, privacy: PUBLIC, ownerAffiliations: OWNER,
+                 orderBy: { field: PUSHED_AT, direction: DESC }) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        ${REPOSITORY_FIELDS}
+        languages(first: 10, orderBy: { field: SIZE, direction: DESC }) {
+          edges { size node { name color } }
+        }
+      }
+    }
+  }
+}`,
+    },
+};
+
+// ---------------------------------------------------------------------------
+// Entry point
+// ---------------------------------------------------------------------------
+
+export async function handleGraphQLRequest(request, env) {
+    if (request.method === 'OPTIONS') {
+        return new Response(null, { headers: corsHeaders(request) });
+    }
+
+    if (request.method !== 'POST') {
+        return new Response('Method not allowed', { status: 405 });
+    }
+
+    if (!env.GH_TOKEN) {
+        return jsonResponse({ error: 'graphql_unavailable' }, request, 503);
+    }
+
+    const limited = await enforceRateLimit(request, env, RATE_LIMITS.graphqlPost);
+    if (limited) return limited;
+
+    const text = await request.text();
+    if (text.length > MAX_BODY_BYTES) {
+        return jsonResponse({ error: 'payload_too_large' }, request, 413);
+    }
+
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch {
+        return jsonResponse({ error: 'invalid_json' }, request, 400);
+    }
+
+    const query = Object.hasOwn(QUERIES, body?.query ?? '') ? QUERIES[body.query] : null;
+    if (!query) {
+        return jsonResponse({ error: 'unknown_query' }, request, 400);
+    }
+
+    const variables = cleanVariables(query, body.variables);
+    if (!variables) {
+        return jsonResponse({ error: 'invalid_variables' }, request, 400);
+    }
+
+    const cache = caches.default;
+    const params = new URLSearchParams(
+        Object.entries(variables).map(([name, value]) => [name, String(value)])
+    );
+    params.sort();
+    const cacheKey = new Request(`https://cache.internal/graphql/${body.query}?${params}`);
+    const cached = await cache.match(cacheKey);
+    if (cached) {
+        return jsonResponse({ data: await cached.json(), cached: true }, request, 200);
+    }
+
+    let data;
+    try {
+        data = await runQuery(env, query.text, variables);
+        if (query.publicOnly) data = query.publicOnly(data);
+    } catch (err) {
+        return jsonResponse({ error: 'upstream_error', detail: err.message }, request, 502);
+    }
+
+    await cache.put(
+        cacheKey,
+        new Response(JSON.stringify(data), {
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': `public, max-age=${query.ttl}`,
+            },
+        })
+    );
+    return jsonResponse({ data, cached: false }, request, 200);
+}
+
+/**
+ * Validate `variables` against a persisted query
+ * @returns {Object|null} The accepted variables, or null if any is missing or invalid
+ */
+export function cleanVariables(query, variables) {
+    if (variables != null && typeof variables !== 'object') return null;
+
+    const clean = {};
+    for (const name of [...query.required, ...(query.optional ?? [])]) {
+        const raw = variables?.[name];
+        if (raw === undefined) {
+            if (query.required.includes(name)) return null;
+            continue;
+        }
+        const value = VARIABLES[name](raw);
+        if (value === undefined) return null;
+        clean[name] = value;
+    }
+    return clean;
+}
+
+async function runQuery(env, text, variables) {
+    const resp = await fetch(API_URL, {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${env.GH_TOKEN}`,
+            'Content-Type': 'application/json',
+            'User-Agent': 'and3rn3t-portfolio-worker/1.0',
+        },
+        body: JSON.stringify({ query: text, variables }),
+    });
+    if (!resp.ok) throw new Error(`GitHub GraphQL ${resp.status}`);
+    const json = await resp.json();
+    if (json.errors?.length) throw new Error(json.errors[0].message);
+    return json.data;
+}
@@ -0,0 +1,33 @@
+/**
+ * Cloudflare Worker — shared HTTP helpers
+ *
+ * JSON responses and the CORS headers every endpoint answers with. Kept in a
+ * module of its own so handlers and rate-limit.js can share them without
+ * importing each other.
+ */
+
+export function jsonResponse(data, request, status = 200) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(request),
+        },
+    });
+}
+
+export function corsHeaders(request) {
+    const origin = request.headers.get('Origin') ?? '';
+    const allowed =
+        origin === 'https://andernet.dev' ||
+        origin === 'https://and3rn3t.github.io' ||
+        origin.startsWith('http://localhost');
+    return {
+        'Access-Control-Allow-Origin': allowed ? origin : 'https://andernet.dev',
+        'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Expose-Headers': 'Retry-After',
+        'Access-Control-Max-Age': '86400',
+        Vary: 'Origin',
+    };
+}
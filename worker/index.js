@@ -3,6 +3,15 @@
  *
  * GET /og               → dynamic OG image SVG card (1200×630)
  * GET /og?project=slug  → per-project OG image card
+ * /views, /views/summary, /guestbook, /guestbook/admin/* → see engagement.js
+ * GET /github-data      → cron-refreshed github-data.json snapshot (see github-data.js)
+ * POST /collect         → batched first-party analytics events (see collect.js)
+ * /vitals               → Web Vitals RUM reports and daily percentiles (see vitals.js)
+ * /errors               → client error reports grouped into issues (see errors.js)
+ * GET /flags            → remote feature-flag overrides from CONFIG_KV (see flags.js)
+ * GET /experiments      → sticky A/B variant assignments via cookie (see experiments.js)
+ * POST /graphql         → persisted GitHub GraphQL queries run with GH_TOKEN (see graphql.js)
+ * GET /gh/*             → allowlisted read-only GitHub REST queries (see github-proxy.js)
  * GET /activity
  *   Returns the most recent meaningful GitHub activity as a small JSON object.
  *   Results are cached at the CF edge for 5 minutes so the GitHub API is never
@@ -20,34 +29,54 @@
  *     "cached":    true
  *   }
  *
+ * GET /activity/feed?limit=10&types=push,pr,release
+ *   Returns { items: [...], cached } — up to `limit` (max 50) recent events in the
+ *   same shape as /activity, newest first and deduplicated. `types` filters by
+ *   push | pr | create | release | star (omit for all). Shares the 5-minute
+ *   edge cache policy with /activity.
+ *
+ * POST /webhook/github, GET /activity/stream
+ *   Push updates for the widget: a signed GitHub webhook publishes events that
+ *   open pages receive over Server-Sent Events. See activity.js.
+ *
  * Secrets / env vars (set via `wrangler secret put`):
- *   GH_TOKEN — a fine-grained PAT with read:user scope (boosts rate limit to 5000/h)
+ *   GH_TOKEN — a fine-grained PAT with read:user scope (boosts rate limit to 5000/h);
+ *              required by /graphql and /gh/*
+ *   GITHUB_WEBHOOK_SECRET — shared secret for POST /webhook/github
  *
  * Workers-compatible: uses only standard fetch + Response; no Node built-ins.
  */
 
 import { handleOgRequest } from './og.js';
+import {
+    handleGitHubDataRequest,
+    refreshGitHubSnapshot,
+    SNAPSHOT_KV_OPERATIONS,
+} from './github-data.js';
+import { handleCollectRequest, rollUpAnalytics } from './collect.js';
+import { handleVitalsRequest, rollUpVitals } from './vitals.js';
+import { handleErrorsRequest, rollUpErrors } from './errors.js';
+import { handleFlagsRequest } from './flags.js';
+import { handleExperimentsRequest } from './experiments.js';
+import { handleGraphQLRequest } from './graphql.js';
+import { handleGitHubProxyRequest } from './github-proxy.js';
+import {
+    handleActivityRequest,
+    handleActivityFeedRequest,
+    handleActivityStream,
+    handleGitHubWebhook,
+} from './activity.js';
 import {
     handleViewsRequest,
     handleGuestbookRequest,
-    jsonResponse,
-    corsHeaders,
+    handleGuestbookAdminRequest,
+    rollUpViews,
 } from './engagement.js';
+import { KvBudget, KV_OPERATIONS_PER_INVOCATION } from './kv-budget.js';
 
-const GITHUB_USERNAME = 'and3rn3t';
-const CACHE_TTL_SECONDS = 300; // 5 min edge cache
-
-// Event types we care about, in priority order.
-const INTERESTING_TYPES = new Set([
-    'PushEvent',
-    'PullRequestEvent',
-    'CreateEvent',
-    'ReleaseEvent',
-    'WatchEvent',
-]);
-
-// Repos to skip (e.g. this portfolio repo — too noisy).
-const SKIP_REPOS = new Set(['and3rn3t/and3rn3t']);
+// Run in this order, so page views and analytics are served first when the
+// budget is short.
+const ROLLUPS = [rollUpViews, rollUpAnalytics, rollUpVitals, rollUpErrors];
 
 export default {
     async fetch(request, env) {
@@ -64,7 +93,7 @@ export default {
             return handleOgRequest(request);
         }
 
-        if (url.pathname === '/views') {
+        if (url.pathname === '/views' || url.pathname === '/views/summary') {
             return handleViewsRequest(request, env);
         }
 
@@ -72,143 +101,82 @@ export default {
             return handleGuestbookRequest(request, env);
         }
 
-        if (url.pathname !== '/activity') {
-            return new Response('Not found', { status: 404 });
+        if (url.pathname.startsWith('/guestbook/admin')) {
+            return handleGuestbookAdminRequest(request, env);
         }
 
-        // CORS pre-flight
-        if (request.method === 'OPTIONS') {
-            return new Response(null, { headers: corsHeaders(request) });
+        if (url.pathname === '/github-data') {
+            return handleGitHubDataRequest(request, env);
         }
 
-        if (request.method !== 'GET') {
-            return new Response('Method not allowed', { status: 405 });
+        if (url.pathname === '/collect') {
+            return handleCollectRequest(request, env);
         }
 
-        // Try the CF cache first.
-        const cache = caches.default;
-        const cacheKey = new Request(`https://cache.internal/activity/${GITHUB_USERNAME}`, request);
-        const cached = await cache.match(cacheKey);
-        if (cached) {
-            const data = await cached.json();
-            return jsonResponse({ ...data, cached: true }, request, 200);
+        if (url.pathname === '/vitals') {
+            return handleVitalsRequest(request, env);
         }
 
-        // Fetch from GitHub.
-        const ghHeaders = {
-            Accept: 'application/vnd.github.v3+json',
-            'User-Agent': 'and3rn3t-portfolio-worker/1.0',
-        };
-        if (env.GH_TOKEN) {
-            ghHeaders['Authorization'] = `Bearer ${env.GH_TOKEN}`;
+        if (url.pathname === '/errors') {
+            return handleErrorsRequest(request, env);
         }
 
-        let events;
-        try {
-            // Fetch up to 3 pages (90 events) so portfolio-repo noise doesn't
-            // crowd out activity from other repos.
-            const pages = [];
-            for (let page = 1; page <= 3; page++) {
-                const resp = await fetch(
-                    `https://api.github.com/users/${GITHUB_USERNAME}/events/public?per_page=30&page=${page}`,
-                    { headers: ghHeaders }
-                );
-                if (!resp.ok) throw new Error(`GitHub API ${resp.status}`);
-                const chunk = await resp.json();
-                pages.push(...chunk);
-                if (chunk.length < 30) break; // no more pages
-            }
-            events = pages;
-        } catch (err) {
-            return jsonResponse({ error: 'upstream_error', detail: err.message }, request, 502);
+        if (url.pathname === '/flags') {
+            return handleFlagsRequest(request, env);
         }
 
-        const activity = pickActivity(events);
-        if (!activity) {
-            return jsonResponse({ error: 'no_activity' }, request, 404);
+        if (url.pathname === '/experiments') {
+            return handleExperimentsRequest(request, env);
         }
 
-        // Store in CF cache (honour CF Cache rules: only GET, 200 responses).
-        const responseToCache = new Response(JSON.stringify(activity), {
-            status: 200,
-            headers: {
-                'Content-Type': 'application/json',
-                'Cache-Control': `public, max-age=${CACHE_TTL_SECONDS}`,
-            },
-        });
-        await cache.put(cacheKey, responseToCache.clone());
-
-        return jsonResponse({ ...activity, cached: false }, request, 200);
-    },
-};
-
-/** Pick the most interesting recent event, skipping noise. */
-function pickActivity(events) {
-    const cutoff = Date.now() - 7 * 24 * 60 * 60 * 1000; // 7 days
+        if (url.pathname === '/graphql') {
+            return handleGraphQLRequest(request, env);
+        }
 
-    // First pass: preferred repos only (skip portfolio noise).
-    for (const event of events) {
-        const repo = event.repo?.name ?? '';
-        if (SKIP_REPOS.has(repo) || !INTERESTING_TYPES.has(event.type)) continue;
-        const result = buildActivity(event, repo);
-        if (result) return result;
-    }
+        if (url.pathname === '/gh' || url.pathname.startsWith('/gh/')) {
+            return handleGitHubProxyRequest(request, env);
+        }
 
-    // Second pass: if non-skipped events are absent/stale, include portfolio repo
-    // when it has recent activity (within 7 days).
-    for (const event of events) {
-        const repo = event.repo?.name ?? '';
-        if (!INTERESTING_TYPES.has(event.type)) continue;
-        const age = new Date(event.created_at ?? 0).getTime();
-        if (age < cutoff) break;
-        const result = buildActivity(event, repo);
-        if (result) return result;
-    }
+        if (url.pathname === '/activity') {
+            return handleActivityRequest(request, env);
+        }
 
-    return null;
-}
+        if (url.pathname === '/activity/feed') {
+            return handleActivityFeedRequest(request, env);
+        }
 
-function buildActivity(event, repo) {
-    const repoName = repo.split('/').pop();
-    const repoUrl = `https://github.com/${repo}`;
-    const pushedAt = event.created_at ?? null;
-    const base = { repo, repoName, repoUrl, pushedAt };
-
-    if (event.type === 'PushEvent') {
-        const commits = event.payload?.commits ?? [];
-        const commit =
-            [...commits].reverse().find(c => !c.message.startsWith('Merge')) ?? commits.at(-1);
-        const branch = (event.payload?.ref ?? '').replace('refs/heads/', '') || 'main';
-        return { ...base, type: 'push', message: commit?.message?.split('\n')[0] ?? null, branch };
-    }
+        if (url.pathname === '/activity/stream') {
+            return handleActivityStream(request, env);
+        }
 
-    if (event.type === 'PullRequestEvent') {
-        const pr = event.payload?.pull_request;
-        return { ...base, type: 'pr', message: pr?.title ?? null, branch: pr?.head?.ref ?? null };
-    }
+        if (url.pathname === '/webhook/github') {
+            return handleGitHubWebhook(request, env);
+        }
 
-    if (event.type === 'CreateEvent') {
-        const refType = event.payload?.ref_type;
-        if (refType !== 'repository' && refType !== 'branch') return null;
-        const message =
-            refType === 'repository'
-                ? `Created repo ${repoName}`
-                : `Created branch ${event.payload?.ref}`;
-        return { ...base, type: 'create', message, branch: null };
-    }
+        return new Response('Not found', { status: 404 });
+    },
 
-    if (event.type === 'ReleaseEvent') {
-        return {
-            ...base,
-            type: 'release',
-            message: `Released ${event.payload?.release?.tag_name}`,
-            branch: null,
-        };
-    }
+    // Cron trigger (see [triggers] in wrangler.toml): refresh the GitHub snapshot
+    // and fold page views, analytics, Web Vitals and error batches into their rollups.
+    async scheduled(_controller, env, ctx) {
+        ctx.waitUntil(refreshGitHubSnapshot(env));
+        ctx.waitUntil(runRollups(env));
+    },
+};
 
-    if (event.type === 'WatchEvent') {
-        return { ...base, type: 'star', message: `Starred ${repoName}`, branch: null };
+/**
+ * Run the rollups one after another on the KV operations the snapshot refresh
+ * leaves over (see kv-budget.js). One failing doesn't stop the others.
+ */
+async function runRollups(env) {
+    const budget = new KvBudget(KV_OPERATIONS_PER_INVOCATION - SNAPSHOT_KV_OPERATIONS);
+    const failures = [];
+    for (const rollUp of ROLLUPS) {
+        try {
+            await rollUp(env, budget);
+        } catch (err) {
+            failures.push(err);
+        }
     }
-
-    return null;
+    if (failures.length) throw new AggregateError(failures, 'Cron rollups failed');
 }
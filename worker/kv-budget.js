@@ -0,0 +1,50 @@
+/**
+ * Cloudflare Worker — KV operation budget for the cron
+ *
+ * A Worker invocation may make at most 1,000 KV operations (reads, writes,
+ * deletes and lists, across all namespaces). scheduled() runs every rollup in
+ * one invocation, so they draw on one KvBudget in turn: each reserves what it
+ * needs before touching KV and stops when the budget runs out, leaving the
+ * rest of its backlog for the next run.
+ */
+
+export const KV_OPERATIONS_PER_INVOCATION = 1000;
+
+export class KvBudget {
+    #remaining;
+
+    /** @param {number} [operations] - Operations available to spend */
+    constructor(operations = KV_OPERATIONS_PER_INVOCATION) {
+        this.#remaining = Math.max(0, operations);
+    }
+
+    get remaining() {
+        return this.#remaining;
+    }
+
+    /**
+     * Reserve `operations` if they all fit
+     * @param {number} operations
+     * @returns {boolean} Whether they were reserved
+     */
+    take(operations) {
+        if (operations > this.#remaining) return false;
+        this.#remaining -= operations;
+        return true;
+    }
+
+    /**
+     * Reserve `fixed` operations plus `each` per item for as many of `count`
+     * items as fit. Nothing is reserved when not even one fits.
+     * @param {number} count
+     * @param {number} each
+     * @param {number} [fixed]
+     * @returns {number} How many items were reserved for
+     */
+    takeUpTo(count, each, fixed = 0) {
+        const items = Math.min(count, Math.floor((this.#remaining - fixed) / each));
+        if (items <= 0) return 0;
+        this.#remaining -= fixed + items * each;
+        return items;
+    }
+}
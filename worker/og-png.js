@@ -0,0 +1,46 @@
+/**
+ * Cloudflare Worker — OG card PNG rasterizer
+ *
+ * Renders the SVG cards from og.js to PNG with resvg (Rust, compiled to WASM)
+ * so X/Twitter and Facebook, which ignore SVG og:images, get a real bitmap.
+ * Inter Regular + Bold are bundled as Data modules (see [[rules]] in
+ * wrangler.toml) and stand in for the cards' `system-ui, sans-serif` stack,
+ * matching the static PNGs that scripts/generate-og.mjs renders with Chromium.
+ *
+ * Loaded lazily by og.js only when a PNG is requested, so SVG responses never
+ * pay the WASM start-up cost.
+ */
+
+import { initWasm, Resvg } from '@resvg/resvg-wasm';
+import resvgWasm from '@resvg/resvg-wasm/index_bg.wasm';
+import interRegular from 'inter-font/ttf/Inter-Regular.ttf';
+import interBold from 'inter-font/ttf/Inter-Bold.ttf';
+
+const CARD_WIDTH = 1200;
+
+let wasmReady = null;
+
+/**
+ * Rasterize a 1200×630 card SVG.
+ * @param {string} svg
+ * @returns {Promise<Uint8Array>} PNG bytes
+ */
+export async function svgToPng(svg) {
+    // A failed init is retried on the next request instead of being cached forever.
+    wasmReady ??= initWasm(resvgWasm).catch(err => {
+        wasmReady = null;
+        throw err;
+    });
+    await wasmReady;
+
+    const resvg = new Resvg(svg, {
+        fitTo: { mode: 'width', value: CARD_WIDTH },
+        font: {
+            fontBuffers: [new Uint8Array(interRegular), new Uint8Array(interBold)],
+            loadSystemFonts: false,
+            defaultFontFamily: 'Inter',
+            sansSerifFamily: 'Inter',
+        },
+    });
+    return resvg.render().asPng();
+}
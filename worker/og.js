@@ -3,17 +3,25 @@
  *
  * GET /og               → portfolio overview card (1200×630 SVG)
  * GET /og?project=slug  → per-project case-study card
+ * GET /og?post=slug     → blog post card (title, date, reading time, tags)
+ * GET /og?theme=light   → light variant of any card (`dark` is the default)
+ * GET /og?format=png    → the same cards rasterized to PNG (any route)
  *
- * Data is fetched from the production site (github-data.json + projects-data.json)
+ * Data is fetched from the production site (github-data.json, projects-data.json
+ * and posts-data.json)
  * and cached at the CF edge so the origin is hit at most once per cache window.
  *
- * Returns image/svg+xml — rendered natively by Discord, Slack, Telegram,
- * iMessage, and all Chromium-based scrapers. No WASM or npm dependencies.
+ * Returns image/svg+xml by default — rendered natively by Discord, Slack,
+ * Telegram, iMessage, and all Chromium-based scrapers. X/Twitter and Facebook
+ * need a bitmap, so `?format=png` (or an Accept header that asks for image/png
+ * but not SVG) rasterizes the card with resvg in og-png.js. PNGs are cached at
+ * the edge; if rasterizing fails the SVG is served instead.
  */
 
 const SITE_URL = 'https://andernet.dev';
 const DATA_CACHE_TTL = 6 * 60 * 60; // 6 h — aligns with daily workflow
 const PROJECTS_CACHE_TTL = 24 * 60 * 60; // 24 h
+const CARD_CACHE_HEADER = `public, max-age=3600, s-maxage=${DATA_CACHE_TTL}`;
 
 // GitHub language colours (subset; add more as needed).
 const LANG_COLORS = {
@@ -36,6 +44,39 @@ const LANG_COLORS = {
 
 const FALLBACK_LANG_COLOR = '#6b7280';
 
+// Card palettes, selected with `?theme=`. Dark matches the site's default look.
+const THEMES = {
+    dark: {
+        bg: '#0d1117',
+        dots: '#1f2937',
+        surface: '#1f2937',
+        line: '#1f2937',
+        heading: '#f9fafb',
+        text: '#9ca3af',
+        muted: '#6b7280',
+        footer: '#4b5563',
+        accent: '#16a34a',
+        badgeBg: '#14532d',
+        badgeText: '#4ade80',
+    },
+    light: {
+        bg: '#ffffff',
+        dots: '#d1d5db',
+        surface: '#f3f4f6',
+        line: '#e5e7eb',
+        heading: '#111827',
+        text: '#4b5563',
+        muted: '#6b7280',
+        footer: '#9ca3af',
+        accent: '#15803d',
+        badgeBg: '#dcfce7',
+        badgeText: '#166534',
+    },
+};
+
+const DEFAULT_THEME = 'dark';
+const READING_SPEED_WPM = 200;
+
 // ---------------------------------------------------------------------------
 // Entry point
 // ---------------------------------------------------------------------------
@@ -46,10 +87,76 @@ const FALLBACK_LANG_COLOR = '#6b7280';
  */
 export async function handleOgRequest(request) {
     const url = new URL(request.url);
-    const projectSlug = url.searchParams.get('project') ?? '';
 
-    let svg;
+    if (wantsPng(request, url)) {
+        return handlePngRequest(request, url);
+    }
+
+    return new Response(await renderCard(url), {
+        headers: {
+            'Content-Type': 'image/svg+xml; charset=utf-8',
+            // Serve from edge for up to 6 h; clients can cache for 1 h.
+            'Cache-Control': CARD_CACHE_HEADER,
+            Vary: 'Accept',
+        },
+    });
+}
+
+/** `?format=` wins; otherwise negotiate on Accept (PNG only if SVG isn't accepted). */
+function wantsPng(request, url) {
+    const format = url.searchParams.get('format');
+    if (format) return format === 'png';
+    const accept = request.headers.get('Accept') ?? '';
+    return accept.includes('image/png') && !accept.includes('image/svg+xml');
+}
+
+async function handlePngRequest(request, url) {
+    const cache = caches.default;
+    const params = new URLSearchParams(url.searchParams);
+    params.set('format', 'png');
+    params.sort();
+    const cacheKey = new Request(`https://cache.internal/og?${params}`, request);
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+
+    const svg = await renderCard(url);
+    let png;
+    try {
+        const { svgToPng } = await import('./og-png.js');
+        png = await svgToPng(svg);
+    } catch {
+        return new Response(svg, {
+            headers: {
+                'Content-Type': 'image/svg+xml; charset=utf-8',
+                // Short TTL so a transient rasterizer failure doesn't stick.
+                'Cache-Control': 'public, max-age=300',
+                Vary: 'Accept',
+            },
+        });
+    }
+
+    const response = new Response(png, {
+        headers: {
+            'Content-Type': 'image/png',
+            'Cache-Control': CARD_CACHE_HEADER,
+            Vary: 'Accept',
+        },
+    });
+    await cache.put(cacheKey, response.clone());
+    return response;
+}
+
+/** Build the SVG card for the request's query (falls back to a static card). */
+async function renderCard(url) {
+    const projectSlug = url.searchParams.get('project') ?? '';
+    const postSlug = url.searchParams.get('post') ?? '';
+    const theme = url.searchParams.get('theme') ?? DEFAULT_THEME;
     try {
+        if (postSlug) {
+            const postsData = await fetchJson(`${SITE_URL}/posts-data.json`, DATA_CACHE_TTL);
+            const post = findPost(postsData, postSlug);
+            if (post) return renderPostCard(post, theme);
+        }
         if (projectSlug) {
             const [ghData, projectsData] = await Promise.all([
                 fetchJson(`${SITE_URL}/github-data.json`, DATA_CACHE_TTL),
@@ -57,22 +164,15 @@ export async function handleOgRequest(request) {
             ]);
             const project = findProject(projectsData, projectSlug);
             const repoStats = findRepoStats(ghData, projectSlug);
-            svg = project ? renderProjectCard(project, repoStats) : renderPortfolioCard(ghData);
-        } else {
-            const ghData = await fetchJson(`${SITE_URL}/github-data.json`, DATA_CACHE_TTL);
-            svg = renderPortfolioCard(ghData);
+            return project
+                ? renderProjectCard(project, repoStats, theme)
+                : renderPortfolioCard(ghData, theme);
         }
+        const ghData = await fetchJson(`${SITE_URL}/github-data.json`, DATA_CACHE_TTL);
+        return renderPortfolioCard(ghData, theme);
     } catch {
-        svg = renderFallbackCard();
+        return renderFallbackCard(theme);
     }
-
-    return new Response(svg, {
-        headers: {
-            'Content-Type': 'image/svg+xml; charset=utf-8',
-            // Serve from edge for up to 6 h; clients can cache for 1 h.
-            'Cache-Control': `public, max-age=3600, s-maxage=${DATA_CACHE_TTL}`,
-        },
-    });
 }
 
 // ---------------------------------------------------------------------------
@@ -105,11 +205,17 @@ export function findRepoStats(ghData, slug) {
     return repos.find(r => r.name === slug || r.name?.toLowerCase() === slug.toLowerCase()) ?? null;
 }
 
+export function findPost(postsData, slug) {
+    const posts = postsData?.posts ?? [];
+    return posts.find(p => p.slug === slug && !p.draft) ?? null;
+}
+
 // ---------------------------------------------------------------------------
 // Portfolio card
 // ---------------------------------------------------------------------------
 
-export function renderPortfolioCard(ghData) {
+export function renderPortfolioCard(ghData, theme = DEFAULT_THEME) {
+    const c = palette(theme);
     const repos = ghData?.repositories ?? [];
     const repoCount = repos.length;
     const starCount = repos.reduce((s, r) => s + (r.stargazers_count ?? 0), 0);
@@ -146,8 +252,8 @@ export function renderPortfolioCard(ghData) {
             const color = escSvg(LANG_COLORS[name] ?? FALLBACK_LANG_COLOR);
             return `
             <circle cx="${lx + 6}" cy="${ly - 4}" r="6" fill="${color}"/>
-            <text x="${lx + 18}" y="${ly}" font-family="system-ui,sans-serif" font-size="20" fill="#9ca3af">
-                ${escSvg(name)} <tspan fill="#6b7280">${Math.round(pct * 100)}%</tspan>
+            <text x="${lx + 18}" y="${ly}" font-family="system-ui,sans-serif" font-size="20" fill="${c.text}">
+                ${escSvg(name)} <tspan fill="${c.muted}">${Math.round(pct * 100)}%</tspan>
             </text>`;
         })
         .join('');
@@ -162,23 +268,24 @@ export function renderPortfolioCard(ghData) {
         .map(({ value, label }, i) => {
             const sx = 80 + i * 175;
             return `
-            <text x="${sx}" y="370" font-family="system-ui,sans-serif" font-size="44" font-weight="700" fill="#16a34a">${escSvg(String(value))}</text>
-            <text x="${sx}" y="398" font-family="system-ui,sans-serif" font-size="20" fill="#6b7280">${escSvg(label)}</text>`;
+            <text x="${sx}" y="370" font-family="system-ui,sans-serif" font-size="44" font-weight="700" fill="${c.accent}">${escSvg(String(value))}</text>
+            <text x="${sx}" y="398" font-family="system-ui,sans-serif" font-size="20" fill="${c.muted}">${escSvg(label)}</text>`;
         })
         .join('');
 
-    return svg1200x630(`
+    return svg1200x630(
+        `
         ${dotGrid()}
-        ${leftBar()}
+        ${leftBar(c)}
 
         <!-- Name -->
-        <text x="80" y="190" font-family="system-ui,sans-serif" font-size="58" font-weight="700" fill="#f9fafb" letter-spacing="-1">Matthew Anderson</text>
+        <text x="80" y="190" font-family="system-ui,sans-serif" font-size="58" font-weight="700" fill="${c.heading}" letter-spacing="-1">Matthew Anderson</text>
 
         <!-- Role -->
-        <text x="80" y="244" font-family="system-ui,sans-serif" font-size="28" fill="#9ca3af">Software Engineer · Deere &amp; Company</text>
+        <text x="80" y="244" font-family="system-ui,sans-serif" font-size="28" fill="${c.text}">Software Engineer · Deere &amp; Company</text>
 
         <!-- Divider -->
-        <line x1="80" y1="275" x2="560" y2="275" stroke="#1f2937" stroke-width="1.5"/>
+        <line x1="80" y1="275" x2="560" y2="275" stroke="${c.line}" stroke-width="1.5"/>
 
         <!-- Stats -->
         ${statBlocks}
@@ -190,18 +297,21 @@ export function renderPortfolioCard(ghData) {
         ${langLegend}
 
         <!-- Right watermark -->
-        <text x="660" y="275" font-family="system-ui,sans-serif" font-size="28" font-weight="600" fill="#6b7280" letter-spacing="1">Top languages</text>
+        <text x="660" y="275" font-family="system-ui,sans-serif" font-size="28" font-weight="600" fill="${c.muted}" letter-spacing="1">Top languages</text>
 
         <!-- Bottom -->
-        <text x="80" y="598" font-family="system-ui,sans-serif" font-size="22" fill="#4b5563">andernet.dev · github.com/and3rn3t</text>
-    `);
+        <text x="80" y="598" font-family="system-ui,sans-serif" font-size="22" fill="${c.footer}">andernet.dev · github.com/and3rn3t</text>
+    `,
+        c
+    );
 }
 
 // ---------------------------------------------------------------------------
 // Project card
 // ---------------------------------------------------------------------------
 
-export function renderProjectCard(project, repoStats) {
+export function renderProjectCard(project, repoStats, theme = DEFAULT_THEME) {
+    const c = palette(theme);
     const name = escSvg(project.displayName ?? project.name);
     const desc = escSvg(truncate(project.description ?? '', 82));
     const category = escSvg(project.category ?? '');
@@ -216,7 +326,7 @@ export function renderProjectCard(project, repoStats) {
             const color = LANG_COLORS[t] ?? FALLBACK_LANG_COLOR;
             const w = Math.min(t.length * 12 + 28, 160);
             const pill = `
-            <rect x="${techX}" y="420" width="${w}" height="34" rx="6" fill="#1f2937" stroke="${escSvg(color)}" stroke-width="1.5"/>
+            <rect x="${techX}" y="420" width="${w}" height="34" rx="6" fill="${c.surface}" stroke="${escSvg(color)}" stroke-width="1.5"/>
             <text x="${techX + w / 2}" y="443" text-anchor="middle" font-family="system-ui,sans-serif" font-size="18" fill="${escSvg(color)}">${escSvg(t)}</text>`;
             techX += w + 12;
             return pill;
@@ -225,68 +335,133 @@ export function renderProjectCard(project, repoStats) {
 
     const statsText = stars || forks ? `★ ${stars}   ⑂ ${forks}` : '';
 
-    return svg1200x630(`
+    return svg1200x630(
+        `
         ${dotGrid()}
-        ${leftBar()}
+        ${leftBar(c)}
 
         <!-- Category badge -->
-        <rect x="80" y="100" width="${category.length * 13 + 32}" height="36" rx="18" fill="#14532d"/>
-        <text x="${80 + (category.length * 13 + 32) / 2}" y="124" text-anchor="middle" font-family="system-ui,sans-serif" font-size="18" font-weight="600" fill="#4ade80">${category}</text>
+        <rect x="80" y="100" width="${category.length * 13 + 32}" height="36" rx="18" fill="${c.badgeBg}"/>
+        <text x="${80 + (category.length * 13 + 32) / 2}" y="124" text-anchor="middle" font-family="system-ui,sans-serif" font-size="18" font-weight="600" fill="${c.badgeText}">${category}</text>
 
         <!-- Project name -->
-        <text x="80" y="230" font-family="system-ui,sans-serif" font-size="56" font-weight="700" fill="#f9fafb" letter-spacing="-1">${name}</text>
+        <text x="80" y="230" font-family="system-ui,sans-serif" font-size="56" font-weight="700" fill="${c.heading}" letter-spacing="-1">${name}</text>
 
         <!-- Description -->
-        <text x="80" y="290" font-family="system-ui,sans-serif" font-size="26" fill="#9ca3af">${desc}</text>
+        <text x="80" y="290" font-family="system-ui,sans-serif" font-size="26" fill="${c.text}">${desc}</text>
 
         <!-- Divider -->
-        <line x1="80" y1="330" x2="680" y2="330" stroke="#1f2937" stroke-width="1.5"/>
+        <line x1="80" y1="330" x2="680" y2="330" stroke="${c.line}" stroke-width="1.5"/>
 
         <!-- Stars / Forks -->
-        <text x="80" y="386" font-family="system-ui,sans-serif" font-size="28" fill="#16a34a">${escSvg(statsText)}</text>
+        <text x="80" y="386" font-family="system-ui,sans-serif" font-size="28" fill="${c.accent}">${escSvg(statsText)}</text>
 
         <!-- Tech tags -->
         ${techPills}
 
         <!-- Bottom -->
-        <text x="80" y="598" font-family="system-ui,sans-serif" font-size="22" fill="#4b5563">andernet.dev · github.com/and3rn3t/${escSvg(project.github_repo?.split('/').pop() ?? project.name)}</text>
-    `);
+        <text x="80" y="598" font-family="system-ui,sans-serif" font-size="22" fill="${c.footer}">andernet.dev · github.com/and3rn3t/${escSvg(project.github_repo?.split('/').pop() ?? project.name)}</text>
+    `,
+        c
+    );
+}
+
+// ---------------------------------------------------------------------------
+// Blog post card
+// ---------------------------------------------------------------------------
+
+export function renderPostCard(post, theme = DEFAULT_THEME) {
+    const c = palette(theme);
+    const titleLines = wrapText(post.title ?? '', 34, 3);
+    const minutes = post.readingMinutes ?? estimateMinutes(post.content);
+    const meta = [formatDate(post.date), `${minutes} min read`].filter(Boolean).join('  ·  ');
+
+    // Title grows upward from the meta line so 1–3 lines all sit comfortably.
+    const TITLE_LINE_H = 64;
+    const titleTop = 330 - (titleLines.length - 1) * TITLE_LINE_H;
+    const title = titleLines
+        .map(
+            (line, i) => `<tspan x="80" y="${titleTop + i * TITLE_LINE_H}">${escSvg(line)}</tspan>`
+        )
+        .join('');
+
+    // Tag pills (accent-outlined; tags aren't languages so they share one colour).
+    let tagX = 80;
+    const tagPills = (post.tags ?? [])
+        .slice(0, 4)
+        .map(t => {
+            const w = Math.min(t.length * 12 + 28, 220);
+            const pill = `
+            <rect x="${tagX}" y="460" width="${w}" height="34" rx="6" fill="${c.surface}" stroke="${c.accent}" stroke-width="1.5"/>
+            <text x="${tagX + w / 2}" y="483" text-anchor="middle" font-family="system-ui,sans-serif" font-size="18" fill="${c.accent}">${escSvg(truncate(t, 16))}</text>`;
+            tagX += w + 12;
+            return pill;
+        })
+        .join('');
+
+    return svg1200x630(
+        `
+        ${dotGrid()}
+        ${leftBar(c)}
+
+        <!-- Section badge -->
+        <rect x="80" y="80" width="110" height="36" rx="18" fill="${c.badgeBg}"/>
+        <text x="135" y="104" text-anchor="middle" font-family="system-ui,sans-serif" font-size="18" font-weight="600" fill="${c.badgeText}">Writing</text>
+
+        <!-- Title -->
+        <text font-family="system-ui,sans-serif" font-size="54" font-weight="700" fill="${c.heading}" letter-spacing="-1">${title}</text>
+
+        <!-- Date / reading time -->
+        <text x="80" y="400" font-family="system-ui,sans-serif" font-size="26" fill="${c.text}">${escSvg(meta)}</text>
+
+        <!-- Tags -->
+        ${tagPills}
+
+        <!-- Bottom -->
+        <text x="80" y="598" font-family="system-ui,sans-serif" font-size="22" fill="${c.footer}">andernet.dev · Matthew Anderson</text>
+    `,
+        c
+    );
 }
 
 // ---------------------------------------------------------------------------
 // Fallback card (shown when data fetch fails)
 // ---------------------------------------------------------------------------
 
-function renderFallbackCard() {
-    return svg1200x630(`
-        ${leftBar()}
-        <text x="80" y="295" font-family="system-ui,sans-serif" font-size="58" font-weight="700" fill="#f9fafb">Matthew Anderson</text>
-        <text x="80" y="355" font-family="system-ui,sans-serif" font-size="30" fill="#9ca3af">Software Engineer · Deere &amp; Company</text>
-        <text x="80" y="450" font-family="system-ui,sans-serif" font-size="22" fill="#4b5563">andernet.dev · github.com/and3rn3t</text>
-    `);
+function renderFallbackCard(theme = DEFAULT_THEME) {
+    const c = palette(theme);
+    return svg1200x630(
+        `
+        ${leftBar(c)}
+        <text x="80" y="295" font-family="system-ui,sans-serif" font-size="58" font-weight="700" fill="${c.heading}">Matthew Anderson</text>
+        <text x="80" y="355" font-family="system-ui,sans-serif" font-size="30" fill="${c.text}">Software Engineer · Deere &amp; Company</text>
+        <text x="80" y="450" font-family="system-ui,sans-serif" font-size="22" fill="${c.footer}">andernet.dev · github.com/and3rn3t</text>
+    `,
+        c
+    );
 }
 
 // ---------------------------------------------------------------------------
 // SVG building blocks
 // ---------------------------------------------------------------------------
 
-function svg1200x630(content) {
+function svg1200x630(content, c) {
     return `<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="630" viewBox="0 0 1200 630">
   <defs>
     <pattern id="dots" x="0" y="0" width="24" height="24" patternUnits="userSpaceOnUse">
-      <circle cx="1" cy="1" r="1" fill="#1f2937"/>
+      <circle cx="1" cy="1" r="1" fill="${c.dots}"/>
     </pattern>
   </defs>
   <!-- Background -->
-  <rect width="1200" height="630" fill="#0d1117"/>
+  <rect width="1200" height="630" fill="${c.bg}"/>
   <!-- Dot grid (right panel) -->
   <rect x="620" y="0" width="580" height="630" fill="url(#dots)" opacity="0.6"/>
   ${content}
 </svg>`;
 }
 
-function leftBar() {
-    return `<rect x="0" y="0" width="8" height="630" fill="#16a34a"/>`;
+function leftBar(c) {
+    return `<rect x="0" y="0" width="8" height="630" fill="${c.accent}"/>`;
 }
 
 function dotGrid() {
@@ -310,3 +485,49 @@ function escSvg(str) {
 function truncate(str, max) {
     return str.length > max ? `${str.slice(0, max - 1)}…` : str;
 }
+
+/** Unknown theme names fall back to the default palette. */
+function palette(theme) {
+    return THEMES[theme] ?? THEMES[DEFAULT_THEME];
+}
+
+/** Greedy word wrap; the last allowed line is truncated with an ellipsis. */
+function wrapText(str, maxChars, maxLines) {
+    const lines = [];
+    let current = '';
+    for (const word of str.split(/\s+/).filter(Boolean)) {
+        const next = current ? `${current} ${word}` : word;
+        if (next.length <= maxChars || !current) {
+            current = next;
+        } else {
+            lines.push(current);
+            current = word;
+        }
+    }
+    if (current) lines.push(current);
+    if (lines.length <= maxLines) return lines.map(l => truncate(l, maxChars));
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = truncate(`${kept[maxLines - 1]} ${lines[maxLines]}`, maxChars);
+    return kept;
+}
+
+/** `2026-07-12` → `July 12, 2026` (UTC so the day never shifts). */
+function formatDate(dateStr) {
+    if (!dateStr) return '';
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    if (Number.isNaN(date.getTime())) return '';
+    return date.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC',
+    });
+}
+
+function estimateMinutes(html) {
+    const words = String(html ?? '')
+        .replaceAll(/<[^>]*>/g, ' ')
+        .trim()
+        .split(/\s+/).length;
+    return Math.max(1, Math.round(words / READING_SPEED_WPM));
+}
@@ -0,0 +1,101 @@
+/**
+ * Cloudflare Worker — per-IP rate limiting
+ *
+ * Fixed-window counters keyed on CF-Connecting-IP. Counters live in the
+ * RATE_LIMIT_KV namespace when it is bound; otherwise an isolate-local Map
+ * stands in (per env object), which still blunts scripted bursts that land on
+ * the same isolate and keeps `wrangler dev` working without extra setup.
+ *
+ * KV is eventually consistent and the read-increment-write is not atomic, so
+ * limits are soft: a burst spread across edge locations can overshoot a little.
+ * That's fine for abuse throttling; it is not a billing meter.
+ *
+ * Usage:
+ *   const limited = await enforceRateLimit(request, env, RATE_LIMITS.guestbookPost);
+ *   if (limited) return limited; // 429 with Retry-After
+ */
+
+import { jsonResponse } from './http.js';
+
+// Named policies so every write endpoint is tuned in one place.
+export const RATE_LIMITS = {
+    // Views are deduplicated server-side; the limit only has to leave room for a
+    // visit that tracks home, every section and a few posts or case studies.
+    viewsPost: { name: 'views', limit: 30, windowSeconds: 60 },
+    guestbookPost: { name: 'guestbook', limit: 3, windowSeconds: 600 },
+    // One beacon per hidden tab, plus early flushes when a batch fills up.
+    collectPost: { name: 'collect', limit: 20, windowSeconds: 60 },
+    // One Web Vitals report per page load.
+    vitalsPost: { name: 'vitals', limit: 10, windowSeconds: 60 },
+    // The client reporter already throttles; this only stops a runaway loop.
+    errorsPost: { name: 'errors', limit: 10, windowSeconds: 60 },
+    // Cache misses spend GH_TOKEN quota; a paginated load is a handful of calls.
+    graphqlPost: { name: 'graphql', limit: 30, windowSeconds: 60 },
+    // Edge-cache misses on /gh/*; a project modal costs a few (repo, README, commits).
+    ghProxy: { name: 'gh', limit: 60, windowSeconds: 60 },
+};
+
+// KV rejects expirationTtl values below 60 s.
+const MIN_KV_TTL_SECONDS = 60;
+// In-memory counters are swept for expired windows once the map grows past this.
+const MEMORY_SWEEP_THRESHOLD = 1000;
+
+const memoryStores = new WeakMap();
+
+/**
+ * Count this request against `policy` for the caller's IP.
+ * @returns {Promise<{ allowed: boolean, remaining: number, retryAfter: number }>}
+ */
+export async function checkRateLimit(request, env, policy) {
+    const ip = request.headers.get('CF-Connecting-IP') ?? 'unknown';
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const windowStart = nowSeconds - (nowSeconds % policy.windowSeconds);
+    const retryAfter = windowStart + policy.windowSeconds - nowSeconds;
+    const key = `rl:${policy.name}:${ip}:${windowStart}`;
+
+    const store = counterStore(env);
+    const count = (await store.get(key)) + 1;
+    if (count > policy.limit) {
+        return { allowed: false, remaining: 0, retryAfter };
+    }
+
+    await store.put(key, count, Math.max(retryAfter, MIN_KV_TTL_SECONDS));
+    return { allowed: true, remaining: policy.limit - count, retryAfter };
+}
+
+/** Returns a 429 response when the caller is over `policy`, otherwise null. */
+export async function enforceRateLimit(request, env, policy) {
+    const { allowed, retryAfter } = await checkRateLimit(request, env, policy);
+    if (allowed) return null;
+
+    const response = jsonResponse({ error: 'rate_limited', retryAfter }, request, 429);
+    response.headers.set('Retry-After', String(retryAfter));
+    return response;
+}
+
+function counterStore(env) {
+    if (env.RATE_LIMIT_KV) {
+        const kv = env.RATE_LIMIT_KV;
+        return {
+            get: async key => Number.parseInt((await kv.get(key)) ?? '0', 10) || 0,
+            put: (key, count, ttl) => kv.put(key, String(count), { expirationTtl: ttl }),
+        };
+    }
+
+    // Durable Object stand-in: counters scoped to this env for the isolate's lifetime.
+    if (!memoryStores.has(env)) memoryStores.set(env, new Map());
+    const counters = memoryStores.get(env);
+    return {
+        get: async key => {
+            const hit = counters.get(key);
+            return hit && hit.expires > Date.now() ? hit.count : 0;
+        },
+        put: async (key, count, ttl) => {
+            const now = Date.now();
+            if (counters.size > MEMORY_SWEEP_THRESHOLD) {
+                for (const [k, v] of counters) if (v.expires <= now) counters.delete(k);
+            }
+            counters.set(key, { count, expires: now + ttl * 1000 });
+        },
+    };
+}
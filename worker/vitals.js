@@ -0,0 +1,289 @@
+/**
+ * Cloudflare Worker — Web Vitals real-user monitoring
+ *
+ * POST /vitals  { device, metrics: { lcp, cls, fcp, ttfb, inp }, inp? }  → 202
+ *   One report per page load, beaconed by modules/performance.js. `inp` carries
+ *   attribution for the slowest interaction: { target, eventType, script }.
+ *
+ * GET /vitals?days=7  (max 30)
+ *   → { from, to, days: [{ day, device, metrics: { lcp: { count, p50, p75, p95 }, … },
+ *                          slowInteractions: [{ target, eventType, script, count }] }] }
+ *
+ * Storage (ANALYTICS_KV, alongside collect.js):
+ *   vitals:batch:<day>:<uuid>   → one validated report (expires after 7 days)
+ *   vitals:day:<day>:<device>   → per-metric histograms, written only by the cron
+ *
+ * Percentiles come from log-spaced histograms (5% wide buckets) rather than
+ * raw samples, so a day's rollup stays a few KB however busy it gets and two
+ * histograms merge by adding counts. Reported percentiles are the upper edge
+ * of the bucket they land in — within 5% of the true value. CLS is stored in
+ * thousandths so it shares the bucket scheme with the millisecond metrics.
+ *
+ * Like collect.js, ingestion writes one key per report and
+ * rollUpVitals() (scheduled) folds them into the daily histograms, within the
+ * cron's shared KV budget (kv-budget.js).
+ */
+
+import { jsonResponse, corsHeaders } from './http.js';
+import { enforceRateLimit, RATE_LIMITS } from './rate-limit.js';
+import { KvBudget } from './kv-budget.js';
+
+const MAX_BODY_BYTES = 4 * 1024;
+const BATCH_TTL_SECONDS = 7 * 24 * 60 * 60;
+const MAX_BATCHES_PER_ROLLUP = 400;
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 30;
+const SUMMARY_CACHE_SECONDS = 300;
+const MAX_SLOW_INTERACTIONS = 50;
+
+const BUCKET_GROWTH = 1.05;
+const PERCENTILES = { p50: 0.5, p75: 0.75, p95: 0.95 };
+const DEVICES = ['mobile', 'tablet', 'desktop'];
+
+// Accepted range per metric; CLS is unitless, the rest are milliseconds.
+const METRICS = {
+    lcp: { max: 60_000 },
+    fcp: { max: 60_000 },
+    ttfb: { max: 60_000 },
+    inp: { max: 60_000 },
+    cls: { max: 10, scale: 1000 },
+};
+
+// INP at or above this (the "needs improvement" threshold) records its attribution.
+const SLOW_INP_MS = 200;
+
+const TARGET_PATTERN = /^[a-z][\w-]*(?:[#.][\w-]+)*$/i;
+const EVENT_TYPE_PATTERN = /^[a-z]{1,32}$/;
+const SCRIPT_PATTERN = /^[\w\-./~%]{1,120}$/;
+
+// ---------------------------------------------------------------------------
+// Entry point
+// ---------------------------------------------------------------------------
+
+export async function handleVitalsRequest(request, env) {
+    if (request.method === 'OPTIONS') {
+        return new Response(null, { headers: corsHeaders(request) });
+    }
+
+    if (!env.ANALYTICS_KV) {
+        return jsonResponse({ error: 'vitals_unavailable' }, request, 503);
+    }
+
+    if (request.method === 'POST') return ingestVitals(request, env);
+    if (request.method === 'GET') return vitalsSummary(request, env);
+    return new Response('Method not allowed', { status: 405 });
+}
+
+async function ingestVitals(request, env) {
+    const limited = await enforceRateLimit(request, env, RATE_LIMITS.vitalsPost);
+    if (limited) return limited;
+
+    const text = await request.text();
+    if (text.length > MAX_BODY_BYTES) {
+        return jsonResponse({ error: 'payload_too_large' }, request, 413);
+    }
+
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch {
+        return jsonResponse({ error: 'invalid_json' }, request, 400);
+    }
+
+    const report = validateReport(body);
+    if (!report) {
+        return jsonResponse({ error: 'invalid_report' }, request, 400);
+    }
+
+    const day = new Date().toISOString().slice(0, 10);
+    await env.ANALYTICS_KV.put(
+        `vitals:batch:${day}:${crypto.randomUUID()}`,
+        JSON.stringify(report),
+        { expirationTtl: BATCH_TTL_SECONDS }
+    );
+    return jsonResponse({ ok: true }, request, 202);
+}
+
+/** Keep known metrics within range; attribution only for slow interactions. */
+export function validateReport(body) {
+    if (!DEVICES.includes(body?.device)) return null;
+
+    const metrics = {};
+    for (const [name, { max }] of Object.entries(METRICS)) {
+        const value = body.metrics?.[name];
+        if (typeof value === 'number' && value >= 0 && value <= max) metrics[name] = value;
+    }
+    if (!Object.keys(metrics).length) return null;
+
+    const report = { device: body.device, metrics };
+    const inp = body.inp;
+    if (metrics.inp >= SLOW_INP_MS && TARGET_PATTERN.test(inp?.target ?? '')) {
+        report.inp = {
+            target: inp.target.slice(0, 80),
+            eventType: EVENT_TYPE_PATTERN.test(inp.eventType ?? '') ? inp.eventType : null,
+            script: SCRIPT_PATTERN.test(inp.script ?? '') ? inp.script : null,
+        };
+    }
+    return report;
+}
+
+async function vitalsSummary(request, env) {
+    const url = new URL(request.url);
+    const requested = Number.parseInt(url.searchParams.get('days') ?? '', 10);
+    const dayCount = Math.min(Math.max(requested || DEFAULT_DAYS, 1), MAX_DAYS);
+
+    const to = new Date().toISOString().slice(0, 10);
+    const dayList = Array.from({ length: dayCount }, (_, i) => addDays(to, i - dayCount + 1));
+
+    const rows = await Promise.all(
+        dayList.flatMap(day =>
+            DEVICES.map(async device => {
+                const rollup = await env.ANALYTICS_KV.get(`vitals:day:${day}:${device}`, 'json');
+                return rollup ? summarizeRollup(day, device, rollup) : null;
+            })
+        )
+    );
+
+    return new Response(JSON.stringify({ from: dayList[0], to, days: rows.filter(Boolean) }), {
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': `public, max-age=${SUMMARY_CACHE_SECONDS}`,
+            ...corsHeaders(request),
+        },
+    });
+}
+
+function summarizeRollup(day, device, rollup) {
+    const metrics = {};
+    for (const [name, histogram] of Object.entries(rollup.metrics ?? {})) {
+        const scale = METRICS[name]?.scale ?? 1;
+        metrics[name] = { count: histogram.count };
+        for (const [label, q] of Object.entries(PERCENTILES)) {
+            metrics[name][label] = percentile(histogram, q) / scale;
+        }
+    }
+
+    const slowInteractions = Object.entries(rollup.slowInteractions ?? {})
+        .map(([key, count]) => {
+            const [target, eventType, script] = key.split('|');
+            return { target, eventType: eventType || null, script: script || null, count };
+        })
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 10);
+
+    return { day, device, metrics, slowInteractions };
+}
+
+// ---------------------------------------------------------------------------
+// Histograms
+// ---------------------------------------------------------------------------
+
+/** Index of the 5%-wide bucket holding `value` (values ≤ 1 share bucket 0). */
+export function bucketOf(value) {
+    return value <= 1 ? 0 : Math.ceil(Math.log(value) / Math.log(BUCKET_GROWTH));
+}
+
+/**
+ * Upper edge of the bucket containing the q-quantile, rounded to a whole unit.
+ * Bucket 0 reports 0, since that is where a layout-shift-free CLS lands.
+ */
+export function percentile(histogram, q) {
+    const target = Math.max(1, Math.ceil(histogram.count * q));
+    const indexes = Object.keys(histogram.buckets)
+        .map(Number)
+        .sort((a, b) => a - b);
+    let seen = 0;
+    for (const index of indexes) {
+        seen += histogram.buckets[index];
+        if (seen >= target) return index === 0 ? 0 : Math.round(BUCKET_GROWTH ** index);
+    }
+    return 0;
+}
+
+function addSample(rollup, name, value) {
+    const scaled = value * (METRICS[name]?.scale ?? 1);
+    rollup.metrics[name] ??= { count: 0, buckets: {} };
+    const histogram = rollup.metrics[name];
+    const index = bucketOf(scaled);
+    histogram.count += 1;
+    histogram.buckets[index] = (histogram.buckets[index] ?? 0) + 1;
+}
+
+// ---------------------------------------------------------------------------
+// Daily rollup (cron)
+// ---------------------------------------------------------------------------
+
+/**
+ * Fold pending reports into vitals:day:<day>:<device> histograms and delete them.
+ * @param {Object} env
+ * @param {KvBudget} [budget] - KV operations this run may spend
+ * @returns {Promise<{ reports: number }>}
+ */
+export async function rollUpVitals(env, budget = new KvBudget()) {
+    const kv = env.ANALYTICS_KV;
+    if (!kv) return { reports: 0 };
+
+    const names = [];
+    let cursor;
+    do {
+        if (!budget.take(1)) break;
+        const result = await kv.list({ prefix: 'vitals:batch:', cursor });
+        names.push(...result.keys.map(k => k.name));
+        cursor = result.list_complete ? undefined : result.cursor;
+    } while (cursor && names.length < MAX_BATCHES_PER_ROLLUP);
+
+    const groups = new Map();
+    for (const name of names.slice(0, MAX_BATCHES_PER_ROLLUP)) {
+        const day = name.split(':')[2];
+        if (!groups.has(day)) groups.set(day, []);
+        groups.get(day).push(name);
+    }
+
+    let merged = 0;
+    for (const [day, pending] of groups) {
+        // A get and a delete per report, plus a get and a put per device histogram.
+        const batchNames = pending.slice(0, budget.takeUpTo(pending.length, 2, 2 * DEVICES.length));
+        if (!batchNames.length) break;
+        const reports = await Promise.all(batchNames.map(name => kv.get(name, 'json')));
+        const byDevice = new Map();
+        for (const report of reports) {
+            if (!report || !DEVICES.includes(report.device)) continue;
+            if (!byDevice.has(report.device)) {
+                const key = `vitals:day:${day}:${report.device}`;
+                byDevice.set(report.device, (await kv.get(key, 'json')) ?? {});
+            }
+            addReport(byDevice.get(report.device), report);
+        }
+
+        for (const [device, rollup] of byDevice) {
+            await kv.put(`vitals:day:${day}:${device}`, JSON.stringify(rollup));
+        }
+        await Promise.all(batchNames.map(name => kv.delete(name)));
+        merged += batchNames.length;
+    }
+
+    return { reports: merged };
+}
+
+function addReport(rollup, report) {
+    rollup.metrics ??= {};
+    for (const [name, value] of Object.entries(report.metrics)) {
+        if (name in METRICS) addSample(rollup, name, value);
+    }
+
+    if (report.inp) {
+        rollup.slowInteractions ??= {};
+        const { target, eventType, script } = report.inp;
+        const key = `${target}|${eventType ?? ''}|${script ?? ''}`;
+        const known = key in rollup.slowInteractions;
+        if (known || Object.keys(rollup.slowInteractions).length < MAX_SLOW_INTERACTIONS) {
+            rollup.slowInteractions[key] = (rollup.slowInteractions[key] ?? 0) + 1;
+        }
+    }
+}
+
+function addDays(day, n) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + n);
+    return date.toISOString().slice(0, 10);
+}